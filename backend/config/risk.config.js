@@ -20,6 +20,9 @@ const config = {
       correlationLimit: 0.8,
       volatilityLimit: 0.5,
       liquidityThreshold: 500000,
+      liquidityDepthBps: 100, // order book depth within 1% of mid counts as liquidity
+      maxSlippageBps: 100,
+      maxEntryDeviation: 0.03, // from the consolidated reference price
       circuitBreakerThreshold: 0.20,
       circuitBreakerTimeout: 1800000, // 30 minutes
       circuitBreakerMaxFailures: 5,
@@ -58,6 +61,9 @@ const config = {
       correlationLimit: 0.75,
       volatilityLimit: 0.4,
       liquidityThreshold: 750000,
+      liquidityDepthBps: 100, // order book depth within 1% of mid counts as liquidity
+      maxSlippageBps: 75,
+      maxEntryDeviation: 0.02, // from the consolidated reference price
       circuitBreakerThreshold: 0.15,
       circuitBreakerTimeout: 2700000, // 45 minutes
       circuitBreakerMaxFailures: 4,
@@ -96,6 +102,9 @@ const config = {
       correlationLimit: 0.7,
       volatilityLimit: 0.3,
       liquidityThreshold: 1000000,
+      liquidityDepthBps: 100, // order book depth within 1% of mid counts as liquidity
+      maxSlippageBps: 50,
+      maxEntryDeviation: 0.01, // from the consolidated reference price
       circuitBreakerThreshold: 0.12,
       circuitBreakerTimeout: 3600000, // 1 hour
       circuitBreakerMaxFailures: 3,
@@ -53,7 +53,20 @@ const {
 // Import trading services
 const marketDataService = require('./lib/marketDataService');
 const exchangeService = require('./lib/exchangeService');
-const TradingBot = require('./lib/tradingBot');
+const { ORDER_TYPES, TIME_IN_FORCE, normalizeOrderStatus } = require('./lib/exchangeAdapter');
+const { botManager } = require('./lib/botManager');
+const { positionMonitor } = require('./lib/positionMonitor');
+const { executionEngine, ALGORITHMS } = require('./lib/executionEngine');
+const { orderTracker } = require('./lib/orderTracker');
+const { binanceUserStream } = require('./lib/binanceUserStream');
+const { balanceService } = require('./lib/balanceService');
+const { credentialVault } = require('./lib/credentialVault');
+const { keyPermissionMonitor } = require('./lib/keyPermissionMonitor');
+const { candleStore, INTERVALS } = require('./lib/candleStore');
+const { marketDataReplay } = require('./lib/marketDataReplay');
+const { orderBookAnalytics } = require('./lib/orderBookAnalytics');
+const { consolidatedQuotes } = require('./lib/consolidatedQuotes');
+const { strategyRuleEvaluator } = require('./lib/strategyRules');
 
 // Import WebSocket server
 const { createWebSocketServer } = require('./lib/websocketServer');
@@ -251,7 +264,8 @@ app.get('/health/detailed', async(req, res) => {
           status: redisStatus,
           responseTime: `${redisResponseTime}ms`
         },
-        api: 'Operational'
+        api: 'Operational',
+        marketDataFeeds: marketDataService.getFeedHealth()
       },
       configuration: {
         cors: env.ENABLE_CORS,
@@ -445,66 +459,36 @@ app.post('/api/v1/auth/logout', (req, res) => {
 // EXCHANGE API ENDPOINTS
 // =============================================================================
 
-// Get exchange balances
-app.post('/api/v1/exchanges/balances',
-  authenticateToken,
-  [
-    body('exchange').isIn(['binance', 'wazirx', 'coindcx', 'delta', 'coinbase']).withMessage('Invalid exchange'),
-    validationRules.apiKey,
-    body('secretKey').isLength({ min: 20 }).withMessage('Secret key must be at least 20 characters')
-  ],
-  validateInput,
-  (req, res) => {
-    try {
-      const { exchange, apiKey: _apiKey, secretKey: _secretKey } = req.body;
-
-      if (!exchange) {
-        return res.status(400).json({
-          success: false,
-          error: 'Exchange is required'
-        });
-      }
-
-      // In a real implementation, you would:
-      // 1. Validate API credentials
-      // 2. Connect to exchange API
-      // 3. Fetch real balance data
-      // 4. Cache results
-
-      const mockBalances = [
-        {
-          asset: 'BTC',
-          free: '0.5',
-          locked: '0.1',
-          total: '0.6',
-          value: 30000
-        },
-        {
-          asset: 'ETH',
-          free: '2.0',
-          locked: '0.5',
-          total: '2.5',
-          value: 8000
-        }
-      ];
-
-      res.json({
-        success: true,
-        message: 'Exchange balances retrieved successfully',
-        data: {
-          exchange,
-          balances: mockBalances,
-          totalValue: 38000,
-          timestamp: new Date().toISOString()
-        }
-      });
-    } catch {
-      res.status(500).json({
+// Balances across all configured exchanges, valued in ?quote= (default USDT).
+// Exchanges that fail are listed under errors; ?refresh=true skips the cache.
+app.get('/api/v1/exchanges/balances', authenticateToken, async(req, res) => {
+  try {
+    const { quote = 'USDT', refresh } = req.query;
+    if (!/^[A-Za-z0-9]{2,10}$/.test(quote)) {
+      return res.status(400).json({
         success: false,
-        error: 'Failed to fetch balances'
+        error: 'Invalid quote currency'
       });
     }
-  });
+
+    const balances = await balanceService.getBalances(req.user.userId, {
+      quote,
+      refresh: refresh === 'true'
+    });
+
+    res.json({
+      success: true,
+      message: 'Exchange balances retrieved successfully',
+      data: balances
+    });
+  } catch (error) {
+    logger.error('Failed to fetch balances:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch balances'
+    });
+  }
+});
 
 // Execute trade
 app.post('/api/v1/trades/execute',
@@ -514,12 +498,20 @@ app.post('/api/v1/trades/execute',
     validationRules.amount,
     body('exchange').isIn(['binance', 'wazirx', 'coindcx', 'delta', 'coinbase']).withMessage('Invalid exchange'),
     body('side').isIn(['buy', 'sell']).withMessage('Invalid trade side'),
-    body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number')
+    body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+    body('type').optional().customSanitizer(value => String(value).toUpperCase())
+      .isIn(ORDER_TYPES).withMessage(`Order type must be one of ${ORDER_TYPES.join(', ')}`),
+    body('stopPrice').optional().isFloat({ gt: 0 }).withMessage('Stop price must be a positive number'),
+    body('timeInForce').optional().customSanitizer(value => String(value).toUpperCase())
+      .isIn(TIME_IN_FORCE).withMessage(`Time in force must be one of ${TIME_IN_FORCE.join(', ')}`),
+    body('postOnly').optional().isBoolean().toBoolean().withMessage('postOnly must be a boolean'),
+    body('iceberg.visibleAmount').optional().isFloat({ gt: 0 }).withMessage('Iceberg visible amount must be a positive number'),
+    body('iceberg.sliceTimeout').optional().isInt({ min: 1000, max: 3600000 }).withMessage('Iceberg slice timeout must be between 1s and 1h')
   ],
   validateInput,
   async(req, res) => {
     try {
-      const { exchange, symbol, side, amount, price, apiKey: _apiKey, secretKey: _secretKey } = req.body;
+      const { exchange, symbol, side, amount, price, stopPrice, type, timeInForce, postOnly, iceberg } = req.body;
       const userId = req.user.userId;
 
       // Basic validation
@@ -538,14 +530,6 @@ app.post('/api/v1/trades/execute',
         });
       }
 
-      // Validate API credentials
-      if (!_apiKey || !_secretKey) {
-        return res.status(400).json({
-          success: false,
-          error: 'API credentials required for trading'
-        });
-      }
-
       // Check account balance (mock implementation)
       const balance = await checkAccountBalance(userId, exchange, symbol);
       if (balance < amount) {
@@ -555,15 +539,45 @@ app.post('/api/v1/trades/execute',
         });
       }
 
-      // Execute trade on exchange using real exchange service
-      const tradeResult = await exchangeService.executeTrade({
-        exchange,
+      // Icebergs are worked slice by slice in the background; the parent is
+      // returned at once and followed through /trades/algorithms/:id
+      if (iceberg && iceberg.visibleAmount) {
+        const parent = await executionEngine.submitIceberg(userId, {
+          exchange,
+          symbol,
+          side,
+          amount: parseFloat(amount),
+          price: price ? parseFloat(price) : undefined,
+          type,
+          timeInForce,
+          postOnly,
+          visibleAmount: parseFloat(iceberg.visibleAmount),
+          sliceTimeout: iceberg.sliceTimeout ? parseInt(iceberg.sliceTimeout, 10) : undefined
+        });
+        return res.status(202).json({
+          success: true,
+          message: 'Iceberg order accepted',
+          data: parent
+        });
+      }
+
+      // Keys saved through /exchanges/configure, decrypted for this order only
+      const { apiKey, secretKey, passphrase } = await credentialVault.getCredentials(userId, exchange, 'trade_execution');
+
+      // Execute trade on exchange using real exchange service; unsupported
+      // order types are rejected before anything is sent
+      const tradeResult = await exchangeService.executeTrade(exchange, {
         symbol,
         side,
         amount: parseFloat(amount),
         price: price ? parseFloat(price) : undefined,
-        apiKey: _apiKey,
-        secretKey: _secretKey
+        stopPrice: stopPrice ? parseFloat(stopPrice) : undefined,
+        type,
+        timeInForce,
+        postOnly,
+        apiKey,
+        secretKey,
+        passphrase
       });
 
       // Log trade to database
@@ -573,8 +587,12 @@ app.post('/api/v1/trades/execute',
         symbol,
         side,
         amount: parseFloat(amount),
-        price: price ? parseFloat(price) : tradeResult.price,
-        status: tradeResult.status,
+        price: tradeResult.executedPrice || (price ? parseFloat(price) : tradeResult.price),
+        // Orders still open are kept up to date by the order tracker
+        status: normalizeOrderStatus(tradeResult.status),
+        orderStatus: tradeResult.status,
+        executedQty: tradeResult.executedQty,
+        fees: tradeResult.commission,
         orderId: tradeResult.orderId,
         timestamp: new Date(),
         profit: tradeResult.profit || 0
@@ -600,6 +618,14 @@ app.post('/api/v1/trades/execute',
         }
       });
     } catch (error) {
+      // Order types or sizes the exchange cannot take, or no keys saved for it
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
+
       logger.error('Trade execution error:', error);
       res.status(500).json({
         success: false,
@@ -653,6 +679,85 @@ app.get('/api/v1/trades/history', authenticateToken, async(req, res) => {
   }
 });
 
+// TWAP / VWAP and iceberg execution of large orders, worked in child orders
+const algorithmHandler = (description, run, statusCode = 200) => async(req, res) => {
+  try {
+    const data = await run(req.user.userId, req);
+    res.status(statusCode).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error(`Failed to ${description}:`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to ${description}`
+    });
+  }
+};
+
+app.post('/api/v1/trades/algorithms', authenticateToken, [
+  body('algorithm').customSanitizer(value => String(value).toLowerCase())
+    .isIn(ALGORITHMS).withMessage(`Algorithm must be one of ${ALGORITHMS.join(', ')}`),
+  body('exchange').isIn(['binance', 'wazirx', 'coindcx', 'delta', 'coinbase']).withMessage('Invalid exchange'),
+  validationRules.symbol,
+  validationRules.amount,
+  body('side').isIn(['buy', 'sell']).withMessage('Invalid trade side'),
+  body('duration').isInt({ min: 20000, max: 86400000 }).toInt().withMessage('Duration must be between 20 seconds and 24 hours (in ms)'),
+  body('slices').optional().isInt({ min: 2, max: 500 }).toInt().withMessage('Slices must be between 2 and 500'),
+  body('limitPrice').optional().isFloat({ gt: 0 }).toFloat().withMessage('Limit price must be a positive number'),
+  body('maxParticipation').optional().isFloat({ gt: 0, max: 1 }).toFloat().withMessage('Max participation must be greater than 0 and at most 1'),
+  body('mode').optional().isIn(['live', 'paper']).withMessage('Mode must be live or paper')
+], validateInput, algorithmHandler('start execution algorithm', (userId, req) => {
+  const { algorithm, exchange, symbol, side, amount, duration, slices, limitPrice, maxParticipation, mode } = req.body;
+  return executionEngine.submit(userId, {
+    algorithm,
+    exchange,
+    symbol,
+    side,
+    amount: parseFloat(amount),
+    duration,
+    slices,
+    limitPrice,
+    maxParticipation,
+    mode
+  });
+}, 201));
+
+app.get('/api/v1/trades/algorithms', authenticateToken, algorithmHandler('list execution algorithms', async(userId) => ({
+  algorithms: executionEngine.listRunning(userId)
+})));
+
+app.get('/api/v1/trades/algorithms/:id', authenticateToken,
+  algorithmHandler('get execution algorithm', (userId, req) => executionEngine.getAlgorithm(userId, req.params.id)));
+
+// Amend a running algorithm; a null limitPrice or maxParticipation removes it
+app.put('/api/v1/trades/algorithms/:id', authenticateToken, [
+  body('amount').optional().isFloat({ gt: 0 }).toFloat().withMessage('Amount must be a positive number'),
+  body('limitPrice').optional({ nullable: true }).isFloat({ gt: 0 }).toFloat().withMessage('Limit price must be a positive number'),
+  body('maxParticipation').optional({ nullable: true }).isFloat({ gt: 0, max: 1 }).toFloat()
+    .withMessage('Max participation must be greater than 0 and at most 1'),
+  body('endTime').optional().isISO8601().withMessage('End time must be an ISO 8601 date')
+], validateInput, algorithmHandler('amend execution algorithm', (userId, req) => {
+  const { amount, limitPrice, maxParticipation, endTime } = req.body;
+  return executionEngine.amend(userId, req.params.id, {
+    amount,
+    limitPrice,
+    maxParticipation,
+    endTime: endTime ? Date.parse(endTime) : undefined
+  });
+}));
+
+app.post('/api/v1/trades/algorithms/:id/cancel', authenticateToken,
+  algorithmHandler('cancel execution algorithm', (userId, req) => executionEngine.cancel(userId, req.params.id)));
+
 // =============================================================================
 // PORTFOLIO ENDPOINTS
 // =============================================================================
@@ -736,21 +841,21 @@ app.post('/api/v1/exchanges/configure',
         });
       }
 
-      // In a real implementation, you would:
-      // 1. Validate API credentials with exchange
-      // 2. Encrypt and store credentials securely
-      // 3. Test connection
+      const credentials = { apiKey, secretKey, passphrase: passphrase || null };
 
-      // Store exchange configuration
-      const configData = {
-        userId,
-        exchange: exchange.toLowerCase(),
-        apiKey,
-        secretKey,
-        passphrase: passphrase || null
-      };
+      // Refuses keys the exchange rejects or that can withdraw funds
+      const permissions = await keyPermissionMonitor.verify(exchange.toLowerCase(), credentials);
+
+      // Sealed with envelope encryption; the plaintext keys are not stored
+      const config = await credentialVault.store(userId, exchange.toLowerCase(), credentials, { ipAddress: req.ip });
+      await ExchangeConfig.updatePermissions(config.id, permissions);
 
-      const config = await ExchangeConfig.create(configData);
+      // Restart the user-data stream on the new keys
+      if (config.exchange === 'binance') {
+        binanceUserStream.connect(userId).catch(error => {
+          logger.warn('Failed to connect Binance user-data stream', { userId, error: error.message });
+        });
+      }
 
       res.json({
         success: true,
@@ -758,10 +863,19 @@ app.post('/api/v1/exchanges/configure',
         data: {
           exchange: config.exchange,
           status: 'connected',
+          permissions,
           timestamp: config.created_at
         }
       });
     } catch (error) {
+      // Keys that failed verification or carry withdrawal rights
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
+
       logger.error('Exchange configuration error:', error);
       res.status(500).json({
         success: false,
@@ -780,8 +894,10 @@ app.get('/api/v1/exchanges/configured', authenticateToken, async(req, res) => {
 
     const exchanges = configs.map(config => ({
       name: config.exchange,
-      status: config.is_active ? 'connected' : 'inactive',
-      lastSync: config.last_sync || config.created_at
+      status: config.revoked_at ? 'revoked' : (config.is_active ? 'connected' : 'inactive'),
+      lastSync: config.last_sync || config.created_at,
+      rotatedAt: config.rotated_at || null,
+      permissions: config.permissions || null
     }));
 
     res.json({
@@ -801,6 +917,62 @@ app.get('/api/v1/exchanges/configured', authenticateToken, async(req, res) => {
   }
 });
 
+// Re-encrypt saved keys under a fresh data key; the exchange keys stay the same
+app.post('/api/v1/exchanges/:exchange/credentials/rotate', authenticateToken, async(req, res) => {
+  try {
+    const rotation = await credentialVault.rotate(req.user.userId, req.params.exchange, { ipAddress: req.ip });
+
+    res.json({
+      success: true,
+      message: 'Exchange credentials rotated successfully',
+      data: rotation
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    logger.error('Credential rotation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rotate exchange credentials'
+    });
+  }
+});
+
+// Destroy saved keys and deactivate the exchange until new keys are configured
+app.delete('/api/v1/exchanges/:exchange/credentials', authenticateToken, async(req, res) => {
+  try {
+    const { exchange } = req.params;
+    const userId = req.user.userId;
+    const revocation = await credentialVault.revoke(userId, exchange, { ipAddress: req.ip });
+
+    if (exchange === 'binance') {
+      await binanceUserStream.disconnect(userId);
+    }
+
+    res.json({
+      success: true,
+      message: 'Exchange credentials revoked successfully',
+      data: revocation
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    logger.error('Credential revocation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke exchange credentials'
+    });
+  }
+});
+
 // =============================================================================
 // STATIC FILE SERVING
 // =============================================================================
@@ -871,6 +1043,32 @@ app.get('/api/v1/market-data/ticker/:symbol', async(req, res) => {
   }
 });
 
+// Best bid and offer across exchanges, with the exchange quoting each side,
+// every exchange's ticker and a volume-weighted reference price
+app.get('/api/v1/market-data/quote/:symbol', (req, res) => {
+  try {
+    const quote = consolidatedQuotes.getQuote(req.params.symbol);
+
+    if (quote.sources.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No exchange has quoted this symbol'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    logger.error('Failed to build consolidated quote:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build consolidated quote'
+    });
+  }
+});
+
 // Get kline/candlestick data
 app.get('/api/v1/market-data/klines/:symbol', async(req, res) => {
   try {
@@ -892,17 +1090,106 @@ app.get('/api/v1/market-data/klines/:symbol', async(req, res) => {
   }
 });
 
+// Stored candles for a time range; reads the candle store, not the exchange
+app.get('/api/v1/market-data/candles/:symbol', async(req, res) => {
+  try {
+    const symbol = marketDataService.normalizeSymbol(req.params.symbol);
+    const { exchange = 'binance', interval = '1h' } = req.query;
+    const endTime = req.query.endTime ? parseInt(req.query.endTime, 10) : Date.now();
+    const startTime = req.query.startTime ? parseInt(req.query.startTime, 10) : endTime - 100 * (INTERVALS[interval] || 0);
+
+    if (!INTERVALS[interval] || !Number.isFinite(startTime) || !Number.isFinite(endTime) || startTime > endTime) {
+      return res.status(400).json({
+        success: false,
+        error: 'A supported interval and a valid startTime / endTime range are required'
+      });
+    }
+
+    const candles = await candleStore.getCandles(exchange, symbol, interval, startTime, endTime);
+
+    res.json({
+      success: true,
+      data: candles
+    });
+  } catch (error) {
+    logger.error('Failed to fetch stored candles:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch stored candles'
+    });
+  }
+});
+
+// Backfill a candle range for backtests and repair gaps in it
+app.post('/api/v1/market-data/candles/backfill',
+  authenticateToken,
+  [
+    body('symbol').isString().isLength({ min: 2, max: 20 }).withMessage('Symbol is required'),
+    body('interval').isIn(Object.keys(INTERVALS)).withMessage('Unsupported candle interval'),
+    body('startTime').isInt({ min: 0 }).withMessage('startTime must be epoch milliseconds'),
+    body('endTime').optional().isInt({ min: 0 }).withMessage('endTime must be epoch milliseconds')
+  ],
+  validateInput,
+  async(req, res) => {
+    try {
+      const { exchange = 'binance', interval } = req.body;
+      const symbol = marketDataService.normalizeSymbol(req.body.symbol);
+      const startTime = parseInt(req.body.startTime, 10);
+      const endTime = req.body.endTime ? parseInt(req.body.endTime, 10) : Date.now();
+
+      const stored = await candleStore.backfill(exchange, symbol, interval, startTime, endTime);
+      const gaps = await candleStore.repairGaps(exchange, symbol, interval, startTime, endTime);
+
+      res.json({
+        success: true,
+        message: 'Candles backfilled successfully',
+        data: { exchange, symbol, interval, stored, gaps }
+      });
+    } catch (error) {
+      // Exchanges without candle history
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      logger.error('Candle backfill error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to backfill candles'
+      });
+    }
+  });
+
 // Get order book data
+// Order book with spread, depth, imbalance and, given a quote-currency size,
+// estimated slippage. Served from the depth feed while it is in sync.
 app.get('/api/v1/market-data/orderbook/:symbol', async(req, res) => {
   try {
-    const { symbol } = req.params;
+    const symbol = marketDataService.normalizeSymbol(req.params.symbol);
     const { exchange = 'binance', limit = 100 } = req.query;
+    const size = req.query.size === undefined ? undefined : parseFloat(req.query.size);
+
+    if (size !== undefined && !(size > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'size must be a positive amount of the quote currency'
+      });
+    }
 
-    const orderBook = await marketDataService.getOrderBookData(exchange, symbol, parseInt(limit, 10));
+    const book = await orderBookAnalytics.getBook(exchange, symbol);
+    const analytics = orderBookAnalytics.analyze(book, { size });
+    const levels = parseInt(limit, 10);
 
     res.json({
       success: true,
-      data: orderBook
+      data: {
+        ...book,
+        bids: book.bids.slice(0, levels),
+        asks: book.asks.slice(0, levels),
+        analytics
+      }
     });
   } catch (error) {
     logger.error('Failed to fetch order book data:', error);
@@ -917,16 +1204,28 @@ app.get('/api/v1/market-data/orderbook/:symbol', async(req, res) => {
 // TRADING STRATEGY ENDPOINTS
 // =============================================================================
 
+// Reject rule sets the strategy evaluator cannot run
+const validateStrategyRules = rules => {
+  const errors = strategyRuleEvaluator.validateRules(rules);
+  if (errors.length > 0) {
+    throw new Error(`Invalid strategy rules: ${errors.join('; ')}`);
+  }
+  return true;
+};
+
 // Create trading strategy
 app.post('/api/v1/strategies', authenticateToken, [
   body('name').notEmpty().withMessage('Strategy name is required'),
   body('description').optional().isString(),
   body('strategyType').isIn(['SCALPING', 'DAY_TRADING', 'SWING_TRADING', 'GRID_TRADING', 'DCA', 'ARBITRAGE', 'MOMENTUM', 'MEAN_REVERSION']).withMessage('Invalid strategy type'),
   body('parameters').isObject().withMessage('Parameters must be an object'),
-  body('isActive').optional().isBoolean()
+  body('parameters.rules').optional().custom(validateStrategyRules),
+  body('isActive').optional().isBoolean(),
+  body('mode').optional().isIn(['live', 'paper']).withMessage('Mode must be live or paper')
 ], validateInput, async(req, res) => {
   try {
-    const { name, description, strategyType, parameters, isActive = true } = req.body;
+    // New strategies trade on paper until explicitly promoted to live
+    const { name, description, strategyType, parameters, isActive = true, mode = 'paper' } = req.body;
     const userId = req.user.userId;
 
     const strategy = await TradingStrategy.create({
@@ -936,6 +1235,7 @@ app.post('/api/v1/strategies', authenticateToken, [
       strategyType,
       parameters,
       isActive,
+      mode,
       createdAt: new Date()
     });
 
@@ -977,6 +1277,7 @@ app.put('/api/v1/strategies/:id', authenticateToken, [
   body('description').optional().isString(),
   body('strategyType').optional().isIn(['SCALPING', 'DAY_TRADING', 'SWING_TRADING', 'GRID_TRADING', 'DCA', 'ARBITRAGE', 'MOMENTUM', 'MEAN_REVERSION']).withMessage('Invalid strategy type'),
   body('parameters').optional().isObject().withMessage('Parameters must be an object'),
+  body('parameters.rules').optional().custom(validateStrategyRules),
   body('isActive').optional().isBoolean()
 ], validateInput, async(req, res) => {
   try {
@@ -1010,6 +1311,40 @@ app.put('/api/v1/strategies/:id', authenticateToken, [
   }
 });
 
+// Switch a strategy between paper and live trading
+app.put('/api/v1/strategies/:id/mode', authenticateToken, [
+  body('mode').isIn(['live', 'paper']).withMessage('Mode must be live or paper')
+], validateInput, async(req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    const strategy = await TradingStrategy.setMode(id, userId, req.body.mode);
+    if (!strategy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Strategy not found'
+      });
+    }
+
+    // A running bot picks up the new mode straight away
+    await botManager.reloadStrategies(userId);
+
+    logger.info('Strategy mode changed', { userId, strategyId: id, mode: strategy.mode });
+
+    res.json({
+      success: true,
+      data: strategy
+    });
+  } catch (error) {
+    logger.error('Failed to change strategy mode:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change strategy mode'
+    });
+  }
+});
+
 // Delete strategy
 app.delete('/api/v1/strategies/:id', authenticateToken, async(req, res) => {
   try {
@@ -1071,7 +1406,8 @@ app.get('/api/v1/bot/status', authenticateToken, async(req, res) => {
         winningTrades,
         winRate: totalTrades > 0 ? (winningTrades / totalTrades) * 100 : 0,
         totalProfit: totalProfit[0]?.total || 0,
-        recentTrades
+        recentTrades,
+        bot: botManager.getStatus(userId)
       }
     });
   } catch (error) {
@@ -1083,32 +1419,69 @@ app.get('/api/v1/bot/status', authenticateToken, async(req, res) => {
   }
 });
 
+// Start, stop, pause and resume the authenticated user's bot
+const botLifecycleHandler = (action) => async(req, res) => {
+  try {
+    const userId = req.user.userId;
+    const status = action === 'start'
+      ? await botManager.start(userId, req.body.config)
+      : await botManager[action](userId);
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error(`Failed to ${action} bot:`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to ${action} bot`
+    });
+  }
+};
+
+app.post('/api/v1/bot/start', authenticateToken, [
+  body('config').optional().isObject().withMessage('Config must be an object')
+], validateInput, botLifecycleHandler('start'));
+
+app.post('/api/v1/bot/stop', authenticateToken, botLifecycleHandler('stop'));
+app.post('/api/v1/bot/pause', authenticateToken, botLifecycleHandler('pause'));
+app.post('/api/v1/bot/resume', authenticateToken, botLifecycleHandler('resume'));
+
 // Get account balance from exchange
 app.get('/api/v1/exchanges/:exchange/balance', authenticateToken, async(req, res) => {
   try {
     const { exchange } = req.params;
     const userId = req.user.userId;
 
-    // Get user's exchange credentials
-    const exchangeConfig = await ExchangeConfig.findOne({ userId, exchange });
-    if (!exchangeConfig) {
-      return res.status(404).json({
-        success: false,
-        error: 'Exchange not configured'
+    // Paper balances are virtual and need no credentials
+    if (exchange === 'paper') {
+      return res.json({
+        success: true,
+        data: await exchangeService.getBalance('paper', userId)
       });
     }
 
-    const balance = await exchangeService.getBalance(
-      exchange,
-      exchangeConfig.apiKey,
-      exchangeConfig.secretKey
-    );
+    const balance = await balanceService.getExchangeBalances(userId, exchange);
 
     res.json({
       success: true,
       data: balance
     });
   } catch (error) {
+    if (error.statusCode === 404) {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
     logger.error('Failed to get balance:', error);
     res.status(500).json({
       success: false,
@@ -1237,13 +1610,46 @@ const startServer = async() => {
       });
       logger.info('🔌 WebSocket server initialized on /ws');
 
-      // Initialize trading bot
-      const tradingBot = new TradingBot();
-      tradingBot.start().then(() => {
-        logger.info('🤖 Trading bot started successfully');
+      // Restore the per-user trading bots that were running before shutdown
+      botManager.restore().then(count => {
+        logger.info(`🤖 ${count} trading bots restored`);
       }).catch(error => {
-        logger.error('❌ Failed to start trading bot:', error);
+        logger.error('❌ Failed to restore trading bots:', error);
       });
+
+      // Resume stop-loss / take-profit management for positions left open
+      positionMonitor.start().catch(error => {
+        logger.error('❌ Failed to start position monitor:', error);
+      });
+
+      // Pick up TWAP / VWAP orders that were still being worked
+      executionEngine.start().catch(error => {
+        logger.error('❌ Failed to start execution engine:', error);
+      });
+
+      // Bring orders left open on the exchanges up to date and keep them so
+      orderTracker.start();
+
+      // Re-check what saved API keys may do and alert owners on changes
+      keyPermissionMonitor.start();
+
+      // Keep stored candles current for signal checks and backtests
+      candleStore.start();
+
+      // Record live market data, or replay a recording in place of the
+      // exchanges, when MARKET_DATA_RECORD_FILE / MARKET_DATA_REPLAY_FILE are set
+      marketDataReplay.start();
+
+      // Seal exchange keys saved before the credential vault, then open the
+      // Binance streams that push fills and balance changes as they happen
+      credentialVault.start()
+        .catch(error => {
+          logger.error('❌ Failed to start credential vault:', error);
+        })
+        .then(() => binanceUserStream.start())
+        .catch(error => {
+          logger.error('❌ Failed to start Binance user-data streams:', error);
+        });
     });
 
     // Handle server errors
@@ -1276,24 +1682,42 @@ const startServer = async() => {
   }
 };
 
-// Start the server
-startServer().then(server => {
-  // Graceful shutdown
-  process.on('SIGTERM', () => {
-    logger.info('SIGTERM received, shutting down gracefully');
-    server.close(() => {
-      logger.info('Process terminated');
-      process.exit(0);
-    });
-  });
+// Graceful shutdown: stop the background services, then close the server.
+// Runs once, whichever signal arrives first.
+let shuttingDown = false;
+const shutdown = async(server, signal) => {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  logger.info(`${signal} received, shutting down gracefully`);
 
-  process.on('SIGINT', () => {
-    logger.info('SIGINT received, shutting down gracefully');
-    server.close(() => {
-      logger.info('Process terminated');
-      process.exit(0);
-    });
+  let exitCode = 0;
+  try {
+    await botManager.shutdown();
+    positionMonitor.stop();
+    executionEngine.stop();
+    orderTracker.stop();
+    keyPermissionMonitor.stop();
+    candleStore.stop();
+    await marketDataReplay.stop();
+    marketDataService.stopDataCollection();
+    await binanceUserStream.stop();
+  } catch (error) {
+    logger.error('❌ Error during shutdown:', error);
+    exitCode = 1;
+  }
+
+  server.close(() => {
+    logger.info('Process terminated');
+    process.exit(exitCode);
   });
+};
+
+// Start the server
+startServer().then(server => {
+  process.on('SIGTERM', () => shutdown(server, 'SIGTERM'));
+  process.on('SIGINT', () => shutdown(server, 'SIGINT'));
 });
 
 module.exports = app;
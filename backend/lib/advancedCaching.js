@@ -6,7 +6,7 @@
 const NodeCache = require('node-cache');
 const Redis = require('redis');
 const crypto = require('crypto');
-const logger = require('./logging');
+const { logger } = require('./logging');
 
 // Advanced caching strategies
 const CACHE_STRATEGIES = {
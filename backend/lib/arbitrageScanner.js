@@ -0,0 +1,186 @@
+// =============================================================================
+// Cross-Exchange Arbitrage Scanner - Production Ready
+// =============================================================================
+// Compares best bid/ask for the same asset across exchanges and emits a paired
+// buy/sell signal when the edge left after fees and slippage beats a threshold.
+
+const marketDataService = require('./marketDataService');
+const { logger } = require('./logging');
+
+class ArbitrageScanner {
+  constructor() {
+    // Last emitted opportunity per `${strategyId}:${symbol}`
+    this.lastSignals = new Map();
+
+    this.defaults = {
+      exchanges: ['binance', 'wazirx', 'coindcx'],
+      // Taker fees as a fraction of notional
+      fees: {
+        binance: 0.001,
+        wazirx: 0.002,
+        coindcx: 0.001
+      },
+      minNetEdgePercent: 0.3,
+      slippagePercent: 0.05,
+      maxQuoteAge: 15000, // ignore quotes older than 15 seconds
+      cooldown: 30000, // wait before signalling the same symbol again
+      signalTTL: 10000, // opportunities are short lived
+      quoteAmount: 100,
+      stopLossPercent: 0.02,
+      confidence: 90,
+      priority: 10
+    };
+  }
+
+  // Merge strategy parameters over the defaults
+  getConfig(parameters = {}) {
+    return {
+      ...this.defaults,
+      ...parameters,
+      fees: { ...this.defaults.fees, ...(parameters.fees || {}) }
+    };
+  }
+
+  // Current best bid/ask for a symbol on each exchange, dropping stale or empty quotes
+  getQuotes(symbol, exchanges, maxQuoteAge, now = Date.now()) {
+    const canonical = marketDataService.normalizeSymbol(symbol);
+    const quotes = [];
+
+    for (const exchange of exchanges) {
+      const ticker = marketDataService.getCurrentPrice(canonical, exchange);
+      if (!ticker || ticker.exchange !== exchange) {continue;}
+      if (marketDataService.normalizeSymbol(ticker.symbol) !== canonical) {continue;}
+      if (!(ticker.bid > 0) || !(ticker.ask > 0) || ticker.bid > ticker.ask) {continue;}
+      if (ticker.timestamp && now - ticker.timestamp > maxQuoteAge) {continue;}
+
+      quotes.push({
+        exchange,
+        bid: ticker.bid,
+        ask: ticker.ask,
+        timestamp: ticker.timestamp
+      });
+    }
+
+    return quotes;
+  }
+
+  // Rank every buy-here/sell-there combination by net edge. Buying at the ask and
+  // selling at the bid already pays both spreads; fees and slippage come off the top.
+  findOpportunities(symbol, quotes, config) {
+    const opportunities = [];
+
+    for (const buy of quotes) {
+      for (const sell of quotes) {
+        if (buy.exchange === sell.exchange) {continue;}
+
+        const grossEdge = (sell.bid - buy.ask) / buy.ask;
+        const fees = (config.fees[buy.exchange] || 0) + (config.fees[sell.exchange] || 0);
+        const slippage = (config.slippagePercent / 100) * 2;
+        const netEdge = grossEdge - fees - slippage;
+
+        if (netEdge * 100 < config.minNetEdgePercent) {continue;}
+
+        opportunities.push({
+          symbol,
+          buyExchange: buy.exchange,
+          sellExchange: sell.exchange,
+          buyPrice: buy.ask,
+          sellPrice: sell.bid,
+          grossEdgePercent: grossEdge * 100,
+          netEdgePercent: netEdge * 100,
+          fees,
+          spreads: {
+            [buy.exchange]: buy.ask - buy.bid,
+            [sell.exchange]: sell.ask - sell.bid
+          }
+        });
+      }
+    }
+
+    return opportunities.sort((a, b) => b.netEdgePercent - a.netEdgePercent);
+  }
+
+  async generateSignals(strategy, symbol, now = Date.now()) {
+    const config = this.getConfig(strategy.parameters);
+
+    if (config.symbol && marketDataService.normalizeSymbol(config.symbol) !== marketDataService.normalizeSymbol(symbol)) {
+      return [];
+    }
+
+    const key = `${strategy.id}:${symbol}`;
+    const last = this.lastSignals.get(key);
+    if (last && now - last < config.cooldown) {
+      return [];
+    }
+
+    const quotes = this.getQuotes(symbol, config.exchanges, config.maxQuoteAge, now);
+    if (quotes.length < 2) {
+      return [];
+    }
+
+    const [best] = this.findOpportunities(symbol, quotes, config);
+    if (!best) {
+      return [];
+    }
+
+    this.lastSignals.set(key, now);
+
+    logger.info(`Arbitrage opportunity on ${symbol}`, {
+      strategyId: strategy.id,
+      buyExchange: best.buyExchange,
+      sellExchange: best.sellExchange,
+      netEdgePercent: best.netEdgePercent.toFixed(3)
+    });
+
+    return this.createPairSignals(strategy, best, config, now);
+  }
+
+  // Both legs share a pairId so the bot validates and executes them together
+  createPairSignals(strategy, opportunity, config, now) {
+    const pairId = `arb_${strategy.id}_${opportunity.symbol}_${now}`;
+    const amount = config.amount ? Number(config.amount) : Number(config.quoteAmount) / opportunity.buyPrice;
+    const reason = `Buy ${opportunity.buyExchange} at ${opportunity.buyPrice}, sell ${opportunity.sellExchange} at ${opportunity.sellPrice} (net ${opportunity.netEdgePercent.toFixed(3)}%)`;
+
+    const common = {
+      symbol: opportunity.symbol,
+      orderType: 'LIMIT',
+      amount,
+      confidence: config.confidence,
+      priority: config.priority,
+      reasons: [reason],
+      pairId,
+      arbitrage: opportunity,
+      timestamp: now,
+      expiresAt: now + config.signalTTL
+    };
+
+    return [
+      {
+        ...common,
+        id: `${pairId}_buy`,
+        action: 'BUY',
+        exchange: opportunity.buyExchange,
+        entry: opportunity.buyPrice,
+        stopLoss: opportunity.buyPrice * (1 - config.stopLossPercent),
+        takeProfit: opportunity.sellPrice
+      },
+      {
+        ...common,
+        id: `${pairId}_sell`,
+        action: 'SELL',
+        exchange: opportunity.sellExchange,
+        entry: opportunity.sellPrice,
+        stopLoss: opportunity.sellPrice * (1 + config.stopLossPercent),
+        takeProfit: opportunity.buyPrice
+      }
+    ];
+  }
+}
+
+// Create and export singleton instance
+const arbitrageScanner = new ArbitrageScanner();
+
+module.exports = {
+  arbitrageScanner,
+  ArbitrageScanner
+};
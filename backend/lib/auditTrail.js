@@ -3,7 +3,7 @@
 // =============================================================================
 // Complete audit logging for compliance, security, and regulatory requirements
 
-const logger = require('./logging');
+const { logger } = require('./logging');
 const { memoryManager } = require('./performance');
 
 // Audit trail storage and management
@@ -19,6 +19,8 @@ const { logger } = require('./logging');
 const { User, Trade, TradingStrategy } = require('./database');
 const { riskManager } = require('./riskManager');
 const marketDataService = require('./marketDataService');
+const { candleStore } = require('./candleStore');
+const { strategyRuleEvaluator } = require('./strategyRules');
 const backtestingConfig = require('../config/backtesting.config');
 
 class BacktestingEngine {
@@ -430,31 +432,31 @@ class BacktestingEngine {
   async getHistoricalData(strategy, options) {
     try {
       const {
+        exchange = 'binance',
         symbol = 'BTC/USDT',
         timeframe = '1h',
         startDate,
         endDate,
-        limit = 1000,
       } = options;
 
       // Calculate date range
       const end = endDate ? new Date(endDate) : new Date();
       const start = startDate ? new Date(startDate) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
 
-      // Get data from market data service
-      const data = await marketDataService.getHistoricalData({
-        symbol,
+      // Candles come from the candle store only; backtests make no exchange requests
+      const data = await candleStore.getCandles(
+        exchange,
+        marketDataService.normalizeSymbol(symbol),
         timeframe,
-        startTime: start.getTime(),
-        endTime: end.getTime(),
-        limit,
-      });
+        start.getTime(),
+        end.getTime()
+      );
 
       // Validate and clean data
       const cleanedData = this.cleanHistoricalData(data);
       
       if (cleanedData.length < this.config.minDataPoints) {
-        throw new Error(`Insufficient data: ${cleanedData.length} points (minimum: ${this.config.minDataPoints})`);
+        throw new Error(`Insufficient data: ${cleanedData.length} points (minimum: ${this.config.minDataPoints}). Backfill the candle range first.`);
       }
 
       return cleanedData;
@@ -565,11 +567,15 @@ class BacktestingEngine {
     const totalSteps = historicalData.length;
     let currentStep = 0;
 
+    // Candles handed to the rule evaluator; extra history lets EMA/RSI settle
+    const ruleWindow = strategyRuleEvaluator.getLookback(strategyRuleEvaluator.getRules(strategy)) * 3;
+
     try {
       // Process each data point
       for (let i = 1; i < historicalData.length; i++) {
         const currentCandle = historicalData[i];
         const previousCandle = historicalData[i - 1];
+        const history = historicalData.slice(Math.max(0, i + 1 - ruleWindow), i + 1);
 
         // Update progress
         currentStep++;
@@ -580,10 +586,10 @@ class BacktestingEngine {
         this.updatePortfolioValue(state, currentCandle);
 
         // Check for exit conditions on open trades
-        await this.processExitConditions(strategy, currentCandle, state);
+        await this.processExitConditions(strategy, currentCandle, state, history);
 
         // Check for entry conditions
-        await this.processEntryConditions(strategy, currentCandle, previousCandle, state);
+        await this.processEntryConditions(strategy, currentCandle, previousCandle, state, history);
 
         // Update risk metrics
         this.updateRiskMetrics(state, currentCandle);
@@ -627,16 +633,12 @@ class BacktestingEngine {
   /**
    * Process entry conditions
    */
-  async processEntryConditions(strategy, currentCandle, previousCandle, state) {
+  async processEntryConditions(strategy, currentCandle, previousCandle, state, history = [previousCandle, currentCandle]) {
     try {
-      // Check if entry conditions are met
-      const shouldEnter = this.evaluateEntryConditions(
-        strategy.entryConditions, 
-        currentCandle, 
-        previousCandle
-      );
+      // Check if entry conditions are met, and for which side
+      const side = this.evaluateEntryConditions(strategy, history);
 
-      if (!shouldEnter) {
+      if (!side) {
         return;
       }
 
@@ -653,7 +655,7 @@ class BacktestingEngine {
       }
 
       // Create new trade
-      const trade = this.createTrade(strategy, currentCandle, positionSize, state);
+      const trade = this.createTrade(strategy, currentCandle, positionSize, state, side);
       
       if (trade) {
         state.trades.push(trade);
@@ -682,14 +684,14 @@ class BacktestingEngine {
   /**
    * Process exit conditions
    */
-  async processExitConditions(strategy, currentCandle, state) {
+  async processExitConditions(strategy, currentCandle, state, history = [currentCandle]) {
     try {
       for (const [tradeId, trade] of state.openTrades) {
         let shouldExit = false;
         let exitReason = '';
 
         // Check exit conditions
-        if (this.evaluateExitConditions(strategy.exitConditions, trade, currentCandle)) {
+        if (this.evaluateExitConditions(strategy, trade, history)) {
           shouldExit = true;
           exitReason = 'Exit conditions met';
         }
@@ -724,10 +726,9 @@ class BacktestingEngine {
   /**
    * Create a new trade
    */
-  createTrade(strategy, candle, positionSize, state) {
+  createTrade(strategy, candle, positionSize, state, side) {
     try {
       const tradeId = this.generateTradeId();
-      const side = this.determineTradeSide(strategy, candle);
       const entryPrice = this.calculateEntryPrice(candle, side, state.config);
       const entryValue = positionSize * entryPrice;
 
@@ -1014,21 +1015,14 @@ class BacktestingEngine {
     };
   }
 
-  // Additional helper methods for strategy evaluation, position sizing, etc.
-  evaluateEntryConditions(conditions, currentCandle, previousCandle) {
-    // Simplified entry condition evaluation
-    // In production, this would be more sophisticated
-    return Math.random() > 0.7; // 30% chance of entry for demo
-  }
-
-  evaluateExitConditions(conditions, trade, currentCandle) {
-    // Simplified exit condition evaluation
-    return Math.random() > 0.8; // 20% chance of exit for demo
+  // Strategy rules are evaluated with the same evaluator the live bot uses.
+  // Returns the side to open ('long' or 'short'), or null when no entry rule matches
+  evaluateEntryConditions(strategy, candles) {
+    return strategyRuleEvaluator.evaluateEntry(strategyRuleEvaluator.getRules(strategy), candles);
   }
 
-  determineTradeSide(strategy, candle) {
-    // Simplified side determination
-    return Math.random() > 0.5 ? 'long' : 'short';
+  evaluateExitConditions(strategy, trade, candles) {
+    return strategyRuleEvaluator.evaluateExit(strategyRuleEvaluator.getRules(strategy), trade.side, candles);
   }
 
   calculatePositionSize(strategy, candle, state) {
@@ -1049,14 +1043,14 @@ class BacktestingEngine {
   }
 
   calculateStopLoss(strategy, entryPrice, side) {
-    const stopLossPercent = strategy.parameters?.stopLoss || 0.02;
+    const stopLossPercent = strategy.parameters?.stopLossPercent || strategy.parameters?.stopLoss || 0.02;
     return side === 'long' 
       ? entryPrice * (1 - stopLossPercent)
       : entryPrice * (1 + stopLossPercent);
   }
 
   calculateTakeProfit(strategy, entryPrice, side) {
-    const takeProfitPercent = strategy.parameters?.takeProfit || 0.04;
+    const takeProfitPercent = strategy.parameters?.takeProfitPercent || strategy.parameters?.takeProfit || 0.04;
     return side === 'long'
       ? entryPrice * (1 + takeProfitPercent)
       : entryPrice * (1 - takeProfitPercent);
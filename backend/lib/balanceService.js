@@ -0,0 +1,199 @@
+// =============================================================================
+// Balance Service - Production Ready
+// =============================================================================
+// Balances across every exchange a user has configured, read with the keys
+// sealed in exchange_configs and valued in one quote currency. Exchanges are
+// queried in parallel; one that fails is reported under errors and left out
+// of the totals rather than failing the whole request. Assets are valued at
+// the consolidated reference price across exchanges when there is one.
+// Results are cached for a short time, and Binance balances come from the
+// user-data stream's cache while it is connected.
+
+const exchangeService = require('./exchangeService');
+const marketDataService = require('./marketDataService');
+const { logger } = require('./logging');
+const { ExchangeConfig } = require('./database');
+const { advancedCache } = require('./advancedCaching');
+const { binanceUserStream } = require('./binanceUserStream');
+const { credentialVault } = require('./credentialVault');
+const { consolidatedQuotes } = require('./consolidatedQuotes');
+
+// Dollar stablecoins are valued at par against each other
+const USD_ASSETS = ['USD', 'USDT', 'USDC', 'BUSD', 'FDUSD', 'TUSD', 'DAI'];
+
+// Exchanges marketDataService can price against; others fall back to Binance
+const PRICING_EXCHANGES = ['binance', 'wazirx', 'coindcx'];
+
+const balanceError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+class BalanceService {
+  constructor(config = {}) {
+    this.config = {
+      quote: 'USDT',
+      cacheTtl: 30, // seconds
+      ...config
+    };
+    this.cacheReady = null;
+  }
+
+  // Every active exchange's balances plus per-asset and overall totals.
+  // refresh skips the cached aggregate.
+  async getBalances(userId, { quote = this.config.quote, refresh = false } = {}) {
+    quote = quote.toUpperCase();
+    await this.ensureCache();
+
+    const key = advancedCache.generateCacheKey('balance-summary', { userId, quote }, { hash: false });
+    if (!refresh) {
+      const cached = await advancedCache.get(key);
+      if (cached) {
+        return cached;
+      }
+    }
+
+    const configs = (await ExchangeConfig.findByUserId(userId)).filter(config => config.is_active !== false);
+    const prices = new Map(); // one lookup per asset and exchange per request
+    const results = await Promise.allSettled(configs.map(async(config) => {
+      const balances = await this.fetchBalances(userId, config);
+      return this.valueExchange(config.exchange, balances, quote, prices);
+    }));
+
+    const exchanges = [];
+    const errors = [];
+    results.forEach((result, index) => {
+      const { exchange } = configs[index];
+      if (result.status === 'fulfilled') {
+        exchanges.push(result.value);
+      } else {
+        logger.warn('Failed to fetch exchange balances', { userId, exchange, error: result.reason.message });
+        errors.push({ exchange, error: result.reason.message });
+      }
+    });
+
+    const summary = {
+      quote,
+      totalValue: exchanges.reduce((sum, entry) => sum + entry.totalValue, 0),
+      exchanges,
+      assets: this.aggregateAssets(exchanges),
+      errors,
+      timestamp: new Date().toISOString()
+    };
+
+    await advancedCache.set(key, summary, { ttl: this.config.cacheTtl });
+    return summary;
+  }
+
+  // One configured exchange's raw balances
+  async getExchangeBalances(userId, exchange) {
+    const config = await ExchangeConfig.findByExchange(userId, exchange);
+    if (!config || config.is_active === false) {
+      throw balanceError('Exchange not configured', 404);
+    }
+    return this.fetchBalances(userId, config);
+  }
+
+  async fetchBalances(userId, config) {
+    if (config.exchange === 'binance' && binanceUserStream.isConnected(userId)) {
+      const streamed = await binanceUserStream.getBalances(userId);
+      if (streamed) {
+        return streamed;
+      }
+    }
+
+    const { apiKey, secretKey, passphrase } = await credentialVault.openConfig(config, 'balance_check');
+    return exchangeService.getBalance(config.exchange, apiKey, secretKey, passphrase);
+  }
+
+  async valueExchange(exchange, balances, quote, prices) {
+    const valued = [];
+    for (const balance of balances.filter(entry => entry.total > 0)) {
+      const price = await this.getPrice(exchange, balance.asset, quote, prices);
+      valued.push({
+        ...balance,
+        price,
+        value: price === null ? null : balance.total * price
+      });
+    }
+
+    return {
+      exchange,
+      balances: valued,
+      totalValue: valued.reduce((sum, balance) => sum + (balance.value || 0), 0),
+      unpricedAssets: valued.filter(balance => balance.value === null).map(balance => balance.asset)
+    };
+  }
+
+  aggregateAssets(exchanges) {
+    const byAsset = new Map();
+    for (const { exchange, balances } of exchanges) {
+      for (const balance of balances) {
+        const entry = byAsset.get(balance.asset) || { asset: balance.asset, total: 0, value: 0, exchanges: [] };
+        entry.total += balance.total;
+        entry.value = entry.value === null || balance.value === null ? null : entry.value + balance.value;
+        entry.exchanges.push(exchange);
+        byAsset.set(balance.asset, entry);
+      }
+    }
+
+    return [...byAsset.values()].sort((a, b) => (b.value || 0) - (a.value || 0));
+  }
+
+  // Price of one unit of asset in quote, or null when no market lists it.
+  // Tries the direct pair, then the inverse (e.g. INR from USDTINR).
+  async getPrice(exchange, asset, quote, prices) {
+    if (asset === quote || (USD_ASSETS.includes(asset) && USD_ASSETS.includes(quote))) {
+      return 1;
+    }
+
+    const source = PRICING_EXCHANGES.includes(exchange) ? exchange : 'binance';
+    const cacheKey = `${source}:${asset}:${quote}`;
+    if (!prices.has(cacheKey)) {
+      prices.set(cacheKey, this.lookupPrice(source, asset, quote));
+    }
+    return prices.get(cacheKey);
+  }
+
+  async lookupPrice(source, asset, quote) {
+    const direct = await this.lastPrice(source, `${asset}${quote}`);
+    if (direct) {
+      return direct;
+    }
+    const inverse = await this.lastPrice(source, `${quote}${asset}`);
+    return inverse ? 1 / inverse : null;
+  }
+
+  // Reference price across exchanges, falling back to source's live feed
+  // and then its REST ticker
+  async lastPrice(source, symbol) {
+    const reference = consolidatedQuotes.getReferencePrice(symbol);
+    if (reference) {
+      return reference;
+    }
+
+    const live = marketDataService.getCurrentPrice(symbol, source);
+    if (live && live.price > 0) {
+      return live.price;
+    }
+
+    try {
+      const ticker = await marketDataService.getTickerData(source, symbol);
+      return ticker && ticker.price > 0 ? ticker.price : null;
+    } catch {
+      return null;
+    }
+  }
+
+  async ensureCache() {
+    if (!advancedCache.isInitialized) {
+      this.cacheReady = this.cacheReady || advancedCache.initialize();
+      await this.cacheReady;
+    }
+  }
+}
+
+// Create and export singleton instance
+const balanceService = new BalanceService();
+
+module.exports = {
+  balanceService,
+  BalanceService
+};
@@ -0,0 +1,278 @@
+// =============================================================================
+// Binance User-Data Stream - Production Ready
+// =============================================================================
+// One authenticated WebSocket per user with an active Binance configuration.
+// Binance pushes an executionReport for every order change and an
+// outboundAccountPosition for every balance change; fills go to the order
+// tracker, balances into the cache, and both to the user's WebSocket clients.
+// The listen key is kept alive every 30 minutes (Binance drops it after 60)
+// and the stream reconnects with backoff whenever it closes.
+
+const WebSocket = require('ws');
+const exchangeService = require('./exchangeService');
+const { logger } = require('./logging');
+const { ExchangeConfig } = require('./database');
+const { credentialVault } = require('./credentialVault');
+const { advancedCache } = require('./advancedCaching');
+const { orderTracker } = require('./orderTracker');
+const { getWebSocketServer } = require('./websocketServer');
+
+class BinanceUserStream {
+  constructor(config = {}) {
+    this.config = {
+      wsUrl: 'wss://stream.binance.com:9443/ws',
+      keepAliveInterval: 30 * 60 * 1000,
+      reconnectDelay: 1000, // doubled on each failed attempt
+      maxReconnectDelay: 60000,
+      balanceTtl: 3600, // seconds
+      ...config
+    };
+
+    // userId -> { userId, apiKey, secretKey, listenKey, ws, attempts, queue, closed, timers }
+    this.streams = new Map();
+    this.cacheReady = null;
+  }
+
+  get adapter() {
+    return exchangeService.exchanges.binance;
+  }
+
+  // Connect every user with an active Binance configuration
+  async start() {
+    const configs = await ExchangeConfig.findActiveByExchange('binance');
+    for (const config of configs) {
+      await this.connect(config.user_id).catch(error => {
+        logger.warn('Failed to start Binance user-data stream', { userId: config.user_id, error: error.message });
+      });
+    }
+    logger.info(`Binance user-data streams started for ${this.streams.size} users`);
+  }
+
+  async stop() {
+    await Promise.all([...this.streams.keys()].map(userId => this.disconnect(userId)));
+  }
+
+  // (Re)connect a user's stream, e.g. after they saved new API keys
+  async connect(userId) {
+    await this.disconnect(userId);
+
+    const { apiKey, secretKey } = await credentialVault.getCredentials(userId, 'binance', 'user_data_stream');
+
+    const stream = {
+      userId,
+      apiKey,
+      secretKey,
+      listenKey: null,
+      ws: null,
+      attempts: 0,
+      queue: Promise.resolve(),
+      closed: false,
+      keepAliveTimer: null,
+      reconnectTimer: null
+    };
+    this.streams.set(userId, stream);
+
+    try {
+      await this.open(stream);
+    } catch (error) {
+      this.streams.delete(userId);
+      throw error;
+    }
+    return stream;
+  }
+
+  async disconnect(userId) {
+    const stream = this.streams.get(userId);
+    if (!stream) {
+      return;
+    }
+
+    stream.closed = true;
+    this.streams.delete(userId);
+    this.clearTimers(stream);
+    orderTracker.markStreaming('binance', userId, false);
+    if (stream.ws) {
+      stream.ws.removeAllListeners();
+      stream.ws.on('error', () => {});
+      stream.ws.terminate();
+    }
+    if (stream.listenKey) {
+      await this.adapter.closeListenKey(stream.apiKey, stream.listenKey).catch(error => {
+        logger.debug('Failed to close Binance listen key', { userId, error: error.message });
+      });
+    }
+  }
+
+  isConnected(userId) {
+    const stream = this.streams.get(userId);
+    return Boolean(stream && stream.ws && stream.ws.readyState === WebSocket.OPEN);
+  }
+
+  async open(stream) {
+    stream.listenKey = await this.adapter.createListenKey(stream.apiKey);
+    if (stream.closed) {
+      await this.adapter.closeListenKey(stream.apiKey, stream.listenKey).catch(() => {});
+      return;
+    }
+
+    const ws = new WebSocket(`${this.config.wsUrl}/${stream.listenKey}`);
+    stream.ws = ws;
+
+    ws.on('open', () => {
+      stream.attempts = 0;
+      orderTracker.markStreaming('binance', stream.userId, true);
+      // Balances may have moved while the stream was down
+      this.enqueue(stream, () => this.refreshBalances(stream));
+      logger.info('Binance user-data stream connected', { userId: stream.userId });
+    });
+
+    ws.on('message', (data) => {
+      this.enqueue(stream, () => this.handleMessage(stream, data));
+    });
+
+    ws.on('error', (error) => {
+      logger.warn('Binance user-data stream error', { userId: stream.userId, error: error.message });
+    });
+
+    ws.on('close', () => {
+      this.clearTimers(stream);
+      orderTracker.markStreaming('binance', stream.userId, false);
+      if (!stream.closed) {
+        this.scheduleReconnect(stream);
+      }
+    });
+
+    stream.keepAliveTimer = setInterval(() => this.keepAlive(stream), this.config.keepAliveInterval);
+  }
+
+  async keepAlive(stream) {
+    try {
+      await this.adapter.keepAliveListenKey(stream.apiKey, stream.listenKey);
+    } catch (error) {
+      // The key is gone or unusable; closing the socket gets a fresh one
+      logger.warn('Binance listen key keep-alive failed', { userId: stream.userId, error: error.message });
+      stream.ws.terminate();
+    }
+  }
+
+  scheduleReconnect(stream) {
+    const delay = Math.min(this.config.reconnectDelay * 2 ** stream.attempts, this.config.maxReconnectDelay);
+    stream.attempts += 1;
+    logger.info(`Binance user-data stream disconnected, reconnecting in ${delay}ms`, { userId: stream.userId });
+
+    stream.reconnectTimer = setTimeout(() => {
+      stream.reconnectTimer = null;
+      this.open(stream).catch(error => {
+        logger.warn('Binance user-data stream reconnect failed', { userId: stream.userId, error: error.message });
+        if (!stream.closed) {
+          this.scheduleReconnect(stream);
+        }
+      });
+    }, delay);
+  }
+
+  clearTimers(stream) {
+    if (stream.keepAliveTimer) {
+      clearInterval(stream.keepAliveTimer);
+      stream.keepAliveTimer = null;
+    }
+    if (stream.reconnectTimer) {
+      clearTimeout(stream.reconnectTimer);
+      stream.reconnectTimer = null;
+    }
+  }
+
+  // Handle a user's events one at a time, in the order Binance sent them
+  enqueue(stream, task) {
+    stream.queue = stream.queue.then(task).catch(error => {
+      logger.error('Failed to handle Binance user-data event:', error);
+    });
+    return stream.queue;
+  }
+
+  async handleMessage(stream, data) {
+    const event = JSON.parse(data);
+
+    switch (event.e) {
+    case 'executionReport':
+      await orderTracker.onExchangeUpdate('binance', this.adapter.formatExecutionReport(event));
+      break;
+    case 'outboundAccountPosition':
+      await this.updateBalances(stream.userId, this.adapter.formatAccountPosition(event));
+      break;
+    case 'listenKeyExpired':
+      stream.ws.terminate();
+      break;
+    default:
+      // balanceUpdate (deposits, withdrawals) is followed by an
+      // outboundAccountPosition; OCO listStatus events are not tracked
+      break;
+    }
+  }
+
+  // Full snapshot from the REST API
+  async refreshBalances(stream) {
+    const balances = await exchangeService.getBalance('binance', stream.apiKey, stream.secretKey);
+    await this.ensureCache();
+    await advancedCache.set(this.cacheKey(stream.userId), balances, { ttl: this.config.balanceTtl });
+    this.push(stream.userId, balances);
+  }
+
+  // Merge the assets that changed into the cached balances
+  async updateBalances(userId, changed) {
+    await this.ensureCache();
+    const key = this.cacheKey(userId);
+    const byAsset = new Map(((await advancedCache.get(key)) || []).map(balance => [balance.asset, balance]));
+    for (const balance of changed) {
+      if (balance.total > 0) {
+        byAsset.set(balance.asset, balance);
+      } else {
+        byAsset.delete(balance.asset);
+      }
+    }
+
+    await advancedCache.set(key, [...byAsset.values()], { ttl: this.config.balanceTtl });
+    this.push(userId, changed);
+  }
+
+  // Balances from the stream, or null when the user has none cached
+  async getBalances(userId) {
+    await this.ensureCache();
+    return advancedCache.get(this.cacheKey(userId));
+  }
+
+  push(userId, balances) {
+    const wsServer = getWebSocketServer();
+    if (!wsServer) {
+      return;
+    }
+
+    wsServer.sendToUser(userId, {
+      type: 'balance_update',
+      data: {
+        exchange: 'binance',
+        balances,
+        timestamp: Date.now()
+      }
+    });
+  }
+
+  cacheKey(userId) {
+    return advancedCache.generateCacheKey('balances', { exchange: 'binance', userId }, { hash: false });
+  }
+
+  async ensureCache() {
+    if (!advancedCache.isInitialized) {
+      this.cacheReady = this.cacheReady || advancedCache.initialize();
+      await this.cacheReady;
+    }
+  }
+}
+
+// Create and export singleton instance
+const binanceUserStream = new BinanceUserStream();
+
+module.exports = {
+  binanceUserStream,
+  BinanceUserStream
+};
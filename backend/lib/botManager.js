@@ -0,0 +1,176 @@
+// =============================================================================
+// Bot Manager - Production Ready
+// =============================================================================
+// Owns one TradingBot per user. Each bot only trades its owner's strategies and
+// keeps its own daily stats and config overrides. The chosen run state is
+// persisted in bot_instances so running and paused bots come back after a
+// server restart.
+
+const { logger } = require('./logging');
+const { BotInstance } = require('./database');
+const TradingBot = require('./tradingBot');
+
+// Lifecycle errors carry the HTTP status the API should answer with
+const botError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+class BotManager {
+  constructor() {
+    // Running and paused bots keyed by userId
+    this.bots = new Map();
+    // Users whose bot is between a start request and bots.set
+    this.starting = new Set();
+  }
+
+  getBot(userId) {
+    return this.bots.get(userId) || null;
+  }
+
+  // Start (or restart with new overrides) the user's bot
+  async start(userId, config = {}) {
+    let bot = this.getBot(userId);
+    if (bot && bot.isRunning) {
+      throw botError('Trading bot is already running', 409);
+    }
+    // Claimed before the first await, so overlapping requests cannot both
+    // create a bot and orphan one of them
+    if (this.starting.has(userId)) {
+      throw botError('Trading bot is already starting', 409);
+    }
+    this.starting.add(userId);
+
+    let overrides;
+    try {
+      const record = await BotInstance.findByUserId(userId);
+      overrides = { ...(record?.config || {}), ...config };
+
+      if (!bot) {
+        bot = new TradingBot({}, { userId });
+      }
+
+      try {
+        bot.updateConfig(overrides);
+      } catch (error) {
+        throw botError(error.message, 400);
+      }
+
+      await bot.start();
+      this.bots.set(userId, bot);
+    } finally {
+      this.starting.delete(userId);
+    }
+
+    await this.persist(userId, 'running', overrides);
+
+    return this.getStatus(userId);
+  }
+
+  async stop(userId) {
+    const bot = this.requireBot(userId);
+
+    await bot.stop();
+    this.bots.delete(userId);
+    await this.persist(userId, 'stopped');
+
+    return this.getStatus(userId);
+  }
+
+  async pause(userId) {
+    const bot = this.requireBot(userId);
+    if (bot.isPaused) {
+      throw botError('Trading bot is already paused', 409);
+    }
+
+    bot.pause();
+    await this.persist(userId, 'paused');
+
+    return this.getStatus(userId);
+  }
+
+  async resume(userId) {
+    const bot = this.requireBot(userId);
+    if (!bot.isPaused) {
+      throw botError('Trading bot is not paused', 409);
+    }
+
+    bot.resume();
+    await this.persist(userId, 'running');
+
+    return this.getStatus(userId);
+  }
+
+  requireBot(userId) {
+    const bot = this.getBot(userId);
+    if (!bot || !bot.isRunning) {
+      throw botError('Trading bot is not running', 409);
+    }
+    return bot;
+  }
+
+  // Save the run state, keeping the stored overrides unless new ones are given
+  async persist(userId, status, config) {
+    try {
+      const overrides = config || (await BotInstance.findByUserId(userId))?.config || {};
+      await BotInstance.upsert(userId, { status, config: overrides });
+    } catch (error) {
+      // The bot keeps its in-memory state; it just won't be restored after a restart
+      logger.error('Failed to persist bot state:', { userId, status, error: error.message });
+    }
+  }
+
+  // Pick up strategy changes (e.g. paper/live mode) in a running bot
+  async reloadStrategies(userId) {
+    const bot = this.getBot(userId);
+    if (bot && bot.isRunning) {
+      await bot.loadActiveStrategies();
+    }
+  }
+
+  getStatus(userId) {
+    const bot = this.getBot(userId);
+    if (!bot) {
+      return { userId, state: 'stopped', isRunning: false, isPaused: false };
+    }
+    return bot.getStatus();
+  }
+
+  // Bring back every bot that was running or paused before the last shutdown
+  async restore() {
+    const records = await BotInstance.findByStatus(['running', 'paused']);
+    let restored = 0;
+
+    for (const record of records) {
+      try {
+        const bot = new TradingBot({}, { userId: record.userId });
+        bot.updateConfig(record.config || {});
+        await bot.start();
+        if (record.status === 'paused') {
+          bot.pause();
+        }
+
+        this.bots.set(record.userId, bot);
+        restored++;
+      } catch (error) {
+        logger.error('Failed to restore trading bot:', { userId: record.userId, error: error.message });
+      }
+    }
+
+    logger.info(`Restored ${restored} of ${records.length} trading bots`);
+    return restored;
+  }
+
+  // Stop every bot without changing the persisted state, so they restore on boot
+  async shutdown() {
+    for (const bot of this.bots.values()) {
+      await bot.stop();
+    }
+    this.bots.clear();
+  }
+}
+
+// Create and export singleton instance
+const botManager = new BotManager();
+
+module.exports = {
+  botManager,
+  BotManager
+};
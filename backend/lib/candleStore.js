@@ -0,0 +1,309 @@
+// =============================================================================
+// Candle Store - Production Ready
+// =============================================================================
+// Closed OHLCV candles kept in the candles table, so backtests and signal
+// checks read history from the database instead of refetching it. backfill()
+// pages through an exchange's klines for a time range. repairGaps() finds
+// missing candles and refetches them. When backtesting.config.js enables
+// interpolation, gaps the exchange has no data for are filled in if they are
+// no longer than data.maxGapSize. A periodic sync keeps the configured
+// markets up to date.
+
+const marketDataService = require('./marketDataService');
+const { logger } = require('./logging');
+const { Candle } = require('./database');
+const backtestingConfig = require('../config/backtesting.config');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Interval lengths in ms; candles open on multiples of their interval
+const INTERVALS = {
+  '1m': MINUTE,
+  '3m': 3 * MINUTE,
+  '5m': 5 * MINUTE,
+  '15m': 15 * MINUTE,
+  '30m': 30 * MINUTE,
+  '1h': 60 * MINUTE,
+  '2h': 120 * MINUTE,
+  '4h': 240 * MINUTE,
+  '6h': 360 * MINUTE,
+  '8h': 480 * MINUTE,
+  '12h': 720 * MINUTE,
+  '1d': DAY
+};
+
+// Exchanges whose kline endpoint can page through a time range
+const HISTORY_EXCHANGES = ['binance'];
+
+// Requests the store cannot serve; routes answer these with a 400
+const candleError = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+class CandleStore {
+  constructor(config = {}) {
+    const dataConfig = backtestingConfig.data || {};
+    this.config = {
+      exchange: 'binance',
+      symbols: ['BTCUSDT', 'ETHUSDT', 'BNBUSDT', 'ADAUSDT', 'XRPUSDT'],
+      intervals: ['1h'],
+      historyDays: 90, // backfilled the first time a market is synced
+      pageSize: 1000, // Binance returns at most 1000 klines per request
+      syncInterval: 5 * MINUTE,
+      maxGapSize: dataConfig.maxGapSize || 0,
+      enableInterpolation: Boolean(dataConfig.enableInterpolation),
+      ...config
+    };
+
+    this.timer = null;
+    this.syncing = false;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const sync = () => this.sync().catch(error => logger.error('Candle sync failed:', error));
+    sync();
+    this.timer = setInterval(sync, this.config.syncInterval);
+
+    logger.info('Candle store started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Bring every configured market up to its last closed candle. Resolves
+  // with the number of candles stored.
+  async sync() {
+    if (this.syncing) {
+      return 0;
+    }
+    this.syncing = true;
+
+    let stored = 0;
+    try {
+      const { exchange } = this.config;
+      for (const symbol of this.config.symbols) {
+        for (const interval of this.config.intervals) {
+          try {
+            stored += await this.syncMarket(exchange, symbol, interval);
+          } catch (error) {
+            logger.warn('Failed to sync candles', { exchange, symbol, interval, error: error.message });
+          }
+        }
+      }
+    } finally {
+      this.syncing = false;
+    }
+    return stored;
+  }
+
+  async syncMarket(exchange, symbol, interval, now = Date.now()) {
+    const { last } = await Candle.getCoverage(exchange, symbol, interval);
+    const startTime = last === null ? now - this.config.historyDays * DAY : last + this.intervalMs(interval);
+    return this.backfill(exchange, symbol, interval, startTime, now);
+  }
+
+  // Fetch and store the closed candles opening between startTime and endTime,
+  // a page at a time. Resolves with the number stored.
+  async backfill(exchange, symbol, interval, startTime, endTime = Date.now()) {
+    const step = this.intervalMs(interval);
+    if (!HISTORY_EXCHANGES.includes(exchange)) {
+      throw candleError(`Candle history is not available from ${exchange}`);
+    }
+
+    // The candle opening at lastOpen is the newest one that has closed
+    const lastOpen = this.alignDown(Math.min(endTime, Date.now() - step), step);
+    let cursor = this.alignUp(startTime, step);
+    let stored = 0;
+
+    while (cursor <= lastOpen) {
+      const pageStart = cursor;
+      const klines = await marketDataService.getKlineData(exchange, symbol, interval, this.config.pageSize, {
+        startTime: pageStart,
+        endTime: lastOpen
+      });
+      const candles = (klines || [])
+        .filter(kline => kline.openTime >= pageStart && kline.openTime <= lastOpen)
+        .map(kline => this.fromKline(exchange, symbol, interval, kline));
+      if (candles.length === 0) {
+        break;
+      }
+
+      stored += await Candle.upsertMany(candles);
+      cursor = candles[candles.length - 1].openTime + step;
+    }
+    return stored;
+  }
+
+  // Refetch candles missing between startTime and endTime, then interpolate
+  // the short gaps the exchange has nothing for. Resolves with the number of
+  // gaps found and interpolated, and the gaps still open.
+  async repairGaps(exchange, symbol, interval, startTime, endTime = Date.now()) {
+    const step = this.intervalMs(interval);
+    const lastOpen = this.alignDown(Math.min(endTime, Date.now() - step), step);
+
+    const gaps = this.findGaps(await Candle.findRange(exchange, symbol, interval, startTime, lastOpen), step, startTime, lastOpen);
+    for (const gap of gaps) {
+      await this.backfill(exchange, symbol, interval, gap.start, gap.end);
+    }
+
+    const candles = await Candle.findRange(exchange, symbol, interval, startTime, lastOpen);
+    const remaining = [];
+    let interpolated = 0;
+    for (const gap of this.findGaps(candles, step, startTime, lastOpen)) {
+      const filled = this.interpolate(candles, gap, step);
+      if (filled.length === 0) {
+        remaining.push(gap);
+        continue;
+      }
+      await Candle.upsertMany(filled.map(candle => ({ ...candle, exchange, symbol, interval })));
+      interpolated += 1;
+    }
+
+    if (remaining.length > 0) {
+      logger.warn('Candle gaps left unrepaired', { exchange, symbol, interval, gaps: remaining.length });
+    }
+    return { found: gaps.length, interpolated, remaining };
+  }
+
+  // Missing open times between startTime and endTime as { start, end } runs.
+  // candles must be sorted by openTime.
+  findGaps(candles, step, startTime, endTime) {
+    const gaps = [];
+    const last = this.alignDown(endTime, step);
+    let expected = this.alignUp(startTime, step);
+
+    for (const candle of candles) {
+      if (candle.openTime > expected) {
+        gaps.push({ start: expected, end: candle.openTime - step });
+      }
+      expected = Math.max(expected, candle.openTime + step);
+    }
+    if (expected <= last) {
+      gaps.push({ start: expected, end: last });
+    }
+    return gaps;
+  }
+
+  // Flat-volume candles walking the price from the close before the gap to
+  // the open after it; none when the gap is too long or at the edge of the data
+  interpolate(candles, gap, step) {
+    const before = candles.find(candle => candle.openTime === gap.start - step);
+    const after = candles.find(candle => candle.openTime === gap.end + step);
+    const length = gap.end - gap.start + step;
+    if (!this.config.enableInterpolation || !before || !after || length > this.config.maxGapSize) {
+      return [];
+    }
+
+    const count = length / step;
+    const filled = [];
+    let open = before.close;
+    for (let i = 1; i <= count; i += 1) {
+      const close = before.close + (after.open - before.close) * i / (count + 1);
+      filled.push({
+        openTime: gap.start + (i - 1) * step,
+        open,
+        high: Math.max(open, close),
+        low: Math.min(open, close),
+        close,
+        volume: 0,
+        quoteVolume: 0,
+        trades: 0,
+        interpolated: true
+      });
+      open = close;
+    }
+    return filled;
+  }
+
+  // Stored candles opening between startTime and endTime, as klines. Reads
+  // the database only; ranges that were never backfilled come back empty.
+  async getCandles(exchange, symbol, interval, startTime, endTime) {
+    const step = this.intervalMs(interval);
+    const candles = await Candle.findRange(exchange, symbol, interval, startTime, endTime);
+    return candles.map(candle => this.toKline(candle, step));
+  }
+
+  // The latest limit closed candles, fetching only those that closed since
+  // the last call
+  async getRecentCandles(exchange, symbol, interval, limit = 100) {
+    const step = this.intervalMs(interval);
+    const now = Date.now();
+    let candles = await Candle.findLatest(exchange, symbol, interval, limit);
+    const newest = candles[candles.length - 1];
+
+    if (candles.length < limit || newest.openTime < now - 2 * step) {
+      const startTime = candles.length < limit ? now - (limit + 1) * step : newest.openTime + step;
+      await this.backfill(exchange, symbol, interval, startTime, now);
+      candles = await Candle.findLatest(exchange, symbol, interval, limit);
+    }
+    return candles.map(candle => this.toKline(candle, step));
+  }
+
+  intervalMs(interval) {
+    const step = INTERVALS[interval];
+    if (!step) {
+      throw candleError(`Unsupported candle interval: ${interval}`);
+    }
+    return step;
+  }
+
+  alignUp(time, step) {
+    return Math.ceil(time / step) * step;
+  }
+
+  alignDown(time, step) {
+    return Math.floor(time / step) * step;
+  }
+
+  fromKline(exchange, symbol, interval, kline) {
+    return {
+      exchange,
+      symbol,
+      interval,
+      openTime: kline.openTime,
+      open: kline.open,
+      high: kline.high,
+      low: kline.low,
+      close: kline.close,
+      volume: kline.volume,
+      quoteVolume: kline.quoteVolume ?? null,
+      trades: kline.trades ?? null,
+      interpolated: false
+    };
+  }
+
+  // The marketDataService kline shape, plus timestamp for the backtester
+  toKline(candle, step) {
+    return {
+      symbol: candle.symbol,
+      interval: candle.interval,
+      openTime: candle.openTime,
+      closeTime: candle.openTime + step - 1,
+      timestamp: candle.openTime,
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close,
+      volume: candle.volume,
+      quoteVolume: candle.quoteVolume,
+      trades: candle.trades,
+      interpolated: candle.interpolated
+    };
+  }
+}
+
+// Create and export singleton instance
+const candleStore = new CandleStore();
+
+module.exports = {
+  candleStore,
+  CandleStore,
+  INTERVALS
+};
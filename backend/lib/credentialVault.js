@@ -0,0 +1,215 @@
+// =============================================================================
+// Credential Vault - Production Ready
+// =============================================================================
+// Exchange API credentials at rest, sealed with envelope encryption. Every
+// exchange config gets its own random data key, which encrypts api_key,
+// secret_key and passphrase (AES-256-GCM, each bound to its user, exchange and
+// column). The data key is stored wrapped by the key manager's current API
+// key-encryption key. Credentials are decrypted in memory only, for the
+// caller that signs with them. Every read, save, rotation and revocation is
+// recorded in the audit trail.
+
+const { keyManager } = require('./keyManager');
+const { generateEncryptionKey, encryptAES, decryptAES } = require('./encryption');
+const { ExchangeConfig } = require('./database');
+const { dataAccessAudit } = require('./auditTrail');
+const { logger } = require('./logging');
+
+// Credential fields and the exchange_configs columns they are sealed into
+const COLUMNS = {
+  apiKey: 'api_key',
+  secretKey: 'secret_key',
+  passphrase: 'passphrase'
+};
+
+const vaultError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+// Additional authenticated data: a ciphertext only opens in the row and
+// column it was written for
+const aad = (userId, exchange, column) => `exchange_configs:${userId}:${exchange}:${column}`;
+
+// Key manager keys come back JSON-decoded rather than as Buffers
+const toKeyBuffer = (key) => (Buffer.isBuffer(key) ? key : Buffer.from(key.data));
+
+class CredentialVault {
+  constructor(config = {}) {
+    this.config = {
+      keyType: 'API',
+      masterPassword: process.env.ENCRYPTION_KEY,
+      ...config
+    };
+    this.keysReady = null;
+  }
+
+  // Open the key manager and seal any configs saved before the vault existed
+  async start() {
+    await this.ensureKeys();
+
+    const unsealed = await ExchangeConfig.findUnsealed();
+    for (const config of unsealed) {
+      const sealed = await this.seal(config.user_id, config.exchange, this.readPlaintext(config));
+      await ExchangeConfig.updateCredentials(config.id, sealed);
+    }
+    if (unsealed.length > 0) {
+      logger.info(`Sealed credentials of ${unsealed.length} exchange configurations`);
+    }
+  }
+
+  // Seal and save a user's keys for an exchange, replacing any existing ones
+  async store(userId, exchange, credentials, context = {}) {
+    const sealed = await this.seal(userId, exchange, credentials);
+    const config = await ExchangeConfig.create({ userId, exchange, ...sealed });
+
+    dataAccessAudit.dataModified(userId, 'exchange_configs', config.id, 'UPSERT', Object.values(COLUMNS), {
+      ...context,
+      exchange,
+      keyId: sealed.keyId
+    });
+    return config;
+  }
+
+  // Decrypted keys for an active config. purpose is recorded in the audit trail.
+  async getCredentials(userId, exchange, purpose) {
+    const config = await ExchangeConfig.findByExchange(userId, exchange);
+    if (!config || config.is_active === false) {
+      throw vaultError(`No active ${exchange} configuration for user`, 404);
+    }
+    return this.openConfig(config, purpose);
+  }
+
+  // Decrypted keys for a config row the caller already loaded
+  async openConfig(config, purpose) {
+    const credentials = await this.open(config);
+    dataAccessAudit.dataRead(config.user_id, 'exchange_configs', config.id, {
+      exchange: config.exchange,
+      purpose
+    });
+    return credentials;
+  }
+
+  // Re-seal a config's keys under a fresh data key and the current key-encryption
+  // key. The exchange keys themselves are unchanged.
+  async rotate(userId, exchange, context = {}) {
+    const config = await ExchangeConfig.findByExchange(userId, exchange);
+    if (!config || config.is_active === false) {
+      throw vaultError('Exchange not configured', 404);
+    }
+
+    const sealed = await this.seal(userId, exchange, await this.open(config));
+    const updated = await ExchangeConfig.updateCredentials(config.id, sealed);
+
+    dataAccessAudit.dataModified(userId, 'exchange_configs', config.id, 'ROTATE', ['data_key', 'key_id'], {
+      ...context,
+      exchange,
+      previousKeyId: config.key_id,
+      keyId: sealed.keyId
+    });
+    return { exchange, keyId: updated.key_id, rotatedAt: updated.rotated_at };
+  }
+
+  // Deactivate a config and destroy its sealed keys; the user has to enter
+  // them again to trade on that exchange
+  async revoke(userId, exchange, context = {}) {
+    const config = await ExchangeConfig.revoke(userId, exchange);
+    if (!config) {
+      throw vaultError('Exchange not configured', 404);
+    }
+
+    dataAccessAudit.dataDeleted(userId, 'exchange_configs', config.id, { ...context, exchange });
+    return { exchange, revokedAt: config.revoked_at };
+  }
+
+  async seal(userId, exchange, credentials) {
+    const { keyId, key } = await this.getKeyEncryptionKey();
+    const dataKey = generateEncryptionKey('AES');
+
+    try {
+      const sealed = {
+        keyId,
+        dataKey: encryptAES(dataKey.toString('base64'), key, aad(userId, exchange, 'data_key')).toString('base64')
+      };
+      for (const [field, column] of Object.entries(COLUMNS)) {
+        sealed[field] = credentials[field]
+          ? encryptAES(credentials[field], dataKey, aad(userId, exchange, column)).toString('base64')
+          : null;
+      }
+      return sealed;
+    } finally {
+      dataKey.fill(0);
+    }
+  }
+
+  async open(config) {
+    // Saved before the vault and not sealed yet; start() seals these
+    if (!config.data_key) {
+      return this.readPlaintext(config);
+    }
+
+    const key = await this.getKey(config.key_id);
+    const wrapped = Buffer.from(config.data_key, 'base64');
+    const dataKey = Buffer.from(decryptAES(wrapped, key, aad(config.user_id, config.exchange, 'data_key')), 'base64');
+
+    try {
+      const credentials = {};
+      for (const [field, column] of Object.entries(COLUMNS)) {
+        credentials[field] = config[column]
+          ? decryptAES(Buffer.from(config[column], 'base64'), dataKey, aad(config.user_id, config.exchange, column))
+          : null;
+      }
+      return credentials;
+    } finally {
+      dataKey.fill(0);
+    }
+  }
+
+  readPlaintext(config) {
+    return {
+      apiKey: config.api_key,
+      secretKey: config.secret_key,
+      passphrase: config.passphrase
+    };
+  }
+
+  // The newest key-encryption key, created on first use
+  async getKeyEncryptionKey() {
+    await this.ensureKeys();
+
+    let latest;
+    try {
+      latest = await keyManager.getLatestKey(this.config.keyType);
+    } catch (error) {
+      if (!/No (active )?keys found/.test(error.message)) {
+        throw error;
+      }
+      const { keyId } = await keyManager.generateKey(this.config.keyType, 'Exchange credential key-encryption key');
+      latest = await keyManager.getKey(keyId, false);
+    }
+    return { keyId: latest.keyId, key: toKeyBuffer(latest.key) };
+  }
+
+  // Keys retired by rotation still open the data keys they wrapped
+  async getKey(keyId) {
+    await this.ensureKeys();
+    const { key } = await keyManager.getKey(keyId, false, true);
+    return toKeyBuffer(key);
+  }
+
+  async ensureKeys() {
+    if (keyManager.initialized) {
+      return;
+    }
+    this.keysReady = this.keysReady || keyManager.initialize(this.config.masterPassword).catch(error => {
+      this.keysReady = null;
+      throw error;
+    });
+    await this.keysReady;
+  }
+}
+
+// Create and export singleton instance
+const credentialVault = new CredentialVault();
+
+module.exports = {
+  credentialVault,
+  CredentialVault
+};
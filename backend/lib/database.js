@@ -433,19 +433,104 @@ const User = {
   }
 };
 
+// Execution algorithm parents keep their schedule and progress in algo_state
+const parseAlgorithmRow = (row) => ({
+  ...row,
+  userId: row.user_id,
+  amount: parseFloat(row.amount),
+  algoState: parseJsonColumn(row.algo_state)
+});
+
 const Trade = {
   async create(tradeData) {
-    const { userId, exchange, symbol, side, amount, price, status } = tradeData;
+    const {
+      userId, exchange, symbol, side, amount, price, status, orderId, fees, notes, mode = 'live',
+      parentTradeId, algorithm, algoState, orderStatus, executedQty
+    } = tradeData;
     const queryText = `
-    INSERT INTO trades (user_id, exchange, symbol, side, amount, price, status, created_at, updated_at)
-    VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
+    INSERT INTO trades (user_id, exchange, symbol, side, amount, price, total, status, order_id, fees, notes, mode,
+      parent_trade_id, algorithm, algo_state, order_status, executed_qty, created_at, updated_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, NOW(), NOW())
     RETURNING *
   `;
-    const values = [userId, exchange, symbol, side, amount, price, status];
+    const total = price ? amount * price : null;
+    const values = [
+      userId, exchange, symbol, side, amount, price, total, status, orderId || null, fees || 0, notes || null, mode,
+      parentTradeId || null, algorithm || null, algoState ? JSON.stringify(algoState) : null,
+      orderStatus || null, executedQty || 0
+    ];
     const result = await query(queryText, values);
     return result.rows[0];
   },
 
+  // Pending exchange orders the reconciler should check, least recently checked first
+  async findOpenOrders(limit = 50) {
+    const queryText = `
+      SELECT * FROM trades
+      WHERE status = 'pending' AND order_id IS NOT NULL AND algorithm IS NULL
+      ORDER BY last_synced_at NULLS FIRST, created_at
+      LIMIT $1
+    `;
+    const result = await query(queryText, [limit]);
+    return result.rows;
+  },
+
+  async findByOrderId(exchange, orderId) {
+    const queryText = 'SELECT * FROM trades WHERE exchange = $1 AND order_id = $2 ORDER BY created_at DESC LIMIT 1';
+    const result = await query(queryText, [exchange, String(orderId)]);
+    return result.rows[0];
+  },
+
+  // Record the exchange's latest view of an order; price is the average fill
+  // price, kept as the limit price until something fills
+  async updateOrderState(id, { status, orderStatus, executedQty, price, fees }) {
+    const queryText = `
+      UPDATE trades
+      SET status = $2, order_status = $3, executed_qty = $4, price = COALESCE($5, price),
+        total = COALESCE($5 * NULLIF($4, 0), total), fees = $6, last_synced_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await query(queryText, [id, status, orderStatus, executedQty, price || null, fees || 0]);
+    return result.rows[0];
+  },
+
+  // Note a check that found nothing new, so the order goes to the back of the queue
+  async markSynced(id) {
+    await query('UPDATE trades SET last_synced_at = NOW() WHERE id = $1', [id]);
+  },
+
+  async findAlgorithm(id) {
+    const queryText = 'SELECT * FROM trades WHERE id = $1 AND algorithm IS NOT NULL';
+    const result = await query(queryText, [id]);
+    return result.rows[0] ? parseAlgorithmRow(result.rows[0]) : null;
+  },
+
+  async findActiveAlgorithms() {
+    const queryText = 'SELECT * FROM trades WHERE algorithm IS NOT NULL AND status = $1 ORDER BY created_at';
+    const result = await query(queryText, ['pending']);
+    return result.rows.map(parseAlgorithmRow);
+  },
+
+  async findChildren(parentTradeId) {
+    const queryText = 'SELECT * FROM trades WHERE parent_trade_id = $1 ORDER BY created_at';
+    const result = await query(queryText, [parentTradeId]);
+    return result.rows;
+  },
+
+  // Save a parent's progress; price is the average fill price of its children
+  async updateAlgorithm(id, { status, amount, price, fees, algoState }) {
+    const queryText = `
+      UPDATE trades
+      SET status = $2, amount = COALESCE($3, amount), price = $4, total = $4 * $5, fees = $6, algo_state = $7, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+    const values = [id, status, amount ?? null, price, algoState.executedQty, fees, JSON.stringify(algoState)];
+    const result = await query(queryText, values);
+    return result.rows[0] ? parseAlgorithmRow(result.rows[0]) : null;
+  },
+
   async findByUserId(userId, limit = 50, offset = 0) {
     const queryText = `
     SELECT * FROM trades
@@ -469,21 +554,162 @@ const Trade = {
   }
 };
 
+// Live and paper holdings share the table, separated by mode
+const Portfolio = {
+  async findByUserAndSymbol(userId, symbol, mode = 'live') {
+    const queryText = 'SELECT * FROM portfolio WHERE user_id = $1 AND symbol = $2 AND mode = $3';
+    const result = await query(queryText, [userId, symbol, mode]);
+    return result.rows[0];
+  },
+
+  async findByUserId(userId, mode = 'live') {
+    const queryText = 'SELECT * FROM portfolio WHERE user_id = $1 AND mode = $2 ORDER BY symbol';
+    const result = await query(queryText, [userId, mode]);
+    return result.rows;
+  },
+
+  // Add a buy to the position and recompute the running average cost
+  async recordBuy(userId, symbol, amount, price, mode = 'live') {
+    const queryText = `
+    INSERT INTO portfolio (user_id, symbol, amount, average_price, total_invested, current_value, mode, last_updated, created_at, updated_at)
+    VALUES ($1, $2, $3, $4, $5, $5, $6, NOW(), NOW(), NOW())
+    ON CONFLICT (user_id, symbol, mode)
+    DO UPDATE SET
+      amount = portfolio.amount + EXCLUDED.amount,
+      total_invested = portfolio.total_invested + EXCLUDED.total_invested,
+      average_price = (portfolio.total_invested + EXCLUDED.total_invested) / NULLIF(portfolio.amount + EXCLUDED.amount, 0),
+      current_value = (portfolio.amount + EXCLUDED.amount) * EXCLUDED.average_price,
+      last_updated = NOW()
+    RETURNING *
+  `;
+    const values = [userId, symbol, amount, price, amount * price, mode];
+    const result = await query(queryText, values);
+    return result.rows[0];
+  },
+
+  // Remove a sell from the position at its average cost; returns null when
+  // the position is smaller than the amount sold
+  async recordSell(userId, symbol, amount, price, mode = 'live') {
+    const queryText = `
+    UPDATE portfolio SET
+      amount = amount - $3,
+      total_invested = GREATEST(total_invested - average_price * $3, 0),
+      current_value = (amount - $3) * $4,
+      last_updated = NOW()
+    WHERE user_id = $1 AND symbol = $2 AND mode = $5 AND amount >= $3
+    RETURNING *
+  `;
+    const result = await query(queryText, [userId, symbol, amount, price, mode]);
+    return result.rows[0] || null;
+  },
+
+  // Apply a signed change to a cash balance (stored under the asset name);
+  // returns null instead of letting the balance go negative
+  async adjustBalance(userId, asset, delta, mode = 'live') {
+    const queryText = `
+    UPDATE portfolio SET
+      amount = amount + $3,
+      total_invested = amount + $3,
+      current_value = amount + $3,
+      last_updated = NOW()
+    WHERE user_id = $1 AND symbol = $2 AND mode = $4 AND amount + $3 >= 0
+    RETURNING *
+  `;
+    const result = await query(queryText, [userId, asset, delta, mode]);
+    return result.rows[0] || null;
+  },
+
+  // Create a cash balance with a starting amount unless one already exists
+  async ensureBalance(userId, asset, amount, mode = 'live') {
+    const queryText = `
+    INSERT INTO portfolio (user_id, symbol, amount, average_price, total_invested, current_value, mode, last_updated, created_at, updated_at)
+    VALUES ($1, $2, $3, 1, $3, $3, $4, NOW(), NOW(), NOW())
+    ON CONFLICT (user_id, symbol, mode) DO NOTHING
+  `;
+    await query(queryText, [userId, asset, amount, mode]);
+    return this.findByUserAndSymbol(userId, asset, mode);
+  }
+};
+
 const ExchangeConfig = {
+  // Credentials arrive sealed by credentialVault; saving a config again
+  // replaces its keys and reactivates it
   async create(configData) {
-    const { userId, exchange, apiKey, secretKey, passphrase } = configData;
+    const { userId, exchange, apiKey, secretKey, passphrase, dataKey, keyId } = configData;
     const queryText = `
-    INSERT INTO exchange_configs (user_id, exchange, api_key, secret_key, passphrase, created_at, updated_at)
-    VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+    INSERT INTO exchange_configs (user_id, exchange, api_key, secret_key, passphrase, data_key, key_id, created_at, updated_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
     ON CONFLICT (user_id, exchange)
-    DO UPDATE SET api_key = $3, secret_key = $4, passphrase = $5, updated_at = NOW()
+    DO UPDATE SET api_key = $3, secret_key = $4, passphrase = $5, data_key = $6, key_id = $7,
+      is_active = true, revoked_at = NULL, updated_at = NOW()
     RETURNING *
   `;
-    const values = [userId, exchange, apiKey, secretKey, passphrase];
+    const values = [userId, exchange, apiKey, secretKey, passphrase, dataKey || null, keyId || null];
     const result = await query(queryText, values);
     return result.rows[0];
   },
 
+  // Re-sealed credentials after a rotation or the sealing of a legacy row
+  async updateCredentials(id, { apiKey, secretKey, passphrase, dataKey, keyId }) {
+    const queryText = `
+      UPDATE exchange_configs
+      SET api_key = $2, secret_key = $3, passphrase = $4, data_key = $5, key_id = $6,
+        rotated_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await query(queryText, [id, apiKey, secretKey, passphrase, dataKey, keyId]);
+    return result.rows[0];
+  },
+
+  // Deactivate a config and destroy its sealed credentials for good
+  async revoke(userId, exchange) {
+    const queryText = `
+      UPDATE exchange_configs
+      SET api_key = '', secret_key = '', passphrase = NULL, data_key = NULL, key_id = NULL,
+        is_active = false, revoked_at = NOW(), updated_at = NOW()
+      WHERE user_id = $1 AND exchange = $2
+      RETURNING *
+    `;
+    const result = await query(queryText, [userId, exchange]);
+    return result.rows[0];
+  },
+
+  // Permission snapshot from keyPermissionMonitor; null keeps the previous
+  // check's result and only moves permissions_checked_at on
+  async updatePermissions(id, permissions) {
+    const queryText = `
+      UPDATE exchange_configs
+      SET permissions = COALESCE($2, permissions), permissions_checked_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await query(queryText, [id, permissions ? JSON.stringify(permissions) : null]);
+    return result.rows[0];
+  },
+
+  // Active configs not permission-checked since checkedBefore, oldest first
+  async findPermissionChecksDue(checkedBefore, limit = 50) {
+    const queryText = `
+      SELECT * FROM exchange_configs
+      WHERE is_active = true AND (permissions_checked_at IS NULL OR permissions_checked_at < $1)
+      ORDER BY permissions_checked_at ASC NULLS FIRST
+      LIMIT $2
+    `;
+    const result = await query(queryText, [checkedBefore, limit]);
+    return result.rows.map(row => ({ ...row, permissions: parseJsonColumn(row.permissions, null) }));
+  },
+
+  // Configs saved before credentials were sealed
+  async findUnsealed() {
+    const queryText = `
+      SELECT * FROM exchange_configs
+      WHERE data_key IS NULL AND revoked_at IS NULL AND api_key <> ''
+    `;
+    const result = await query(queryText);
+    return result.rows;
+  },
+
   async findByUserId(userId) {
     const queryText = 'SELECT * FROM exchange_configs WHERE user_id = $1';
     const result = await query(queryText, [userId]);
@@ -494,18 +720,42 @@ const ExchangeConfig = {
     const queryText = 'SELECT * FROM exchange_configs WHERE user_id = $1 AND exchange = $2';
     const result = await query(queryText, [userId, exchange]);
     return result.rows[0];
+  },
+
+  async findActiveByExchange(exchange) {
+    const queryText = 'SELECT * FROM exchange_configs WHERE exchange = $1 AND is_active = true';
+    const result = await query(queryText, [exchange]);
+    return result.rows;
+  }
+};
+
+// JSONB columns arrive parsed from pg but may be strings from other drivers
+const parseJsonColumn = (value, fallback = {}) => {
+  if (value === null || value === undefined) {
+    return fallback;
   }
+  return typeof value === 'string' ? JSON.parse(value) : value;
 };
 
+const parseStrategyRow = (row) => ({
+  ...row,
+  userId: row.user_id,
+  strategyType: row.strategy_type,
+  isActive: row.is_active,
+  mode: row.mode || 'live',
+  parameters: parseJsonColumn(row.parameters),
+  state: parseJsonColumn(row.state)
+});
+
 const TradingStrategy = {
   async create(strategyData) {
-    const { userId, name, description, strategyType, parameters, isActive } = strategyData;
+    const { userId, name, description, strategyType, parameters, isActive, mode = 'live' } = strategyData;
     const queryText = `
-      INSERT INTO trading_strategies (user_id, name, description, strategy_type, parameters, is_active, created_at, updated_at)
-      VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+      INSERT INTO trading_strategies (user_id, name, description, strategy_type, parameters, is_active, mode, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
       RETURNING *
     `;
-    const values = [userId, name, description, strategyType, JSON.stringify(parameters), isActive];
+    const values = [userId, name, description, strategyType, JSON.stringify(parameters), isActive, mode];
     const result = await query(queryText, values);
     return result.rows[0];
   },
@@ -513,10 +763,7 @@ const TradingStrategy = {
   async findByUserId(userId) {
     const queryText = 'SELECT * FROM trading_strategies WHERE user_id = $1 ORDER BY created_at DESC';
     const result = await query(queryText, [userId]);
-    return result.rows.map(row => ({
-      ...row,
-      parameters: JSON.parse(row.parameters)
-    }));
+    return result.rows.map(parseStrategyRow);
   },
 
   async findByIdAndUpdate(filter, updates, _options = {}) {
@@ -539,11 +786,7 @@ const TradingStrategy = {
       return null;
     }
 
-    const row = result.rows[0];
-    return {
-      ...row,
-      parameters: JSON.parse(row.parameters)
-    };
+    return parseStrategyRow(result.rows[0]);
   },
 
   async findOneAndDelete(filter) {
@@ -555,20 +798,37 @@ const TradingStrategy = {
       return null;
     }
 
-    const row = result.rows[0];
-    return {
-      ...row,
-      parameters: JSON.parse(row.parameters)
-    };
+    return parseStrategyRow(result.rows[0]);
+  },
+
+  // Switch a strategy between paper and live trading
+  async setMode(id, userId, mode) {
+    const queryText = `
+      UPDATE trading_strategies
+      SET mode = $3, updated_at = NOW()
+      WHERE id = $1 AND user_id = $2
+      RETURNING *
+    `;
+    const result = await query(queryText, [id, userId, mode]);
+    return result.rows[0] ? parseStrategyRow(result.rows[0]) : null;
   },
 
   async findActive() {
     const queryText = 'SELECT * FROM trading_strategies WHERE is_active = true ORDER BY created_at DESC';
     const result = await query(queryText);
-    return result.rows.map(row => ({
-      ...row,
-      parameters: JSON.parse(row.parameters)
-    }));
+    return result.rows.map(parseStrategyRow);
+  },
+
+  // Merge one key into the strategy's persisted runtime state (e.g. grid ladders)
+  async saveState(id, key, value) {
+    const queryText = `
+      UPDATE trading_strategies
+      SET state = COALESCE(state, '{}'::jsonb) || jsonb_build_object($2::text, $3::jsonb)
+      WHERE id = $1
+      RETURNING state
+    `;
+    const result = await query(queryText, [id, key, JSON.stringify(value)]);
+    return result.rows[0] ? parseJsonColumn(result.rows[0].state) : null;
   },
 
   async find(filter) {
@@ -592,10 +852,212 @@ const TradingStrategy = {
     queryText += ' ORDER BY created_at DESC';
 
     const result = await query(queryText, values);
-    return result.rows.map(row => ({
-      ...row,
-      parameters: JSON.parse(row.parameters)
-    }));
+    return result.rows.map(parseStrategyRow);
+  }
+};
+
+const parseBotInstanceRow = (row) => ({
+  ...row,
+  userId: row.user_id,
+  startedAt: row.started_at,
+  config: parseJsonColumn(row.config)
+});
+
+// Per-user bot run state, restored when the server restarts
+const BotInstance = {
+  async findByUserId(userId) {
+    const queryText = 'SELECT * FROM bot_instances WHERE user_id = $1';
+    const result = await query(queryText, [userId]);
+    return result.rows[0] ? parseBotInstanceRow(result.rows[0]) : null;
+  },
+
+  async findByStatus(statuses) {
+    const queryText = 'SELECT * FROM bot_instances WHERE status = ANY($1) ORDER BY updated_at';
+    const result = await query(queryText, [statuses]);
+    return result.rows.map(parseBotInstanceRow);
+  },
+
+  async upsert(userId, { status, config }) {
+    const queryText = `
+      INSERT INTO bot_instances (user_id, status, config, started_at, created_at, updated_at)
+      VALUES ($1, $2, $3, CASE WHEN $2 = 'running' THEN NOW() END, NOW(), NOW())
+      ON CONFLICT (user_id)
+      DO UPDATE SET
+        status = EXCLUDED.status,
+        config = EXCLUDED.config,
+        started_at = CASE
+          WHEN EXCLUDED.status = 'stopped' THEN NULL
+          WHEN bot_instances.status = 'stopped' THEN NOW()
+          ELSE bot_instances.started_at
+        END
+      RETURNING *
+    `;
+    const result = await query(queryText, [userId, status, JSON.stringify(config || {})]);
+    return parseBotInstanceRow(result.rows[0]);
+  }
+};
+
+const parseOptionalNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+const parsePositionRow = (row) => ({
+  ...row,
+  userId: row.user_id,
+  tradeId: row.trade_id,
+  amount: parseFloat(row.amount),
+  entryPrice: parseFloat(row.entry_price),
+  stopLoss: parseOptionalNumber(row.stop_loss),
+  takeProfit: parseOptionalNumber(row.take_profit),
+  stopType: row.stop_type,
+  exitRules: parseJsonColumn(row.exit_rules),
+  bestPrice: parseOptionalNumber(row.best_price),
+  ocoOrderId: row.oco_order_id,
+  exitReason: row.exit_reason,
+  exitPrice: parseOptionalNumber(row.exit_price)
+});
+
+// Positions whose exits are managed by the position monitor
+const Position = {
+  async create(positionData) {
+    const {
+      userId, tradeId, exchange, symbol, side, mode = 'live', amount, entryPrice,
+      stopLoss, takeProfit, exitRules, ocoOrderId
+    } = positionData;
+    const queryText = `
+      INSERT INTO positions (user_id, trade_id, exchange, symbol, side, mode, amount, entry_price,
+        stop_loss, take_profit, exit_rules, best_price, oco_order_id, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $8, $12, NOW(), NOW())
+      RETURNING *
+    `;
+    const values = [
+      userId, tradeId || null, exchange, symbol, side, mode, amount, entryPrice,
+      stopLoss || null, takeProfit || null, JSON.stringify(exitRules || {}), ocoOrderId || null
+    ];
+    const result = await query(queryText, values);
+    return parsePositionRow(result.rows[0]);
+  },
+
+  async findOpen() {
+    const queryText = 'SELECT * FROM positions WHERE status = $1 ORDER BY created_at';
+    const result = await query(queryText, ['open']);
+    return result.rows.map(parsePositionRow);
+  },
+
+  async findByUserId(userId, status = 'open') {
+    const queryText = 'SELECT * FROM positions WHERE user_id = $1 AND status = $2 ORDER BY created_at DESC';
+    const result = await query(queryText, [userId, status]);
+    return result.rows.map(parsePositionRow);
+  },
+
+  // Persist moved stops, the best price seen and the current OCO order
+  async updateExits(id, { stopLoss, stopType, bestPrice, ocoOrderId }) {
+    const queryText = `
+      UPDATE positions
+      SET stop_loss = $2, stop_type = $3, best_price = $4, oco_order_id = $5, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await query(queryText, [id, stopLoss, stopType, bestPrice, ocoOrderId || null]);
+    return result.rows[0] ? parsePositionRow(result.rows[0]) : null;
+  },
+
+  async close(id, { exitReason, exitPrice }) {
+    const queryText = `
+      UPDATE positions
+      SET status = 'closed', exit_reason = $2, exit_price = $3, oco_order_id = NULL, closed_at = NOW(), updated_at = NOW()
+      WHERE id = $1 AND status = 'open'
+      RETURNING *
+    `;
+    const result = await query(queryText, [id, exitReason, exitPrice || null]);
+    return result.rows[0] ? parsePositionRow(result.rows[0]) : null;
+  }
+};
+
+const parseCandleRow = (row) => ({
+  exchange: row.exchange,
+  symbol: row.symbol,
+  interval: row.interval,
+  openTime: Number(row.open_time),
+  open: parseFloat(row.open),
+  high: parseFloat(row.high),
+  low: parseFloat(row.low),
+  close: parseFloat(row.close),
+  volume: parseFloat(row.volume),
+  quoteVolume: parseOptionalNumber(row.quote_volume),
+  trades: row.trades,
+  interpolated: row.interpolated
+});
+
+const CANDLE_FIELDS = 12;
+
+// Closed OHLCV candles written by the candle store
+const Candle = {
+  // Insert candles, replacing any already stored for the same open time
+  async upsertMany(candles) {
+    if (candles.length === 0) {
+      return 0;
+    }
+
+    const values = [];
+    const rows = candles.map((candle, index) => {
+      values.push(
+        candle.exchange, candle.symbol, candle.interval, candle.openTime,
+        candle.open, candle.high, candle.low, candle.close, candle.volume,
+        candle.quoteVolume ?? null, candle.trades ?? null, Boolean(candle.interpolated)
+      );
+      const placeholders = Array.from({ length: CANDLE_FIELDS }, (_, field) => `$${index * CANDLE_FIELDS + field + 1}`);
+      return `(${placeholders.join(', ')})`;
+    });
+
+    const queryText = `
+      INSERT INTO candles (exchange, symbol, "interval", open_time, open, high, low, close, volume,
+        quote_volume, trades, interpolated)
+      VALUES ${rows.join(', ')}
+      ON CONFLICT (exchange, symbol, "interval", open_time)
+      DO UPDATE SET open = EXCLUDED.open, high = EXCLUDED.high, low = EXCLUDED.low, close = EXCLUDED.close,
+        volume = EXCLUDED.volume, quote_volume = EXCLUDED.quote_volume, trades = EXCLUDED.trades,
+        interpolated = EXCLUDED.interpolated
+    `;
+    const result = await query(queryText, values);
+    return result.rowCount;
+  },
+
+  // Candles opening between startTime and endTime (inclusive), oldest first
+  async findRange(exchange, symbol, interval, startTime, endTime) {
+    const queryText = `
+      SELECT * FROM candles
+      WHERE exchange = $1 AND symbol = $2 AND "interval" = $3 AND open_time >= $4 AND open_time <= $5
+      ORDER BY open_time
+    `;
+    const result = await query(queryText, [exchange, symbol, interval, startTime, endTime]);
+    return result.rows.map(parseCandleRow);
+  },
+
+  // The most recent candles, oldest first
+  async findLatest(exchange, symbol, interval, limit) {
+    const queryText = `
+      SELECT * FROM candles
+      WHERE exchange = $1 AND symbol = $2 AND "interval" = $3
+      ORDER BY open_time DESC
+      LIMIT $4
+    `;
+    const result = await query(queryText, [exchange, symbol, interval, limit]);
+    return result.rows.map(parseCandleRow).reverse();
+  },
+
+  // First and last open times stored, null for both when there are none
+  async getCoverage(exchange, symbol, interval) {
+    const queryText = `
+      SELECT MIN(open_time) AS first, MAX(open_time) AS last, COUNT(*) AS count
+      FROM candles
+      WHERE exchange = $1 AND symbol = $2 AND "interval" = $3
+    `;
+    const result = await query(queryText, [exchange, symbol, interval]);
+    const { first, last, count } = result.rows[0];
+    return {
+      first: parseOptionalNumber(first),
+      last: parseOptionalNumber(last),
+      count: parseInt(count, 10)
+    };
   }
 };
 
@@ -825,8 +1287,12 @@ module.exports = {
   getRedisSafe,
   User,
   Trade,
+  Portfolio,
   ExchangeConfig,
   TradingStrategy,
+  BotInstance,
+  Position,
+  Candle,
   Cache,
   healthCheck,
   reconnectOnFailure,
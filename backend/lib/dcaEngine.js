@@ -0,0 +1,369 @@
+// =============================================================================
+// Dollar-Cost Averaging Engine - Production Ready
+// =============================================================================
+// Scheduled fixed-quote buys on an interval or cron schedule, with optional
+// buy-the-dip multipliers against the running average cost and a cap on the
+// total capital a strategy may deploy.
+
+const { logger } = require('./logging');
+const { TradingStrategy, Portfolio } = require('./database');
+
+const INTERVAL_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+// Cron field bounds: minute, hour, day of month, month, day of week
+const CRON_FIELDS = [
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  { min: 1, max: 12 },
+  { min: 0, max: 6 }
+];
+
+// Parse '15m', '4h', '1d' or '1w' into milliseconds
+function parseInterval(interval) {
+  if (typeof interval === 'number') {
+    return interval > 0 ? interval : null;
+  }
+
+  const match = /^(\d+)\s*([mhdw])$/i.exec(String(interval || '').trim());
+  if (!match) {
+    return null;
+  }
+
+  return parseInt(match[1], 10) * INTERVAL_UNITS[match[2].toLowerCase()];
+}
+
+// Parse a single cron field ('*', '5', '1-5', '*/15', '1,15,30') into a set of values
+function parseCronField(field, { min, max }) {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText ? parseInt(stepText, 10) : 1;
+    let start = min;
+    let end = max;
+
+    if (range !== '*') {
+      const bounds = range.split('-').map(value => parseInt(value, 10));
+      start = bounds[0];
+      end = bounds.length > 1 ? bounds[1] : (stepText ? max : bounds[0]);
+    }
+
+    if ([start, end, step].some(Number.isNaN) || start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid cron field: ${field}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+// Parse a five-field cron expression (minute hour day-of-month month day-of-week)
+function parseCronExpression(expression) {
+  const fields = String(expression || '').trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error('Cron expression must have 5 fields');
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map(
+    (field, index) => parseCronField(field, CRON_FIELDS[index])
+  );
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    anyDayOfMonth: fields[2] === '*',
+    anyDayOfWeek: fields[4] === '*'
+  };
+}
+
+function cronMatchesDay(cron, date) {
+  const dayOfMonth = cron.daysOfMonth.has(date.getUTCDate());
+  const dayOfWeek = cron.daysOfWeek.has(date.getUTCDay());
+
+  // Standard cron semantics: when both day fields are restricted, either may match
+  if (cron.anyDayOfMonth || cron.anyDayOfWeek) {
+    return dayOfMonth && dayOfWeek;
+  }
+  return dayOfMonth || dayOfWeek;
+}
+
+// Next time (UTC, minute resolution) strictly after `from` that matches the expression
+function getNextCronTime(expression, from = Date.now()) {
+  const cron = typeof expression === 'string' ? parseCronExpression(expression) : expression;
+  const date = new Date(from);
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  // Search at most one year ahead
+  const limit = from + 366 * INTERVAL_UNITS.d;
+
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cronMatchesDay(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date.getTime();
+  }
+
+  return null;
+}
+
+class DCAEngine {
+  constructor() {
+    // Schedules keyed by `${strategyId}:${symbol}`
+    this.schedules = new Map();
+
+    this.defaults = {
+      interval: '1d',
+      stopLossPercent: 0.1,
+      takeProfitPercent: 0.1,
+      confidence: 90
+    };
+  }
+
+  // Validate DCA parameters from strategy.parameters
+  validateParameters(parameters = {}) {
+    const errors = [];
+
+    // maxCapital is tracked per schedule, so a strategy gets exactly one
+    if (!parameters.symbol) {
+      errors.push('symbol is required');
+    }
+    if (!(Number(parameters.quoteAmount) > 0)) {
+      errors.push('quoteAmount must be a positive number');
+    }
+
+    if (parameters.cron) {
+      try {
+        parseCronExpression(parameters.cron);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    } else if (!parseInterval(parameters.interval || this.defaults.interval)) {
+      errors.push('interval must look like 15m, 4h, 1d or 1w');
+    }
+
+    if (parameters.maxCapital !== undefined && !(Number(parameters.maxCapital) > 0)) {
+      errors.push('maxCapital must be a positive number');
+    }
+
+    for (const dip of parameters.dipMultipliers || []) {
+      if (!(dip.dropPercent > 0) || !(dip.multiplier > 0)) {
+        errors.push('dipMultipliers entries need positive dropPercent and multiplier');
+        break;
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  // Next scheduled buy after `from`
+  getNextRunTime(parameters, from) {
+    if (parameters.cron) {
+      return getNextCronTime(parameters.cron, from);
+    }
+    return from + parseInterval(parameters.interval || this.defaults.interval);
+  }
+
+  // Load the schedule from memory or the persisted strategy state
+  getSchedule(strategy, symbol, now) {
+    const key = this.getScheduleKey(strategy.id, symbol);
+    let schedule = this.schedules.get(key);
+
+    if (!schedule) {
+      const persisted = strategy.state?.[this.getStateKey(symbol)];
+      // First buy happens immediately for interval schedules
+      const firstRunAt = strategy.parameters.cron ? getNextCronTime(strategy.parameters.cron, now) : now;
+      schedule = persisted ? {
+        ...persisted,
+        // Schedules parked at the cap used to be saved without a next run
+        nextRunAt: persisted.nextRunAt || firstRunAt,
+        pending: null
+      } : {
+        symbol,
+        totalDeployed: 0,
+        buys: 0,
+        lastRunAt: null,
+        nextRunAt: firstRunAt,
+        pending: null
+      };
+      this.schedules.set(key, schedule);
+    }
+
+    return schedule;
+  }
+
+  // Pick the largest multiplier whose drop threshold the price has crossed
+  getDipMultiplier(parameters, currentPrice, averagePrice) {
+    if (!averagePrice || !parameters.dipMultipliers?.length) {
+      return 1;
+    }
+
+    const dropPercent = ((averagePrice - currentPrice) / averagePrice) * 100;
+
+    return parameters.dipMultipliers
+      .filter(dip => dropPercent >= dip.dropPercent)
+      .reduce((best, dip) => Math.max(best, dip.multiplier), 1);
+  }
+
+  async generateSignals(strategy, symbol, marketData, now = Date.now()) {
+    const parameters = strategy.parameters || {};
+
+    if (parameters.symbol && parameters.symbol !== symbol) {
+      return [];
+    }
+
+    const validation = this.validateParameters(parameters);
+    if (!validation.valid) {
+      logger.warn(`Invalid DCA parameters for strategy ${strategy.id}`, {
+        errors: validation.errors
+      });
+      return [];
+    }
+
+    const schedule = this.getSchedule(strategy, symbol, now);
+    if (schedule.pending || !schedule.nextRunAt || now < schedule.nextRunAt) {
+      return [];
+    }
+
+    const currentPrice = marketData.price;
+    const position = await this.getPosition(strategy.userId, symbol, strategy.mode);
+    const averagePrice = position ? parseFloat(position.average_price) : 0;
+    const multiplier = this.getDipMultiplier(parameters, currentPrice, averagePrice);
+
+    let quoteAmount = Number(parameters.quoteAmount) * multiplier;
+
+    if (parameters.maxCapital) {
+      const remaining = Number(parameters.maxCapital) - schedule.totalDeployed;
+      if (remaining <= 0) {
+        // Skip this slot but keep the schedule, so raising maxCapital resumes it
+        logger.info(`DCA capital cap reached for strategy ${strategy.id} on ${symbol}`, {
+          totalDeployed: schedule.totalDeployed,
+          maxCapital: parameters.maxCapital
+        });
+        schedule.nextRunAt = this.getNextRunTime(parameters, now);
+        await this.persistSchedule(strategy.id, schedule);
+        return [];
+      }
+      quoteAmount = Math.min(quoteAmount, remaining);
+    }
+
+    schedule.lastRunAt = now;
+    schedule.nextRunAt = this.getNextRunTime(parameters, now);
+    schedule.pending = { quoteAmount, requestedAt: now };
+    await this.persistSchedule(strategy.id, schedule);
+
+    const reasons = ['Scheduled DCA buy'];
+    if (multiplier > 1) {
+      reasons.push(`Price ${(((averagePrice - currentPrice) / averagePrice) * 100).toFixed(2)}% below average cost, ${multiplier}x buy`);
+    }
+
+    return [{
+      id: `dca_${strategy.id}_${symbol}_${now}`,
+      symbol,
+      action: 'BUY',
+      entry: currentPrice,
+      amount: quoteAmount / currentPrice,
+      stopLoss: currentPrice * (1 - (parameters.stopLossPercent || this.defaults.stopLossPercent)),
+      takeProfit: currentPrice * (1 + (parameters.takeProfitPercent || this.defaults.takeProfitPercent)),
+      confidence: parameters.confidence || this.defaults.confidence,
+      reasons,
+      dca: { quoteAmount, multiplier, averagePrice },
+      timestamp: now
+    }];
+  }
+
+  // Called by the bot once a DCA signal reaches a final state
+  async handleSignalOutcome(signal, status, fill = {}) {
+    const schedule = this.schedules.get(this.getScheduleKey(signal.strategyId, signal.symbol));
+    if (!schedule) {return;}
+
+    schedule.pending = null;
+
+    if (status === 'executed') {
+      const price = fill.price || signal.entry;
+      const amount = fill.amount || signal.amount;
+
+      schedule.totalDeployed += price * amount;
+      schedule.buys++;
+
+      // The paper exchange books its own fills into the paper portfolio
+      if (signal.mode !== 'paper') {
+        try {
+          await Portfolio.recordBuy(signal.userId, signal.symbol, amount, price);
+        } catch (error) {
+          logger.error(`Failed to update average cost for ${signal.symbol}:`, error);
+        }
+      }
+    } else {
+      // Missed buys are skipped rather than retried so a failing
+      // exchange cannot turn the schedule into a tight retry loop
+      logger.warn(`DCA buy ${status} for strategy ${signal.strategyId} on ${signal.symbol}`);
+    }
+
+    await this.persistSchedule(signal.strategyId, schedule);
+  }
+
+  async getPosition(userId, symbol, mode = 'live') {
+    try {
+      return await Portfolio.findByUserAndSymbol(userId, symbol, mode);
+    } catch (error) {
+      logger.error(`Failed to load position for ${symbol}:`, error);
+      return null;
+    }
+  }
+
+  async persistSchedule(strategyId, schedule) {
+    try {
+      const { pending: _pending, ...state } = schedule;
+      await TradingStrategy.saveState(strategyId, this.getStateKey(schedule.symbol), state);
+    } catch (error) {
+      logger.error(`Failed to persist DCA schedule for strategy ${strategyId}:`, error);
+    }
+  }
+
+  getScheduleKey(strategyId, symbol) {
+    return `${strategyId}:${symbol}`;
+  }
+
+  getStateKey(symbol) {
+    return `dca_${symbol}`;
+  }
+}
+
+// Create and export singleton instance
+const dcaEngine = new DCAEngine();
+
+module.exports = {
+  dcaEngine,
+  DCAEngine,
+  parseInterval,
+  parseCronExpression,
+  getNextCronTime
+};
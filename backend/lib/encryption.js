@@ -162,9 +162,9 @@ function encryptAES(data, key, additionalData = null) {
     // Generate random IV
     const iv = generateSecureRandom(ENCRYPTION_CONFIG.AES.ivLength);
     
-    // Create cipher
-    const cipher = crypto.createCipher(ENCRYPTION_CONFIG.AES.algorithm, key, {
-      ivLength: ENCRYPTION_CONFIG.AES.ivLength
+    // Create cipher; the IV must be fresh for every message under a key
+    const cipher = crypto.createCipheriv(ENCRYPTION_CONFIG.AES.algorithm, key, iv, {
+      authTagLength: ENCRYPTION_CONFIG.AES.tagLength
     });
     
     // Set additional authenticated data if provided
@@ -185,7 +185,7 @@ function encryptAES(data, key, additionalData = null) {
     encryptionMetrics.operations.encrypt++;
     encryptionMetrics.timings.encrypt.push(Date.now() - start);
     
-    performanceLogger.info('Data encrypted with AES-256-GCM', {
+    logger.debug('Data encrypted with AES-256-GCM', {
       operation: 'encrypt',
       algorithm: ENCRYPTION_CONFIG.AES.algorithm,
       dataSize: Buffer.byteLength(data),
@@ -227,8 +227,8 @@ function decryptAES(encryptedData, key, additionalData = null) {
     const encrypted = encryptedData.subarray(ENCRYPTION_CONFIG.AES.ivLength + ENCRYPTION_CONFIG.AES.tagLength);
     
     // Create decipher
-    const decipher = crypto.createDecipher(ENCRYPTION_CONFIG.AES.algorithm, key, {
-      ivLength: ENCRYPTION_CONFIG.AES.ivLength
+    const decipher = crypto.createDecipheriv(ENCRYPTION_CONFIG.AES.algorithm, key, iv, {
+      authTagLength: ENCRYPTION_CONFIG.AES.tagLength
     });
     
     // Set authentication tag
@@ -246,7 +246,7 @@ function decryptAES(encryptedData, key, additionalData = null) {
     encryptionMetrics.operations.decrypt++;
     encryptionMetrics.timings.decrypt.push(Date.now() - start);
     
-    performanceLogger.info('Data decrypted with AES-256-GCM', {
+    logger.debug('Data decrypted with AES-256-GCM', {
       operation: 'decrypt',
       algorithm: ENCRYPTION_CONFIG.AES.algorithm,
       encryptedSize: encryptedData.length,
@@ -208,6 +208,11 @@ const env = cleanEnv(process.env, {
   WEBSOCKET_HEARTBEAT_INTERVAL: num({ default: 30000 }),
   WEBSOCKET_MAX_MESSAGE_SIZE: num({ default: 1048576 }),
 
+  // Market Data Replay (Optional)
+  MARKET_DATA_RECORD_FILE: str({ default: '' }),
+  MARKET_DATA_REPLAY_FILE: str({ default: '' }),
+  MARKET_DATA_REPLAY_SPEED: num({ default: 1 }),
+
   // URLs (Required in production)
   FRONTEND_URL: str({ default: process.env.NODE_ENV === 'production' ? '' : 'http://localhost:3000' }),
   BACKEND_URL: str({ default: process.env.NODE_ENV === 'production' ? '' : 'http://localhost:1337' }),
@@ -0,0 +1,280 @@
+// =============================================================================
+// Exchange Adapter Contract - Production Ready
+// =============================================================================
+// Base class and normalized models shared by every exchange adapter. Adapters
+// translate one exchange's REST API into the same shapes:
+//
+//   order   { orderId, exchange, symbol, side, type, status, price, stopPrice,
+//             amount, executedQty, executedPrice, commission, commissionAsset,
+//             fills, timestamp }
+//   fill    { price, qty, commission, commissionAsset }
+//   balance { asset, free, locked, total }
+//   permissions { read, trading, withdrawal, ipRestricted }
+//
+// Statuses and order types use Binance's vocabulary. Fields an exchange does
+// not report (e.g. the side of a cancelled Coinbase order) are null.
+// getCapabilities() tells callers which order types and features an exchange
+// supports; loadMarkets() lists its markets with native symbols, tick size,
+// step size and minimums for lib/marketRegistry.js to cache.
+// getKeyPermissions() reports what an API key may do; a permission the
+// exchange does not disclose is null.
+
+const ORDER_STATUSES = ['NEW', 'PARTIALLY_FILLED', 'FILLED', 'CANCELED', 'REJECTED', 'EXPIRED'];
+const FINAL_STATUSES = ['FILLED', 'CANCELED', 'REJECTED', 'EXPIRED'];
+const ORDER_TYPES = ['MARKET', 'LIMIT', 'LIMIT_MAKER', 'STOP_LOSS', 'STOP_LOSS_LIMIT', 'TAKE_PROFIT', 'TAKE_PROFIT_LIMIT'];
+const ORDER_SIDES = ['BUY', 'SELL'];
+const TIME_IN_FORCE = ['GTC', 'IOC', 'FOK'];
+
+// Types that rest on the book at a limit price, and those that wait for a trigger
+const LIMIT_TYPES = ['LIMIT', 'LIMIT_MAKER', 'STOP_LOSS_LIMIT', 'TAKE_PROFIT_LIMIT'];
+const STOP_TYPES = ['STOP_LOSS_LIMIT', 'TAKE_PROFIT_LIMIT'];
+
+// Methods every adapter implements, plus the extra ones an OCO-capable adapter adds
+const CONTRACT_METHODS = ['executeTrade', 'getBalance', 'getOrderStatus', 'cancelOrder', 'getCapabilities', 'loadMarkets', 'getKeyPermissions'];
+const OCO_METHODS = ['placeOcoOrder', 'getOcoStatus', 'cancelOcoOrder'];
+
+const toNumber = (value, fallback = 0) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+const toOptionalNumber = (value) => toNumber(value, null);
+
+// Exchanges report times as epoch ms, numeric strings or ISO dates
+const toTimestamp = (value) => {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value === 'string' && /^\d+$/.test(value)) {
+    return Number(value);
+  }
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? Date.now() : parsed;
+};
+
+// Smallest increment for a number of decimal places (8 -> 0.00000001)
+const precisionToStep = (decimals) => (decimals === null || decimals === undefined ? null : Number((10 ** -decimals).toFixed(decimals)));
+
+// Map exchange order states onto the trades.status values; open and partially
+// filled orders stay pending
+function normalizeOrderStatus(status) {
+  switch ((status || '').toString().toLowerCase()) {
+  case 'filled':
+  case 'completed':
+  case 'done':
+    return 'completed';
+  case 'canceled':
+  case 'cancelled':
+  case 'expired':
+    return 'cancelled';
+  case 'rejected':
+  case 'failed':
+    return 'failed';
+  default:
+    return 'pending';
+  }
+}
+
+// Order requests the caller got wrong or the exchange cannot take; routes
+// answer these with a 400 rather than a 500
+const orderError = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+// Fill in the order type and time in force a trade request implies and check
+// the fields each type needs. postOnly is shorthand for LIMIT_MAKER.
+function normalizeOrderRequest(tradeData) {
+  const { price, stopPrice, postOnly } = tradeData;
+  let type = (tradeData.type || (price ? 'LIMIT' : 'MARKET')).toUpperCase();
+
+  if (postOnly) {
+    if (type !== 'LIMIT' && type !== 'LIMIT_MAKER') {
+      throw orderError(`Post-only is not available for ${type} orders`);
+    }
+    type = 'LIMIT_MAKER';
+  }
+  if (!ORDER_TYPES.includes(type)) {
+    throw orderError(`Unknown order type: ${type}`);
+  }
+  if (LIMIT_TYPES.includes(type) && !(price > 0)) {
+    throw orderError(`${type} orders require a price`);
+  }
+  if (type === 'MARKET' && price) {
+    throw orderError('MARKET orders do not take a price');
+  }
+  if (STOP_TYPES.includes(type) && !(stopPrice > 0)) {
+    throw orderError(`${type} orders require a stopPrice`);
+  }
+
+  // Makers never take liquidity, so only the other limit types carry a time in force
+  const timeInForce = LIMIT_TYPES.includes(type) && type !== 'LIMIT_MAKER'
+    ? (tradeData.timeInForce || 'GTC').toUpperCase()
+    : undefined;
+  if (tradeData.timeInForce && !timeInForce) {
+    throw orderError(`${type} orders do not take a time in force`);
+  }
+
+  const { postOnly: _postOnly, ...order } = tradeData;
+  return { ...order, type, timeInForce };
+}
+
+class ExchangeAdapter {
+  constructor(name, features = {}) {
+    this.name = name;
+    // Static feature set; per-symbol constraints come from loadMarkets
+    this.features = {
+      orderTypes: ['MARKET', 'LIMIT'],
+      timeInForce: ['GTC'],
+      oco: false,
+      margin: false,
+      requiresPassphrase: false,
+      ...features
+    };
+  }
+
+  async executeTrade(_tradeData) {
+    throw new Error(`${this.name} adapter does not implement executeTrade`);
+  }
+
+  async getBalance(_apiKey, _secretKey, _passphrase) {
+    throw new Error(`${this.name} adapter does not implement getBalance`);
+  }
+
+  async getOrderStatus(_orderId, _symbol, _apiKey, _secretKey, _passphrase) {
+    throw new Error(`${this.name} adapter does not implement getOrderStatus`);
+  }
+
+  async cancelOrder(_orderId, _symbol, _apiKey, _secretKey, _passphrase) {
+    throw new Error(`${this.name} adapter does not implement cancelOrder`);
+  }
+
+  // Exchanges without a key-permission endpoint: reading balances proves the
+  // key works, and what else it may do is unknown
+  async getKeyPermissions(apiKey, secretKey, passphrase) {
+    await this.getBalance(apiKey, secretKey, passphrase);
+    return this.createKeyPermissions({ read: true });
+  }
+
+  // Every tradable market; an adapter with no listing (paper) trades any symbol as given
+  async loadMarkets() {
+    return [];
+  }
+
+  getCapabilities() {
+    return {
+      exchange: this.name,
+      ...this.features,
+      orderTypes: [...this.features.orderTypes],
+      timeInForce: [...this.features.timeInForce]
+    };
+  }
+
+  supports(feature) {
+    return Boolean(this.features[feature]);
+  }
+
+  // Reject order types and time-in-force values this exchange cannot place
+  validateOrder(order) {
+    if (!this.features.orderTypes.includes(order.type)) {
+      throw orderError(`${this.name} does not support ${order.type} orders`);
+    }
+    if (order.timeInForce && !this.features.timeInForce.includes(order.timeInForce)) {
+      throw orderError(`${this.name} does not support ${order.timeInForce} time in force`);
+    }
+  }
+
+  createOrder(fields) {
+    const fills = (fields.fills || []).map(fill => this.createFill(fill));
+    const executedQty = toNumber(fields.executedQty);
+
+    return {
+      orderId: String(fields.orderId),
+      exchange: this.name,
+      symbol: fields.symbol,
+      side: fields.side ? String(fields.side).toUpperCase() : null,
+      type: fields.type ? String(fields.type).toUpperCase() : null,
+      status: fields.status,
+      price: toOptionalNumber(fields.price),
+      stopPrice: toOptionalNumber(fields.stopPrice),
+      amount: toOptionalNumber(fields.amount),
+      executedQty,
+      executedPrice: executedQty > 0 ? toNumber(fields.executedPrice) : 0,
+      commission: toNumber(fields.commission ?? fills.reduce((sum, fill) => sum + fill.commission, 0)),
+      commissionAsset: fields.commissionAsset || fills[0]?.commissionAsset || null,
+      fills,
+      timestamp: fields.timestamp === undefined || fields.timestamp === null ? Date.now() : toTimestamp(fields.timestamp)
+    };
+  }
+
+  createFill({ price, qty, commission, commissionAsset }) {
+    return {
+      price: toNumber(price),
+      qty: toNumber(qty),
+      commission: toNumber(commission),
+      commissionAsset: commissionAsset || null
+    };
+  }
+
+  createBalance(asset, free, locked) {
+    const freeAmount = toNumber(free);
+    const lockedAmount = toNumber(locked);
+    return {
+      asset: String(asset).toUpperCase(),
+      free: freeAmount,
+      locked: lockedAmount,
+      total: freeAmount + lockedAmount
+    };
+  }
+
+  createKeyPermissions({ read = null, trading = null, withdrawal = null, ipRestricted = null }) {
+    const toFlag = (value) => (value === null || value === undefined ? null : Boolean(value));
+    return {
+      read: toFlag(read),
+      trading: toFlag(trading),
+      withdrawal: toFlag(withdrawal),
+      ipRestricted: toFlag(ipRestricted)
+    };
+  }
+
+  // Canonical symbols are base + quote ('BTCUSDT'); nativeSymbol is what the
+  // exchange's order endpoints take and aliases are other names it uses
+  createMarketInfo({ base, quote, nativeSymbol, aliases = [], tickSize, stepSize, minQty, minNotional }) {
+    return {
+      symbol: `${base}${quote}`.toUpperCase(),
+      nativeSymbol,
+      base: base.toUpperCase(),
+      quote: quote.toUpperCase(),
+      aliases,
+      tickSize: toOptionalNumber(tickSize),
+      stepSize: toOptionalNumber(stepSize),
+      minQty: toOptionalNumber(minQty),
+      minNotional: toOptionalNumber(minNotional)
+    };
+  }
+
+  // Average price across fills, weighted by quantity
+  averageFillPrice(fills) {
+    const qty = fills.reduce((sum, fill) => sum + toNumber(fill.qty), 0);
+    if (!qty) {
+      return 0;
+    }
+    return fills.reduce((sum, fill) => sum + toNumber(fill.price) * toNumber(fill.qty), 0) / qty;
+  }
+}
+
+module.exports = {
+  ExchangeAdapter,
+  ORDER_STATUSES,
+  FINAL_STATUSES,
+  ORDER_TYPES,
+  ORDER_SIDES,
+  TIME_IN_FORCE,
+  LIMIT_TYPES,
+  STOP_TYPES,
+  CONTRACT_METHODS,
+  OCO_METHODS,
+  orderError,
+  normalizeOrderRequest,
+  normalizeOrderStatus,
+  toNumber,
+  toTimestamp,
+  precisionToStep
+};
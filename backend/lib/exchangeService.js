@@ -6,6 +6,18 @@
 const axios = require('axios');
 const crypto = require('crypto');
 const { logger } = require('./logging');
+const {
+  ExchangeAdapter,
+  FINAL_STATUSES,
+  LIMIT_TYPES,
+  STOP_TYPES,
+  normalizeOrderRequest,
+  orderError,
+  toNumber,
+  precisionToStep
+} = require('./exchangeAdapter');
+const { PaperExchange, splitSymbol } = require('./paperExchange');
+const { marketRegistry } = require('./marketRegistry');
 
 class ExchangeService {
   constructor() {
@@ -14,11 +26,15 @@ class ExchangeService {
       wazirx: new WazirxExchange(),
       coindcx: new CoinDCXExchange(),
       delta: new DeltaExchange(),
-      coinbase: new CoinbaseExchange()
+      coinbase: new CoinbaseExchange(),
+      // Simulated fills for strategies in paper mode; credentials are replaced
+      // by tradeData.userId (and the userId in the apiKey slot for lookups)
+      paper: new PaperExchange()
     };
   }
 
-  // Execute trade on exchange
+  // Execute trade on exchange. tradeData may carry type, stopPrice,
+  // timeInForce and postOnly. Icebergs are worked by the execution engine.
   async executeTrade(exchange, tradeData) {
     try {
       const exchangeService = this.exchanges[exchange];
@@ -26,14 +42,24 @@ class ExchangeService {
         throw new Error(`Unsupported exchange: ${exchange}`);
       }
 
+      const request = normalizeOrderRequest(tradeData);
+      exchangeService.validateOrder(request);
+      if (request.iceberg) {
+        throw orderError('Iceberg orders are placed through the execution engine');
+      }
+
+      // Native symbol, amount and price rounded to the market's step and tick
+      const market = await marketRegistry.getMarket(exchangeService, request.symbol);
+      const order = marketRegistry.prepareOrder(market, request);
+
       logger.info(`Executing trade on ${exchange}:`, {
-        symbol: tradeData.symbol,
-        side: tradeData.side,
-        amount: tradeData.amount,
-        price: tradeData.price
+        symbol: order.symbol,
+        side: order.side,
+        amount: order.amount,
+        price: order.price
       });
 
-      const result = await exchangeService.executeTrade(tradeData);
+      const result = this.withCanonicalSymbol(await exchangeService.executeTrade(order), market);
 
       logger.info(`Trade executed successfully on ${exchange}:`, {
         orderId: result.orderId,
@@ -49,30 +75,69 @@ class ExchangeService {
     }
   }
 
+  // Poll a slice until it is final, cancelling it at the deadline or as soon
+  // as isCancelled() returns true
+  async awaitSlice(exchange, placed, order, { pollInterval, sliceTimeout, isCancelled = () => false }) {
+    // Paper orders are looked up by userId in the apiKey slot
+    const credentials = [order.apiKey || order.userId, order.secretKey, order.passphrase];
+    const deadline = Date.now() + sliceTimeout;
+    let current = placed;
+
+    while (!FINAL_STATUSES.includes(current.status)) {
+      if (Date.now() >= deadline || isCancelled()) {
+        const cancelled = await this.cancelOrder(exchange, current.orderId, order.symbol, ...credentials);
+        // Some exchanges answer a cancel without fill details
+        return cancelled.executedQty >= current.executedQty ? cancelled : { ...current, status: 'CANCELED' };
+      }
+      await new Promise(resolve => setTimeout(resolve, pollInterval));
+      current = await this.getOrderStatus(exchange, current.orderId, order.symbol, ...credentials);
+    }
+    return current;
+  }
+
   // Get account balance
-  async getBalance(exchange, apiKey, secretKey) {
+  // passphrase is only used by exchanges that require one (Coinbase)
+  async getBalance(exchange, apiKey, secretKey, passphrase) {
     try {
       const exchangeService = this.exchanges[exchange];
       if (!exchangeService) {
         throw new Error(`Unsupported exchange: ${exchange}`);
       }
 
-      return await exchangeService.getBalance(apiKey, secretKey);
+      return await exchangeService.getBalance(apiKey, secretKey, passphrase);
     } catch (error) {
       logger.error(`Failed to get balance from ${exchange}:`, error);
       throw error;
     }
   }
 
+  // What an API key may do: read, trade, withdraw, and whether it is locked
+  // to an IP whitelist. Unreported permissions are null.
+  async getKeyPermissions(exchange, apiKey, secretKey, passphrase) {
+    try {
+      const exchangeService = this.exchanges[exchange];
+      if (!exchangeService) {
+        throw new Error(`Unsupported exchange: ${exchange}`);
+      }
+
+      return await exchangeService.getKeyPermissions(apiKey, secretKey, passphrase);
+    } catch (error) {
+      logger.error(`Failed to get API key permissions from ${exchange}:`, error);
+      throw error;
+    }
+  }
+
   // Get order status
-  async getOrderStatus(exchange, orderId, symbol, apiKey, secretKey) {
+  async getOrderStatus(exchange, orderId, symbol, apiKey, secretKey, passphrase) {
     try {
       const exchangeService = this.exchanges[exchange];
       if (!exchangeService) {
         throw new Error(`Unsupported exchange: ${exchange}`);
       }
 
-      return await exchangeService.getOrderStatus(orderId, symbol, apiKey, secretKey);
+      const market = await marketRegistry.getMarket(exchangeService, symbol);
+      const result = await exchangeService.getOrderStatus(orderId, market ? market.nativeSymbol : symbol, apiKey, secretKey, passphrase);
+      return this.withCanonicalSymbol(result, market);
     } catch (error) {
       logger.error(`Failed to get order status from ${exchange}:`, error);
       throw error;
@@ -80,45 +145,155 @@ class ExchangeService {
   }
 
   // Cancel order
-  async cancelOrder(exchange, orderId, symbol, apiKey, secretKey) {
+  async cancelOrder(exchange, orderId, symbol, apiKey, secretKey, passphrase) {
     try {
       const exchangeService = this.exchanges[exchange];
       if (!exchangeService) {
         throw new Error(`Unsupported exchange: ${exchange}`);
       }
 
-      return await exchangeService.cancelOrder(orderId, symbol, apiKey, secretKey);
+      const market = await marketRegistry.getMarket(exchangeService, symbol);
+      const result = await exchangeService.cancelOrder(orderId, market ? market.nativeSymbol : symbol, apiKey, secretKey, passphrase);
+      return this.withCanonicalSymbol(result, market);
     } catch (error) {
       logger.error(`Failed to cancel order on ${exchange}:`, error);
       throw error;
     }
   }
+
+  // Supported order types and features, plus the registry's market metadata
+  // (native symbol, tick/step size and minimums) when a symbol is given
+  async getCapabilities(exchange, symbol) {
+    try {
+      const exchangeService = this.exchanges[exchange];
+      if (!exchangeService) {
+        throw new Error(`Unsupported exchange: ${exchange}`);
+      }
+
+      return {
+        ...exchangeService.getCapabilities(),
+        market: symbol ? await marketRegistry.getMarket(exchangeService, symbol) : null
+      };
+    } catch (error) {
+      logger.error(`Failed to get capabilities for ${exchange}:`, error);
+      throw error;
+    }
+  }
+
+  // Whether limit orders on the exchange take the given time in force
+  supportsTimeInForce(exchange, timeInForce) {
+    return Boolean(this.exchanges[exchange]?.features.timeInForce.includes(timeInForce));
+  }
+
+  // Whether the exchange can hold a native one-cancels-the-other exit pair
+  supportsOco(exchange) {
+    return Boolean(this.exchanges[exchange]?.supports('oco'));
+  }
+
+  // Place a take-profit / stop-loss pair where filling one leg cancels the other
+  async placeOcoOrder(exchange, ocoData) {
+    try {
+      if (!this.supportsOco(exchange)) {
+        throw new Error(`OCO orders are not supported on ${exchange}`);
+      }
+
+      const market = await marketRegistry.getMarket(this.exchanges[exchange], ocoData.symbol);
+      const order = marketRegistry.prepareOrder(market, ocoData);
+
+      logger.info(`Placing OCO order on ${exchange}:`, {
+        symbol: order.symbol,
+        side: order.side,
+        amount: order.amount,
+        takeProfit: order.takeProfit,
+        stopLoss: order.stopLoss
+      });
+
+      return this.withCanonicalSymbol(await this.exchanges[exchange].placeOcoOrder(order), market);
+    } catch (error) {
+      logger.error(`OCO order failed on ${exchange}:`, error);
+      throw error;
+    }
+  }
+
+  async getOcoStatus(exchange, orderListId, symbol, apiKey, secretKey) {
+    try {
+      if (!this.supportsOco(exchange)) {
+        throw new Error(`OCO orders are not supported on ${exchange}`);
+      }
+
+      const market = await marketRegistry.getMarket(this.exchanges[exchange], symbol);
+      const result = await this.exchanges[exchange].getOcoStatus(orderListId, market ? market.nativeSymbol : symbol, apiKey, secretKey);
+      return this.withCanonicalSymbol(result, market);
+    } catch (error) {
+      logger.error(`Failed to get OCO status from ${exchange}:`, error);
+      throw error;
+    }
+  }
+
+  async cancelOcoOrder(exchange, orderListId, symbol, apiKey, secretKey) {
+    try {
+      if (!this.supportsOco(exchange)) {
+        throw new Error(`OCO orders are not supported on ${exchange}`);
+      }
+
+      const market = await marketRegistry.getMarket(this.exchanges[exchange], symbol);
+      const result = await this.exchanges[exchange].cancelOcoOrder(orderListId, market ? market.nativeSymbol : symbol, apiKey, secretKey);
+      return this.withCanonicalSymbol(result, market);
+    } catch (error) {
+      logger.error(`Failed to cancel OCO order on ${exchange}:`, error);
+      throw error;
+    }
+  }
+
+  // Report results under the caller's canonical symbol rather than the native one
+  withCanonicalSymbol(result, market) {
+    return market ? { ...result, symbol: market.symbol } : result;
+  }
 }
 
+// Binance statuses outside the shared vocabulary
+const BINANCE_STATUSES = {
+  PENDING_NEW: 'NEW',
+  PENDING_CANCEL: 'CANCELED',
+  EXPIRED_IN_MATCH: 'EXPIRED'
+};
+
 // Binance Exchange Implementation
-class BinanceExchange {
+class BinanceExchange extends ExchangeAdapter {
   constructor() {
+    super('binance', {
+      orderTypes: ['MARKET', 'LIMIT', 'LIMIT_MAKER', 'STOP_LOSS_LIMIT', 'TAKE_PROFIT_LIMIT'],
+      timeInForce: ['GTC', 'IOC', 'FOK'],
+      oco: true
+    });
     this.baseUrl = 'https://api.binance.com';
     this.testnetUrl = 'https://testnet.binance.vision';
   }
 
   async executeTrade(tradeData) {
-    const { symbol, side, amount, price, apiKey, secretKey, isTestnet = false } = tradeData;
+    const { symbol, side, amount, price, stopPrice, apiKey, secretKey, isTestnet = false } = tradeData;
+    const { type = price ? 'LIMIT' : 'MARKET', timeInForce = 'GTC' } = tradeData;
     const baseUrl = isTestnet ? this.testnetUrl : this.baseUrl;
 
     const timestamp = Date.now();
     const params = {
       symbol: symbol.toUpperCase(),
       side: side.toUpperCase(),
-      type: price ? 'LIMIT' : 'MARKET',
-      quantity: amount.toString(),
-      timestamp: timestamp
+      type,
+      quantity: amount.toString()
     };
 
-    if (price) {
+    if (LIMIT_TYPES.includes(type)) {
       params.price = price.toString();
-      params.timeInForce = 'GTC';
     }
+    // LIMIT_MAKER is always post-only and takes no time in force
+    if (LIMIT_TYPES.includes(type) && type !== 'LIMIT_MAKER') {
+      params.timeInForce = timeInForce;
+    }
+    if (STOP_TYPES.includes(type)) {
+      params.stopPrice = stopPrice.toString();
+    }
+    params.timestamp = timestamp;
 
     const queryString = Object.keys(params)
       .map(key => `${key}=${encodeURIComponent(params[key])}`)
@@ -138,17 +313,7 @@ class BinanceExchange {
       }
     });
 
-    return {
-      orderId: response.data.orderId.toString(),
-      status: response.data.status,
-      executedQty: parseFloat(response.data.executedQty),
-      executedPrice: parseFloat(response.data.price || response.data.fills?.[0]?.price || 0),
-      side: response.data.side,
-      symbol: response.data.symbol,
-      timestamp: response.data.transactTime,
-      commission: response.data.fills?.reduce((sum, fill) => sum + parseFloat(fill.commission), 0) || 0,
-      commissionAsset: response.data.fills?.[0]?.commissionAsset || 'USDT'
-    };
+    return this.formatOrder(response.data);
   }
 
   async getBalance(apiKey, secretKey) {
@@ -169,12 +334,7 @@ class BinanceExchange {
 
     return response.data.balances
       .filter(balance => parseFloat(balance.free) > 0 || parseFloat(balance.locked) > 0)
-      .map(balance => ({
-        asset: balance.asset,
-        free: parseFloat(balance.free),
-        locked: parseFloat(balance.locked),
-        total: parseFloat(balance.free) + parseFloat(balance.locked)
-      }));
+      .map(balance => this.createBalance(balance.asset, balance.free, balance.locked));
   }
 
   async getOrderStatus(orderId, symbol, apiKey, secretKey) {
@@ -202,15 +362,7 @@ class BinanceExchange {
       }
     });
 
-    return {
-      orderId: response.data.orderId.toString(),
-      status: response.data.status,
-      executedQty: parseFloat(response.data.executedQty),
-      executedPrice: parseFloat(response.data.price || 0),
-      side: response.data.side,
-      symbol: response.data.symbol,
-      timestamp: response.data.time
-    };
+    return this.formatOrder(response.data);
   }
 
   async cancelOrder(orderId, symbol, apiKey, secretKey) {
@@ -238,28 +390,234 @@ class BinanceExchange {
       }
     });
 
+    return this.formatOrder(response.data);
+  }
+
+  // Binance reports each key's restrictions directly
+  async getKeyPermissions(apiKey, secretKey) {
+    const restrictions = await this.signedRequest('get', '/sapi/v1/account/apiRestrictions', {
+      timestamp: Date.now()
+    }, apiKey, secretKey);
+
+    return this.createKeyPermissions({
+      read: restrictions.enableReading,
+      trading: restrictions.enableSpotAndMarginTrading,
+      withdrawal: restrictions.enableWithdrawals,
+      ipRestricted: restrictions.ipRestrict
+    });
+  }
+
+  // PRICE_FILTER, LOT_SIZE and NOTIONAL (MIN_NOTIONAL on older symbols) filters
+  async loadMarkets() {
+    const response = await axios.get(`${this.baseUrl}/api/v3/exchangeInfo`);
+
+    return response.data.symbols
+      .filter(market => market.status === 'TRADING')
+      .map(market => {
+        const filter = type => market.filters.find(entry => entry.filterType === type) || {};
+        const notional = filter('NOTIONAL').minNotional ? filter('NOTIONAL') : filter('MIN_NOTIONAL');
+
+        return this.createMarketInfo({
+          base: market.baseAsset,
+          quote: market.quoteAsset,
+          nativeSymbol: market.symbol,
+          tickSize: filter('PRICE_FILTER').tickSize,
+          stepSize: filter('LOT_SIZE').stepSize,
+          minQty: filter('LOT_SIZE').minQty,
+          minNotional: notional.minNotional
+        });
+      });
+  }
+
+  // Order, cancel and query responses share their field names
+  formatOrder(data) {
+    const fills = (data.fills || []).map(fill => ({
+      price: fill.price,
+      qty: fill.qty,
+      commission: fill.commission,
+      commissionAsset: fill.commissionAsset
+    }));
+    const executedQty = toNumber(data.executedQty);
+    const quoteQty = toNumber(data.cummulativeQuoteQty);
+
+    return this.createOrder({
+      orderId: data.orderId,
+      symbol: data.symbol,
+      side: data.side,
+      type: data.type,
+      status: BINANCE_STATUSES[data.status] || data.status,
+      price: data.type === 'MARKET' ? null : data.price,
+      stopPrice: STOP_TYPES.includes(data.type) ? data.stopPrice : null,
+      amount: data.origQty,
+      executedQty,
+      executedPrice: fills.length > 0 ? this.averageFillPrice(fills) : quoteQty / executedQty,
+      commissionAsset: fills[0]?.commissionAsset,
+      fills,
+      timestamp: data.transactTime || data.updateTime || data.time
+    });
+  }
+
+  // Exit pair for an open position: a LIMIT_MAKER take profit on one side of
+  // the market and a STOP_LOSS_LIMIT on the other. Selling out of a long puts
+  // the take profit above; buying back a short puts the stop above.
+  async placeOcoOrder(ocoData) {
+    const { symbol, side, amount, takeProfit, stopLoss, stopLimitPrice, apiKey, secretKey, isTestnet = false } = ocoData;
+    const isSell = side.toUpperCase() === 'SELL';
+
+    const takeProfitLeg = { Type: 'LIMIT_MAKER', Price: takeProfit.toString() };
+    const stopLossLeg = {
+      Type: 'STOP_LOSS_LIMIT',
+      StopPrice: stopLoss.toString(),
+      Price: (stopLimitPrice || stopLoss).toString(),
+      TimeInForce: 'GTC'
+    };
+
+    const params = {
+      symbol: symbol.toUpperCase(),
+      side: side.toUpperCase(),
+      quantity: amount.toString()
+    };
+    const [above, below] = isSell ? [takeProfitLeg, stopLossLeg] : [stopLossLeg, takeProfitLeg];
+    for (const [key, value] of Object.entries(above)) {
+      params[`above${key}`] = value;
+    }
+    for (const [key, value] of Object.entries(below)) {
+      params[`below${key}`] = value;
+    }
+    params.timestamp = Date.now();
+
+    const data = await this.signedRequest('post', '/api/v3/orderList/oco', params, apiKey, secretKey, isTestnet);
+
+    return {
+      orderListId: data.orderListId.toString(),
+      status: data.listOrderStatus,
+      symbol: data.symbol,
+      orderIds: data.orders.map(order => order.orderId.toString())
+    };
+  }
+
+  async getOcoStatus(orderListId, _symbol, apiKey, secretKey) {
+    const params = { orderListId, timestamp: Date.now() };
+    const data = await this.signedRequest('get', '/api/v3/orderList', params, apiKey, secretKey);
+
     return {
-      orderId: response.data.orderId.toString(),
-      status: response.data.status,
-      symbol: response.data.symbol
+      orderListId: data.orderListId.toString(),
+      status: data.listOrderStatus,
+      symbol: data.symbol,
+      orderIds: data.orders.map(order => order.orderId.toString())
     };
   }
+
+  async cancelOcoOrder(orderListId, symbol, apiKey, secretKey) {
+    const params = { symbol: symbol.toUpperCase(), orderListId, timestamp: Date.now() };
+    const data = await this.signedRequest('delete', '/api/v3/orderList', params, apiKey, secretKey);
+
+    return {
+      orderListId: data.orderListId.toString(),
+      status: data.listOrderStatus,
+      symbol: data.symbol
+    };
+  }
+
+  // User-data stream listen keys need only the API key. A key expires 60
+  // minutes after it was created or last kept alive.
+  async createListenKey(apiKey) {
+    const response = await axios.post(`${this.baseUrl}/api/v3/userDataStream`, {}, {
+      headers: { 'X-MBX-APIKEY': apiKey }
+    });
+    return response.data.listenKey;
+  }
+
+  async keepAliveListenKey(apiKey, listenKey) {
+    await axios.put(`${this.baseUrl}/api/v3/userDataStream?listenKey=${encodeURIComponent(listenKey)}`, {}, {
+      headers: { 'X-MBX-APIKEY': apiKey }
+    });
+  }
+
+  async closeListenKey(apiKey, listenKey) {
+    await axios.delete(`${this.baseUrl}/api/v3/userDataStream?listenKey=${encodeURIComponent(listenKey)}`, {
+      headers: { 'X-MBX-APIKEY': apiKey }
+    });
+  }
+
+  // executionReport events. The commission and fill are for the latest trade
+  // only (n, l, L); executedQty and the quote total (z, Z) are cumulative.
+  formatExecutionReport(event) {
+    const executedQty = toNumber(event.z);
+    const fills = toNumber(event.l) > 0
+      ? [{ price: event.L, qty: event.l, commission: event.n, commissionAsset: event.N }]
+      : [];
+
+    return this.createOrder({
+      orderId: event.i,
+      symbol: event.s,
+      side: event.S,
+      type: event.o,
+      status: BINANCE_STATUSES[event.X] || event.X,
+      price: event.o === 'MARKET' ? null : event.p,
+      stopPrice: STOP_TYPES.includes(event.o) ? event.P : null,
+      amount: event.q,
+      executedQty,
+      executedPrice: toNumber(event.Z) / executedQty,
+      commission: fills.length > 0 ? fills[0].commission : 0,
+      commissionAsset: event.N,
+      fills,
+      timestamp: event.T || event.E
+    });
+  }
+
+  // outboundAccountPosition events list only the assets that changed
+  formatAccountPosition(event) {
+    return (event.B || []).map(entry => this.createBalance(entry.a, entry.f, entry.l));
+  }
+
+  // Sign params with the account secret and call a private endpoint
+  async signedRequest(method, path, params, apiKey, secretKey, isTestnet = false) {
+    const baseUrl = isTestnet ? this.testnetUrl : this.baseUrl;
+    const queryString = Object.keys(params)
+      .map(key => `${key}=${encodeURIComponent(params[key])}`)
+      .join('&');
+
+    const signature = crypto
+      .createHmac('sha256', secretKey)
+      .update(queryString)
+      .digest('hex');
+
+    const url = `${baseUrl}${path}?${queryString}&signature=${signature}`;
+    const config = { headers: { 'X-MBX-APIKEY': apiKey } };
+
+    const response = method === 'post'
+      ? await axios.post(url, {}, config)
+      : await axios[method](url, config);
+    return response.data;
+  }
 }
 
+// Shared order types by WazirX type
+const WAZIRX_TYPES = {
+  MARKET: 'market',
+  LIMIT: 'limit',
+  STOP_LOSS_LIMIT: 'stop_limit'
+};
+
 // WazirX Exchange Implementation
-class WazirxExchange {
+class WazirxExchange extends ExchangeAdapter {
   constructor() {
+    // stop_limit triggers on the stop price; there is no time in force or post-only flag
+    super('wazirx', { orderTypes: ['MARKET', 'LIMIT', 'STOP_LOSS_LIMIT'] });
     this.baseUrl = 'https://api.wazirx.com/api/v2';
+    this.publicUrl = 'https://api.wazirx.com/sapi/v1';
   }
 
   async executeTrade(tradeData) {
-    const { symbol, side, amount, price, apiKey, secretKey } = tradeData;
+    const { symbol, side, amount, price, stopPrice, apiKey, secretKey } = tradeData;
+    const { type = price ? 'LIMIT' : 'MARKET' } = tradeData;
 
     const timestamp = Date.now();
     const params = {
-      symbol: symbol.toUpperCase(),
+      symbol: symbol.toLowerCase(),
       side: side.toLowerCase(),
-      type: price ? 'limit' : 'market',
+      type: WAZIRX_TYPES[type],
       quantity: amount.toString(),
       timestamp: timestamp
     };
@@ -267,6 +625,9 @@ class WazirxExchange {
     if (price) {
       params.price = price.toString();
     }
+    if (stopPrice) {
+      params.stopPrice = stopPrice.toString();
+    }
 
     const queryString = Object.keys(params)
       .map(key => `${key}=${encodeURIComponent(params[key])}`)
@@ -287,17 +648,7 @@ class WazirxExchange {
       }
     });
 
-    return {
-      orderId: response.data.id.toString(),
-      status: response.data.status,
-      executedQty: parseFloat(response.data.executedQuantity || 0),
-      executedPrice: parseFloat(response.data.price || 0),
-      side: response.data.side,
-      symbol: response.data.symbol,
-      timestamp: response.data.createdAt,
-      commission: 0, // WazirX doesn't provide commission in order response
-      commissionAsset: 'USDT'
-    };
+    return this.formatOrder(response.data);
   }
 
   async getBalance(apiKey, secretKey) {
@@ -319,12 +670,7 @@ class WazirxExchange {
 
     return response.data
       .filter(balance => parseFloat(balance.free) > 0 || parseFloat(balance.locked) > 0)
-      .map(balance => ({
-        asset: balance.currency,
-        free: parseFloat(balance.free),
-        locked: parseFloat(balance.locked),
-        total: parseFloat(balance.free) + parseFloat(balance.locked)
-      }));
+      .map(balance => this.createBalance(balance.currency, balance.free, balance.locked));
   }
 
   async getOrderStatus(orderId, symbol, apiKey, secretKey) {
@@ -357,15 +703,7 @@ class WazirxExchange {
       throw new Error('Order not found');
     }
 
-    return {
-      orderId: order.id.toString(),
-      status: order.status,
-      executedQty: parseFloat(order.executedQuantity || 0),
-      executedPrice: parseFloat(order.price || 0),
-      side: order.side,
-      symbol: order.symbol,
-      timestamp: order.createdAt
-    };
+    return this.formatOrder(order);
   }
 
   async cancelOrder(orderId, symbol, apiKey, secretKey) {
@@ -393,27 +731,98 @@ class WazirxExchange {
       }
     });
 
-    return {
-      orderId: response.data.id.toString(),
-      status: response.data.status,
-      symbol: response.data.symbol
-    };
+    return this.formatOrder(response.data);
+  }
+
+  // Market symbols are lowercase ('btcinr')
+  async loadMarkets() {
+    const response = await axios.get(`${this.publicUrl}/exchangeInfo`);
+
+    return response.data.symbols
+      .filter(market => market.status === 'trading')
+      .map(market => {
+        const priceFilter = market.filters.find(entry => entry.filterType === 'PRICE_FILTER') || {};
+        return this.createMarketInfo({
+          base: market.baseAsset,
+          quote: market.quoteAsset,
+          nativeSymbol: market.symbol,
+          tickSize: priceFilter.tickSize,
+          stepSize: precisionToStep(market.baseAssetPrecision),
+          minQty: precisionToStep(market.baseAssetPrecision)
+        });
+      });
+  }
+
+  // WazirX does not report commission on orders
+  formatOrder(order) {
+    const executedQty = toNumber(order.executedQuantity);
+    const amount = toNumber(order.origQty ?? order.quantity, null);
+
+    return this.createOrder({
+      orderId: order.id,
+      symbol: order.symbol.toUpperCase(),
+      side: order.side,
+      type: Object.keys(WAZIRX_TYPES).find(type => WAZIRX_TYPES[type] === order.type) || null,
+      status: this.mapOrderStatus(order.status, executedQty),
+      price: order.type === 'market' ? null : order.price,
+      stopPrice: order.stopPrice,
+      amount,
+      executedQty,
+      executedPrice: order.avgPrice || order.price,
+      commission: 0,
+      commissionAsset: null,
+      timestamp: order.createdAt
+    });
+  }
+
+  // idle (stop not triggered) and wait are open; done, cancel and failed are final
+  mapOrderStatus(status, executedQty) {
+    switch (status) {
+    case 'done':
+      return 'FILLED';
+    case 'cancel':
+      return 'CANCELED';
+    case 'failed':
+      return 'REJECTED';
+    default:
+      return executedQty > 0 ? 'PARTIALLY_FILLED' : 'NEW';
+    }
   }
 }
 
+// CoinDCX order statuses in the shared vocabulary
+const COINDCX_STATUSES = {
+  init: 'NEW',
+  open: 'NEW',
+  partially_filled: 'PARTIALLY_FILLED',
+  filled: 'FILLED',
+  partially_cancelled: 'CANCELED',
+  cancelled: 'CANCELED',
+  rejected: 'REJECTED'
+};
+
+// Shared order types by CoinDCX order_type
+const COINDCX_TYPES = {
+  MARKET: 'market_order',
+  LIMIT: 'limit_order',
+  STOP_LOSS_LIMIT: 'stop_limit'
+};
+
 // CoinDCX Exchange Implementation
-class CoinDCXExchange {
+class CoinDCXExchange extends ExchangeAdapter {
   constructor() {
+    super('coindcx', { orderTypes: ['MARKET', 'LIMIT', 'STOP_LOSS_LIMIT'] });
     this.baseUrl = 'https://api.coindcx.com/exchange/v1';
   }
 
   async executeTrade(tradeData) {
-    const { symbol, side, amount, price, apiKey, secretKey } = tradeData;
+    const { symbol, side, amount, price, stopPrice, apiKey, secretKey } = tradeData;
+    const { type = price ? 'LIMIT' : 'MARKET' } = tradeData;
 
     const timestamp = Date.now();
     const body = {
       side: side.toLowerCase(),
-      order_type: price ? 'limit_order' : 'market_order',
+      order_type: COINDCX_TYPES[type],
       market: symbol,
       total_quantity: amount.toString(),
       timestamp: timestamp
@@ -422,6 +831,9 @@ class CoinDCXExchange {
     if (price) {
       body.price_per_unit = price.toString();
     }
+    if (stopPrice) {
+      body.stop_price = stopPrice.toString();
+    }
 
     const payload = JSON.stringify(body);
     const signature = crypto
@@ -439,17 +851,8 @@ class CoinDCXExchange {
       }
     });
 
-    return {
-      orderId: response.data.id.toString(),
-      status: response.data.status,
-      executedQty: parseFloat(response.data.quantity || 0),
-      executedPrice: parseFloat(response.data.price || 0),
-      side: response.data.side,
-      symbol: response.data.market,
-      timestamp: response.data.created_at,
-      commission: 0,
-      commissionAsset: 'USDT'
-    };
+    // Orders are created in batches; a single order comes back as a batch of one
+    return this.formatOrder(response.data.orders ? response.data.orders[0] : response.data);
   }
 
   async getBalance(apiKey, secretKey) {
@@ -472,13 +875,8 @@ class CoinDCXExchange {
     });
 
     return response.data
-      .filter(balance => parseFloat(balance.balance) > 0)
-      .map(balance => ({
-        asset: balance.currency,
-        free: parseFloat(balance.balance),
-        locked: 0,
-        total: parseFloat(balance.balance)
-      }));
+      .filter(balance => parseFloat(balance.balance) > 0 || parseFloat(balance.locked_balance) > 0)
+      .map(balance => this.createBalance(balance.currency, balance.balance, balance.locked_balance));
   }
 
   async getOrderStatus(orderId, symbol, apiKey, secretKey) {
@@ -504,15 +902,7 @@ class CoinDCXExchange {
       }
     });
 
-    return {
-      orderId: response.data.id.toString(),
-      status: response.data.status,
-      executedQty: parseFloat(response.data.quantity || 0),
-      executedPrice: parseFloat(response.data.price || 0),
-      side: response.data.side,
-      symbol: response.data.market,
-      timestamp: response.data.created_at
-    };
+    return this.formatOrder(response.data);
   }
 
   async cancelOrder(orderId, symbol, apiKey, secretKey) {
@@ -530,7 +920,7 @@ class CoinDCXExchange {
 
     const url = `${this.baseUrl}/orders/cancel`;
 
-    const response = await axios.post(url, body, {
+    await axios.post(url, body, {
       headers: {
         'X-AUTH-APIKEY': apiKey,
         'X-AUTH-SIGNATURE': signature,
@@ -538,49 +928,411 @@ class CoinDCXExchange {
       }
     });
 
+    // The cancel response only carries a message, so read the order back
+    return this.getOrderStatus(orderId, symbol, apiKey, secretKey);
+  }
+
+  // Orders take the coindcx_name ('BTCINR'); candles and sockets use the pair
+  // ('I-BTC_INR'). CoinDCX calls the quote currency the base currency.
+  async loadMarkets() {
+    const response = await axios.get(`${this.baseUrl}/markets_details`);
+
+    return response.data
+      .filter(market => market.status === 'active')
+      .map(market => this.createMarketInfo({
+        base: market.target_currency_short_name,
+        quote: market.base_currency_short_name,
+        nativeSymbol: market.coindcx_name,
+        aliases: [market.pair],
+        tickSize: precisionToStep(market.base_currency_precision),
+        stepSize: market.step || precisionToStep(market.target_currency_precision),
+        minQty: market.min_quantity,
+        minNotional: market.min_notional
+      }));
+  }
+
+  formatOrder(order) {
+    const executedQty = toNumber(order.total_quantity) - toNumber(order.remaining_quantity);
+
+    return this.createOrder({
+      orderId: order.id,
+      symbol: order.market,
+      side: order.side,
+      type: Object.keys(COINDCX_TYPES).find(type => COINDCX_TYPES[type] === order.order_type) || null,
+      status: COINDCX_STATUSES[order.status] || 'NEW',
+      price: order.order_type === 'market_order' ? null : order.price_per_unit,
+      stopPrice: order.stop_price,
+      amount: order.total_quantity,
+      executedQty,
+      executedPrice: order.avg_price,
+      commission: order.fee_amount,
+      commissionAsset: null,
+      timestamp: order.created_at
+    });
+  }
+}
+
+// Shared stop order types by Delta stop_order_type
+const DELTA_STOP_TYPES = {
+  STOP_LOSS_LIMIT: 'stop_loss_order',
+  TAKE_PROFIT_LIMIT: 'take_profit_order'
+};
+
+// Delta Exchange Implementation (Delta Exchange India, USD-margined contracts)
+class DeltaExchange extends ExchangeAdapter {
+  constructor() {
+    super('delta', {
+      orderTypes: ['MARKET', 'LIMIT', 'LIMIT_MAKER', 'STOP_LOSS_LIMIT', 'TAKE_PROFIT_LIMIT'],
+      timeInForce: ['GTC', 'IOC', 'FOK'],
+      margin: true
+    });
+    this.baseUrl = 'https://api.india.delta.exchange';
+    // Product id and contract size by symbol; orders are sized in whole contracts
+    this.products = new Map();
+  }
+
+  async executeTrade(tradeData) {
+    const { symbol, side, amount, price, stopPrice, apiKey, secretKey } = tradeData;
+    const { type = price ? 'LIMIT' : 'MARKET', timeInForce = 'GTC' } = tradeData;
+    const product = await this.getProduct(symbol);
+
+    const size = Math.floor(amount / product.contractValue);
+    if (size < 1) {
+      throw new Error(`Order amount ${amount} is below one ${product.symbol} contract (${product.contractValue})`);
+    }
+
+    const body = {
+      product_id: product.id,
+      size,
+      side: side.toLowerCase(),
+      order_type: type === 'MARKET' ? 'market_order' : 'limit_order'
+    };
+
+    if (price) {
+      body.limit_price = price.toString();
+      body.time_in_force = type === 'LIMIT_MAKER' ? 'gtc' : timeInForce.toLowerCase();
+    }
+    if (type === 'LIMIT_MAKER') {
+      body.post_only = true;
+    }
+    // Stop and take-profit orders are limit orders with a trigger
+    if (STOP_TYPES.includes(type)) {
+      body.stop_order_type = DELTA_STOP_TYPES[type];
+      body.stop_price = stopPrice.toString();
+    }
+
+    const order = await this.signedRequest('post', '/v2/orders', body, apiKey, secretKey);
+    return this.formatOrder(order, product);
+  }
+
+  async getBalance(apiKey, secretKey) {
+    const balances = await this.signedRequest('get', '/v2/wallet/balances', null, apiKey, secretKey);
+
+    return balances
+      .filter(balance => parseFloat(balance.balance) > 0)
+      .map(balance => this.createBalance(
+        balance.asset_symbol,
+        balance.available_balance,
+        toNumber(balance.balance) - toNumber(balance.available_balance)
+      ));
+  }
+
+  async getOrderStatus(orderId, symbol, apiKey, secretKey) {
+    const product = await this.getProduct(symbol);
+    const order = await this.signedRequest('get', `/v2/orders/${orderId}`, null, apiKey, secretKey);
+
+    return this.formatOrder(order, product);
+  }
+
+  async cancelOrder(orderId, symbol, apiKey, secretKey) {
+    const product = await this.getProduct(symbol);
+    const body = { id: Number(orderId), product_id: product.id };
+    const order = await this.signedRequest('delete', '/v2/orders', body, apiKey, secretKey);
+
+    return this.formatOrder(order, product);
+  }
+
+  // Contracts trade in whole units, so the step and minimum are one contract.
+  // Listing the products also fills the product cache used to size orders.
+  async loadMarkets() {
+    const response = await axios.get(`${this.baseUrl}/v2/products`);
+
+    return response.data.result
+      .filter(product => product.state === 'live' && product.underlying_asset)
+      .map(product => {
+        this.products.set(product.symbol, this.parseProduct(product));
+
+        return this.createMarketInfo({
+          base: product.underlying_asset.symbol,
+          quote: product.quoting_asset.symbol,
+          nativeSymbol: product.symbol,
+          tickSize: product.tick_size,
+          stepSize: product.contract_value,
+          minQty: product.contract_value,
+          minNotional: null
+        });
+      });
+  }
+
+  // Public product lookup, cached for the life of the process
+  async getProduct(symbol) {
+    const key = symbol.toUpperCase().replace(/[/_-]/g, '');
+    if (!this.products.has(key)) {
+      const response = await axios.get(`${this.baseUrl}/v2/products/${key}`);
+      this.products.set(key, this.parseProduct(response.data.result));
+    }
+    return this.products.get(key);
+  }
+
+  parseProduct(product) {
     return {
-      orderId: response.data.id.toString(),
-      status: response.data.status,
-      symbol: response.data.market
+      id: product.id,
+      symbol: product.symbol,
+      contractValue: parseFloat(product.contract_value),
+      settlingAsset: product.settling_asset?.symbol || 'USD'
     };
   }
-}
 
-// Delta Exchange Implementation (placeholder)
-class DeltaExchange {
-  async executeTrade(_tradeData) {
-    throw new Error('Delta Exchange integration not implemented yet');
+  // Sizes come back in contracts; report them in the underlying asset
+  formatOrder(order, product) {
+    const filledContracts = order.size - order.unfilled_size;
+
+    return this.createOrder({
+      orderId: order.id,
+      symbol: order.product_symbol,
+      side: order.side,
+      type: this.mapOrderType(order),
+      status: this.mapOrderState(order),
+      price: order.limit_price,
+      stopPrice: order.stop_price,
+      amount: order.size * product.contractValue,
+      executedQty: filledContracts * product.contractValue,
+      executedPrice: order.average_fill_price || order.limit_price,
+      commission: order.paid_commission,
+      commissionAsset: product.settlingAsset,
+      timestamp: order.created_at
+    });
   }
 
-  async getBalance(_apiKey, _secretKey) {
-    throw new Error('Delta Exchange integration not implemented yet');
+  mapOrderType(order) {
+    const stopType = Object.keys(DELTA_STOP_TYPES).find(type => DELTA_STOP_TYPES[type] === order.stop_order_type);
+    if (stopType) {
+      return stopType;
+    }
+    if (order.order_type === 'market_order') {
+      return 'MARKET';
+    }
+    return order.post_only ? 'LIMIT_MAKER' : 'LIMIT';
   }
 
-  async getOrderStatus(_orderId, _symbol, _apiKey, _secretKey) {
-    throw new Error('Delta Exchange integration not implemented yet');
+  // Delta order states (open, pending, closed, cancelled) in Binance terms
+  mapOrderState(order) {
+    const filled = order.size - order.unfilled_size;
+    switch (order.state) {
+    case 'closed':
+      return order.unfilled_size === 0 ? 'FILLED' : 'CANCELED';
+    case 'cancelled':
+      return 'CANCELED';
+    default:
+      return filled > 0 ? 'PARTIALLY_FILLED' : 'NEW';
+    }
   }
 
-  async cancelOrder(_orderId, _symbol, _apiKey, _secretKey) {
-    throw new Error('Delta Exchange integration not implemented yet');
+  // Signature is HMAC-SHA256 over method + timestamp + path (with query) + body
+  async signedRequest(method, path, body, apiKey, secretKey) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const payload = body ? JSON.stringify(body) : '';
+
+    const signature = crypto
+      .createHmac('sha256', secretKey)
+      .update(method.toUpperCase() + timestamp + path + payload)
+      .digest('hex');
+
+    const url = `${this.baseUrl}${path}`;
+    const config = {
+      headers: {
+        'api-key': apiKey,
+        timestamp,
+        signature,
+        'User-Agent': 'cryptopulse-backend',
+        'Content-Type': 'application/json'
+      }
+    };
+
+    let response;
+    if (method === 'post') {
+      response = await axios.post(url, payload, config);
+    } else if (method === 'delete') {
+      response = await axios.delete(url, { ...config, data: payload });
+    } else {
+      response = await axios.get(url, config);
+    }
+    return response.data.result;
   }
 }
 
-// Coinbase Exchange Implementation (placeholder)
-class CoinbaseExchange {
-  async executeTrade(_tradeData) {
-    throw new Error('Coinbase Exchange integration not implemented yet');
+// Coinbase Exchange Implementation (Coinbase Exchange REST API, key + secret + passphrase)
+class CoinbaseExchange extends ExchangeAdapter {
+  constructor() {
+    super('coinbase', {
+      orderTypes: ['MARKET', 'LIMIT', 'LIMIT_MAKER', 'STOP_LOSS_LIMIT', 'TAKE_PROFIT_LIMIT'],
+      timeInForce: ['GTC', 'IOC', 'FOK'],
+      requiresPassphrase: true
+    });
+    this.baseUrl = 'https://api.exchange.coinbase.com';
+  }
+
+  async executeTrade(tradeData) {
+    const { symbol, side, amount, price, stopPrice, apiKey, secretKey, passphrase } = tradeData;
+    const { type = price ? 'LIMIT' : 'MARKET', timeInForce = 'GTC' } = tradeData;
+
+    const body = {
+      product_id: this.toProductId(symbol),
+      side: side.toLowerCase(),
+      type: type === 'MARKET' ? 'market' : 'limit',
+      size: amount.toString()
+    };
+
+    if (price) {
+      body.price = price.toString();
+      body.time_in_force = type === 'LIMIT_MAKER' ? 'GTC' : timeInForce;
+    }
+    if (type === 'LIMIT_MAKER') {
+      body.post_only = true;
+    }
+    if (STOP_TYPES.includes(type)) {
+      body.stop = this.stopDirection(type, side);
+      body.stop_price = stopPrice.toString();
+    }
+
+    const order = await this.signedRequest('post', '/orders', body, { apiKey, secretKey, passphrase });
+    return this.formatOrder(order);
+  }
+
+  async getBalance(apiKey, secretKey, passphrase) {
+    const accounts = await this.signedRequest('get', '/accounts', null, { apiKey, secretKey, passphrase });
+
+    return accounts
+      .filter(account => parseFloat(account.balance) > 0)
+      .map(account => this.createBalance(account.currency, account.available, account.hold));
+  }
+
+  async getOrderStatus(orderId, _symbol, apiKey, secretKey, passphrase) {
+    const order = await this.signedRequest('get', `/orders/${orderId}`, null, { apiKey, secretKey, passphrase });
+    return this.formatOrder(order);
+  }
+
+  async cancelOrder(orderId, symbol, apiKey, secretKey, passphrase) {
+    const productId = this.toProductId(symbol);
+    const path = `/orders/${orderId}?product_id=${productId}`;
+
+    // Coinbase answers a cancel with just the order id
+    const canceledId = await this.signedRequest('delete', path, null, { apiKey, secretKey, passphrase });
+
+    return this.createOrder({ orderId: canceledId, symbol: productId, status: 'CANCELED' });
+  }
+
+  async loadMarkets() {
+    const response = await axios.get(`${this.baseUrl}/products`);
+
+    return response.data
+      .filter(product => !product.trading_disabled && product.status === 'online')
+      .map(product => this.createMarketInfo({
+        base: product.base_currency,
+        quote: product.quote_currency,
+        nativeSymbol: product.id,
+        tickSize: product.quote_increment,
+        stepSize: product.base_increment,
+        minQty: product.base_min_size,
+        minNotional: product.min_market_funds
+      }));
+  }
+
+  // Coinbase stops trigger on direction: 'loss' at or below the stop price,
+  // 'entry' at or above. A sell stop-loss and a buy take-profit fall; the others rise.
+  stopDirection(type, side) {
+    const isSell = side.toLowerCase() === 'sell';
+    return (type === 'STOP_LOSS_LIMIT') === isSell ? 'loss' : 'entry';
+  }
+
+  mapOrderType(order) {
+    if (order.stop) {
+      const falls = order.stop === 'loss';
+      return falls === (order.side === 'sell') ? 'STOP_LOSS_LIMIT' : 'TAKE_PROFIT_LIMIT';
+    }
+    if (order.type === 'market') {
+      return 'MARKET';
+    }
+    return order.post_only ? 'LIMIT_MAKER' : 'LIMIT';
+  }
+
+  // 'BTCUSD' / 'BTC/USD' -> 'BTC-USD'
+  toProductId(symbol) {
+    const { base, quote } = splitSymbol(symbol);
+    return `${base}-${quote}`;
   }
 
-  async getBalance(_apiKey, _secretKey) {
-    throw new Error('Coinbase Exchange integration not implemented yet');
+  formatOrder(order) {
+    const filledSize = toNumber(order.filled_size);
+
+    return this.createOrder({
+      orderId: order.id,
+      symbol: order.product_id,
+      side: order.side,
+      type: this.mapOrderType(order),
+      status: this.mapOrderStatus(order),
+      price: order.price,
+      stopPrice: order.stop_price,
+      amount: order.size,
+      executedQty: filledSize,
+      executedPrice: filledSize > 0 ? toNumber(order.executed_value) / filledSize : 0,
+      commission: order.fill_fees,
+      commissionAsset: order.product_id.split('-')[1],
+      timestamp: order.created_at
+    });
   }
 
-  async getOrderStatus(_orderId, _symbol, _apiKey, _secretKey) {
-    throw new Error('Coinbase Exchange integration not implemented yet');
+  // Coinbase statuses (pending, open, active, done + done_reason, rejected) in Binance terms
+  mapOrderStatus(order) {
+    if (order.status === 'done') {
+      return order.done_reason === 'filled' ? 'FILLED' : 'CANCELED';
+    }
+    if (order.status === 'rejected') {
+      return 'REJECTED';
+    }
+    return parseFloat(order.filled_size || 0) > 0 ? 'PARTIALLY_FILLED' : 'NEW';
   }
 
-  async cancelOrder(_orderId, _symbol, _apiKey, _secretKey) {
-    throw new Error('Coinbase Exchange integration not implemented yet');
+  // Signature is base64 HMAC-SHA256, keyed by the base64-decoded secret, over
+  // timestamp + method + request path + body
+  async signedRequest(method, path, body, { apiKey, secretKey, passphrase }) {
+    if (!passphrase) {
+      throw new Error('Coinbase API passphrase is required');
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const payload = body ? JSON.stringify(body) : '';
+
+    const signature = crypto
+      .createHmac('sha256', Buffer.from(secretKey, 'base64'))
+      .update(timestamp + method.toUpperCase() + path + payload)
+      .digest('base64');
+
+    const url = `${this.baseUrl}${path}`;
+    const config = {
+      headers: {
+        'CB-ACCESS-KEY': apiKey,
+        'CB-ACCESS-SIGN': signature,
+        'CB-ACCESS-TIMESTAMP': timestamp,
+        'CB-ACCESS-PASSPHRASE': passphrase,
+        'Content-Type': 'application/json'
+      }
+    };
+
+    const response = method === 'post'
+      ? await axios.post(url, payload, config)
+      : await axios[method](url, config);
+    return response.data;
   }
 }
 
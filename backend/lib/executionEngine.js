@@ -0,0 +1,726 @@
+// =============================================================================
+// Execution Algorithms - Production Ready
+// =============================================================================
+// Works large orders over time instead of sending them to the exchange in one
+// shot. A parent order is split into child orders on a fixed schedule: evenly
+// (TWAP) or in proportion to the symbol's historical intraday volume (VWAP,
+// from marketDataService klines). An optional participation cap keeps each
+// child below a fraction of the volume expected in its interval; quantity a
+// child could not take carries over to the next one.
+//
+// Icebergs are worked the same way but are not scheduled over time: a limit
+// order is shown visibleAmount at a time, each slice placed once the one
+// before it has filled. A slice that does not fill within sliceTimeout is
+// cancelled and the parent finishes with what has filled.
+//
+// The parent is a row in trades with its algorithm and progress in algo_state;
+// each child order is a trades row pointing at it through parent_trade_id.
+// Running algorithms resume after a restart and can be amended or cancelled
+// while they run.
+
+const marketDataService = require('./marketDataService');
+const exchangeService = require('./exchangeService');
+const { logger } = require('./logging');
+const { Trade } = require('./database');
+const { credentialVault } = require('./credentialVault');
+const { floorToStep, marketRegistry } = require('./marketRegistry');
+const { FINAL_STATUSES, normalizeOrderRequest } = require('./exchangeAdapter');
+
+// Algorithms submitted with a duration; icebergs go through submitIceberg
+const ALGORITHMS = ['twap', 'vwap'];
+const ICEBERG = 'iceberg';
+
+// Volume profile resolution: average volume per 15-minute bucket of the UTC day
+const PROFILE_INTERVAL = '15m';
+const BUCKET_MS = 15 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BUCKETS_PER_DAY = DAY_MS / BUCKET_MS;
+
+// Exchanges marketDataService can fetch klines from; others use Binance volume
+const KLINE_EXCHANGES = ['binance', 'coindcx'];
+
+// Errors carry the HTTP status the API should answer with
+const algoError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+// Volume expected between start and start + duration, reading the profile
+// bucket by bucket so slices need not line up with bucket boundaries
+function expectedVolume(profile, start, duration) {
+  let volume = 0;
+  let time = start;
+  const end = start + duration;
+
+  while (time < end) {
+    const bucketEnd = (Math.floor(time / BUCKET_MS) + 1) * BUCKET_MS;
+    const until = Math.min(bucketEnd, end);
+    const bucket = Math.floor((time % DAY_MS) / BUCKET_MS);
+    volume += profile[bucket] * (until - time) / BUCKET_MS;
+    time = until;
+  }
+
+  return volume;
+}
+
+// Child quantities and times for amount spread over `slices` intervals. TWAP
+// weights every slice equally; VWAP weights each by its expected volume.
+function buildSchedule({ algorithm, amount, startTime, sliceInterval, slices, profile }) {
+  const times = Array.from({ length: slices }, (_, index) => startTime + index * sliceInterval);
+  const volumes = times.map(time => (profile ? expectedVolume(profile, time, sliceInterval) : null));
+  const totalVolume = volumes.reduce((sum, volume) => sum + (volume || 0), 0);
+  const weights = algorithm === 'vwap' && totalVolume > 0
+    ? volumes.map(volume => volume / totalVolume)
+    : times.map(() => 1 / slices);
+
+  return times.map((at, index) => ({
+    at,
+    amount: amount * weights[index],
+    expectedVolume: volumes[index]
+  }));
+}
+
+class ExecutionEngine {
+  constructor(config = {}) {
+    this.config = {
+      checkInterval: 1000,
+      minSliceInterval: 10000, // children at most every 10 seconds
+      maxSlices: 500,
+      maxDuration: DAY_MS,
+      profileDays: 7, // days of klines averaged into the volume profile
+      maxFailures: 3, // consecutive failed children before the parent fails
+      childPollInterval: 2000,
+      icebergSliceTimeout: 60000, // an iceberg slice still open after this is cancelled
+      ...config
+    };
+
+    // Running parents keyed by trade id
+    this.algos = new Map();
+    // Parent ids with a child order in flight
+    this.inFlight = new Set();
+    this.timer = null;
+  }
+
+  // Resume every algorithm left running and start the scheduler
+  async start() {
+    if (this.timer) {
+      return;
+    }
+
+    const parents = await Trade.findActiveAlgorithms();
+    for (const parent of parents) {
+      try {
+        await this.resume(await this.track(parent));
+      } catch (error) {
+        logger.error('Failed to resume execution algorithm:', { tradeId: parent.id, error: error.message });
+      }
+    }
+
+    this.timer = setInterval(() => {
+      this.processDue().catch(error => logger.error('Execution algorithm check failed:', error));
+    }, this.config.checkInterval);
+
+    logger.info(`Execution engine started with ${this.algos.size} running algorithms`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Validate and persist a parent order and schedule its children
+  async submit(userId, params) {
+    const algorithm = String(params.algorithm || '').toLowerCase();
+    if (!ALGORITHMS.includes(algorithm)) {
+      throw algoError(`Unknown execution algorithm: ${params.algorithm}`, 400);
+    }
+
+    const { exchange, symbol, side, amount, duration, limitPrice, maxParticipation, mode = 'live' } = params;
+    if (!exchangeService.exchanges[exchange]) {
+      throw algoError(`Unsupported exchange: ${exchange}`, 400);
+    }
+    if (!(amount > 0)) {
+      throw algoError('Amount must be positive', 400);
+    }
+    if (!(duration > 0) || duration > this.config.maxDuration) {
+      throw algoError(`Duration must be positive and at most ${this.config.maxDuration}ms`, 400);
+    }
+
+    const slices = params.slices || Math.min(this.config.maxSlices, Math.floor(duration / this.config.minSliceInterval));
+    const sliceInterval = Math.floor(duration / slices);
+    if (slices < 2 || slices > this.config.maxSlices || sliceInterval < this.config.minSliceInterval) {
+      throw algoError(`Slices must be between 2 and ${this.config.maxSlices}, at least ${this.config.minSliceInterval}ms apart`, 400);
+    }
+    if (maxParticipation !== undefined && maxParticipation !== null && !(maxParticipation > 0 && maxParticipation <= 1)) {
+      throw algoError('Max participation must be greater than 0 and at most 1', 400);
+    }
+
+    const venue = mode === 'paper' ? 'paper' : exchange;
+    const capabilities = await exchangeService.getCapabilities(venue, symbol);
+    // Limit children go out immediate-or-cancel so none is left resting
+    if (limitPrice && !capabilities.timeInForce.includes('IOC')) {
+      throw algoError(`${exchange} does not support IOC orders, which limit-priced algorithms need`, 400);
+    }
+
+    const profile = algorithm === 'vwap' || maxParticipation ? await this.loadVolumeProfile(exchange, symbol) : null;
+    if ((algorithm === 'vwap' || maxParticipation) && !profile) {
+      throw algoError(`Volume data unavailable for ${symbol}`, 503);
+    }
+
+    const startTime = Date.now();
+    const state = {
+      startTime,
+      endTime: startTime + duration,
+      sliceInterval,
+      limitPrice: limitPrice || null,
+      maxParticipation: maxParticipation || null,
+      schedule: buildSchedule({ algorithm, amount, startTime, sliceInterval, slices, profile }),
+      nextSlice: 0,
+      planned: 0,
+      executedQty: 0,
+      executedValue: 0,
+      fees: 0,
+      failures: 0,
+      reason: null
+    };
+
+    const parent = await Trade.create({
+      userId,
+      exchange,
+      symbol,
+      side,
+      amount,
+      price: limitPrice || null,
+      status: 'pending',
+      notes: `${algorithm.toUpperCase()} over ${slices} slices`,
+      mode,
+      algorithm,
+      algoState: state
+    });
+
+    const algo = await this.track({ ...parent, userId, amount, algorithm, algoState: state }, { capabilities, profile });
+    logger.info('Execution algorithm started', { tradeId: algo.id, algorithm, symbol, amount, slices });
+
+    return this.describe(algo);
+  }
+
+  // Validate and persist an iceberg parent. Its slices are placed by the
+  // scheduler like any other children, so this resolves once it is stored.
+  async submitIceberg(userId, params) {
+    const { exchange, symbol, side, amount, price, visibleAmount, mode = 'live' } = params;
+    const sliceTimeout = params.sliceTimeout || this.config.icebergSliceTimeout;
+    if (!exchangeService.exchanges[exchange]) {
+      throw algoError(`Unsupported exchange: ${exchange}`, 400);
+    }
+    if (!(amount > 0)) {
+      throw algoError('Amount must be positive', 400);
+    }
+
+    const order = normalizeOrderRequest({
+      symbol, side, amount, price, type: params.type, timeInForce: params.timeInForce, postOnly: params.postOnly
+    });
+    if (order.type !== 'LIMIT' && order.type !== 'LIMIT_MAKER') {
+      throw algoError('Iceberg orders must be LIMIT or LIMIT_MAKER', 400);
+    }
+
+    const venue = mode === 'paper' ? 'paper' : exchange;
+    const capabilities = await exchangeService.getCapabilities(venue, symbol);
+    if (!capabilities.orderTypes.includes(order.type)) {
+      throw algoError(`${exchange} does not support ${order.type} orders`, 400);
+    }
+    if (order.timeInForce && !capabilities.timeInForce.includes(order.timeInForce)) {
+      throw algoError(`${exchange} does not support ${order.timeInForce} time in force`, 400);
+    }
+
+    const slices = marketRegistry.sliceQuantity(capabilities.market, amount, visibleAmount);
+    if (slices.length > this.config.maxSlices) {
+      throw algoError(`Iceberg would need ${slices.length} slices; the limit is ${this.config.maxSlices}`, 400);
+    }
+
+    // Every slice is due at once; only one is ever in flight
+    const startTime = Date.now();
+    const state = {
+      startTime,
+      endTime: null,
+      sliceInterval: null,
+      limitPrice: price,
+      maxParticipation: null,
+      orderType: order.type,
+      timeInForce: order.timeInForce || null,
+      visibleAmount,
+      sliceTimeout,
+      schedule: slices.map(slice => ({ at: startTime, amount: slice, expectedVolume: null })),
+      nextSlice: 0,
+      planned: 0,
+      executedQty: 0,
+      executedValue: 0,
+      fees: 0,
+      failures: 0,
+      reason: null
+    };
+
+    const parent = await Trade.create({
+      userId,
+      exchange,
+      symbol,
+      side,
+      amount,
+      price,
+      status: 'pending',
+      notes: `ICEBERG showing ${visibleAmount} over ${slices.length} slices`,
+      mode,
+      algorithm: ICEBERG,
+      algoState: state
+    });
+
+    const algo = await this.track({ ...parent, userId, amount, algorithm: ICEBERG, algoState: state }, { capabilities, profile: null });
+    logger.info('Iceberg order started', { tradeId: algo.id, symbol, amount, visibleAmount, slices: slices.length });
+
+    return this.describe(algo);
+  }
+
+  // Change the total amount, limit price, participation cap or end time of a
+  // running algorithm. What is left is re-spread over the remaining time.
+  async amend(userId, id, changes) {
+    const algo = this.requireRunning(userId, id);
+    const { state } = algo;
+    const amount = changes.amount ?? algo.amount;
+
+    if (algo.algorithm === ICEBERG) {
+      throw algoError('Iceberg orders cannot be amended; cancel and submit a new one', 400);
+    }
+
+    if (!(amount > 0) || amount < state.executedQty) {
+      throw algoError(`Amount cannot be below the ${state.executedQty} already executed`, 400);
+    }
+    if (changes.maxParticipation !== undefined && changes.maxParticipation !== null &&
+      !(changes.maxParticipation > 0 && changes.maxParticipation <= 1)) {
+      throw algoError('Max participation must be greater than 0 and at most 1', 400);
+    }
+    if (changes.limitPrice && !algo.capabilities.timeInForce.includes('IOC')) {
+      throw algoError(`${algo.exchange} does not support IOC orders, which limit-priced algorithms need`, 400);
+    }
+
+    const now = Date.now();
+    const endTime = changes.endTime ?? state.endTime;
+    const slices = Math.ceil((endTime - now) / state.sliceInterval);
+    if (endTime - state.startTime > this.config.maxDuration || slices < 1) {
+      throw algoError('End time must be in the future and within the maximum duration', 400);
+    }
+
+    if (changes.maxParticipation && !algo.profile) {
+      algo.profile = await this.loadVolumeProfile(algo.exchange, algo.symbol);
+      if (!algo.profile) {
+        throw algoError(`Volume data unavailable for ${algo.symbol}`, 503);
+      }
+    }
+
+    algo.amount = amount;
+    state.endTime = endTime;
+    if (changes.limitPrice !== undefined) {
+      state.limitPrice = changes.limitPrice || null;
+    }
+    if (changes.maxParticipation !== undefined) {
+      state.maxParticipation = changes.maxParticipation || null;
+    }
+
+    this.respread(algo, now, slices);
+    await this.persist(algo, 'pending', amount);
+    logger.info('Execution algorithm amended', { tradeId: id, amount, endTime, slices });
+
+    return this.describe(algo);
+  }
+
+  // Drop any carried shortfall and plan the unexecuted rest afresh over
+  // `slices` intervals from now. Slices already run stay in the schedule.
+  respread(algo, now, slices) {
+    const { state } = algo;
+    state.planned = state.executedQty;
+    state.schedule = [
+      ...state.schedule.slice(0, state.nextSlice),
+      ...buildSchedule({
+        algorithm: algo.algorithm,
+        amount: algo.amount - state.executedQty,
+        startTime: now,
+        sliceInterval: state.sliceInterval,
+        slices,
+        profile: algo.profile
+      })
+    ];
+  }
+
+  // Slices that fell due while the process was down are not sent back to
+  // back: the rest is re-spread over the time left, with participation
+  // measured against the volume expected from now on
+  async resume(algo) {
+    const { state } = algo;
+    const next = state.schedule[state.nextSlice];
+    const now = Date.now();
+    // Iceberg slices follow each other, not the clock
+    if (algo.algorithm === ICEBERG || !next || next.at >= now) {
+      return;
+    }
+
+    const slices = Math.ceil((state.endTime - now) / state.sliceInterval);
+    if (slices < 1) {
+      await this.finish(algo, state.executedQty > 0 ? 'completed' : 'cancelled', 'schedule_exhausted');
+      return;
+    }
+
+    this.respread(algo, now, slices);
+    await this.persist(algo, 'pending');
+    logger.info('Execution algorithm rescheduled after restart', { tradeId: algo.id, slices });
+  }
+
+  // Stop placing children; orders already executed stand
+  async cancel(userId, id) {
+    const algo = this.requireRunning(userId, id);
+    algo.cancelRequested = true;
+
+    // A child in flight finishes the parent once it returns
+    if (!this.inFlight.has(id)) {
+      await this.finish(algo, 'cancelled', 'cancelled');
+    }
+    return this.describe(algo);
+  }
+
+  // A parent with its children, running or finished
+  async getAlgorithm(userId, id) {
+    let algo = this.algos.get(id);
+    if (!algo) {
+      const parent = await Trade.findAlgorithm(id);
+      if (!parent) {
+        throw algoError('Execution algorithm not found', 404);
+      }
+      algo = this.fromRow(parent);
+    }
+    if (algo.userId !== userId) {
+      throw algoError('Execution algorithm not found', 404);
+    }
+
+    return {
+      ...this.describe(algo),
+      children: await Trade.findChildren(id)
+    };
+  }
+
+  listRunning(userId) {
+    return [...this.algos.values()]
+      .filter(algo => algo.userId === userId)
+      .map(algo => this.describe(algo));
+  }
+
+  // Place the child of every algorithm whose next slice is due
+  async processDue(now = Date.now()) {
+    for (const algo of [...this.algos.values()]) {
+      const slice = algo.state.schedule[algo.state.nextSlice];
+      if (slice && slice.at <= now && !this.inFlight.has(algo.id)) {
+        await this.runSlice(algo);
+      }
+    }
+  }
+
+  async runSlice(algo) {
+    const { state } = algo;
+    const slice = state.schedule[state.nextSlice];
+    this.inFlight.add(algo.id);
+
+    try {
+      state.planned += slice.amount;
+      state.nextSlice += 1;
+
+      const amount = this.childAmount(algo, slice);
+      if (amount > 0) {
+        const result = await this.placeChild(algo, amount);
+        await this.recordChild(algo, result, amount);
+      }
+      state.failures = 0;
+    } catch (error) {
+      // Orders the exchange refuses outright (below its minimums) carry over
+      // like a capped slice; anything else counts towards failing the parent
+      if (!error.statusCode) {
+        state.failures += 1;
+      }
+      logger.error('Execution algorithm child failed:', {
+        tradeId: algo.id,
+        slice: state.nextSlice,
+        error: error.message
+      });
+    } finally {
+      this.inFlight.delete(algo.id);
+    }
+
+    await this.afterSlice(algo);
+  }
+
+  // What the child should take: the planned quantity so far less what has
+  // executed, within the participation cap and the market's step and minimum
+  childAmount(algo, slice) {
+    const { state, market } = algo;
+    const remaining = algo.amount - state.executedQty;
+    let amount = Math.min(state.planned - state.executedQty, remaining);
+
+    if (state.maxParticipation && slice.expectedVolume !== null) {
+      amount = Math.min(amount, state.maxParticipation * slice.expectedVolume);
+    }
+
+    amount = floorToStep(amount, market ? market.stepSize : null);
+    if (market && market.minQty && amount < market.minQty) {
+      return 0;
+    }
+    return amount;
+  }
+
+  // Send a market (or limit IOC) child and wait until the exchange reports it
+  // final, cancelling it if that takes longer than half a slice. Iceberg
+  // slices rest at the limit price for up to sliceTimeout.
+  async placeChild(algo, amount) {
+    const { state } = algo;
+    const iceberg = algo.algorithm === ICEBERG;
+    const venue = algo.mode === 'paper' ? 'paper' : algo.exchange;
+    const order = {
+      symbol: algo.symbol,
+      side: algo.side,
+      amount,
+      ...(iceberg
+        ? { price: state.limitPrice, type: state.orderType, timeInForce: state.timeInForce || undefined }
+        : (state.limitPrice ? { price: state.limitPrice, timeInForce: 'IOC' } : {})),
+      ...(algo.mode === 'paper'
+        ? { userId: algo.userId, priceSource: algo.exchange }
+        : await this.getCredentials(algo))
+    };
+
+    const placed = await exchangeService.executeTrade(venue, order);
+    if (FINAL_STATUSES.includes(placed.status)) {
+      return placed;
+    }
+
+    try {
+      return await exchangeService.awaitSlice(venue, placed, order, {
+        pollInterval: this.config.childPollInterval,
+        sliceTimeout: iceberg ? state.sliceTimeout : state.sliceInterval / 2,
+        isCancelled: () => algo.cancelRequested
+      });
+    } catch (error) {
+      // Book the child as last seen so the order tracker follows it from here
+      logger.error('Lost track of execution algorithm child:', {
+        tradeId: algo.id,
+        orderId: placed.orderId,
+        error: error.message
+      });
+      return placed;
+    }
+  }
+
+  async recordChild(algo, result, amount) {
+    const { state } = algo;
+    const executedQty = result.executedQty || 0;
+
+    state.executedQty += executedQty;
+    state.executedValue += executedQty * (result.executedPrice || 0);
+    state.fees += result.commission || 0;
+
+    await Trade.create({
+      userId: algo.userId,
+      exchange: algo.exchange,
+      symbol: algo.symbol,
+      side: algo.side,
+      amount: executedQty > 0 ? executedQty : amount,
+      price: executedQty > 0 ? result.executedPrice : algo.state.limitPrice,
+      status: childStatus(result),
+      orderStatus: result.status,
+      executedQty,
+      orderId: result.orderId,
+      fees: result.commission || 0,
+      notes: `${algo.algorithm.toUpperCase()} slice ${state.nextSlice}/${state.schedule.length}`,
+      mode: algo.mode,
+      parentTradeId: algo.id
+    });
+  }
+
+  // Persist progress, or finish the parent once it is filled, cancelled,
+  // failing or out of slices
+  async afterSlice(algo) {
+    const { state } = algo;
+    const dust = algo.market && algo.market.minQty ? algo.market.minQty : 0;
+    const remaining = algo.amount - state.executedQty;
+
+    if (algo.cancelRequested) {
+      return this.finish(algo, 'cancelled', 'cancelled');
+    }
+    if (remaining <= 1e-12 || (remaining < dust && state.executedQty > 0)) {
+      return this.finish(algo, 'completed', null);
+    }
+    if (state.failures >= this.config.maxFailures) {
+      return this.finish(algo, 'failed', 'child_orders_failed');
+    }
+    if (state.nextSlice >= state.schedule.length) {
+      // The participation cap or limit price left part of the order unfilled
+      return this.finish(algo, state.executedQty > 0 ? 'completed' : 'cancelled', 'schedule_exhausted');
+    }
+    if (algo.algorithm === ICEBERG && state.executedQty < state.planned * (1 - 1e-9)) {
+      // A slice timed out, was refused or failed: keep what filled and stop
+      return this.finish(algo, state.executedQty > 0 ? 'completed' : 'cancelled', 'slice_unfilled');
+    }
+
+    try {
+      await this.persist(algo, 'pending');
+    } catch (error) {
+      logger.error('Failed to save execution algorithm progress:', { tradeId: algo.id, error: error.message });
+    }
+  }
+
+  async finish(algo, status, reason) {
+    algo.state.reason = reason;
+    algo.status = status;
+    this.algos.delete(algo.id);
+
+    try {
+      await this.persist(algo, status);
+    } catch (error) {
+      logger.error('Failed to save finished execution algorithm:', { tradeId: algo.id, error: error.message });
+    }
+
+    logger.info('Execution algorithm finished', {
+      tradeId: algo.id,
+      status,
+      reason,
+      executedQty: algo.state.executedQty,
+      amount: algo.amount
+    });
+  }
+
+  persist(algo, status, amount) {
+    const { executedQty, executedValue, fees } = algo.state;
+    return Trade.updateAlgorithm(algo.id, {
+      status,
+      amount,
+      price: executedQty > 0 ? executedValue / executedQty : null,
+      fees,
+      algoState: algo.state
+    });
+  }
+
+  // Start scheduling a parent row; the market (for step size and minimums)
+  // and volume profile are looked up again after a restart
+  async track(row, { capabilities, profile } = {}) {
+    const algo = this.fromRow(row);
+    const venue = algo.mode === 'paper' ? 'paper' : algo.exchange;
+
+    algo.capabilities = capabilities || await exchangeService.getCapabilities(venue, algo.symbol);
+    algo.market = algo.capabilities.market;
+    algo.profile = profile !== undefined
+      ? profile
+      : (algo.algorithm === 'vwap' || algo.state.maxParticipation ? await this.loadVolumeProfile(algo.exchange, algo.symbol) : null);
+
+    this.algos.set(algo.id, algo);
+    return algo;
+  }
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      userId: row.userId,
+      exchange: row.exchange,
+      symbol: row.symbol,
+      side: row.side,
+      mode: row.mode || 'live',
+      algorithm: row.algorithm,
+      amount: row.amount,
+      status: row.status,
+      state: row.algoState,
+      cancelRequested: false
+    };
+  }
+
+  requireRunning(userId, id) {
+    const algo = this.algos.get(id);
+    if (!algo || algo.userId !== userId) {
+      throw algoError('No running execution algorithm with that id', 404);
+    }
+    return algo;
+  }
+
+  describe(algo) {
+    const { state } = algo;
+    const next = state.schedule[state.nextSlice];
+
+    return {
+      id: algo.id,
+      algorithm: algo.algorithm,
+      exchange: algo.exchange,
+      symbol: algo.symbol,
+      side: algo.side,
+      mode: algo.mode,
+      status: algo.status,
+      amount: algo.amount,
+      executedQty: state.executedQty,
+      averagePrice: state.executedQty > 0 ? state.executedValue / state.executedQty : null,
+      fees: state.fees,
+      limitPrice: state.limitPrice,
+      maxParticipation: state.maxParticipation,
+      slicesDone: state.nextSlice,
+      slices: state.schedule.length,
+      nextSliceAt: next && algo.status === 'pending' ? next.at : null,
+      startTime: state.startTime,
+      endTime: state.endTime,
+      reason: state.reason
+    };
+  }
+
+  // Average volume in each 15-minute bucket of the day over the last
+  // profileDays days, or null when klines are unavailable
+  async loadVolumeProfile(exchange, symbol) {
+    const source = KLINE_EXCHANGES.includes(exchange) ? exchange : 'binance';
+
+    try {
+      const klines = await marketDataService.getKlineData(
+        source, marketDataService.normalizeSymbol(symbol), PROFILE_INTERVAL, this.config.profileDays * BUCKETS_PER_DAY
+      );
+      if (!klines || klines.length === 0) {
+        return null;
+      }
+
+      const totals = new Array(BUCKETS_PER_DAY).fill(0);
+      const counts = new Array(BUCKETS_PER_DAY).fill(0);
+      for (const kline of klines) {
+        const bucket = Math.floor((kline.openTime % DAY_MS) / BUCKET_MS);
+        totals[bucket] += kline.volume;
+        counts[bucket] += 1;
+      }
+
+      // Buckets the history does not cover get the overall average
+      const average = klines.reduce((sum, kline) => sum + kline.volume, 0) / klines.length;
+      return totals.map((total, bucket) => (counts[bucket] ? total / counts[bucket] : average));
+    } catch (error) {
+      logger.warn('Failed to load volume profile', { exchange: source, symbol, error: error.message });
+      return null;
+    }
+  }
+
+  getCredentials(algo) {
+    return credentialVault.getCredentials(algo.userId, algo.exchange, 'execution_algorithm');
+  }
+}
+
+// trades.status for a child order: anything executed is booked as completed.
+// Children still open stay pending for the order tracker.
+function childStatus(result) {
+  if (!FINAL_STATUSES.includes(result.status)) {
+    return 'pending';
+  }
+  if (result.executedQty > 0) {
+    return 'completed';
+  }
+  return result.status === 'REJECTED' ? 'failed' : 'cancelled';
+}
+
+// Create and export singleton instance
+const executionEngine = new ExecutionEngine();
+
+module.exports = {
+  executionEngine,
+  ExecutionEngine,
+  buildSchedule,
+  expectedVolume,
+  ALGORITHMS
+};
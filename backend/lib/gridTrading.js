@@ -0,0 +1,408 @@
+// =============================================================================
+// Grid Trading Engine - Production Ready
+// =============================================================================
+// Maintains a ladder of buy/sell levels between two price bounds and re-arms
+// the opposite level whenever one fills. Levels are limit orders, so a level
+// stays pending while its order rests on the book and is settled with the
+// quantity that actually filled, as reported by the order tracker. Grid state
+// is persisted on the strategy row so ladders survive bot restarts.
+
+const { logger } = require('./logging');
+const { TradingStrategy, Trade } = require('./database');
+const { normalizeOrderStatus } = require('./exchangeAdapter');
+
+const SPACING_TYPES = ['arithmetic', 'geometric'];
+
+class GridTradingEngine {
+  constructor() {
+    // Active grids keyed by `${strategyId}:${symbol}`
+    this.grids = new Map();
+
+    this.defaults = {
+      spacing: 'arithmetic',
+      stopLossPercent: 0.05, // 5% beyond the outer bounds
+      confidence: 80
+    };
+  }
+
+  // Validate grid parameters from strategy.parameters
+  validateParameters(parameters = {}) {
+    const errors = [];
+    const lowerPrice = Number(parameters.lowerPrice);
+    const upperPrice = Number(parameters.upperPrice);
+    const gridCount = Number(parameters.gridCount);
+    const spacing = parameters.spacing || this.defaults.spacing;
+
+    // Price bounds only make sense for one market
+    if (!parameters.symbol) {
+      errors.push('symbol is required');
+    }
+    if (!(lowerPrice > 0)) {
+      errors.push('lowerPrice must be a positive number');
+    }
+    if (!(upperPrice > lowerPrice)) {
+      errors.push('upperPrice must be greater than lowerPrice');
+    }
+    if (!Number.isInteger(gridCount) || gridCount < 2) {
+      errors.push('gridCount must be an integer of at least 2');
+    }
+    if (!SPACING_TYPES.includes(spacing)) {
+      errors.push(`spacing must be one of: ${SPACING_TYPES.join(', ')}`);
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  // Compute gridCount + 1 price levels from lowerPrice to upperPrice
+  buildLevels({ lowerPrice, upperPrice, gridCount, spacing = this.defaults.spacing }) {
+    const levels = [];
+
+    if (spacing === 'geometric') {
+      const ratio = Math.pow(upperPrice / lowerPrice, 1 / gridCount);
+      for (let i = 0; i <= gridCount; i++) {
+        levels.push(lowerPrice * Math.pow(ratio, i));
+      }
+    } else {
+      const step = (upperPrice - lowerPrice) / gridCount;
+      for (let i = 0; i <= gridCount; i++) {
+        levels.push(lowerPrice + step * i);
+      }
+    }
+
+    // Pin the outer bounds exactly to avoid floating point drift
+    levels[0] = lowerPrice;
+    levels[gridCount] = upperPrice;
+
+    return levels;
+  }
+
+  // Create a fresh grid: levels below the current price wait to buy,
+  // sell levels are armed only once the buy beneath them fills
+  createGrid(strategy, symbol, currentPrice) {
+    const parameters = strategy.parameters || {};
+    const config = {
+      lowerPrice: Number(parameters.lowerPrice),
+      upperPrice: Number(parameters.upperPrice),
+      gridCount: Number(parameters.gridCount),
+      spacing: parameters.spacing || this.defaults.spacing
+    };
+
+    const prices = this.buildLevels(config);
+    const levels = prices.map((price, index) => {
+      const armBuy = price < currentPrice && index < config.gridCount;
+      return {
+        index,
+        price,
+        side: armBuy ? 'BUY' : null,
+        state: armBuy ? 'armed' : 'idle',
+        amount: null, // base quantity to sell, once a buy below has filled
+        order: null, // { exchange, orderId } while an order rests on the book
+        lastFillPrice: null,
+        lastFillAt: null
+      };
+    });
+
+    return {
+      symbol,
+      configKey: this.getConfigKey(config),
+      ...config,
+      levels,
+      stats: {
+        buys: 0,
+        sells: 0,
+        realizedProfit: 0
+      },
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+  }
+
+  // Load the grid from memory, the persisted strategy state, or build a new one
+  async getGrid(strategy, symbol, currentPrice) {
+    const key = this.getGridKey(strategy.id, symbol);
+    const configKey = this.getConfigKey(strategy.parameters);
+
+    let grid = this.grids.get(key);
+
+    if (!grid) {
+      const persisted = strategy.state?.[this.getStateKey(symbol)];
+      if (persisted && persisted.configKey === configKey) {
+        grid = await this.restoreGrid(strategy.id, persisted);
+        logger.info(`Restored grid for strategy ${strategy.id} on ${symbol}`, {
+          levels: grid.levels.length
+        });
+      }
+    }
+
+    if (!grid || grid.configKey !== configKey) {
+      grid = this.createGrid(strategy, symbol, currentPrice);
+      logger.info(`Created grid for strategy ${strategy.id} on ${symbol}`, {
+        lowerPrice: grid.lowerPrice,
+        upperPrice: grid.upperPrice,
+        gridCount: grid.gridCount,
+        spacing: grid.spacing
+      });
+      await this.persistGrid(strategy.id, grid);
+    }
+
+    this.grids.set(key, grid);
+    return grid;
+  }
+
+  // Orders resting when the bot stopped are settled from their trades rows,
+  // which the order tracker kept current. Signals that never became an order
+  // have no known outcome, so their levels are re-armed rather than left stuck
+  // as pending.
+  async restoreGrid(strategyId, persisted) {
+    const grid = {
+      ...persisted,
+      levels: persisted.levels.map(level => ({ ...level }))
+    };
+
+    for (const level of grid.levels) {
+      if (level.state !== 'pending') {continue;}
+      if (!level.order) {
+        level.state = 'armed';
+        continue;
+      }
+
+      try {
+        const trade = await Trade.findByOrderId(level.order.exchange, level.order.orderId);
+        if (trade) {
+          this.settleLevel(grid, level, this.toOrderUpdate(trade));
+        } else {
+          level.order = null;
+          level.state = 'armed';
+        }
+      } catch (error) {
+        // Left pending; the order tracker reports it once it changes
+        logger.error(`Failed to look up grid order for strategy ${strategyId}:`, error);
+      }
+    }
+
+    return grid;
+  }
+
+  // Emit signals for every armed level the current price has reached
+  async generateSignals(strategy, symbol, marketData) {
+    const parameters = strategy.parameters || {};
+
+    if (parameters.symbol && parameters.symbol !== symbol) {
+      return [];
+    }
+
+    const validation = this.validateParameters(parameters);
+    if (!validation.valid) {
+      logger.warn(`Invalid grid parameters for strategy ${strategy.id}`, {
+        errors: validation.errors
+      });
+      return [];
+    }
+
+    const currentPrice = marketData.price;
+    const grid = await this.getGrid(strategy, symbol, currentPrice);
+    const signals = [];
+
+    for (const level of grid.levels) {
+      if (level.state !== 'armed') {continue;}
+
+      const triggered = level.side === 'BUY' ? currentPrice <= level.price : currentPrice >= level.price;
+      if (!triggered) {continue;}
+
+      signals.push(this.createLevelSignal(strategy, grid, level));
+      level.state = 'pending';
+    }
+
+    if (signals.length > 0) {
+      grid.updatedAt = Date.now();
+      await this.persistGrid(strategy.id, grid);
+    }
+
+    return signals;
+  }
+
+  createLevelSignal(strategy, grid, level) {
+    const parameters = strategy.parameters || {};
+    const stopLossPercent = parameters.stopLossPercent || this.defaults.stopLossPercent;
+    const isBuy = level.side === 'BUY';
+    const target = grid.levels[isBuy ? level.index + 1 : level.index - 1];
+
+    return {
+      id: `grid_${strategy.id}_${grid.symbol}_${level.index}_${Date.now()}`,
+      symbol: grid.symbol,
+      action: level.side,
+      orderType: 'LIMIT',
+      entry: level.price,
+      amount: level.amount || this.getOrderAmount(parameters, grid, level.price),
+      stopLoss: isBuy ? grid.lowerPrice * (1 - stopLossPercent) : grid.upperPrice * (1 + stopLossPercent),
+      takeProfit: target.price,
+      confidence: parameters.confidence || this.defaults.confidence,
+      reasons: [`Grid level ${level.index} ${isBuy ? 'buy' : 'sell'} at ${level.price}`],
+      gridLevel: level.index,
+      timestamp: Date.now()
+    };
+  }
+
+  // Base quantity per level: explicit orderAmount, or investment split across the grid
+  getOrderAmount(parameters, grid, price) {
+    if (parameters.orderAmount) {
+      return Number(parameters.orderAmount);
+    }
+    if (parameters.investment) {
+      return Number(parameters.investment) / grid.gridCount / price;
+    }
+    return undefined;
+  }
+
+  // Called by the bot once a grid signal reaches a final state. fill is the
+  // order as the exchange first answered: { orderId, exchange, status,
+  // amount (executed quantity), price }.
+  async handleSignalOutcome(signal, status, fill = {}) {
+    const key = this.getGridKey(signal.strategyId, signal.symbol);
+    const grid = this.grids.get(key);
+    if (!grid || signal.gridLevel === undefined) {return;}
+
+    const level = grid.levels[signal.gridLevel];
+    if (!level || level.state !== 'pending') {return;}
+
+    if (status === 'executed') {
+      level.order = fill.orderId ? { exchange: fill.exchange, orderId: String(fill.orderId) } : null;
+      this.settleLevel(grid, level, { status: fill.status, executedQty: fill.amount, price: fill.price });
+    } else {
+      // Rejected or expired: wait for the price to come back to this level
+      level.state = 'armed';
+    }
+
+    grid.updatedAt = Date.now();
+    await this.persistGrid(signal.strategyId, grid);
+  }
+
+  // Called by the order tracker whenever a stored order changes. Resolves
+  // with whether it settled a grid level.
+  async handleOrderUpdate(trade) {
+    const pending = this.findPendingLevel(trade.exchange, trade.order_id);
+    if (!pending || !this.settleLevel(pending.grid, pending.level, this.toOrderUpdate(trade))) {return false;}
+
+    pending.grid.updatedAt = Date.now();
+    await this.persistGrid(pending.strategyId, pending.grid);
+    return true;
+  }
+
+  // The pending level waiting on an order. trades rows do not say which
+  // strategy placed them, so every grid is searched by the order itself.
+  findPendingLevel(exchange, orderId) {
+    if (!orderId) {return null;}
+
+    for (const [key, grid] of this.grids) {
+      const level = grid.levels.find(candidate => (
+        candidate.state === 'pending' &&
+        candidate.order &&
+        candidate.order.exchange === exchange &&
+        candidate.order.orderId === String(orderId)
+      ));
+      if (level) {
+        return { strategyId: key.slice(0, -(grid.symbol.length + 1)), grid, level };
+      }
+    }
+    return null;
+  }
+
+  // Book a level's order once it is done with the quantity that filled. While
+  // it is open (new or partially filled) the level stays pending. Returns
+  // whether the level was settled.
+  settleLevel(grid, level, order) {
+    if (normalizeOrderStatus(order.status) === 'pending') {return false;}
+
+    level.order = null;
+    if (order.executedQty > 0) {
+      this.applyFill(grid, level, order.price || level.price, order.executedQty);
+    } else {
+      // Cancelled or rejected without a fill: wait for the price to return
+      level.state = 'armed';
+    }
+    return true;
+  }
+
+  toOrderUpdate(trade) {
+    return {
+      status: trade.order_status,
+      executedQty: parseFloat(trade.executed_qty) || 0,
+      price: parseFloat(trade.price) || null
+    };
+  }
+
+  // A filled buy arms a sell one level up for the quantity bought; a filled
+  // sell arms a buy one level down
+  applyFill(grid, level, price, amount) {
+    const isBuy = level.side === 'BUY';
+    const opposite = grid.levels[isBuy ? level.index + 1 : level.index - 1];
+
+    level.state = 'idle';
+    level.side = null;
+    level.amount = null;
+    level.lastFillPrice = price;
+    level.lastFillAt = Date.now();
+
+    if (isBuy) {
+      grid.stats.buys++;
+    } else {
+      grid.stats.sells++;
+      const entry = opposite.lastFillPrice || opposite.price;
+      grid.stats.realizedProfit += (price - entry) * amount;
+    }
+
+    if (opposite && opposite.state !== 'pending') {
+      opposite.side = isBuy ? 'SELL' : 'BUY';
+      opposite.state = 'armed';
+      opposite.amount = isBuy ? amount : null;
+    }
+  }
+
+  async persistGrid(strategyId, grid) {
+    try {
+      await TradingStrategy.saveState(strategyId, this.getStateKey(grid.symbol), grid);
+    } catch (error) {
+      logger.error(`Failed to persist grid for strategy ${strategyId}:`, error);
+    }
+  }
+
+  // Summary of a strategy's grid for status reporting
+  getGridStatus(strategyId, symbol) {
+    const grid = this.grids.get(this.getGridKey(strategyId, symbol));
+    if (!grid) {return null;}
+
+    return {
+      symbol: grid.symbol,
+      lowerPrice: grid.lowerPrice,
+      upperPrice: grid.upperPrice,
+      gridCount: grid.gridCount,
+      spacing: grid.spacing,
+      armedBuys: grid.levels.filter(l => l.state === 'armed' && l.side === 'BUY').length,
+      armedSells: grid.levels.filter(l => l.state === 'armed' && l.side === 'SELL').length,
+      pending: grid.levels.filter(l => l.state === 'pending').length,
+      stats: grid.stats,
+      updatedAt: grid.updatedAt
+    };
+  }
+
+  getGridKey(strategyId, symbol) {
+    return `${strategyId}:${symbol}`;
+  }
+
+  getStateKey(symbol) {
+    return `grid_${symbol}`;
+  }
+
+  getConfigKey(parameters = {}) {
+    const spacing = parameters.spacing || this.defaults.spacing;
+    return `${Number(parameters.lowerPrice)}:${Number(parameters.upperPrice)}:${Number(parameters.gridCount)}:${spacing}`;
+  }
+}
+
+// Create and export singleton instance
+const gridTradingEngine = new GridTradingEngine();
+
+module.exports = {
+  gridTradingEngine,
+  GridTradingEngine
+};
@@ -449,8 +449,9 @@ class KeyManager {
     }
   }
   
-  // Get a key by ID
-  async getKey(keyId, incrementUsage = true) {
+  // Get a key by ID. allowRetired also returns keys retired by rotation, so
+  // data they protect can still be decrypted and re-encrypted under the new key.
+  async getKey(keyId, incrementUsage = true, allowRetired = false) {
     const start = Date.now();
     
     try {
@@ -463,14 +464,15 @@ class KeyManager {
         throw new Error(`Key not found: ${keyId}`);
       }
       
-      if (keyData.metadata.status !== 'active') {
+      const retired = allowRetired && keyData.metadata.status === 'expired';
+      if (keyData.metadata.status !== 'active' && !retired) {
         throw new Error(`Key is not active: ${keyData.metadata.status}`);
       }
       
       // Check if key is expired
       const now = new Date();
       const expiresAt = new Date(keyData.metadata.expiresAt);
-      if (now > expiresAt) {
+      if (now > expiresAt && !allowRetired) {
         keyData.metadata.status = 'expired';
         await this.saveKeys();
         throw new Error(`Key has expired: ${keyId}`);
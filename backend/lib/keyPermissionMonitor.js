@@ -0,0 +1,182 @@
+// =============================================================================
+// Key Permission Monitor - Production Ready
+// =============================================================================
+// What each exchange API key is allowed to do. Keys are verified when they are
+// configured. A key that can withdraw funds is refused, or accepted with a
+// warning when KEY_WITHDRAWAL_POLICY=flag. The permission snapshot is stored
+// on exchange_configs. Active keys are checked again every few hours; if the
+// permissions changed, the owner is told over the WebSocket server and the
+// change is recorded as a security event.
+
+const exchangeService = require('./exchangeService');
+const { logger } = require('./logging');
+const { ExchangeConfig } = require('./database');
+const { credentialVault } = require('./credentialVault');
+const { securityAudit } = require('./auditTrail');
+const { getWebSocketServer } = require('./websocketServer');
+
+const PERMISSIONS = ['read', 'trading', 'withdrawal', 'ipRestricted'];
+
+// Keys the caller has to replace; routes answer these with a 400
+const permissionError = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+class KeyPermissionMonitor {
+  constructor(config = {}) {
+    this.config = {
+      withdrawalPolicy: process.env.KEY_WITHDRAWAL_POLICY === 'flag' ? 'flag' : 'reject',
+      checkInterval: 6 * 60 * 60 * 1000, // how often each key is checked again
+      pollInterval: 10 * 60 * 1000, // how often to look for keys that are due
+      batchSize: 50,
+      ...config
+    };
+
+    this.timer = null;
+    this.checking = false;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.recheck().catch(error => logger.error('API key permission check failed:', error));
+    }, this.config.pollInterval);
+
+    logger.info('Key permission monitor started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Ask the exchange what a new key may do. Resolves with the snapshot to
+  // store; throws a 400 for keys the exchange refuses or that can withdraw.
+  async verify(exchange, { apiKey, secretKey, passphrase }) {
+    let permissions;
+    try {
+      permissions = await exchangeService.getKeyPermissions(exchange, apiKey, secretKey, passphrase);
+    } catch (error) {
+      throw permissionError(`API key verification failed on ${exchange}: ${error.message}`);
+    }
+
+    if (permissions.withdrawal && this.config.withdrawalPolicy === 'reject') {
+      throw permissionError('API keys with withdrawal permission are not accepted. Create a key without it and try again.');
+    }
+    return this.snapshot(permissions);
+  }
+
+  // Check a batch of active keys that are due. Resolves with the number whose
+  // permissions changed.
+  async recheck() {
+    if (this.checking) {
+      return 0;
+    }
+    this.checking = true;
+
+    let changed = 0;
+    try {
+      const checkedBefore = new Date(Date.now() - this.config.checkInterval);
+      const configs = await ExchangeConfig.findPermissionChecksDue(checkedBefore, this.config.batchSize);
+
+      for (const config of configs) {
+        try {
+          if (await this.check(config)) {
+            changed += 1;
+          }
+        } catch (error) {
+          logger.warn('Failed to check API key permissions', {
+            userId: config.user_id,
+            exchange: config.exchange,
+            error: error.message
+          });
+          // Keep the last snapshot and try again at the next interval
+          await ExchangeConfig.updatePermissions(config.id, null);
+        }
+      }
+    } finally {
+      this.checking = false;
+    }
+    return changed;
+  }
+
+  // Check one config and store the result. Resolves true when the owner was alerted.
+  async check(config) {
+    const { apiKey, secretKey, passphrase } = await credentialVault.openConfig(config, 'permission_check');
+    const snapshot = this.snapshot(await exchangeService.getKeyPermissions(config.exchange, apiKey, secretKey, passphrase));
+    await ExchangeConfig.updatePermissions(config.id, snapshot);
+
+    const previous = config.permissions;
+    const changes = previous ? this.diff(previous, snapshot) : [];
+    // Configs saved before keys were verified are only worth an alert if they can withdraw
+    if (changes.length === 0 && (previous || !snapshot.withdrawal)) {
+      return false;
+    }
+
+    this.alert(config, snapshot, changes);
+    return true;
+  }
+
+  snapshot(permissions) {
+    return {
+      ...permissions,
+      warnings: this.assess(permissions),
+      checkedAt: new Date().toISOString()
+    };
+  }
+
+  // Things about a key its owner should know
+  assess(permissions) {
+    const warnings = [];
+    if (permissions.withdrawal) {
+      warnings.push('withdrawal_enabled');
+    } else if (permissions.withdrawal === null) {
+      warnings.push('withdrawal_unverified');
+    }
+    if (permissions.trading === false) {
+      warnings.push('trading_disabled');
+    }
+    if (permissions.ipRestricted === false) {
+      warnings.push('ip_unrestricted');
+    }
+    return warnings;
+  }
+
+  diff(previous, current) {
+    return PERMISSIONS
+      .filter(permission => previous[permission] !== current[permission])
+      .map(permission => ({ permission, from: previous[permission], to: current[permission] }));
+  }
+
+  alert(config, snapshot, changes) {
+    const details = { userId: config.user_id, exchange: config.exchange, changes, warnings: snapshot.warnings };
+    logger.warn('Exchange API key permissions changed', details);
+    securityAudit.securityEvent('exchange_key_permissions_changed', snapshot.withdrawal ? 'high' : 'medium', details);
+
+    const wsServer = getWebSocketServer();
+    if (!wsServer) {
+      return;
+    }
+
+    wsServer.sendToUser(config.user_id, {
+      type: 'key_permissions_changed',
+      data: {
+        exchange: config.exchange,
+        changes,
+        permissions: snapshot,
+        timestamp: Date.now()
+      }
+    });
+  }
+}
+
+// Create and export singleton instance
+const keyPermissionMonitor = new KeyPermissionMonitor();
+
+module.exports = {
+  keyPermissionMonitor,
+  KeyPermissionMonitor
+};
@@ -0,0 +1,271 @@
+// =============================================================================
+// Market Data Replay - Production Ready
+// =============================================================================
+// Records the ticker, kline and depth events marketDataService publishes to a
+// gzipped file and plays them back through marketDataService.publish, so the
+// bot, risk checks and websocket fan-out see exactly what they saw live
+// without an exchange connection. A recording is newline-delimited JSON: a
+// header line, then one { at, type, data } line per event.
+//
+// Playback runs at the recorded pace (speed 1), N times faster (speed N) or
+// one event per step() call (speed 'step') for tests. Set
+// MARKET_DATA_REPLAY_FILE to run the server from a recording instead of the
+// exchanges, and MARKET_DATA_RECORD_FILE to capture one.
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const { finished } = require('stream/promises');
+const marketDataService = require('./marketDataService');
+const { logger } = require('./logging');
+
+const FORMAT_VERSION = 1;
+const RECORDED_TYPES = ['ticker', 'kline', 'depth'];
+
+function replayError(message) {
+  return Object.assign(new Error(message), { statusCode: 400 });
+}
+
+class MarketDataRecorder {
+  constructor(file, options = {}) {
+    this.file = file;
+    this.types = options.types || RECORDED_TYPES;
+    this.symbols = options.symbols || null; // null records every symbol
+    this.events = 0;
+    this.stream = null;
+    this.output = null;
+    this.unsubscribe = null;
+  }
+
+  start() {
+    if (this.stream) {
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    this.stream = zlib.createGzip();
+    this.output = fs.createWriteStream(this.file);
+    this.stream.pipe(this.output);
+    this.write({
+      version: FORMAT_VERSION,
+      startedAt: Date.now(),
+      types: this.types,
+      symbols: this.symbols
+    });
+
+    this.unsubscribe = marketDataService.subscribeAll((type, data) => this.record(type, data));
+    logger.info('Market data recording started', { file: this.file });
+  }
+
+  record(type, data) {
+    if (!this.types.includes(type) || (this.symbols && !this.symbols.includes(data.symbol))) {
+      return;
+    }
+    this.write({ at: Date.now(), type, data });
+    this.events++;
+  }
+
+  write(line) {
+    this.stream.write(`${JSON.stringify(line)}\n`);
+  }
+
+  // Flush and close the file. Resolves once it is complete on disk.
+  async stop() {
+    if (!this.stream) {
+      return { file: this.file, events: this.events };
+    }
+
+    this.unsubscribe();
+    this.stream.end();
+    await finished(this.output);
+    this.stream = null;
+    this.output = null;
+
+    logger.info('Market data recording stopped', { file: this.file, events: this.events });
+    return { file: this.file, events: this.events };
+  }
+}
+
+class MarketDataPlayer {
+  constructor(file, options = {}) {
+    this.file = file;
+    this.config = {
+      speed: 1, // 1 = recorded pace, N = N times faster, 'step' = step() only
+      maxDelay: 5000, // ms cap on any single wait, so recorded gaps do not stall
+      shiftTimestamps: false, // move data.timestamp to the replay clock
+      ...options
+    };
+    if (this.config.speed !== 'step' && !(this.config.speed > 0)) {
+      throw replayError(`Invalid replay speed: ${this.config.speed}`);
+    }
+
+    this.header = null;
+    this.lines = null;
+    this.reader = null;
+    this.lastAt = null;
+    this.events = 0;
+    this.stopped = false;
+    this.wait = null;
+  }
+
+  // Read and check the header. Called by play() and step() if needed.
+  async open() {
+    if (this.lines) {
+      return this.header;
+    }
+    if (!fs.existsSync(this.file)) {
+      throw replayError(`Replay file not found: ${this.file}`);
+    }
+
+    this.reader = readline.createInterface({
+      input: fs.createReadStream(this.file).pipe(zlib.createGunzip()),
+      crlfDelay: Infinity
+    });
+    this.lines = this.reader[Symbol.asyncIterator]();
+
+    const header = await this.readLine();
+    if (!header || header.version !== FORMAT_VERSION) {
+      this.close();
+      throw replayError(`Unsupported replay file: ${this.file}`);
+    }
+    this.header = header;
+    return header;
+  }
+
+  async readLine() {
+    const { value, done } = await this.lines.next();
+    return done ? null : JSON.parse(value);
+  }
+
+  // Next recorded event, or null at the end of the file
+  async next() {
+    await this.open();
+    let event = await this.readLine();
+    while (event !== null && !event.type) {
+      event = await this.readLine();
+    }
+    return event;
+  }
+
+  // Publish the next event immediately. Resolves with it, or null at the end.
+  async step() {
+    const event = await this.next();
+    if (event) {
+      this.publish(event);
+    }
+    return event;
+  }
+
+  // Publish every event at the configured speed. Resolves with the number
+  // published once the file ends or stop() is called.
+  async play() {
+    if (this.config.speed === 'step') {
+      throw replayError('Step replays are driven by step()');
+    }
+
+    await this.open();
+    for (let event = await this.next(); event && !this.stopped; event = await this.next()) {
+      if (this.lastAt !== null) {
+        await this.sleep(Math.min((event.at - this.lastAt) / this.config.speed, this.config.maxDelay));
+      }
+      if (this.stopped) {
+        break;
+      }
+      this.publish(event);
+    }
+
+    this.close();
+    return this.events;
+  }
+
+  publish(event) {
+    const data = this.config.shiftTimestamps && event.data.timestamp
+      ? { ...event.data, timestamp: event.data.timestamp + Date.now() - event.at }
+      : event.data;
+    this.lastAt = event.at;
+    this.events++;
+    marketDataService.publish(event.type, data);
+  }
+
+  sleep(ms) {
+    if (!(ms > 0)) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => {
+      this.wait = { timer: setTimeout(resolve, ms), resolve };
+    }).finally(() => {
+      this.wait = null;
+    });
+  }
+
+  stop() {
+    this.stopped = true;
+    if (this.wait) {
+      clearTimeout(this.wait.timer);
+      this.wait.resolve();
+    }
+    this.close();
+  }
+
+  close() {
+    if (this.reader) {
+      this.reader.close();
+    }
+  }
+}
+
+// Starts the recording and replay configured in the environment alongside
+// the server
+class MarketDataReplay {
+  constructor(config = {}) {
+    this.config = {
+      recordFile: process.env.MARKET_DATA_RECORD_FILE || '',
+      replayFile: process.env.MARKET_DATA_REPLAY_FILE || '',
+      speed: process.env.MARKET_DATA_REPLAY_SPEED ? parseFloat(process.env.MARKET_DATA_REPLAY_SPEED) : 1,
+      ...config
+    };
+    this.recorder = null;
+    this.player = null;
+  }
+
+  start() {
+    if (this.config.recordFile && !this.recorder) {
+      this.recorder = new MarketDataRecorder(this.config.recordFile);
+      this.recorder.start();
+    }
+
+    if (this.config.replayFile && !this.player) {
+      const player = new MarketDataPlayer(this.config.replayFile, {
+        speed: this.config.speed,
+        shiftTimestamps: true
+      });
+      this.player = player;
+      logger.info('Market data replay started', { file: this.config.replayFile, speed: this.config.speed });
+      player.play()
+        .then(events => logger.info('Market data replay finished', { file: this.config.replayFile, events }))
+        .catch(error => logger.error('Market data replay failed:', error));
+    }
+  }
+
+  async stop() {
+    if (this.player) {
+      this.player.stop();
+      this.player = null;
+    }
+    if (this.recorder) {
+      await this.recorder.stop();
+      this.recorder = null;
+    }
+  }
+}
+
+// Create and export singleton instance
+const marketDataReplay = new MarketDataReplay();
+
+module.exports = {
+  marketDataReplay,
+  MarketDataReplay,
+  MarketDataRecorder,
+  MarketDataPlayer
+};
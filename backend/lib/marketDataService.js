@@ -4,8 +4,9 @@
 // Comprehensive market data integration with real exchange APIs
 
 const axios = require('axios');
-const WebSocket = require('ws');
 const { logger } = require('./logging');
+const { technicalIndicators } = require('./technicalIndicators');
+const { FEEDS } = require('./marketFeeds');
 
 class MarketDataService {
   constructor() {
@@ -28,13 +29,18 @@ class MarketDataService {
       }
     };
 
-    this.wsConnections = new Map();
+    this.feeds = new Map();
     this.priceData = new Map();
     this.klineData = new Map();
     this.orderBookData = new Map();
     this.subscribers = new Map();
+    this.taps = new Set();
+    this.collectionTimer = null;
 
-    this.startDataCollection();
+    // A replayed recording (see marketDataReplay) stands in for the exchanges
+    if (!process.env.MARKET_DATA_REPLAY_FILE) {
+      this.startDataCollection();
+    }
   }
 
   // Rate limiting helper
@@ -69,14 +75,14 @@ class MarketDataService {
       case 'wazirx': {
         url = `${this.exchanges.wazirx.baseUrl}/ticker/24hr`;
         response = await axios.get(url);
-        const wazirxData = response.data.find(item => item.symbol === symbol);
+        const wazirxData = response.data.find(item => this.normalizeSymbol(item.symbol) === this.normalizeSymbol(symbol));
         return wazirxData ? this.parseWazirxTicker(wazirxData) : null;
       }
 
       case 'coindcx': {
         url = `${this.exchanges.coindcx.baseUrl}/ticker`;
         response = await axios.get(url);
-        const coindcxData = response.data.find(item => item.market === symbol);
+        const coindcxData = response.data.find(item => this.normalizeSymbol(item.market) === this.normalizeSymbol(symbol));
         return coindcxData ? this.parseCoindcxTicker(coindcxData) : null;
       }
 
@@ -89,8 +95,18 @@ class MarketDataService {
     }
   }
 
-  // Fetch kline/candlestick data
-  async getKlineData(exchange, symbol, interval = '1m', limit = 100) {
+  // Canonical symbol form used across the platform: 'btcusdt', 'BTC/USDT',
+  // 'BTC-USDT' and CoinDCX pairs like 'B-BTC_USDT' all become 'BTCUSDT'
+  normalizeSymbol(symbol) {
+    return String(symbol || '')
+      .toUpperCase()
+      .replace(/^[A-Z]-(?=[A-Z0-9]+_)/, '')
+      .replace(/[^A-Z0-9]/g, '');
+  }
+
+  // Fetch kline/candlestick data. startTime / endTime (epoch ms) select a
+  // range instead of the latest candles where the exchange supports it.
+  async getKlineData(exchange, symbol, interval = '1m', limit = 100, { startTime, endTime } = {}) {
     try {
       await this.rateLimit(exchange);
 
@@ -99,6 +115,12 @@ class MarketDataService {
       switch (exchange) {
       case 'binance':
         url = `${this.exchanges.binance.baseUrl}/api/v3/klines?symbol=${symbol}&interval=${interval}&limit=${limit}`;
+        if (startTime !== undefined) {
+          url += `&startTime=${startTime}`;
+        }
+        if (endTime !== undefined) {
+          url += `&endTime=${endTime}`;
+        }
         response = await axios.get(url);
         return this.parseBinanceKlines(response.data, symbol, interval);
 
@@ -155,51 +177,74 @@ class MarketDataService {
     }
   }
 
-  // Start WebSocket connections for real-time data
+  // Start WebSocket feeds for real-time data from every exchange
   startWebSocketConnections(symbols = ['BTCUSDT', 'ETHUSDT', 'BNBUSDT']) {
-    // Binance WebSocket
-    this.startBinanceWebSocket(symbols);
+    this.stopWebSocketConnections();
 
-    // Add other exchange WebSockets as needed
+    for (const [exchange, Feed] of Object.entries(FEEDS)) {
+      const feed = new Feed({ symbols });
+      for (const type of ['ticker', 'kline', 'trade', 'depth']) {
+        feed.on(type, data => this.publish(type, data));
+      }
+      feed.start();
+      this.feeds.set(exchange, feed);
+    }
   }
 
-  startBinanceWebSocket(symbols) {
-    const streams = symbols.map(symbol => `${symbol.toLowerCase()}@ticker`).join('/');
-    const wsUrl = `${this.exchanges.binance.wsUrl}/${streams}`;
-
-    const ws = new WebSocket(wsUrl);
+  stopWebSocketConnections() {
+    this.feeds.forEach(feed => feed.stop());
+    this.feeds.clear();
+  }
 
-    ws.on('open', () => {
-      logger.info('Binance WebSocket connected');
-    });
+  // Connection state, message age and order book sync per feed
+  getFeedHealth() {
+    return Array.from(this.feeds.values(), feed => feed.getHealth());
+  }
 
-    ws.on('message', (data) => {
-      try {
-        const message = JSON.parse(data);
-        this.handleBinanceTickerUpdate(message);
-      } catch (error) {
-        logger.error('Error parsing WebSocket message:', error);
-      }
-    });
+  // The L2 book a feed maintains for symbol, or null while it is out of
+  // sync. Without a feed (e.g. during a replay) the last published book.
+  getOrderBook(exchange, symbol, depth = Infinity) {
+    const feed = this.feeds.get(exchange);
+    if (feed) {
+      return feed.getOrderBook(symbol, depth);
+    }
 
-    ws.on('error', (error) => {
-      logger.error('Binance WebSocket error:', error);
-    });
+    const orderBook = this.orderBookData.get(`${exchange}_${symbol}`);
+    return orderBook ? { ...orderBook, bids: orderBook.bids.slice(0, depth), asks: orderBook.asks.slice(0, depth) } : null;
+  }
 
-    ws.on('close', () => {
-      logger.info('Binance WebSocket disconnected, reconnecting...');
-      setTimeout(() => this.startBinanceWebSocket(symbols), 5000);
-    });
+  // Entry point for streamed events, live or replayed: updates the latest
+  // data and notifies subscribers
+  publish(type, data) {
+    switch (type) {
+    case 'ticker':
+      this.handleTickerUpdate(data);
+      break;
+    case 'kline':
+      this.handleKlineUpdate(data);
+      break;
+    case 'depth':
+      this.handleOrderBookUpdate(data);
+      break;
+    default:
+      this.notifySubscribers(type, data);
+      break;
+    }
+  }
 
-    this.wsConnections.set('binance', ws);
+  handleTickerUpdate(ticker) {
+    this.priceData.set(`${ticker.exchange}_${ticker.symbol}`, ticker);
+    this.notifySubscribers('ticker', ticker);
   }
 
-  handleBinanceTickerUpdate(data) {
-    const ticker = this.parseBinanceTicker(data);
-    this.priceData.set(ticker.symbol, ticker);
+  handleKlineUpdate(kline) {
+    this.klineData.set(`${kline.exchange}_${kline.symbol}_${kline.interval}`, kline);
+    this.notifySubscribers('kline', kline);
+  }
 
-    // Notify subscribers
-    this.notifySubscribers('ticker', ticker);
+  handleOrderBookUpdate(orderBook) {
+    this.orderBookData.set(`${orderBook.exchange}_${orderBook.symbol}`, orderBook);
+    this.notifySubscribers('depth', orderBook);
   }
 
   // Parse exchange-specific data formats
@@ -312,7 +357,7 @@ class MarketDataService {
   // Start continuous data collection
   startDataCollection() {
     // Collect ticker data every 5 seconds
-    setInterval(async() => {
+    this.collectionTimer = setInterval(async() => {
       try {
         const symbols = ['BTCUSDT', 'ETHUSDT', 'BNBUSDT', 'ADAUSDT', 'XRPUSDT'];
 
@@ -337,6 +382,14 @@ class MarketDataService {
     this.startWebSocketConnections();
   }
 
+  stopDataCollection() {
+    if (this.collectionTimer) {
+      clearInterval(this.collectionTimer);
+      this.collectionTimer = null;
+    }
+    this.stopWebSocketConnections();
+  }
+
   // Subscribe to real-time updates
   subscribe(type, symbol, callback) {
     const key = `${type}_${symbol}`;
@@ -346,6 +399,13 @@ class MarketDataService {
     this.subscribers.get(key).push(callback);
   }
 
+  // Receive every event of every type and symbol, e.g. to record them.
+  // Returns a function that unsubscribes.
+  subscribeAll(callback) {
+    this.taps.add(callback);
+    return () => this.taps.delete(callback);
+  }
+
   // Notify subscribers
   notifySubscribers(type, data) {
     const key = `${type}_${data.symbol}`;
@@ -357,87 +417,48 @@ class MarketDataService {
         logger.error('Subscriber callback error:', error);
       }
     });
+    this.taps.forEach(callback => {
+      try {
+        callback(type, data);
+      } catch (error) {
+        logger.error('Subscriber callback error:', error);
+      }
+    });
   }
 
-  // Get current price data
+  // One exchange's latest ticker, Binance's unless exchange is given. Use
+  // consolidatedQuotes for a price across every exchange.
   getCurrentPrice(symbol, exchange = 'binance') {
     return this.priceData.get(`${exchange}_${symbol}`) || this.priceData.get(symbol);
   }
 
+  // Latest ticker for symbol from each exchange that has one
+  getTickers(symbol) {
+    return Object.keys(this.exchanges)
+      .map(exchange => this.priceData.get(`${exchange}_${symbol}`))
+      .filter(Boolean);
+  }
+
   // Get all price data
   getAllPrices() {
     return Array.from(this.priceData.values());
   }
 
-  // Calculate technical indicators
+  // Calculate technical indicators (latest values; see technicalIndicators for series)
   calculateRSI(prices, period = 14) {
-    if (prices.length < period + 1) {return null;}
-
-    let gains = 0;
-    let losses = 0;
-
-    for (let i = 1; i <= period; i++) {
-      const change = prices[i] - prices[i - 1];
-      if (change > 0) {gains += change;}
-      else {losses -= change;}
-    }
-
-    const avgGain = gains / period;
-    const avgLoss = losses / period;
-
-    if (avgLoss === 0) {return 100;}
-
-    const rs = avgGain / avgLoss;
-    return 100 - (100 / (1 + rs));
+    return technicalIndicators.latest(technicalIndicators.rsi(prices, period));
   }
 
-  calculateMACD(prices, fastPeriod = 12, slowPeriod = 26, _signalPeriod = 9) {
-    if (prices.length < slowPeriod) {return null;}
-
-    const emaFast = this.calculateEMA(prices, fastPeriod);
-    const emaSlow = this.calculateEMA(prices, slowPeriod);
-
-    if (!emaFast || !emaSlow) {return null;}
-
-    const macdLine = emaFast - emaSlow;
-    // For simplicity, we'll use a basic signal line calculation
-    const signalLine = macdLine * 0.9; // Simplified signal line
-    const histogram = macdLine - signalLine;
-
-    return {
-      macd: macdLine,
-      signal: signalLine,
-      histogram: histogram
-    };
+  calculateMACD(prices, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+    return technicalIndicators.latest(technicalIndicators.macd(prices, fastPeriod, slowPeriod, signalPeriod));
   }
 
   calculateEMA(prices, period) {
-    if (prices.length < period) {return null;}
-
-    const multiplier = 2 / (period + 1);
-    let ema = prices[0];
-
-    for (let i = 1; i < prices.length; i++) {
-      ema = (prices[i] * multiplier) + (ema * (1 - multiplier));
-    }
-
-    return ema;
+    return technicalIndicators.latest(technicalIndicators.ema(prices, period));
   }
 
   calculateBollingerBands(prices, period = 20, stdDev = 2) {
-    if (prices.length < period) {return null;}
-
-    const recentPrices = prices.slice(-period);
-    const sma = recentPrices.reduce((sum, price) => sum + price, 0) / period;
-
-    const variance = recentPrices.reduce((sum, price) => sum + Math.pow(price - sma, 2), 0) / period;
-    const standardDeviation = Math.sqrt(variance);
-
-    return {
-      upper: sma + (stdDev * standardDeviation),
-      middle: sma,
-      lower: sma - (stdDev * standardDeviation)
-    };
+    return technicalIndicators.latest(technicalIndicators.bollingerBands(prices, period, stdDev));
   }
 }
 
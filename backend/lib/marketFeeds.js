@@ -0,0 +1,711 @@
+// =============================================================================
+// Market Data Feeds - Production Ready
+// =============================================================================
+// Public WebSocket market data from Binance, WazirX and CoinDCX. Each feed
+// holds one connection for its symbols and emits normalised ticker, kline,
+// trade and depth events using canonical symbols ('BTCUSDT'). A feed that
+// closes reconnects with exponential backoff, and one that stays silent for
+// longer than heartbeatTimeout is treated as dead and reconnected. Binance
+// depth diffs are applied on top of a REST snapshot; a missed update id
+// marks the book unsynced and fetches a fresh snapshot.
+
+const { EventEmitter } = require('events');
+const axios = require('axios');
+const WebSocket = require('ws');
+const { logger } = require('./logging');
+const { splitSymbol } = require('./paperExchange');
+
+const STREAMS = ['ticker', 'kline', 'trade', 'depth'];
+
+// One exchange's L2 book for a symbol, as price -> quantity per side
+class OrderBook {
+  constructor(exchange, symbol) {
+    this.exchange = exchange;
+    this.symbol = symbol;
+    this.bids = new Map();
+    this.asks = new Map();
+    this.lastUpdateId = null;
+    this.synced = false;
+    this.resyncs = 0;
+    this.updatedAt = null;
+  }
+
+  // Replace the book with a snapshot of [price, quantity] levels
+  reset({ bids, asks, lastUpdateId = null }) {
+    this.bids = new Map();
+    this.asks = new Map();
+    this.setLevels(this.bids, bids);
+    this.setLevels(this.asks, asks);
+    this.lastUpdateId = lastUpdateId;
+    this.synced = true;
+    this.updatedAt = Date.now();
+  }
+
+  // Apply a diff covering update ids firstUpdateId..lastUpdateId. Returns
+  // 'applied', 'stale' when the book already has it, or 'gap' when updates
+  // in between were missed.
+  apply({ firstUpdateId, lastUpdateId, bids, asks }) {
+    if (lastUpdateId <= this.lastUpdateId) {
+      return 'stale';
+    }
+    if (firstUpdateId > this.lastUpdateId + 1) {
+      return 'gap';
+    }
+
+    this.setLevels(this.bids, bids);
+    this.setLevels(this.asks, asks);
+    this.lastUpdateId = lastUpdateId;
+    this.updatedAt = Date.now();
+    return 'applied';
+  }
+
+  invalidate() {
+    this.synced = false;
+    this.resyncs += 1;
+  }
+
+  // A quantity of 0 removes the level
+  setLevels(side, levels) {
+    for (const [price, quantity] of levels) {
+      const amount = parseFloat(quantity);
+      if (amount === 0) {
+        side.delete(parseFloat(price));
+      } else {
+        side.set(parseFloat(price), amount);
+      }
+    }
+  }
+
+  // Best-first [price, quantity] levels, the shape getOrderBookData returns
+  snapshot(depth = 100) {
+    return {
+      exchange: this.exchange,
+      symbol: this.symbol,
+      bids: [...this.bids].sort((a, b) => b[0] - a[0]).slice(0, depth),
+      asks: [...this.asks].sort((a, b) => a[0] - b[0]).slice(0, depth),
+      lastUpdateId: this.lastUpdateId,
+      timestamp: this.updatedAt
+    };
+  }
+}
+
+// Connection lifecycle shared by the exchange feeds. Subclasses build the URL,
+// subscribe once connected and turn raw messages into events.
+class MarketFeed extends EventEmitter {
+  constructor(exchange, config = {}) {
+    super();
+    this.exchange = exchange;
+    this.config = {
+      url: null,
+      symbols: [],
+      streams: STREAMS,
+      klineIntervals: ['1m'],
+      depthLevels: 100, // levels included in depth events
+      heartbeatInterval: 15000, // how often to ping and check for silence
+      heartbeatTimeout: 60000, // silence after which the connection is dropped
+      reconnectDelay: 1000, // doubled on each failed attempt
+      maxReconnectDelay: 60000,
+      ...config
+    };
+
+    this.ws = null;
+    this.books = new Map();
+    this.state = 'stopped';
+    this.attempts = 0;
+    this.reconnects = 0;
+    this.connectedAt = null;
+    this.lastMessageAt = null;
+    this.lastError = null;
+    this.heartbeatTimer = null;
+    this.reconnectTimer = null;
+  }
+
+  start() {
+    if (this.state !== 'stopped') {
+      return;
+    }
+    this.connect();
+  }
+
+  stop() {
+    this.state = 'stopped';
+    this.clearTimers();
+    if (this.ws) {
+      this.ws.removeAllListeners();
+      this.ws.on('error', () => {});
+      this.ws.terminate();
+      this.ws = null;
+    }
+  }
+
+  connect() {
+    this.state = 'connecting';
+    const ws = new WebSocket(this.url());
+    this.ws = ws;
+
+    ws.on('open', () => {
+      this.state = 'connected';
+      this.attempts = 0;
+      this.connectedAt = Date.now();
+      this.lastMessageAt = Date.now();
+      this.heartbeatTimer = setInterval(() => this.heartbeat(), this.config.heartbeatInterval);
+      this.onOpen();
+      logger.info(`${this.exchange} market data feed connected`);
+    });
+
+    ws.on('message', (data) => {
+      this.lastMessageAt = Date.now();
+      try {
+        this.handleMessage(data.toString());
+      } catch (error) {
+        logger.warn(`Failed to handle ${this.exchange} market data message`, { error: error.message });
+      }
+    });
+
+    ws.on('pong', () => {
+      this.lastMessageAt = Date.now();
+    });
+
+    ws.on('error', (error) => {
+      this.lastError = error.message;
+      logger.warn(`${this.exchange} market data feed error`, { error: error.message });
+    });
+
+    ws.on('close', () => {
+      this.clearTimers();
+      this.connectedAt = null;
+      // Depth missed while disconnected; books resync from the next update
+      this.books.forEach(book => {
+        book.synced = false;
+      });
+      this.onClose();
+      if (this.state !== 'stopped') {
+        this.scheduleReconnect();
+      }
+    });
+  }
+
+  // Drop connections that went quiet; ping the rest
+  heartbeat() {
+    const silence = Date.now() - this.lastMessageAt;
+    if (silence > this.config.heartbeatTimeout) {
+      logger.warn(`${this.exchange} market data feed silent for ${silence}ms, reconnecting`);
+      this.lastError = 'Heartbeat timeout';
+      this.ws.terminate();
+      return;
+    }
+    this.ping();
+  }
+
+  scheduleReconnect() {
+    const delay = Math.min(this.config.reconnectDelay * 2 ** this.attempts, this.config.maxReconnectDelay);
+    this.attempts += 1;
+    this.reconnects += 1;
+    this.state = 'reconnecting';
+    logger.info(`${this.exchange} market data feed disconnected, reconnecting in ${delay}ms`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+  }
+
+  clearTimers() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+  }
+
+  send(payload) {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(typeof payload === 'string' ? payload : JSON.stringify(payload));
+    }
+  }
+
+  wants(stream) {
+    return this.config.streams.includes(stream);
+  }
+
+  book(symbol) {
+    if (!this.books.has(symbol)) {
+      this.books.set(symbol, new OrderBook(this.exchange, symbol));
+    }
+    return this.books.get(symbol);
+  }
+
+  // Best-first levels of symbol's book, or null while it is out of sync
+  getOrderBook(symbol, depth = this.config.depthLevels) {
+    const book = this.books.get(symbol);
+    return book && book.synced ? book.snapshot(depth) : null;
+  }
+
+  // Replace a book with a full snapshot pushed by the exchange, ignoring
+  // snapshots older than the one it has
+  replaceBook(symbol, snapshot) {
+    const book = this.book(symbol);
+    if (book.synced && snapshot.lastUpdateId !== null && snapshot.lastUpdateId <= book.lastUpdateId) {
+      return;
+    }
+    book.reset(snapshot);
+    this.emit('depth', book.snapshot(this.config.depthLevels));
+  }
+
+  // Apply a diff to a synced book. Returns false when the book lost sync.
+  applyDepth(symbol, update) {
+    const book = this.book(symbol);
+    const result = book.apply(update);
+    if (result === 'gap') {
+      logger.warn(`${this.exchange} order book missed depth updates, resyncing`, {
+        symbol,
+        expected: book.lastUpdateId + 1,
+        received: update.firstUpdateId
+      });
+      book.invalidate();
+      this.resync(symbol);
+      return false;
+    }
+    if (result === 'applied') {
+      this.emit('depth', book.snapshot(this.config.depthLevels));
+    }
+    return true;
+  }
+
+  // Overridden by feeds that sequence depth diffs
+  resync(_symbol) {}
+
+  getHealth() {
+    const now = Date.now();
+    return {
+      exchange: this.exchange,
+      status: this.state,
+      symbols: this.config.symbols,
+      streams: this.config.streams,
+      connectedAt: this.connectedAt ? new Date(this.connectedAt).toISOString() : null,
+      lastMessageAt: this.lastMessageAt ? new Date(this.lastMessageAt).toISOString() : null,
+      messageAge: this.lastMessageAt ? now - this.lastMessageAt : null,
+      reconnects: this.reconnects,
+      lastError: this.lastError,
+      books: [...this.books.values()].map(book => ({
+        symbol: book.symbol,
+        synced: book.synced,
+        lastUpdateId: book.lastUpdateId,
+        resyncs: book.resyncs
+      }))
+    };
+  }
+
+  // Keep-alive sent every heartbeatInterval; exchanges that expect an
+  // application-level ping override it
+  ping() {
+    this.ws.ping();
+  }
+
+  onOpen() {}
+
+  onClose() {}
+}
+
+// Binance combined streams. Depth diffs carry first (U) and last (u) update
+// ids and are sequenced against a /api/v3/depth snapshot.
+class BinanceFeed extends MarketFeed {
+  constructor(config = {}) {
+    super('binance', {
+      url: 'wss://stream.binance.com:9443/stream',
+      restUrl: 'https://api.binance.com',
+      snapshotLimit: 1000,
+      ...config
+    });
+
+    // Diffs received while a book's snapshot is in flight, by symbol
+    this.pending = new Map();
+  }
+
+  url() {
+    const streams = this.config.symbols.flatMap(symbol => {
+      const name = symbol.toLowerCase();
+      return [
+        ...(this.wants('ticker') ? [`${name}@ticker`] : []),
+        ...(this.wants('kline') ? this.config.klineIntervals.map(interval => `${name}@kline_${interval}`) : []),
+        ...(this.wants('trade') ? [`${name}@trade`] : []),
+        ...(this.wants('depth') ? [`${name}@depth@100ms`] : [])
+      ];
+    });
+    return `${this.config.url}?streams=${streams.join('/')}`;
+  }
+
+  onClose() {
+    this.pending.clear();
+  }
+
+  handleMessage(raw) {
+    const { data } = JSON.parse(raw);
+    if (!data) {
+      return;
+    }
+
+    switch (data.e) {
+    case '24hrTicker':
+      this.emit('ticker', this.parseTicker(data));
+      break;
+    case 'kline':
+      this.emit('kline', this.parseKline(data));
+      break;
+    case 'trade':
+      this.emit('trade', this.parseTrade(data));
+      break;
+    case 'depthUpdate':
+      this.handleDepth(data.s, { firstUpdateId: data.U, lastUpdateId: data.u, bids: data.b, asks: data.a });
+      break;
+    default:
+      break;
+    }
+  }
+
+  handleDepth(symbol, update) {
+    const buffered = this.pending.get(symbol);
+    if (buffered) {
+      buffered.push(update);
+      return;
+    }
+    if (!this.book(symbol).synced) {
+      this.resync(symbol, [update]);
+      return;
+    }
+    this.applyDepth(symbol, update);
+  }
+
+  // Fetch a snapshot and replay the diffs buffered meanwhile on top of it.
+  // Diffs the snapshot already covers are dropped as stale.
+  resync(symbol, buffered = []) {
+    this.pending.set(symbol, buffered);
+
+    this.fetchSnapshot(symbol)
+      .then(snapshot => {
+        const updates = this.pending.get(symbol);
+        if (!updates) {
+          return; // disconnected while fetching
+        }
+        this.pending.delete(symbol);
+
+        const book = this.book(symbol);
+        book.reset(snapshot);
+        for (const update of updates) {
+          if (!this.applyDepth(symbol, update)) {
+            return;
+          }
+        }
+        this.emit('depth', book.snapshot(this.config.depthLevels));
+      })
+      .catch(error => {
+        // The book stays unsynced and the next diff tries again
+        this.pending.delete(symbol);
+        logger.warn('Failed to fetch Binance order book snapshot', { symbol, error: error.message });
+      });
+  }
+
+  async fetchSnapshot(symbol) {
+    const response = await axios.get(`${this.config.restUrl}/api/v3/depth`, {
+      params: { symbol, limit: this.config.snapshotLimit }
+    });
+    return {
+      bids: response.data.bids,
+      asks: response.data.asks,
+      lastUpdateId: response.data.lastUpdateId
+    };
+  }
+
+  parseTicker(data) {
+    return {
+      symbol: data.s,
+      price: parseFloat(data.c),
+      priceChange: parseFloat(data.p),
+      priceChangePercent: parseFloat(data.P),
+      high: parseFloat(data.h),
+      low: parseFloat(data.l),
+      volume: parseFloat(data.v),
+      quoteVolume: parseFloat(data.q),
+      open: parseFloat(data.o),
+      close: parseFloat(data.c),
+      bid: parseFloat(data.b),
+      ask: parseFloat(data.a),
+      spread: parseFloat(data.a) - parseFloat(data.b),
+      timestamp: data.E,
+      exchange: 'binance'
+    };
+  }
+
+  parseKline({ s, k }) {
+    return {
+      exchange: 'binance',
+      symbol: s,
+      interval: k.i,
+      openTime: k.t,
+      closeTime: k.T,
+      open: parseFloat(k.o),
+      high: parseFloat(k.h),
+      low: parseFloat(k.l),
+      close: parseFloat(k.c),
+      volume: parseFloat(k.v),
+      quoteVolume: parseFloat(k.q),
+      trades: k.n,
+      closed: k.x
+    };
+  }
+
+  // m is set when the buyer was the maker, i.e. the taker sold
+  parseTrade(data) {
+    return {
+      exchange: 'binance',
+      symbol: data.s,
+      tradeId: data.t,
+      price: parseFloat(data.p),
+      quantity: parseFloat(data.q),
+      side: data.m ? 'sell' : 'buy',
+      timestamp: data.T
+    };
+  }
+}
+
+// WazirX streams, subscribed to after connecting. WazirX drops connections
+// that do not ping, and pushes its depth stream as whole partial books.
+class WazirxFeed extends MarketFeed {
+  constructor(config = {}) {
+    super('wazirx', {
+      url: 'wss://stream.wazirx.com/stream',
+      ...config
+    });
+  }
+
+  url() {
+    return this.config.url;
+  }
+
+  onOpen() {
+    const streams = this.wants('ticker') ? ['!ticker@arr'] : [];
+    for (const symbol of this.config.symbols) {
+      const name = symbol.toLowerCase();
+      if (this.wants('kline')) {
+        streams.push(...this.config.klineIntervals.map(interval => `${name}@kline_${interval}`));
+      }
+      if (this.wants('trade')) {
+        streams.push(`${name}@trades`);
+      }
+      if (this.wants('depth')) {
+        streams.push(`${name}@depth`);
+      }
+    }
+    this.send({ event: 'subscribe', streams });
+  }
+
+  ping() {
+    this.send({ event: 'ping' });
+  }
+
+  handleMessage(raw) {
+    const message = JSON.parse(raw);
+    if (message.event === 'error') {
+      this.lastError = message.data && message.data.message;
+      logger.warn('WazirX market data subscription error', { error: this.lastError });
+      return;
+    }
+    if (!message.stream || !message.data) {
+      return; // pong and subscription acknowledgements
+    }
+
+    const [, stream] = message.stream.split('@');
+    if (message.stream === '!ticker@arr') {
+      message.data
+        .filter(ticker => this.config.symbols.includes(ticker.s.toUpperCase()))
+        .forEach(ticker => this.emit('ticker', this.parseTicker(ticker)));
+    } else if (stream.startsWith('kline_')) {
+      this.emit('kline', this.parseKline(message.data));
+    } else if (stream === 'trades') {
+      message.data.trades.forEach(trade => this.emit('trade', this.parseTrade(trade)));
+    } else if (stream === 'depth') {
+      this.replaceBook(message.data.s.toUpperCase(), {
+        bids: message.data.b,
+        asks: message.data.a,
+        lastUpdateId: message.data.E
+      });
+    }
+  }
+
+  parseTicker(data) {
+    const price = parseFloat(data.c);
+    const open = parseFloat(data.o);
+    return {
+      symbol: data.s.toUpperCase(),
+      price,
+      priceChange: price - open,
+      priceChangePercent: open ? (price - open) / open * 100 : 0,
+      high: parseFloat(data.h),
+      low: parseFloat(data.l),
+      volume: parseFloat(data.v),
+      quoteVolume: parseFloat(data.q),
+      open,
+      close: price,
+      bid: parseFloat(data.b),
+      ask: parseFloat(data.a),
+      spread: parseFloat(data.a) - parseFloat(data.b),
+      timestamp: data.E,
+      exchange: 'wazirx'
+    };
+  }
+
+  parseKline(data) {
+    return {
+      exchange: 'wazirx',
+      symbol: data.s.toUpperCase(),
+      interval: data.i,
+      openTime: data.t,
+      closeTime: data.T,
+      open: parseFloat(data.o),
+      high: parseFloat(data.h),
+      low: parseFloat(data.l),
+      close: parseFloat(data.c),
+      volume: parseFloat(data.v)
+    };
+  }
+
+  parseTrade(data) {
+    return {
+      exchange: 'wazirx',
+      symbol: data.s.toUpperCase(),
+      tradeId: data.t,
+      price: parseFloat(data.p),
+      quantity: parseFloat(data.q),
+      side: data.S,
+      timestamp: data.E
+    };
+  }
+}
+
+// CoinDCX streams over Socket.IO, spoken here as raw Engine.IO v3 packets:
+// '0' handshake, '40' namespace connected, '2' / '3' ping and pong, and
+// '42[event, payload]' for everything else. Channels use the pair
+// ('B-BTC_USDT', or 'I-BTC_INR' for INR markets) and payloads carry their
+// data as a JSON string. CoinDCX has no streamed ticker with bid and ask, so
+// its tickers keep coming from REST polling.
+class CoindcxFeed extends MarketFeed {
+  constructor(config = {}) {
+    super('coindcx', {
+      url: 'wss://stream.coindcx.com/socket.io/?EIO=3&transport=websocket',
+      streams: ['kline', 'trade', 'depth'],
+      ...config
+    });
+
+    this.pairs = new Map(this.config.symbols.map(symbol => [this.toPair(symbol), symbol]));
+  }
+
+  url() {
+    return this.config.url;
+  }
+
+  toPair(symbol) {
+    const { base, quote } = splitSymbol(symbol);
+    return `${quote === 'INR' ? 'I' : 'B'}-${base}_${quote}`;
+  }
+
+  // 'B-BTC_USDT@trades' or 'B-BTC_USDT_1m' -> 'B-BTC_USDT'
+  pairOf(channel) {
+    return channel.split('@')[0].replace(/_\d+[mhdwM]$/, '');
+  }
+
+  ping() {
+    this.send('2');
+  }
+
+  handleMessage(raw) {
+    if (raw === '40') {
+      this.join();
+      return;
+    }
+    if (!raw.startsWith('42')) {
+      return; // handshake and pongs
+    }
+
+    const [event, payload] = JSON.parse(raw.slice(2));
+    const data = typeof payload.data === 'string' ? JSON.parse(payload.data) : payload.data;
+    const symbol = this.pairs.get(this.pairOf(payload.channel || data.s || ''));
+    if (!symbol) {
+      return;
+    }
+
+    switch (event) {
+    case 'candlestick':
+      (Array.isArray(data.data) ? data.data : [data]).forEach(candle => this.emit('kline', this.parseKline(symbol, candle)));
+      break;
+    case 'new-trade':
+      this.emit('trade', this.parseTrade(symbol, data));
+      break;
+    case 'depth-update':
+      // The @orderbook@20 channel pushes the top of the book whole; vs orders them
+      this.replaceBook(symbol, {
+        bids: Object.entries(data.bids || {}),
+        asks: Object.entries(data.asks || {}),
+        lastUpdateId: data.vs ?? null
+      });
+      break;
+    default:
+      break;
+    }
+  }
+
+  join() {
+    for (const pair of this.pairs.keys()) {
+      const channels = [
+        ...(this.wants('kline') ? this.config.klineIntervals.map(interval => `${pair}_${interval}`) : []),
+        ...(this.wants('trade') ? [`${pair}@trades`] : []),
+        ...(this.wants('depth') ? [`${pair}@orderbook@20`] : [])
+      ];
+      channels.forEach(channelName => this.send(`42${JSON.stringify(['join', { channelName }])}`));
+    }
+  }
+
+  parseKline(symbol, candle) {
+    return {
+      exchange: 'coindcx',
+      symbol,
+      interval: candle.duration || candle.i,
+      openTime: candle.open_time,
+      closeTime: candle.close_time,
+      open: parseFloat(candle.open),
+      high: parseFloat(candle.high),
+      low: parseFloat(candle.low),
+      close: parseFloat(candle.close),
+      volume: parseFloat(candle.volume)
+    };
+  }
+
+  // m is set when the buyer was the maker, i.e. the taker sold
+  parseTrade(symbol, data) {
+    return {
+      exchange: 'coindcx',
+      symbol,
+      price: parseFloat(data.p),
+      quantity: parseFloat(data.q),
+      side: data.m ? 'sell' : 'buy',
+      timestamp: data.T
+    };
+  }
+}
+
+const FEEDS = {
+  binance: BinanceFeed,
+  wazirx: WazirxFeed,
+  coindcx: CoindcxFeed
+};
+
+module.exports = {
+  FEEDS,
+  OrderBook,
+  MarketFeed,
+  BinanceFeed,
+  WazirxFeed,
+  CoindcxFeed
+};
@@ -0,0 +1,196 @@
+// =============================================================================
+// Market Metadata Registry - Production Ready
+// =============================================================================
+// Markets listed by each exchange adapter's loadMarkets(), cached through
+// advancedCaching. Callers use canonical symbols (base + quote, 'BTCUSDT');
+// the registry translates them to the exchange's native symbol ('btcusdt' on
+// WazirX, 'BTC-USDT' on Coinbase) and rounds order quantities down to the step
+// size and prices to the tick size before they are submitted.
+
+const { logger } = require('./logging');
+const { advancedCache } = require('./advancedCaching');
+const { orderError } = require('./exchangeAdapter');
+
+// Price fields an order or OCO request may carry
+const PRICE_FIELDS = ['price', 'stopPrice', 'takeProfit', 'stopLoss', 'stopLimitPrice'];
+
+// 'btc/usdt', 'BTC-USDT', 'BTC_USDT' -> 'BTCUSDT'
+const canonicalize = (symbol) => String(symbol).toUpperCase().replace(/[/_-]/g, '');
+
+// Decimal places in a step or tick size, so rounded values print cleanly
+function decimalsOf(step) {
+  const [mantissa, exponent] = step.toExponential().split('e');
+  const mantissaDecimals = (mantissa.split('.')[1] || '').length;
+  return Math.max(0, mantissaDecimals - Number(exponent));
+}
+
+// Floor value to a multiple of step. The quotient is trimmed to 12 significant
+// digits first so float error (0.3 / 0.1 = 2.9999999999999996) does not drop a step.
+function floorToStep(value, step) {
+  if (!step) {
+    return value;
+  }
+  const steps = Math.floor(Number((value / step).toPrecision(12)));
+  return Number((steps * step).toFixed(decimalsOf(step)));
+}
+
+function roundToStep(value, step) {
+  if (!step) {
+    return value;
+  }
+  return Number((Math.round(value / step) * step).toFixed(decimalsOf(step)));
+}
+
+class MarketRegistry {
+  constructor(config = {}) {
+    this.config = {
+      ttl: 3600, // seconds; exchanges rarely change filters intraday
+      ...config
+    };
+
+    // In-flight loads by exchange, so concurrent orders share one request
+    this.loading = new Map();
+    this.cacheReady = null;
+  }
+
+  cacheKey(exchange) {
+    return advancedCache.generateCacheKey('markets', { exchange }, { hash: false });
+  }
+
+  async ensureCache() {
+    if (!advancedCache.isInitialized) {
+      this.cacheReady = this.cacheReady || advancedCache.initialize();
+      await this.cacheReady;
+    }
+  }
+
+  // All markets for an adapter, from the cache or freshly listed. A failed
+  // listing is logged and not cached; orders then go out unrounded.
+  async getMarkets(adapter) {
+    await this.ensureCache();
+
+    const key = this.cacheKey(adapter.name);
+    const cached = await advancedCache.get(key);
+    if (cached) {
+      return cached;
+    }
+
+    if (!this.loading.has(adapter.name)) {
+      const load = adapter.loadMarkets()
+        .then(async(markets) => {
+          await advancedCache.set(key, markets, { ttl: this.config.ttl });
+          logger.info(`Loaded ${markets.length} ${adapter.name} markets`);
+          return markets;
+        })
+        .catch((error) => {
+          logger.warn(`Failed to load ${adapter.name} markets:`, error.message);
+          return [];
+        })
+        .finally(() => this.loading.delete(adapter.name));
+      this.loading.set(adapter.name, load);
+    }
+
+    return this.loading.get(adapter.name);
+  }
+
+  // Market for a canonical, native or alias symbol. Null when the adapter
+  // lists no markets; an error when it does and the symbol is not among them.
+  async getMarket(adapter, symbol) {
+    const markets = await this.getMarkets(adapter);
+    if (markets.length === 0) {
+      return null;
+    }
+
+    const canonical = canonicalize(symbol);
+    const native = String(symbol).toLowerCase();
+    const market = markets.find(entry => entry.symbol === canonical) ||
+      markets.find(entry => entry.nativeSymbol.toLowerCase() === native ||
+        entry.aliases.some(alias => alias.toLowerCase() === native));
+
+    if (!market) {
+      throw orderError(`Unknown ${adapter.name} market: ${symbol}`);
+    }
+    return market;
+  }
+
+  async toNative(adapter, symbol) {
+    const market = await this.getMarket(adapter, symbol);
+    return market ? market.nativeSymbol : symbol;
+  }
+
+  async toCanonical(adapter, nativeSymbol) {
+    const market = await this.getMarket(adapter, nativeSymbol);
+    return market ? market.symbol : nativeSymbol;
+  }
+
+  // Copy of an order with the native symbol, amount floored to the step size
+  // and prices rounded to the tick size, checked against the market minimums
+  prepareOrder(market, order) {
+    if (!market) {
+      return order;
+    }
+
+    const prepared = { ...order, symbol: market.nativeSymbol };
+
+    if (order.amount !== undefined && order.amount !== null) {
+      prepared.amount = floorToStep(order.amount, market.stepSize);
+      if (prepared.amount <= 0 || (market.minQty && prepared.amount < market.minQty)) {
+        throw orderError(`Order amount ${order.amount} is below the ${market.symbol} minimum of ${market.minQty || market.stepSize}`);
+      }
+    }
+
+    for (const field of PRICE_FIELDS) {
+      if (order[field]) {
+        prepared[field] = roundToStep(order[field], market.tickSize);
+      }
+    }
+
+    // Market orders have no price to check the notional against
+    if (prepared.price && market.minNotional && prepared.amount * prepared.price < market.minNotional) {
+      throw orderError(`Order value ${prepared.amount * prepared.price} is below the ${market.symbol} minimum notional of ${market.minNotional}`);
+    }
+
+    return prepared;
+  }
+
+  // Split amount into slices of sliceAmount, both floored to the step size. A
+  // final slice below the market minimum is folded into the one before it.
+  sliceQuantity(market, amount, sliceAmount) {
+    const step = market ? market.stepSize : null;
+    const minimum = market ? market.minQty || market.stepSize : null;
+    const size = floorToStep(sliceAmount, step);
+
+    if (!(size > 0) || (minimum && size < minimum)) {
+      throw orderError(`Slice amount ${sliceAmount} is below the ${market ? market.symbol : 'order'} minimum of ${minimum || 0}`);
+    }
+
+    const slices = [];
+    let remaining = floorToStep(amount, step);
+    while (remaining > 0) {
+      const slice = Math.min(size, remaining);
+      slices.push(slice);
+      remaining = floorToStep(Number((remaining - slice).toPrecision(12)), step);
+    }
+
+    const last = slices[slices.length - 1];
+    if (slices.length > 1 && minimum && last < minimum) {
+      slices.pop();
+      slices[slices.length - 1] = floorToStep(Number((slices[slices.length - 1] + last).toPrecision(12)), step);
+    }
+    return slices;
+  }
+
+  async invalidate(exchange) {
+    await this.ensureCache();
+    await advancedCache.del(this.cacheKey(exchange));
+  }
+}
+
+// Export singleton instance
+const marketRegistry = new MarketRegistry();
+module.exports = {
+  marketRegistry,
+  MarketRegistry,
+  floorToStep,
+  roundToStep
+};
@@ -0,0 +1,216 @@
+// =============================================================================
+// Order Tracker - Production Ready
+// =============================================================================
+// Keeps trades rows in step with the exchange. Orders are stored with whatever
+// status the exchange first answered; the tracker polls each pending order
+// through exchangeService.getOrderStatus, records partial fills, the average
+// fill price, fees and the final status, and tells the order's owner over the
+// WebSocket server whenever something changed. Changes are also handed to the
+// grid engine, which books resting grid levels once they fill. Exchanges that
+// push order updates (user-data streams) hand them to onExchangeUpdate();
+// while a user's stream is connected their orders are only polled now and
+// then, as a check on missed events.
+
+const exchangeService = require('./exchangeService');
+const { logger } = require('./logging');
+const { Trade } = require('./database');
+const { credentialVault } = require('./credentialVault');
+const { normalizeOrderStatus } = require('./exchangeAdapter');
+const { getWebSocketServer } = require('./websocketServer');
+const { gridTradingEngine } = require('./gridTrading');
+
+class OrderTracker {
+  constructor(config = {}) {
+    this.config = {
+      pollInterval: 10000,
+      batchSize: 50, // orders checked per pass, least recently checked first
+      streamedPollInterval: 300000, // how often orders on a live stream are polled anyway
+      ...config
+    };
+
+    this.timer = null;
+    this.reconciling = false;
+    // 'exchange:userId' -> when that user's stream connected
+    this.streams = new Map();
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.reconcile().catch(error => logger.error('Order reconciliation failed:', error));
+    }, this.config.pollInterval);
+
+    logger.info('Order tracker started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Called by user-data streams as they connect and disconnect
+  markStreaming(exchange, userId, active) {
+    const key = `${exchange}:${userId}`;
+    if (active) {
+      this.streams.set(key, Date.now());
+    } else {
+      this.streams.delete(key);
+    }
+  }
+
+  // Orders on a connected stream need no polling once they have been synced
+  // since the stream connected, until streamedPollInterval has passed
+  isStreamed(trade) {
+    const connectedAt = this.streams.get(`${trade.exchange}:${trade.user_id}`);
+    if (!connectedAt || !trade.last_synced_at) {
+      return false;
+    }
+    const syncedAt = new Date(trade.last_synced_at).getTime();
+    return syncedAt >= connectedAt && Date.now() - syncedAt < this.config.streamedPollInterval;
+  }
+
+  // Check a batch of pending orders against the exchange. Resolves with the
+  // number of orders whose state changed.
+  async reconcile() {
+    if (this.reconciling) {
+      return 0;
+    }
+    this.reconciling = true;
+
+    try {
+      const trades = await Trade.findOpenOrders(this.config.batchSize);
+      let changed = 0;
+      for (const trade of trades) {
+        if (this.isStreamed(trade)) {
+          continue;
+        }
+        if (await this.syncOrder(trade)) {
+          changed += 1;
+        }
+      }
+      return changed;
+    } finally {
+      this.reconciling = false;
+    }
+  }
+
+  async syncOrder(trade) {
+    try {
+      return await this.applyUpdate(trade, await this.fetchOrder(trade));
+    } catch (error) {
+      logger.warn('Failed to reconcile order', {
+        tradeId: trade.id,
+        exchange: trade.exchange,
+        orderId: trade.order_id,
+        error: error.message
+      });
+      // Move on to other orders rather than retrying this one first every pass
+      await Trade.markSynced(trade.id).catch(() => {});
+      return false;
+    }
+  }
+
+  // An order update pushed by the exchange. Its commission is for the latest
+  // fill only, so it is added to the stored fees when that fill is new.
+  // Resolves with whether a tracked trade changed.
+  async onExchangeUpdate(exchange, order) {
+    const trade = await Trade.findByOrderId(exchange, order.orderId);
+    if (!trade || trade.status !== 'pending') {
+      return false;
+    }
+
+    const fees = parseFloat(trade.fees) || 0;
+    const isNewFill = (order.executedQty || 0) > (parseFloat(trade.executed_qty) || 0);
+    return this.applyUpdate(trade, { ...order, commission: isNewFill ? fees + (order.commission || 0) : fees });
+  }
+
+  async fetchOrder(trade) {
+    if (trade.mode === 'paper') {
+      try {
+        return await exchangeService.getOrderStatus('paper', trade.order_id, trade.symbol, trade.user_id);
+      } catch (error) {
+        // Resting paper orders are held in memory and do not survive a restart
+        if (/not found/.test(error.message)) {
+          return { orderId: trade.order_id, status: 'CANCELED', executedQty: 0, executedPrice: 0, commission: 0 };
+        }
+        throw error;
+      }
+    }
+
+    const { apiKey, secretKey, passphrase } = await credentialVault.getCredentials(trade.user_id, trade.exchange, 'order_reconciliation');
+    return exchangeService.getOrderStatus(trade.exchange, trade.order_id, trade.symbol, apiKey, secretKey, passphrase);
+  }
+
+  // Save the exchange's view of the order if it differs from the stored one
+  async applyUpdate(trade, order) {
+    const status = normalizeOrderStatus(order.status);
+    const executedQty = order.executedQty || 0;
+    const previousQty = parseFloat(trade.executed_qty) || 0;
+
+    if (order.status === trade.order_status && status === trade.status && executedQty === previousQty) {
+      await Trade.markSynced(trade.id);
+      return false;
+    }
+
+    const updated = await Trade.updateOrderState(trade.id, {
+      status,
+      orderStatus: order.status,
+      executedQty,
+      price: executedQty > 0 ? order.executedPrice : null,
+      // Some status endpoints report no fills; commission only ever grows
+      fees: Math.max(order.commission || 0, parseFloat(trade.fees) || 0)
+    });
+
+    logger.info('Order state changed', {
+      tradeId: trade.id,
+      orderId: trade.order_id,
+      from: trade.order_status,
+      to: order.status,
+      executedQty
+    });
+    this.notify(updated || trade, trade.order_status);
+    gridTradingEngine.handleOrderUpdate(updated || trade)
+      .catch(error => logger.error('Failed to update grid for order:', error));
+    return true;
+  }
+
+  notify(trade, previousStatus) {
+    const wsServer = getWebSocketServer();
+    if (!wsServer) {
+      return;
+    }
+
+    wsServer.sendToUser(trade.user_id, {
+      type: 'order_update',
+      data: {
+        tradeId: trade.id,
+        orderId: trade.order_id,
+        exchange: trade.exchange,
+        symbol: trade.symbol,
+        side: trade.side,
+        mode: trade.mode,
+        status: trade.status,
+        orderStatus: trade.order_status,
+        previousStatus: previousStatus || null,
+        amount: parseFloat(trade.amount),
+        executedQty: parseFloat(trade.executed_qty) || 0,
+        averagePrice: trade.price === null ? null : parseFloat(trade.price),
+        fees: parseFloat(trade.fees) || 0,
+        timestamp: Date.now()
+      }
+    });
+  }
+}
+
+// Create and export singleton instance
+const orderTracker = new OrderTracker();
+
+module.exports = {
+  orderTracker,
+  OrderTracker
+};
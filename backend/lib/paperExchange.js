@@ -0,0 +1,271 @@
+// =============================================================================
+// Paper Trading Exchange - Production Ready
+// =============================================================================
+// Simulated exchange used by strategies in paper mode. Orders fill against live
+// marketDataService quotes with configurable slippage and fees, and each user
+// gets a virtual balance kept in the portfolio table under mode = 'paper'.
+// Marketable orders fill immediately; other limit orders rest in memory and
+// fill the next time their status is checked after the price crosses them.
+// IOC and FOK orders that cannot fill at once expire instead of resting, and
+// post-only (LIMIT_MAKER) orders that would fill at once are rejected.
+
+const crypto = require('crypto');
+const { logger } = require('./logging');
+const { Portfolio } = require('./database');
+const { ExchangeAdapter } = require('./exchangeAdapter');
+
+const MODE = 'paper';
+const QUOTE_ASSETS = ['USDT', 'USDC', 'BUSD', 'FDUSD', 'INR', 'USD', 'EUR', 'BTC', 'ETH'];
+
+// Split 'BTCUSDT', 'BTC/USDT' or 'BTC-USDT' into base and quote assets
+function splitSymbol(symbol) {
+  const normalized = symbol.toUpperCase();
+  const separated = normalized.split(/[/_-]/);
+  if (separated.length === 2) {
+    return { base: separated[0], quote: separated[1] };
+  }
+
+  const quote = QUOTE_ASSETS.find(asset => normalized.endsWith(asset) && normalized.length > asset.length);
+  if (!quote) {
+    throw new Error(`Unable to determine quote asset for ${symbol}`);
+  }
+  return { base: normalized.slice(0, -quote.length), quote };
+}
+
+class PaperExchange extends ExchangeAdapter {
+  constructor(config = {}) {
+    super('paper', {
+      orderTypes: ['MARKET', 'LIMIT', 'LIMIT_MAKER'],
+      timeInForce: ['GTC', 'IOC', 'FOK']
+    });
+    this.config = {
+      slippage: parseFloat(process.env.PAPER_SLIPPAGE) || 0.0005, // 0.05% against the taker
+      feeRate: parseFloat(process.env.PAPER_FEE_RATE) || 0.001, // 0.1% of notional
+      initialBalance: parseFloat(process.env.PAPER_INITIAL_BALANCE) || 10000,
+      quoteAsset: 'USDT',
+      priceSource: 'binance',
+      maxQuoteAge: 60000,
+      ...config
+    };
+
+    // Resting limit orders keyed by orderId
+    this.openOrders = new Map();
+  }
+
+  // Execute a simulated trade for tradeData.userId
+  async executeTrade(tradeData) {
+    const { userId, symbol, side, amount, price } = tradeData;
+
+    if (!userId) {
+      throw new Error('Paper trades require a userId');
+    }
+    if (!(amount > 0)) {
+      throw new Error('Paper trade amount must be positive');
+    }
+
+    const order = {
+      orderId: `paper-${crypto.randomUUID()}`,
+      userId,
+      symbol: symbol.toUpperCase(),
+      side: side.toLowerCase(),
+      amount,
+      price,
+      type: tradeData.type || (price ? 'LIMIT' : 'MARKET'),
+      timeInForce: tradeData.timeInForce || 'GTC',
+      slippage: tradeData.slippage ?? this.config.slippage,
+      feeRate: tradeData.feeRate ?? this.config.feeRate,
+      priceSource: tradeData.priceSource || this.config.priceSource,
+      createdAt: Date.now()
+    };
+
+    await this.ensureAccount(userId);
+
+    const quote = this.getQuote(order.symbol, order.priceSource);
+    const fillPrice = this.getFillPrice(order, quote);
+
+    if (order.type === 'LIMIT_MAKER' && fillPrice !== null) {
+      logger.info('Paper post-only order would take liquidity', { orderId: order.orderId, symbol: order.symbol, price });
+      return this.formatResult(order, 'REJECTED');
+    }
+    // Paper fills are all-or-nothing, so IOC and FOK behave the same
+    if (fillPrice === null && order.timeInForce !== 'GTC') {
+      return this.formatResult(order, 'EXPIRED');
+    }
+    if (fillPrice === null) {
+      this.openOrders.set(order.orderId, order);
+      logger.info('Paper limit order resting', { orderId: order.orderId, symbol: order.symbol, price });
+      return this.formatResult(order, 'NEW');
+    }
+
+    return this.fill(order, fillPrice);
+  }
+
+  // Paper balances for a user (the apiKey slot carries the userId)
+  async getBalance(userId) {
+    await this.ensureAccount(userId);
+    const holdings = await Portfolio.findByUserId(userId, MODE);
+
+    return holdings
+      .map(holding => {
+        const amount = parseFloat(holding.amount);
+        const asset = this.isCashRow(holding.symbol) ? holding.symbol : splitSymbol(holding.symbol).base;
+        const locked = this.getLockedAmount(userId, asset);
+        return this.createBalance(asset, amount - locked, locked);
+      })
+      .filter(balance => balance.total > 0);
+  }
+
+  // Resting orders are re-checked against the live price on every status query
+  async getOrderStatus(orderId, _symbol, _userId) {
+    const order = this.openOrders.get(orderId);
+    if (!order) {
+      throw new Error(`Paper order ${orderId} not found or already final`);
+    }
+
+    const fillPrice = this.getFillPrice(order, this.getQuote(order.symbol, order.priceSource));
+    if (fillPrice === null) {
+      return this.formatResult(order, 'NEW');
+    }
+
+    this.openOrders.delete(orderId);
+    try {
+      return await this.fill(order, fillPrice);
+    } catch (error) {
+      logger.warn('Paper order rejected at fill time', { orderId, error: error.message });
+      return this.formatResult(order, 'REJECTED');
+    }
+  }
+
+  async cancelOrder(orderId, _symbol, _userId) {
+    const order = this.openOrders.get(orderId);
+    if (!order) {
+      throw new Error(`Paper order ${orderId} not found or already final`);
+    }
+
+    this.openOrders.delete(orderId);
+    return this.formatResult(order, 'CANCELED');
+  }
+
+  async ensureAccount(userId) {
+    await Portfolio.ensureBalance(userId, this.config.quoteAsset, this.config.initialBalance, MODE);
+  }
+
+  // Latest live quote from marketDataService
+  getQuote(symbol, priceSource) {
+    // Required lazily: marketDataService opens its exchange feeds when loaded
+    const marketDataService = require('./marketDataService');
+    const ticker = marketDataService.getCurrentPrice(symbol, priceSource);
+
+    if (!ticker || !(ticker.price > 0)) {
+      throw new Error(`No live price available for ${symbol}`);
+    }
+    if (ticker.timestamp && Date.now() - ticker.timestamp > this.config.maxQuoteAge) {
+      throw new Error(`Live price for ${symbol} is stale`);
+    }
+
+    return ticker;
+  }
+
+  // Taker price including slippage, or null when a limit order is not marketable
+  getFillPrice(order, quote) {
+    const isBuy = order.side === 'buy';
+    const touch = isBuy ? (quote.ask || quote.price) : (quote.bid || quote.price);
+    const slipped = touch * (isBuy ? 1 + order.slippage : 1 - order.slippage);
+
+    if (order.type === 'MARKET') {
+      return slipped;
+    }
+
+    // Makers fill at their own price, without slippage
+    const crossed = isBuy ? touch <= order.price : touch >= order.price;
+    if (order.type === 'LIMIT_MAKER') {
+      return crossed ? order.price : null;
+    }
+
+    // Limit orders never fill through their limit price
+    if (!crossed) {
+      return null;
+    }
+    return isBuy ? Math.min(slipped, order.price) : Math.max(slipped, order.price);
+  }
+
+  // Book the fill against the virtual balances
+  async fill(order, fillPrice) {
+    const { quote } = splitSymbol(order.symbol);
+    const notional = order.amount * fillPrice;
+    const fee = notional * order.feeRate;
+
+    if (order.side === 'buy') {
+      const debited = await Portfolio.adjustBalance(order.userId, quote, -(notional + fee), MODE);
+      if (!debited) {
+        throw new Error(`Insufficient paper ${quote} balance`);
+      }
+      await Portfolio.recordBuy(order.userId, order.symbol, order.amount, fillPrice, MODE);
+    } else {
+      const sold = await Portfolio.recordSell(order.userId, order.symbol, order.amount, fillPrice, MODE);
+      if (!sold) {
+        throw new Error(`Insufficient paper ${order.symbol} position`);
+      }
+      await Portfolio.ensureBalance(order.userId, quote, 0, MODE);
+      await Portfolio.adjustBalance(order.userId, quote, notional - fee, MODE);
+    }
+
+    logger.info('Paper order filled', {
+      orderId: order.orderId,
+      symbol: order.symbol,
+      side: order.side,
+      amount: order.amount,
+      price: fillPrice,
+      fee
+    });
+
+    return this.formatResult(order, 'FILLED', { price: fillPrice, qty: order.amount, commission: fee });
+  }
+
+  // Paper orders fill all at once, so a filled order carries a single fill
+  formatResult(order, status, fill = null) {
+    const { quote } = splitSymbol(order.symbol);
+
+    return {
+      ...this.createOrder({
+        orderId: order.orderId,
+        symbol: order.symbol,
+        side: order.side,
+        type: order.type,
+        status,
+        price: order.price,
+        amount: order.amount,
+        executedQty: fill ? fill.qty : 0,
+        executedPrice: fill ? fill.price : 0,
+        commissionAsset: quote,
+        fills: fill ? [{ ...fill, commissionAsset: quote }] : [],
+        timestamp: Date.now()
+      }),
+      mode: MODE
+    };
+  }
+
+  isCashRow(symbol) {
+    return QUOTE_ASSETS.includes(symbol);
+  }
+
+  // Quote reserved by resting buys, or base reserved by resting sells
+  getLockedAmount(userId, asset) {
+    let locked = 0;
+    for (const order of this.openOrders.values()) {
+      if (order.userId !== userId) {continue;}
+      const { base, quote } = splitSymbol(order.symbol);
+      if (order.side === 'buy' && quote === asset) {
+        locked += order.amount * order.price * (1 + order.feeRate);
+      } else if (order.side === 'sell' && base === asset) {
+        locked += order.amount;
+      }
+    }
+    return locked;
+  }
+}
+
+module.exports = {
+  PaperExchange,
+  splitSymbol
+};
@@ -0,0 +1,492 @@
+// =============================================================================
+// Position Monitor - Production Ready
+// =============================================================================
+// Manages the exits of positions opened by the trading bot. Each position keeps
+// its stop loss and take profit, optionally trailed (by percent or ATR) and
+// moved to break-even as price moves in its favour.
+//
+// On exchanges with native OCO support (Binance) the exits rest on the exchange
+// as a one-cancels-the-other pair that is replaced whenever the stop moves.
+// Everywhere else (and in paper mode) the monitor watches the marketDataService
+// price stream and sends a market order once a level is crossed.
+
+const marketDataService = require('./marketDataService');
+const exchangeService = require('./exchangeService');
+const { logger } = require('./logging');
+const { Position, Trade } = require('./database');
+const { credentialVault } = require('./credentialVault');
+const { technicalIndicators } = require('./technicalIndicators');
+
+// Exit reason recorded when the stop is hit, by how the stop was last set
+const STOP_REASONS = {
+  initial: 'stop_loss',
+  break_even: 'break_even',
+  trailing: 'trailing_stop'
+};
+
+// Keep only well-formed trailing / break-even settings from strategy parameters
+function normalizeExitRules(rules = {}) {
+  const normalized = {};
+  const { trailingStop, breakEven } = rules || {};
+
+  if (trailingStop?.type === 'percent' && trailingStop.percent > 0) {
+    normalized.trailingStop = {
+      type: 'percent',
+      percent: trailingStop.percent,
+      activationPercent: trailingStop.activationPercent || 0
+    };
+  } else if (trailingStop?.type === 'atr' && trailingStop.multiplier > 0) {
+    normalized.trailingStop = {
+      type: 'atr',
+      multiplier: trailingStop.multiplier,
+      period: trailingStop.period || 14,
+      interval: trailingStop.interval || '1h',
+      activationPercent: trailingStop.activationPercent || 0
+    };
+  } else if (trailingStop) {
+    logger.warn('Ignoring invalid trailing stop settings', { trailingStop });
+  }
+
+  if (breakEven?.triggerPercent > 0) {
+    normalized.breakEven = {
+      triggerPercent: breakEven.triggerPercent,
+      offsetPercent: breakEven.offsetPercent || 0
+    };
+  } else if (breakEven) {
+    logger.warn('Ignoring invalid break-even settings', { breakEven });
+  }
+
+  return normalized;
+}
+
+class PositionMonitor {
+  constructor(config = {}) {
+    this.config = {
+      checkInterval: 5000, // price check for exchanges without a ticker stream
+      ocoPollInterval: 15000, // how often native OCO orders are checked for fills
+      maxQuoteAge: 60000,
+      stopLimitBuffer: 0.002, // stop-limit leg priced 0.2% past its trigger
+      minStopMove: 0.001, // replace a native OCO only when the stop moves 0.1%
+      exitRetryDelay: 30000, // back off after a failed exit order
+      atrCacheTtl: 60000,
+      ...config
+    };
+
+    // Open positions keyed by id
+    this.positions = new Map();
+    // Position ids with an exit or OCO replacement in flight
+    this.inFlight = new Set();
+    this.subscribedSymbols = new Set();
+    this.atrCache = new Map();
+    this.timer = null;
+    this.lastOcoPoll = 0;
+  }
+
+  // Resume managing every open position and start the periodic checks
+  async start() {
+    if (this.timer) {
+      return;
+    }
+
+    const positions = await Position.findOpen();
+    positions.forEach(position => this.track(position));
+
+    this.timer = setInterval(() => {
+      this.checkPositions().catch(error => logger.error('Position check failed:', error));
+    }, this.config.checkInterval);
+
+    logger.info(`Position monitor started with ${positions.length} open positions`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Start managing the exits of a filled entry
+  async openPosition(signal, trade, execution) {
+    const exitRules = {
+      ...normalizeExitRules(signal.exitRules),
+      priceSource: signal.exchange || 'binance'
+    };
+
+    const position = await Position.create({
+      userId: signal.userId,
+      tradeId: trade?.id,
+      exchange: execution.exchange,
+      symbol: signal.symbol,
+      side: signal.action.toLowerCase(),
+      mode: signal.mode || 'live',
+      amount: execution.executedQty || execution.requestedAmount,
+      entryPrice: execution.executedPrice || signal.entry,
+      stopLoss: signal.stopLoss,
+      takeProfit: signal.takeProfit,
+      exitRules
+    });
+
+    if (this.usesNativeOco(position)) {
+      try {
+        position.ocoOrderId = await this.placeOco(position);
+        await Position.updateExits(position.id, position);
+      } catch (error) {
+        // The monitor still enforces the levels itself
+        logger.error('Failed to place OCO exit, falling back to synthetic exits', {
+          positionId: position.id,
+          error: error.message
+        });
+      }
+    }
+
+    this.track(position);
+    logger.info('Position opened for exit management', {
+      positionId: position.id,
+      symbol: position.symbol,
+      stopLoss: position.stopLoss,
+      takeProfit: position.takeProfit,
+      native: Boolean(position.ocoOrderId)
+    });
+
+    return position;
+  }
+
+  track(position) {
+    this.positions.set(position.id, position);
+
+    if (!this.subscribedSymbols.has(position.symbol)) {
+      this.subscribedSymbols.add(position.symbol);
+      marketDataService.subscribe('ticker', position.symbol, ticker => {
+        this.onTicker(ticker).catch(error => logger.error('Position ticker handling failed:', error));
+      });
+    }
+  }
+
+  getPositions(userId) {
+    return [...this.positions.values()].filter(position => !userId || position.userId === userId);
+  }
+
+  // Streamed ticker updates for positions priced from that exchange
+  async onTicker(ticker) {
+    for (const position of this.positions.values()) {
+      if (position.symbol === ticker.symbol && ticker.exchange === this.getPriceSource(position)) {
+        await this.evaluate(position, ticker);
+      }
+    }
+  }
+
+  // Polled fallback for feeds that do not stream, plus native OCO fill checks
+  async checkPositions(now = Date.now()) {
+    for (const position of [...this.positions.values()]) {
+      const quote = marketDataService.getCurrentPrice(position.symbol, this.getPriceSource(position));
+      if (quote && (!quote.timestamp || now - quote.timestamp <= this.config.maxQuoteAge)) {
+        await this.evaluate(position, quote, now);
+      }
+    }
+
+    if (now - this.lastOcoPoll >= this.config.ocoPollInterval) {
+      this.lastOcoPoll = now;
+      for (const position of [...this.positions.values()]) {
+        if (position.ocoOrderId) {
+          await this.pollOco(position);
+        }
+      }
+    }
+  }
+
+  // Trail the stop for the latest price and exit when a level is crossed
+  async evaluate(position, quote, now = Date.now()) {
+    if (this.inFlight.has(position.id)) {
+      return;
+    }
+
+    // Exits are sells for longs (hit the bid) and buys for shorts (lift the ask)
+    const isLong = position.side === 'buy';
+    const price = isLong ? (quote.bid || quote.price) : (quote.ask || quote.price);
+    if (!(price > 0)) {
+      return;
+    }
+
+    const atr = position.exitRules.trailingStop?.type === 'atr'
+      ? await this.getAtr(position.symbol, position.exitRules.trailingStop)
+      : null;
+    const exits = this.computeExits(position, price, atr);
+
+    if (!position.ocoOrderId) {
+      const reason = this.getExitReason({ ...position, ...exits }, price);
+      if (reason) {
+        Object.assign(position, exits);
+        if (!position.lastExitAttempt || now - position.lastExitAttempt >= this.config.exitRetryDelay) {
+          await this.exit(position, reason, now);
+        }
+        return;
+      }
+    }
+
+    if (exits.stopLoss !== position.stopLoss) {
+      await this.moveStop(position, exits);
+    } else {
+      position.bestPrice = exits.bestPrice;
+    }
+  }
+
+  // New best price and the tightest stop allowed by break-even and trailing rules.
+  // Stops only ever move in the position's favour.
+  computeExits(position, price, atr = null) {
+    const isLong = position.side === 'buy';
+    const { entryPrice } = position;
+    const { trailingStop, breakEven } = position.exitRules;
+
+    const previousBest = position.bestPrice || entryPrice;
+    const bestPrice = isLong ? Math.max(previousBest, price) : Math.min(previousBest, price);
+    const gain = isLong ? (bestPrice - entryPrice) / entryPrice : (entryPrice - bestPrice) / entryPrice;
+
+    let { stopLoss, stopType } = position;
+    const tighten = (candidate, type) => {
+      if (stopLoss === null || stopLoss === undefined || (isLong ? candidate > stopLoss : candidate < stopLoss)) {
+        stopLoss = candidate;
+        stopType = type;
+      }
+    };
+
+    if (breakEven && gain >= breakEven.triggerPercent) {
+      tighten(entryPrice * (isLong ? 1 + breakEven.offsetPercent : 1 - breakEven.offsetPercent), 'break_even');
+    }
+
+    if (trailingStop && gain >= trailingStop.activationPercent) {
+      const distance = trailingStop.type === 'atr' ? (atr || 0) * trailingStop.multiplier : bestPrice * trailingStop.percent;
+      if (distance > 0) {
+        tighten(isLong ? bestPrice - distance : bestPrice + distance, 'trailing');
+      }
+    }
+
+    return { stopLoss, stopType: stopType || 'initial', bestPrice };
+  }
+
+  getExitReason(position, price) {
+    const isLong = position.side === 'buy';
+    const { stopLoss, takeProfit } = position;
+
+    if (takeProfit && (isLong ? price >= takeProfit : price <= takeProfit)) {
+      return 'take_profit';
+    }
+    if (stopLoss && (isLong ? price <= stopLoss : price >= stopLoss)) {
+      return STOP_REASONS[position.stopType] || 'stop_loss';
+    }
+    return null;
+  }
+
+  // Persist a moved stop, replacing the native OCO when it moved far enough
+  async moveStop(position, exits) {
+    this.inFlight.add(position.id);
+    try {
+      Object.assign(position, exits);
+
+      // Compare against the stop resting on the exchange so small moves add up
+      if (position.ocoOrderId) {
+        const restingStop = position.ocoStopLoss || position.stopLoss;
+        if (Math.abs(position.stopLoss - restingStop) / restingStop >= this.config.minStopMove) {
+          await this.replaceOco(position);
+        }
+      }
+
+      await Position.updateExits(position.id, position);
+      logger.info('Position stop moved', {
+        positionId: position.id,
+        stopLoss: position.stopLoss,
+        stopType: position.stopType
+      });
+    } catch (error) {
+      logger.error('Failed to move position stop:', { positionId: position.id, error: error.message });
+    } finally {
+      this.inFlight.delete(position.id);
+    }
+  }
+
+  // Close the position with a market order on the opposite side
+  async exit(position, reason, now = Date.now()) {
+    this.inFlight.add(position.id);
+    position.lastExitAttempt = now;
+
+    try {
+      const side = position.side === 'buy' ? 'sell' : 'buy';
+      const result = position.mode === 'paper'
+        ? await exchangeService.executeTrade('paper', {
+          userId: position.userId,
+          symbol: position.symbol,
+          side,
+          amount: position.amount,
+          priceSource: this.getPriceSource(position)
+        })
+        : await exchangeService.executeTrade(position.exchange, {
+          symbol: position.symbol,
+          side,
+          amount: position.amount,
+          ...(await this.getCredentials(position))
+        });
+
+      await this.finalize(position, reason, result);
+    } catch (error) {
+      logger.error('Position exit failed, will retry:', {
+        positionId: position.id,
+        reason,
+        error: error.message
+      });
+    } finally {
+      this.inFlight.delete(position.id);
+    }
+  }
+
+  // Book the exit trade and stop managing the position
+  async finalize(position, reason, result) {
+    const side = position.side === 'buy' ? 'sell' : 'buy';
+
+    await Trade.create({
+      userId: position.userId,
+      exchange: position.exchange,
+      symbol: position.symbol,
+      side,
+      amount: result.executedQty || position.amount,
+      price: result.executedPrice,
+      status: 'completed',
+      orderId: result.orderId,
+      fees: result.commission || 0,
+      notes: `Exit (${reason}) for position ${position.id}`,
+      mode: position.mode
+    });
+    await Position.close(position.id, { exitReason: reason, exitPrice: result.executedPrice });
+    this.positions.delete(position.id);
+
+    logger.info('Position closed', {
+      positionId: position.id,
+      symbol: position.symbol,
+      reason,
+      exitPrice: result.executedPrice
+    });
+  }
+
+  usesNativeOco(position) {
+    return position.mode !== 'paper' &&
+      Boolean(position.stopLoss && position.takeProfit) &&
+      exchangeService.supportsOco(position.exchange);
+  }
+
+  async placeOco(position) {
+    const isLong = position.side === 'buy';
+    const buffer = this.config.stopLimitBuffer;
+
+    const result = await exchangeService.placeOcoOrder(position.exchange, {
+      symbol: position.symbol,
+      side: isLong ? 'sell' : 'buy',
+      amount: position.amount,
+      takeProfit: position.takeProfit,
+      stopLoss: position.stopLoss,
+      stopLimitPrice: position.stopLoss * (isLong ? 1 - buffer : 1 + buffer),
+      ...(await this.getCredentials(position))
+    });
+
+    position.ocoStopLoss = position.stopLoss;
+    return result.orderListId;
+  }
+
+  // Exchanges cannot amend an OCO, so cancel it and place one at the new stop
+  async replaceOco(position) {
+    const { apiKey, secretKey } = await this.getCredentials(position);
+    await exchangeService.cancelOcoOrder(position.exchange, position.ocoOrderId, position.symbol, apiKey, secretKey);
+    position.ocoOrderId = null;
+
+    try {
+      position.ocoOrderId = await this.placeOco(position);
+    } catch (error) {
+      logger.error('Failed to replace OCO exit, falling back to synthetic exits', {
+        positionId: position.id,
+        error: error.message
+      });
+    }
+  }
+
+  // Close positions whose native OCO has finished on the exchange
+  async pollOco(position) {
+    if (this.inFlight.has(position.id)) {
+      return;
+    }
+
+    this.inFlight.add(position.id);
+    try {
+      const { apiKey, secretKey } = await this.getCredentials(position);
+      const oco = await exchangeService.getOcoStatus(position.exchange, position.ocoOrderId, position.symbol, apiKey, secretKey);
+
+      if (oco.status === 'REJECT') {
+        logger.warn('OCO exit rejected, falling back to synthetic exits', { positionId: position.id });
+        position.ocoOrderId = null;
+        await Position.updateExits(position.id, position);
+        return;
+      }
+      if (oco.status !== 'ALL_DONE') {
+        return;
+      }
+
+      for (const orderId of oco.orderIds) {
+        const order = await exchangeService.getOrderStatus(position.exchange, orderId, position.symbol, apiKey, secretKey);
+        if (order.status === 'FILLED') {
+          await this.finalize(position, this.getFilledLegReason(position, order.executedPrice), order);
+          return;
+        }
+      }
+
+      // Both legs were cancelled outside the bot; leave the position to the user
+      await Position.close(position.id, { exitReason: 'cancelled', exitPrice: null });
+      this.positions.delete(position.id);
+      logger.warn('OCO exit cancelled on the exchange, position no longer managed', { positionId: position.id });
+    } catch (error) {
+      logger.error('Failed to check OCO exit:', { positionId: position.id, error: error.message });
+    } finally {
+      this.inFlight.delete(position.id);
+    }
+  }
+
+  // Whichever level the fill price is closer to is the leg that filled
+  getFilledLegReason(position, executedPrice) {
+    const toTarget = Math.abs(executedPrice - position.takeProfit);
+    const toStop = Math.abs(executedPrice - position.stopLoss);
+    return toTarget < toStop ? 'take_profit' : (STOP_REASONS[position.stopType] || 'stop_loss');
+  }
+
+  getCredentials(position) {
+    return credentialVault.getCredentials(position.userId, position.exchange, 'position_exit');
+  }
+
+  getPriceSource(position) {
+    return position.exitRules.priceSource || position.exchange;
+  }
+
+  // Latest ATR from Binance klines, cached briefly per symbol and settings
+  async getAtr(symbol, { period, interval }, now = Date.now()) {
+    const key = `${symbol}:${interval}:${period}`;
+    const cached = this.atrCache.get(key);
+    if (cached && now - cached.timestamp < this.config.atrCacheTtl) {
+      return cached.value;
+    }
+
+    try {
+      const klines = await marketDataService.getKlineData(
+        'binance', marketDataService.normalizeSymbol(symbol), interval, period * 3
+      );
+      const value = technicalIndicators.latest(technicalIndicators.atr(klines, period));
+      this.atrCache.set(key, { value, timestamp: now });
+      return value;
+    } catch (error) {
+      logger.warn('Failed to fetch ATR for trailing stop', { symbol, error: error.message });
+      return cached ? cached.value : null;
+    }
+  }
+}
+
+// Create and export singleton instance
+const positionMonitor = new PositionMonitor();
+
+module.exports = {
+  positionMonitor,
+  PositionMonitor,
+  normalizeExitRules
+};
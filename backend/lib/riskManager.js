@@ -21,6 +21,14 @@ const { logger } = require('./logging');
 const { User, Trade, TradingStrategy, ExchangeConfig } = require('./database');
 const { performance } = require('./performance');
 const riskConfig = require('../config/risk.config');
+const marketDataService = require('./marketDataService');
+const { technicalIndicators } = require('./technicalIndicators');
+const { orderBookAnalytics } = require('./orderBookAnalytics');
+const { consolidatedQuotes } = require('./consolidatedQuotes');
+
+// Volatility is estimated from hourly ATR and cached briefly per symbol
+const VOLATILITY_CACHE_TTL = 5 * 60 * 1000;
+const DEFAULT_VOLATILITY = 0.05;
 
 class RiskManager {
   constructor() {
@@ -41,6 +49,9 @@ class RiskManager {
       startTime: Date.now(),
     };
 
+    // Volatility estimates by symbol: { value, timestamp }
+    this.volatilityCache = new Map();
+
     // Risk Alerts
     this.alerts = [];
     this.riskLevels = {
@@ -222,6 +233,67 @@ class RiskManager {
     }
   }
 
+  /**
+   * Paired signal validation (e.g. arbitrage legs)
+   *
+   * Every leg must pass validateSignal on its own; the pair must then be one
+   * buy and one sell of the same asset. Legs are resized to the smallest
+   * approved amount so a sizing adjustment on one side cannot unhedge the pair.
+   */
+  async validateSignalPair(legs, userId, portfolioValue) {
+    const validation = {
+      valid: true,
+      warnings: [],
+      errors: [],
+      riskScore: 0,
+      legs: [],
+      metadata: {
+        validationTime: Date.now(),
+        userId,
+        pairId: legs[0]?.pairId
+      }
+    };
+
+    const actions = legs.map(leg => leg.action).sort().join(',');
+    const symbols = new Set(legs.map(leg => leg.symbol));
+    if (legs.length !== 2 || actions !== 'BUY,SELL' || symbols.size !== 1) {
+      validation.valid = false;
+      validation.errors.push('Signal pair must be one BUY and one SELL of the same symbol');
+      return validation;
+    }
+
+    const results = [];
+    for (const leg of legs) {
+      results.push(await this.validateSignal(leg, userId, portfolioValue));
+    }
+
+    results.forEach((result, index) => {
+      const label = `${legs[index].action} leg`;
+      validation.warnings.push(...result.warnings.map(warning => `${label}: ${warning}`));
+      validation.errors.push(...result.errors.map(error => `${label}: ${error}`));
+      validation.riskScore = Math.max(validation.riskScore, result.riskScore);
+      if (!result.valid) {
+        validation.valid = false;
+      }
+    });
+
+    if (!validation.valid) {
+      return validation;
+    }
+
+    const adjusted = results.map((result, index) => result.adjustedSignal || legs[index]);
+    const amounts = adjusted.map(leg => leg.amount).filter(amount => amount > 0);
+    const amount = amounts.length > 0 ? Math.min(...amounts) : undefined;
+
+    if (amount !== undefined && amounts.some(legAmount => legAmount !== amount)) {
+      validation.warnings.push(`Pair legs resized to matching amount ${amount}`);
+    }
+
+    validation.legs = adjusted.map(leg => ({ ...leg, amount }));
+
+    return validation;
+  }
+
   /**
    * Basic signal validation
    */
@@ -418,14 +490,46 @@ class RiskManager {
     try {
       // Check market volatility
       const volatility = await this.estimateVolatility(signal.symbol);
+      assessment.volatility = volatility;
       if (volatility > this.config.volatilityLimit) {
         assessment.warnings.push(`High volatility detected: ${(volatility * 100).toFixed(1)}%`);
       }
 
-      // Check liquidity
-      const liquidity = await this.estimateLiquidity(signal.symbol);
-      if (liquidity < this.config.liquidityThreshold) {
-        assessment.warnings.push(`Low liquidity detected: $${liquidity.toLocaleString()}`);
+      // Check liquidity and the cost of filling the order against the book
+      const book = await this.getOrderBook(signal.symbol, signal.exchange);
+      if (book) {
+        const liquidity = this.estimateLiquidity(book);
+        assessment.liquidity = liquidity;
+        if (liquidity < this.config.liquidityThreshold) {
+          assessment.warnings.push(`Low liquidity detected: $${liquidity.toLocaleString()}`);
+        }
+
+        // amount is in the base asset; the book is walked in quote currency
+        const price = signal.entry || orderBookAnalytics.midPrice(book);
+        if (signal.amount && price) {
+          const notional = signal.amount * price;
+          const slippage = orderBookAnalytics.estimateSlippage(book, signal.action === 'BUY' ? 'buy' : 'sell', notional);
+          assessment.slippage = slippage;
+          if (!slippage.complete) {
+            assessment.warnings.push(`Order exceeds visible book depth: only ${slippage.quantity.toLocaleString()} of ${signal.amount.toLocaleString()} fillable`);
+          } else if (slippage.slippageBps > this.config.maxSlippageBps) {
+            assessment.warnings.push(`High estimated slippage: ${slippage.slippageBps.toFixed(1)} bps`);
+          }
+        }
+      } else {
+        assessment.warnings.push('Order book unavailable, liquidity not checked');
+      }
+
+      // Check the entry against the price across every exchange
+      const referencePrice = consolidatedQuotes.getReferencePrice(signal.symbol);
+      assessment.referencePrice = referencePrice;
+      if (referencePrice === null) {
+        assessment.warnings.push('No exchange has a current price, entry not checked');
+      } else {
+        const deviation = Math.abs(signal.entry - referencePrice) / referencePrice;
+        if (deviation > this.config.maxEntryDeviation) {
+          assessment.warnings.push(`Entry is ${(deviation * 100).toFixed(1)}% from the reference price of ${referencePrice}`);
+        }
       }
 
       // Check market hours
@@ -473,7 +577,7 @@ class RiskManager {
     }
 
     // Volatility risk
-    const volatility = this.estimateVolatility(signal.symbol);
+    const volatility = marketRisk.volatility || 0;
     if (volatility > 0.1) {
       score += (volatility - 0.1) * 100;
     }
@@ -774,14 +878,53 @@ class RiskManager {
     return 0.3; // Default correlation
   }
 
+  /**
+   * Estimate volatility as ATR(14) relative to price on hourly candles
+   */
   async estimateVolatility(symbol) {
-    // In production, this would use historical data
-    return 0.05; // 5% default volatility
+    const cached = this.volatilityCache.get(symbol);
+    if (cached && Date.now() - cached.timestamp < VOLATILITY_CACHE_TTL) {
+      return cached.value;
+    }
+
+    try {
+      const klines = await marketDataService.getKlineData('binance', marketDataService.normalizeSymbol(symbol), '1h', 100);
+      const atr = technicalIndicators.latest(technicalIndicators.atr(klines || [], 14));
+      const price = klines?.[klines.length - 1]?.close;
+
+      if (!atr || !price) {
+        return DEFAULT_VOLATILITY;
+      }
+
+      const value = atr / price;
+      this.volatilityCache.set(symbol, { value, timestamp: Date.now() });
+      return value;
+    } catch (error) {
+      logger.warn(`Volatility estimate unavailable for ${symbol}:`, error.message);
+      return DEFAULT_VOLATILITY;
+    }
+  }
+
+  /**
+   * Live order book for a signal's market, or null when neither the depth
+   * feed nor the REST snapshot is available
+   */
+  async getOrderBook(symbol, exchange = 'binance') {
+    try {
+      return await orderBookAnalytics.getBook(exchange, marketDataService.normalizeSymbol(symbol));
+    } catch (error) {
+      logger.warn(`Order book unavailable for ${symbol}:`, error.message);
+      return null;
+    }
   }
 
-  async estimateLiquidity(symbol) {
-    // In production, this would query exchange data
-    return 10000000; // $10M default liquidity
+  /**
+   * Estimate liquidity as quote-currency depth within liquidityDepthBps of
+   * mid, on both sides of the book
+   */
+  estimateLiquidity(book) {
+    const depth = orderBookAnalytics.depthWithin(book, this.config.liquidityDepthBps);
+    return depth.bidNotional + depth.askNotional;
   }
 
   async isMarketClosed(symbol) {
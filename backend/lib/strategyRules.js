@@ -0,0 +1,373 @@
+// =============================================================================
+// Strategy Rule Evaluator - Production Ready
+// =============================================================================
+// Evaluates the JSON condition language stored in trading_strategies.parameters.
+// The live SignalGenerator and the BacktestingEngine share this evaluator so a
+// strategy backtests exactly the way it trades.
+//
+// parameters.rules = {
+//   longEntry:  { all: [{ indicator: 'rsi', period: 14, op: '<', value: 30 }, { cross: 'macd_above_signal' }] },
+//   longExit:   { indicator: 'rsi', period: 14, op: '>', value: 70 },
+//   shortEntry: ..., shortExit: ...
+// }
+//
+// Conditions:  { all: [...] }, { any: [...] }, { not: condition },
+//              { indicator, ...params, op, value } where value is a number or another operand,
+//              { cross: 'macd_above_signal', ...params }
+// Operands:    { indicator: 'close' | 'open' | 'high' | 'low' | 'volume' | 'sma' | 'ema' | 'wma' |
+//                'rsi' | 'macd' | 'bollinger' | 'roc' | 'highest' | 'lowest' | 'atr' | 'adx' |
+//                'stochastic' | 'obv' | 'vwap' | 'ichimoku' | 'keltner' | 'donchian' |
+//                'supertrend' | 'psar', period, field, ... }
+// Operators:   <, <=, >, >=, ==, !=, crosses_above, crosses_below
+
+const { technicalIndicators } = require('./technicalIndicators');
+
+const RULE_KEYS = ['longEntry', 'shortEntry', 'longExit', 'shortExit'];
+
+const COMPARISON_OPS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+const CROSS_OPS = ['crosses_above', 'crosses_below'];
+
+// Named crosses expand to a left/right operand pair
+const NAMED_CROSSES = {
+  macd_above_signal: { left: { indicator: 'macd', field: 'macd' }, right: { indicator: 'macd', field: 'signal' }, op: 'crosses_above' },
+  macd_below_signal: { left: { indicator: 'macd', field: 'macd' }, right: { indicator: 'macd', field: 'signal' }, op: 'crosses_below' },
+  price_above_sma: { left: { indicator: 'close' }, right: { indicator: 'sma' }, op: 'crosses_above' },
+  price_below_sma: { left: { indicator: 'close' }, right: { indicator: 'sma' }, op: 'crosses_below' },
+  price_above_ema: { left: { indicator: 'close' }, right: { indicator: 'ema' }, op: 'crosses_above' },
+  price_below_ema: { left: { indicator: 'close' }, right: { indicator: 'ema' }, op: 'crosses_below' },
+  sma_fast_above_slow: { left: { indicator: 'sma', periodKey: 'fastPeriod' }, right: { indicator: 'sma', periodKey: 'slowPeriod' }, op: 'crosses_above' },
+  sma_fast_below_slow: { left: { indicator: 'sma', periodKey: 'fastPeriod' }, right: { indicator: 'sma', periodKey: 'slowPeriod' }, op: 'crosses_below' }
+};
+
+const INDICATOR_DEFAULTS = {
+  sma: { period: 20 },
+  ema: { period: 20 },
+  wma: { period: 20 },
+  rsi: { period: 14 },
+  macd: { fast: 12, slow: 26, signal: 9, field: 'macd' },
+  bollinger: { period: 20, stdDev: 2, field: 'middle' },
+  roc: { period: 10 },
+  highest: { period: 20, source: 'high' },
+  lowest: { period: 20, source: 'low' },
+  atr: { period: 14 },
+  adx: { period: 14, field: 'adx' },
+  stochastic: { kPeriod: 14, dPeriod: 3, smoothing: 1, field: 'k' },
+  obv: {},
+  vwap: {},
+  ichimoku: { conversionPeriod: 9, basePeriod: 26, spanBPeriod: 52, displacement: 26, field: 'base' },
+  keltner: { period: 20, atrPeriod: 10, multiplier: 2, field: 'middle' },
+  donchian: { period: 20, field: 'middle' },
+  supertrend: { period: 10, multiplier: 3, field: 'value' },
+  psar: { step: 0.02, maxStep: 0.2 }
+};
+
+const PRICE_FIELDS = ['close', 'open', 'high', 'low', 'volume'];
+
+class StrategyRuleEvaluator {
+  // Rule set for a strategy: parameters.rules, or DSL objects supplied directly
+  // as entryConditions/exitConditions (treated as long-only rules)
+  getRules(strategy = {}) {
+    const rules = strategy.parameters?.rules;
+    if (rules && typeof rules === 'object') {
+      return rules;
+    }
+
+    const isCondition = value => value && typeof value === 'object' && !Array.isArray(value);
+    if (isCondition(strategy.entryConditions)) {
+      return {
+        longEntry: strategy.entryConditions,
+        longExit: isCondition(strategy.exitConditions) ? strategy.exitConditions : undefined
+      };
+    }
+
+    return null;
+  }
+
+  hasRules(strategy) {
+    const rules = this.getRules(strategy);
+    return Boolean(rules && (rules.longEntry || rules.shortEntry));
+  }
+
+  // Side whose entry rule matches on the latest candle: 'long', 'short' or null
+  evaluateEntry(rules, candles) {
+    if (!rules) {return null;}
+    if (rules.longEntry && this.evaluate(rules.longEntry, candles)) {return 'long';}
+    if (rules.shortEntry && this.evaluate(rules.shortEntry, candles)) {return 'short';}
+    return null;
+  }
+
+  // Whether the exit rule for an open position's side matches
+  evaluateExit(rules, side, candles) {
+    const condition = rules?.[side === 'short' ? 'shortExit' : 'longExit'];
+    return condition ? this.evaluate(condition, candles) : false;
+  }
+
+  // Evaluate a condition against OHLCV candles (oldest first, latest last).
+  // Missing indicator data (not enough history) never matches.
+  evaluate(condition, candles) {
+    if (!condition || !Array.isArray(candles) || candles.length === 0) {
+      return false;
+    }
+
+    if (Array.isArray(condition.all)) {
+      return condition.all.every(child => this.evaluate(child, candles));
+    }
+    if (Array.isArray(condition.any)) {
+      return condition.any.some(child => this.evaluate(child, candles));
+    }
+    if (condition.not) {
+      return !this.evaluate(condition.not, candles);
+    }
+
+    const { left, right, op } = this.toComparison(condition);
+
+    if (CROSS_OPS.includes(op)) {
+      if (candles.length < 2) {return false;}
+
+      const previousCandles = candles.slice(0, -1);
+      const current = [this.resolveOperand(left, candles), this.resolveOperand(right, candles)];
+      const previous = [this.resolveOperand(left, previousCandles), this.resolveOperand(right, previousCandles)];
+      if ([...current, ...previous].some(value => value === null)) {return false;}
+
+      return op === 'crosses_above'
+        ? previous[0] <= previous[1] && current[0] > current[1]
+        : previous[0] >= previous[1] && current[0] < current[1];
+    }
+
+    const compare = COMPARISON_OPS[op];
+    const a = this.resolveOperand(left, candles);
+    const b = this.resolveOperand(right, candles);
+    if (!compare || a === null || b === null) {return false;}
+
+    return compare(a, b);
+  }
+
+  // Normalize comparison and named-cross conditions into { left, right, op }
+  toComparison(condition) {
+    if (condition.cross) {
+      const named = NAMED_CROSSES[condition.cross];
+      if (!named) {
+        return { op: null };
+      }
+
+      const { cross: _cross, ...params } = condition;
+      const withParams = operand => {
+        const { periodKey, ...spec } = operand;
+        return periodKey && params[periodKey] !== undefined
+          ? { ...params, ...spec, period: params[periodKey] }
+          : { ...params, ...spec };
+      };
+
+      return { left: withParams(named.left), right: withParams(named.right), op: named.op };
+    }
+
+    const { op, value, ...left } = condition;
+    return { left, right: value, op };
+  }
+
+  // Numeric value of an operand on the latest candle, or null when unavailable
+  resolveOperand(operand, candles) {
+    if (typeof operand === 'number') {return operand;}
+    if (!operand || typeof operand !== 'object') {return null;}
+
+    const name = operand.indicator;
+    const spec = { ...(INDICATOR_DEFAULTS[name] || {}), ...operand };
+    const closes = candles.map(candle => candle.close);
+    const ti = technicalIndicators;
+    let result;
+
+    if (PRICE_FIELDS.includes(name)) {
+      result = candles[candles.length - 1][name];
+    } else {
+      switch (name) {
+      case 'sma':
+      case 'ema':
+      case 'wma':
+      case 'rsi':
+      case 'roc':
+        result = ti.latest(ti[name](closes, spec.period));
+        break;
+      case 'macd':
+        result = ti.latest(ti.macd(closes, spec.fast, spec.slow, spec.signal));
+        break;
+      case 'bollinger':
+        result = ti.latest(ti.bollingerBands(closes, spec.period, spec.stdDev));
+        break;
+      case 'highest':
+      case 'lowest': {
+        // Range of the bars before the current one, so breakouts can be detected
+        const source = candles.slice(-spec.period - 1, -1).map(candle => candle[spec.source]);
+        if (source.length < spec.period) {return null;}
+        result = name === 'highest' ? Math.max(...source) : Math.min(...source);
+        break;
+      }
+      case 'atr':
+      case 'adx':
+        result = ti.latest(ti[name](candles, spec.period));
+        break;
+      case 'stochastic':
+        result = ti.latest(ti.stochastic(candles, spec.kPeriod, spec.dPeriod, spec.smoothing));
+        break;
+      case 'obv':
+        result = ti.latest(ti.obv(candles));
+        break;
+      case 'vwap':
+        result = ti.latest(ti.vwap(candles, spec.resetDaily !== false));
+        break;
+      case 'ichimoku':
+        result = ti.latest(ti.ichimoku(candles, spec.conversionPeriod, spec.basePeriod, spec.spanBPeriod, spec.displacement));
+        break;
+      case 'keltner':
+        result = ti.latest(ti.keltnerChannels(candles, spec.period, spec.atrPeriod, spec.multiplier));
+        break;
+      case 'donchian':
+        result = ti.latest(ti.donchianChannels(candles, spec.period));
+        break;
+      case 'supertrend':
+        result = ti.latest(ti.supertrend(candles, spec.period, spec.multiplier));
+        break;
+      case 'psar':
+        result = ti.latest(ti.parabolicSar(candles, spec.step, spec.maxStep));
+        break;
+      default:
+        return null;
+      }
+    }
+
+    if (result && typeof result === 'object') {
+      result = result[spec.field];
+    }
+
+    return typeof result === 'number' && Number.isFinite(result) ? result : null;
+  }
+
+  // Number of candles needed before every indicator in the rules has a value
+  getLookback(rules) {
+    let lookback = 2;
+
+    const visit = node => {
+      if (!node || typeof node !== 'object') {return;}
+      if (Array.isArray(node)) {
+        node.forEach(visit);
+        return;
+      }
+
+      const spec = { ...(INDICATOR_DEFAULTS[node.indicator] || {}), ...node };
+      if (node.indicator === 'macd' || node.cross?.startsWith('macd')) {
+        lookback = Math.max(lookback, (spec.slow || 26) + (spec.signal || 9) + 1);
+      }
+      if (node.indicator === 'adx') {
+        lookback = Math.max(lookback, spec.period * 2 + 1);
+      }
+      if (node.indicator === 'ichimoku') {
+        lookback = Math.max(lookback, spec.spanBPeriod + spec.displacement + 1);
+      }
+      if (node.indicator === 'stochastic') {
+        lookback = Math.max(lookback, spec.kPeriod + spec.dPeriod + spec.smoothing);
+      }
+      ['period', 'fastPeriod', 'slowPeriod', 'atrPeriod'].forEach(key => {
+        if (typeof spec[key] === 'number') {
+          lookback = Math.max(lookback, spec[key] + 2);
+        }
+      });
+
+      Object.values(node).forEach(visit);
+    };
+
+    RULE_KEYS.forEach(key => visit(rules?.[key]));
+    return lookback;
+  }
+
+  // Validate a rule set; returns a list of human readable errors
+  validateRules(rules) {
+    const errors = [];
+
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+      return ['rules must be an object'];
+    }
+
+    const unknownKeys = Object.keys(rules).filter(key => !RULE_KEYS.includes(key));
+    if (unknownKeys.length > 0) {
+      errors.push(`Unknown rule keys: ${unknownKeys.join(', ')}`);
+    }
+    if (!rules.longEntry && !rules.shortEntry) {
+      errors.push('rules need a longEntry or shortEntry condition');
+    }
+
+    RULE_KEYS.forEach(key => {
+      if (rules[key] !== undefined) {
+        this.validateCondition(rules[key], key, errors);
+      }
+    });
+
+    return errors;
+  }
+
+  validateCondition(condition, path, errors) {
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+      errors.push(`${path}: condition must be an object`);
+      return;
+    }
+
+    if (condition.all || condition.any) {
+      const key = condition.all ? 'all' : 'any';
+      if (!Array.isArray(condition[key]) || condition[key].length === 0) {
+        errors.push(`${path}.${key}: must be a non-empty array`);
+        return;
+      }
+      condition[key].forEach((child, index) => this.validateCondition(child, `${path}.${key}[${index}]`, errors));
+      return;
+    }
+
+    if (condition.not) {
+      this.validateCondition(condition.not, `${path}.not`, errors);
+      return;
+    }
+
+    if (condition.cross) {
+      if (!NAMED_CROSSES[condition.cross]) {
+        errors.push(`${path}: unknown cross "${condition.cross}"`);
+      }
+      return;
+    }
+
+    if (!COMPARISON_OPS[condition.op] && !CROSS_OPS.includes(condition.op)) {
+      errors.push(`${path}: unknown operator "${condition.op}"`);
+    }
+
+    const { op: _op, value, ...left } = condition;
+    this.validateOperand(left, path, errors);
+    if (typeof value !== 'number') {
+      this.validateOperand(value, `${path}.value`, errors);
+    }
+  }
+
+  validateOperand(operand, path, errors) {
+    if (!operand || typeof operand !== 'object') {
+      errors.push(`${path}: operand must be a number or an indicator`);
+      return;
+    }
+
+    if (!PRICE_FIELDS.includes(operand.indicator) && !INDICATOR_DEFAULTS[operand.indicator]) {
+      errors.push(`${path}: unknown indicator "${operand.indicator}"`);
+    }
+  }
+}
+
+// Create and export singleton instance
+const strategyRuleEvaluator = new StrategyRuleEvaluator();
+
+module.exports = {
+  strategyRuleEvaluator,
+  StrategyRuleEvaluator,
+  NAMED_CROSSES,
+  RULE_KEYS
+};
@@ -0,0 +1,602 @@
+// =============================================================================
+// Technical Indicators Library - Production Ready
+// =============================================================================
+// Indicator math shared by the trading bot, backtesting engine, strategy rules
+// and risk manager.
+//
+// Batch functions take an array of numbers or OHLCV candles ({ open, high, low,
+// close, volume, timestamp | openTime }, oldest first) and return a series of
+// the same length, with null where there is not yet enough history. Use
+// `latest(series)` for the current value.
+//
+// Streaming variants (createStream) update in O(1) per bar: `update()` commits a
+// closed bar, `preview()` values a still-forming bar without committing it.
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+const emptySeries = length => new Array(length).fill(null);
+
+const closesOf = candles => candles.map(candle => (typeof candle === 'number' ? candle : candle.close));
+
+const candleTime = candle => candle.openTime ?? candle.timestamp;
+
+const utcDay = time => Math.floor(time / 86400000);
+
+function latest(series) {
+  return series.length > 0 ? series[series.length - 1] : null;
+}
+
+// Apply fn to every window of `period` values ending at each index
+function rolling(values, period, fn) {
+  const result = emptySeries(values.length);
+  for (let i = period - 1; i < values.length; i++) {
+    result[i] = fn(values.slice(i - period + 1, i + 1));
+  }
+  return result;
+}
+
+// Run a series function over the non-null tail of a series, keeping alignment
+function onDefined(series, fn) {
+  const start = series.findIndex(value => value !== null);
+  if (start === -1) {return emptySeries(series.length);}
+  return [...emptySeries(start), ...fn(series.slice(start))];
+}
+
+// Wilder smoothing of a series whose first value is at `start`
+function wilderSmooth(values, period, start = 0) {
+  const result = emptySeries(values.length);
+  if (values.length - start < period) {return result;}
+
+  let sum = 0;
+  for (let i = start; i < start + period; i++) {
+    sum += values[i];
+  }
+
+  let smoothed = sum / period;
+  result[start + period - 1] = smoothed;
+
+  for (let i = start + period; i < values.length; i++) {
+    smoothed = (smoothed * (period - 1) + values[i]) / period;
+    result[i] = smoothed;
+  }
+
+  return result;
+}
+
+// -----------------------------------------------------------------------------
+// Technical Indicators
+// -----------------------------------------------------------------------------
+
+class TechnicalIndicators {
+  latest(series) {
+    return latest(series);
+  }
+
+  // Moving averages -----------------------------------------------------------
+
+  sma(values, period) {
+    const result = emptySeries(values.length);
+    let sum = 0;
+
+    for (let i = 0; i < values.length; i++) {
+      sum += values[i];
+      if (i >= period) {sum -= values[i - period];}
+      if (i >= period - 1) {result[i] = sum / period;}
+    }
+
+    return result;
+  }
+
+  // Seeded with the SMA of the first `period` values
+  ema(values, period) {
+    const result = emptySeries(values.length);
+    if (values.length < period) {return result;}
+
+    const multiplier = 2 / (period + 1);
+    let ema = values.slice(0, period).reduce((sum, value) => sum + value, 0) / period;
+    result[period - 1] = ema;
+
+    for (let i = period; i < values.length; i++) {
+      ema = (values[i] - ema) * multiplier + ema;
+      result[i] = ema;
+    }
+
+    return result;
+  }
+
+  wma(values, period) {
+    const divisor = (period * (period + 1)) / 2;
+    return rolling(values, period, window => window.reduce((sum, value, i) => sum + value * (i + 1), 0) / divisor);
+  }
+
+  // Volatility ----------------------------------------------------------------
+
+  // Population standard deviation
+  standardDeviation(values, period) {
+    return rolling(values, period, window => {
+      const mean = window.reduce((sum, value) => sum + value, 0) / period;
+      return Math.sqrt(window.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / period);
+    });
+  }
+
+  bollingerBands(values, period = 20, stdDev = 2) {
+    const middle = this.sma(values, period);
+    const deviation = this.standardDeviation(values, period);
+
+    return middle.map((mid, i) => (mid === null ? null : {
+      upper: mid + deviation[i] * stdDev,
+      middle: mid,
+      lower: mid - deviation[i] * stdDev
+    }));
+  }
+
+  trueRange(candles) {
+    return candles.map((candle, i) => {
+      if (i === 0) {return candle.high - candle.low;}
+      const previousClose = candles[i - 1].close;
+      return Math.max(
+        candle.high - candle.low,
+        Math.abs(candle.high - previousClose),
+        Math.abs(candle.low - previousClose)
+      );
+    });
+  }
+
+  // Wilder's ATR; the first value averages the true ranges of bars 1..period
+  atr(candles, period = 14) {
+    return wilderSmooth(this.trueRange(candles), period, 1);
+  }
+
+  keltnerChannels(candles, emaPeriod = 20, atrPeriod = 10, multiplier = 2) {
+    const middle = this.ema(closesOf(candles), emaPeriod);
+    const atr = this.atr(candles, atrPeriod);
+
+    return middle.map((mid, i) => (mid === null || atr[i] === null ? null : {
+      upper: mid + atr[i] * multiplier,
+      middle: mid,
+      lower: mid - atr[i] * multiplier
+    }));
+  }
+
+  donchianChannels(candles, period = 20) {
+    const upper = this.highest(candles.map(candle => candle.high), period);
+    const lower = this.lowest(candles.map(candle => candle.low), period);
+
+    return upper.map((high, i) => (high === null ? null : {
+      upper: high,
+      middle: (high + lower[i]) / 2,
+      lower: lower[i]
+    }));
+  }
+
+  highest(values, period) {
+    return rolling(values, period, window => Math.max(...window));
+  }
+
+  lowest(values, period) {
+    return rolling(values, period, window => Math.min(...window));
+  }
+
+  // Momentum ------------------------------------------------------------------
+
+  // Wilder's RSI
+  rsi(values, period = 14) {
+    const changes = values.map((value, i) => (i === 0 ? 0 : value - values[i - 1]));
+    const gains = wilderSmooth(changes.map(change => Math.max(change, 0)), period, 1);
+    const losses = wilderSmooth(changes.map(change => Math.max(-change, 0)), period, 1);
+
+    return gains.map((gain, i) => {
+      if (gain === null) {return null;}
+      if (losses[i] === 0) {return 100;}
+      return 100 - (100 / (1 + gain / losses[i]));
+    });
+  }
+
+  // MACD with the signal line as an EMA of the MACD line
+  macd(values, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+    const fast = this.ema(values, fastPeriod);
+    const slow = this.ema(values, slowPeriod);
+    const macdLine = slow.map((slowValue, i) => (slowValue === null ? null : fast[i] - slowValue));
+    const signalLine = onDefined(macdLine, line => this.ema(line, signalPeriod));
+
+    return macdLine.map((macd, i) => (signalLine[i] === null ? null : {
+      macd,
+      signal: signalLine[i],
+      histogram: macd - signalLine[i]
+    }));
+  }
+
+  // Percentage change over `period` bars
+  roc(values, period = 10) {
+    return values.map((value, i) => {
+      const previous = values[i - period];
+      return i >= period && previous ? ((value - previous) / previous) * 100 : null;
+    });
+  }
+
+  // %K over kPeriod bars, optionally smoothed, and %D as an SMA of %K
+  stochastic(candles, kPeriod = 14, dPeriod = 3, smoothing = 1) {
+    const highs = this.highest(candles.map(candle => candle.high), kPeriod);
+    const lows = this.lowest(candles.map(candle => candle.low), kPeriod);
+
+    const rawK = candles.map((candle, i) => {
+      if (highs[i] === null) {return null;}
+      const range = highs[i] - lows[i];
+      return range === 0 ? 50 : ((candle.close - lows[i]) / range) * 100;
+    });
+
+    const k = smoothing > 1 ? onDefined(rawK, series => this.sma(series, smoothing)) : rawK;
+    const d = onDefined(k, series => this.sma(series, dPeriod));
+
+    return k.map((value, i) => (value === null ? null : { k: value, d: d[i] }));
+  }
+
+  // Trend ---------------------------------------------------------------------
+
+  // Wilder's ADX with the directional indicators
+  adx(candles, period = 14) {
+    const plusDM = emptySeries(candles.length).fill(0);
+    const minusDM = emptySeries(candles.length).fill(0);
+
+    for (let i = 1; i < candles.length; i++) {
+      const upMove = candles[i].high - candles[i - 1].high;
+      const downMove = candles[i - 1].low - candles[i].low;
+      plusDM[i] = upMove > downMove && upMove > 0 ? upMove : 0;
+      minusDM[i] = downMove > upMove && downMove > 0 ? downMove : 0;
+    }
+
+    const tr = wilderSmooth(this.trueRange(candles), period, 1);
+    const plus = wilderSmooth(plusDM, period, 1);
+    const minus = wilderSmooth(minusDM, period, 1);
+
+    const plusDI = tr.map((range, i) => (range ? (plus[i] / range) * 100 : null));
+    const minusDI = tr.map((range, i) => (range ? (minus[i] / range) * 100 : null));
+    const dx = plusDI.map((pdi, i) => {
+      if (pdi === null) {return null;}
+      const total = pdi + minusDI[i];
+      return total === 0 ? 0 : (Math.abs(pdi - minusDI[i]) / total) * 100;
+    });
+
+    const adx = onDefined(dx, series => wilderSmooth(series, period));
+
+    return adx.map((value, i) => (value === null ? null : {
+      adx: value,
+      plusDI: plusDI[i],
+      minusDI: minusDI[i]
+    }));
+  }
+
+  // Ichimoku cloud; spanA/spanB are aligned with the bar they are plotted on
+  ichimoku(candles, conversionPeriod = 9, basePeriod = 26, spanBPeriod = 52, displacement = 26) {
+    const highs = candles.map(candle => candle.high);
+    const lows = candles.map(candle => candle.low);
+    const midpoint = period => {
+      const high = this.highest(highs, period);
+      const low = this.lowest(lows, period);
+      return high.map((value, i) => (value === null ? null : (value + low[i]) / 2));
+    };
+
+    const conversion = midpoint(conversionPeriod);
+    const base = midpoint(basePeriod);
+    const spanBSource = midpoint(spanBPeriod);
+
+    return candles.map((_candle, i) => {
+      if (base[i] === null) {return null;}
+
+      const source = i - displacement;
+      const hasSpanA = source >= 0 && base[source] !== null;
+
+      return {
+        conversion: conversion[i],
+        base: base[i],
+        spanA: hasSpanA ? (conversion[source] + base[source]) / 2 : null,
+        spanB: source >= 0 ? spanBSource[source] : null,
+        lagging: i + displacement < candles.length ? candles[i + displacement].close : null
+      };
+    });
+  }
+
+  supertrend(candles, period = 10, multiplier = 3) {
+    const atr = this.atr(candles, period);
+    const result = emptySeries(candles.length);
+    let finalUpper = null;
+    let finalLower = null;
+    let direction = 1;
+
+    for (let i = 0; i < candles.length; i++) {
+      if (atr[i] === null) {continue;}
+
+      const candle = candles[i];
+      const hl2 = (candle.high + candle.low) / 2;
+      const basicUpper = hl2 + multiplier * atr[i];
+      const basicLower = hl2 - multiplier * atr[i];
+      const previousClose = candles[i - 1].close;
+
+      if (finalUpper === null) {
+        finalUpper = basicUpper;
+        finalLower = basicLower;
+        direction = candle.close >= hl2 ? 1 : -1;
+      } else {
+        finalUpper = basicUpper < finalUpper || previousClose > finalUpper ? basicUpper : finalUpper;
+        finalLower = basicLower > finalLower || previousClose < finalLower ? basicLower : finalLower;
+
+        if (direction === 1 && candle.close < finalLower) {
+          direction = -1;
+        } else if (direction === -1 && candle.close > finalUpper) {
+          direction = 1;
+        }
+      }
+
+      result[i] = {
+        value: direction === 1 ? finalLower : finalUpper,
+        direction
+      };
+    }
+
+    return result;
+  }
+
+  parabolicSar(candles, step = 0.02, maxStep = 0.2) {
+    const result = emptySeries(candles.length);
+    if (candles.length < 2) {return result;}
+
+    let isLong = candles[1].close >= candles[0].close;
+    let acceleration = step;
+    let extreme = isLong ? Math.max(candles[0].high, candles[1].high) : Math.min(candles[0].low, candles[1].low);
+    let sar = isLong ? Math.min(candles[0].low, candles[1].low) : Math.max(candles[0].high, candles[1].high);
+    result[1] = sar;
+
+    for (let i = 2; i < candles.length; i++) {
+      const candle = candles[i];
+      sar += acceleration * (extreme - sar);
+
+      if (isLong) {
+        sar = Math.min(sar, candles[i - 1].low, candles[i - 2].low);
+        if (candle.low < sar) {
+          isLong = false;
+          sar = extreme;
+          extreme = candle.low;
+          acceleration = step;
+        } else if (candle.high > extreme) {
+          extreme = candle.high;
+          acceleration = Math.min(acceleration + step, maxStep);
+        }
+      } else {
+        sar = Math.max(sar, candles[i - 1].high, candles[i - 2].high);
+        if (candle.high > sar) {
+          isLong = true;
+          sar = extreme;
+          extreme = candle.high;
+          acceleration = step;
+        } else if (candle.low < extreme) {
+          extreme = candle.low;
+          acceleration = Math.min(acceleration + step, maxStep);
+        }
+      }
+
+      result[i] = sar;
+    }
+
+    return result;
+  }
+
+  // Volume --------------------------------------------------------------------
+
+  obv(candles) {
+    let obv = 0;
+    return candles.map((candle, i) => {
+      if (i > 0) {
+        if (candle.close > candles[i - 1].close) {obv += candle.volume;}
+        if (candle.close < candles[i - 1].close) {obv -= candle.volume;}
+      }
+      return obv;
+    });
+  }
+
+  // Volume weighted average of the typical price, reset each UTC day when
+  // candles carry timestamps (pass resetDaily = false for a cumulative VWAP)
+  vwap(candles, resetDaily = true) {
+    let priceVolume = 0;
+    let volume = 0;
+    let session = null;
+
+    return candles.map(candle => {
+      const time = candleTime(candle);
+      if (resetDaily && time !== undefined && utcDay(time) !== session) {
+        session = utcDay(time);
+        priceVolume = 0;
+        volume = 0;
+      }
+
+      priceVolume += ((candle.high + candle.low + candle.close) / 3) * candle.volume;
+      volume += candle.volume;
+
+      return volume > 0 ? priceVolume / volume : null;
+    });
+  }
+
+  // Streaming -----------------------------------------------------------------
+
+  // Create an incremental indicator: createStream('rsi', { period: 14 })
+  createStream(name, options = {}) {
+    const factory = STREAMS[name];
+    if (!factory) {
+      throw new Error(`Unsupported streaming indicator: ${name}`);
+    }
+    return new IndicatorStream(factory(options));
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Streaming indicators
+// -----------------------------------------------------------------------------
+// Each definition is { initial, step(state, input) => [nextState, value] } with
+// immutable state, so a forming bar can be previewed without committing it.
+
+class IndicatorStream {
+  constructor({ initial, step }) {
+    this.state = initial;
+    this.step = step;
+    this.value = null;
+  }
+
+  // Commit a closed bar (a number or an OHLCV candle)
+  update(input) {
+    const [state, value] = this.step(this.state, input);
+    this.state = state;
+    this.value = value;
+    return value;
+  }
+
+  // Value the indicator would have if `input` closed now
+  preview(input) {
+    return this.step(this.state, input)[1];
+  }
+}
+
+const priceOf = input => (typeof input === 'number' ? input : input.close);
+
+function emaStep(period) {
+  const multiplier = 2 / (period + 1);
+
+  return (state, value) => {
+    const count = state.count + 1;
+    if (count < period) {
+      return [{ count, sum: state.sum + value, ema: null }, null];
+    }
+
+    const ema = count === period
+      ? (state.sum + value) / period
+      : (value - state.ema) * multiplier + state.ema;
+
+    return [{ count, sum: 0, ema }, ema];
+  };
+}
+
+const EMA_INITIAL = { count: 0, sum: 0, ema: null };
+
+const STREAMS = {
+  sma: ({ period = 20 }) => ({
+    initial: { window: [], sum: 0 },
+    step: (state, input) => {
+      const value = priceOf(input);
+      const window = [...state.window, value];
+      let sum = state.sum + value;
+      if (window.length > period) {sum -= window.shift();}
+      return [{ window, sum }, window.length === period ? sum / period : null];
+    }
+  }),
+
+  ema: ({ period = 20 }) => {
+    const step = emaStep(period);
+    return {
+      initial: EMA_INITIAL,
+      step: (state, input) => step(state, priceOf(input))
+    };
+  },
+
+  rsi: ({ period = 14 }) => ({
+    initial: { previous: null, count: 0, gain: 0, loss: 0 },
+    step: (state, input) => {
+      const value = priceOf(input);
+      if (state.previous === null) {
+        return [{ ...state, previous: value }, null];
+      }
+
+      const change = value - state.previous;
+      const count = state.count + 1;
+      const up = Math.max(change, 0);
+      const down = Math.max(-change, 0);
+
+      // Simple average for the first period, Wilder smoothing afterwards
+      const gain = count <= period ? state.gain + up / period : (state.gain * (period - 1) + up) / period;
+      const loss = count <= period ? state.loss + down / period : (state.loss * (period - 1) + down) / period;
+      const next = { previous: value, count, gain, loss };
+
+      if (count < period) {return [next, null];}
+      return [next, loss === 0 ? 100 : 100 - (100 / (1 + gain / loss))];
+    }
+  }),
+
+  macd: ({ fast = 12, slow = 26, signal = 9 }) => {
+    const fastStep = emaStep(fast);
+    const slowStep = emaStep(slow);
+    const signalStep = emaStep(signal);
+
+    return {
+      initial: { fast: EMA_INITIAL, slow: EMA_INITIAL, signal: EMA_INITIAL },
+      step: (state, input) => {
+        const value = priceOf(input);
+        const [fastState, fastValue] = fastStep(state.fast, value);
+        const [slowState, slowValue] = slowStep(state.slow, value);
+
+        if (slowValue === null) {
+          return [{ fast: fastState, slow: slowState, signal: state.signal }, null];
+        }
+
+        const macd = fastValue - slowValue;
+        const [signalState, signalValue] = signalStep(state.signal, macd);
+        const next = { fast: fastState, slow: slowState, signal: signalState };
+
+        return [next, signalValue === null ? null : { macd, signal: signalValue, histogram: macd - signalValue }];
+      }
+    };
+  },
+
+  atr: ({ period = 14 }) => ({
+    initial: { previousClose: null, count: 0, atr: 0 },
+    step: (state, candle) => {
+      if (state.previousClose === null) {
+        return [{ ...state, previousClose: candle.close }, null];
+      }
+
+      const trueRange = Math.max(
+        candle.high - candle.low,
+        Math.abs(candle.high - state.previousClose),
+        Math.abs(candle.low - state.previousClose)
+      );
+      const count = state.count + 1;
+      const atr = count <= period ? state.atr + trueRange / period : (state.atr * (period - 1) + trueRange) / period;
+
+      return [{ previousClose: candle.close, count, atr }, count < period ? null : atr];
+    }
+  }),
+
+  obv: () => ({
+    initial: { previousClose: null, obv: 0 },
+    step: (state, candle) => {
+      let obv = state.obv;
+      if (state.previousClose !== null) {
+        if (candle.close > state.previousClose) {obv += candle.volume;}
+        if (candle.close < state.previousClose) {obv -= candle.volume;}
+      }
+      return [{ previousClose: candle.close, obv }, obv];
+    }
+  }),
+
+  vwap: ({ resetDaily = true }) => ({
+    initial: { session: null, priceVolume: 0, volume: 0 },
+    step: (state, candle) => {
+      const time = candleTime(candle);
+      const newSession = resetDaily && time !== undefined && utcDay(time) !== state.session;
+      const base = newSession ? { session: utcDay(time), priceVolume: 0, volume: 0 } : state;
+
+      const priceVolume = base.priceVolume + ((candle.high + candle.low + candle.close) / 3) * candle.volume;
+      const volume = base.volume + candle.volume;
+
+      return [{ session: base.session, priceVolume, volume }, volume > 0 ? priceVolume / volume : null];
+    }
+  })
+};
+
+// Create and export singleton instance
+const technicalIndicators = new TechnicalIndicators();
+
+module.exports = {
+  technicalIndicators,
+  TechnicalIndicators,
+  IndicatorStream,
+  latest
+};
@@ -4,14 +4,29 @@
 // Comprehensive trading bot with AI-powered signal generation
 
 const marketDataService = require('./marketDataService');
+const exchangeService = require('./exchangeService');
 const { logger } = require('./logging');
-const { User: _User, Trade, TradingStrategy, ExchangeConfig: _ExchangeConfig } = require('./database');
+const { User: _User, Trade, TradingStrategy } = require('./database');
+const { credentialVault } = require('./credentialVault');
+const { candleStore } = require('./candleStore');
 const { riskManager } = require('./riskManager');
 const { backtestingEngine } = require('./backtestingEngine');
+const { gridTradingEngine } = require('./gridTrading');
+const { dcaEngine } = require('./dcaEngine');
+const { arbitrageScanner } = require('./arbitrageScanner');
+const { strategyRuleEvaluator } = require('./strategyRules');
+const { technicalIndicators } = require('./technicalIndicators');
+const { positionMonitor } = require('./positionMonitor');
+const { normalizeOrderStatus } = require('./exchangeAdapter');
 
 class TradingBot {
-  constructor() {
+  // config overrides DEFAULT_CONFIG; options.userId scopes the bot to one
+  // user's strategies (omit it for the process-wide bot)
+  constructor(config = {}, options = {}) {
+    this.userId = options.userId || null;
     this.isRunning = false;
+    this.isPaused = false;
+    this.runId = 0;
     this.activeStrategies = new Map();
     this.signalQueue = [];
     this.processedSignals = [];
@@ -20,59 +35,89 @@ class TradingBot {
     this.backtestingEngine = backtestingEngine; // Use the singleton backtesting engine
 
     // Bot configuration
-    this.config = {
-      maxConcurrentTrades: 5,
-      maxDailyTrades: 50,
-      signalConfidenceThreshold: 75,
-      riskPerTrade: 0.02, // 2% of portfolio per trade
-      maxDrawdown: 0.1, // 10% max drawdown
-      checkInterval: 30000, // 30 seconds
-      backtestPeriod: 30 // days
-    };
+    this.config = { ...DEFAULT_CONFIG, ...config };
 
-    this.dailyStats = {
-      trades: 0,
-      wins: 0,
-      losses: 0,
-      profit: 0,
-      startTime: Date.now()
-    };
+    this.isProcessingQueue = false;
+
+    this.dailyStats = createDailyStats();
   }
 
   // Start the trading bot
   async start() {
     if (this.isRunning) {
-      logger.warn('Trading bot is already running');
+      logger.warn('Trading bot is already running', { userId: this.userId });
       return;
     }
 
-    logger.info('Starting trading bot...');
+    logger.info('Starting trading bot...', { userId: this.userId });
     this.isRunning = true;
+    this.isPaused = false;
+
+    // Loops from a previous run exit once they see a newer runId
+    const runId = ++this.runId;
 
     // Load active strategies
     await this.loadActiveStrategies();
 
     // Start main trading loop
-    this.tradingLoop();
+    this.tradingLoop(runId);
 
     // Start signal processing
-    this.signalProcessingLoop();
+    this.signalProcessingLoop(runId);
 
-    logger.info('Trading bot started successfully');
+    logger.info('Trading bot started successfully', { userId: this.userId });
   }
 
   // Stop the trading bot
   async stop() {
-    logger.info('Stopping trading bot...');
+    logger.info('Stopping trading bot...', { userId: this.userId });
     this.isRunning = false;
-    logger.info('Trading bot stopped');
+    this.isPaused = false;
+    logger.info('Trading bot stopped', { userId: this.userId });
+  }
+
+  async restart() {
+    await this.stop();
+    await this.start();
+  }
+
+  // Keep the loops alive but stop generating and executing signals
+  pause() {
+    if (!this.isRunning) {
+      throw new Error('Trading bot is not running');
+    }
+    this.isPaused = true;
+    logger.info('Trading bot paused', { userId: this.userId });
+  }
+
+  resume() {
+    if (!this.isRunning) {
+      throw new Error('Trading bot is not running');
+    }
+    this.isPaused = false;
+    logger.info('Trading bot resumed', { userId: this.userId });
+  }
+
+  isActiveRun(runId) {
+    return this.isRunning && runId === this.runId;
+  }
+
+  // Current lifecycle state: 'running', 'paused' or 'stopped'
+  getState() {
+    if (!this.isRunning) {
+      return 'stopped';
+    }
+    return this.isPaused ? 'paused' : 'running';
   }
 
   // Load active trading strategies
   async loadActiveStrategies() {
     try {
-      const strategies = await TradingStrategy.findActive();
+      const strategies = this.userId
+        ? await TradingStrategy.find({ userId: this.userId, isActive: true })
+        : await TradingStrategy.findActive();
 
+      this.activeStrategies.clear();
       for (const strategy of strategies) {
         this.activeStrategies.set(strategy.id, {
           ...strategy,
@@ -94,14 +139,18 @@ class TradingBot {
   }
 
   // Main trading loop
-  async tradingLoop() {
-    while (this.isRunning) {
+  async tradingLoop(runId = this.runId) {
+    while (this.isActiveRun(runId)) {
       try {
-        // Check for new signals
-        await this.checkForSignals();
+        this.rollDailyStats();
+
+        if (!this.isPaused) {
+          // Check for new signals
+          await this.checkForSignals();
 
-        // Process pending signals
-        await this.processSignalQueue();
+          // Process pending signals
+          await this.processSignalQueue();
+        }
 
         // Update strategy performance
         await this.updateStrategyPerformance();
@@ -119,12 +168,11 @@ class TradingBot {
   }
 
   // Signal processing loop
-  async signalProcessingLoop() {
-    while (this.isRunning) {
+  async signalProcessingLoop(runId = this.runId) {
+    while (this.isActiveRun(runId)) {
       try {
-        if (this.signalQueue.length > 0) {
-          const signal = this.signalQueue.shift();
-          await this.processSignal(signal);
+        if (!this.isPaused) {
+          await this.processSignalQueue();
         }
 
         await new Promise(resolve => setTimeout(resolve, 1000)); // Check every second
@@ -144,8 +192,9 @@ class TradingBot {
         const marketData = marketDataService.getCurrentPrice(symbol);
         if (!marketData) {continue;}
 
-        // Get historical data for analysis
-        const klineData = await marketDataService.getKlineData('binance', symbol, '1h', 100);
+        // Stored hourly candles, topped up with any that closed since the last
+        // check. They are all closed; generators take the live price from marketData.
+        const klineData = await candleStore.getRecentCandles('binance', symbol, '1h', 100);
         if (!klineData || klineData.length < 50) {continue;}
 
         // Generate signals for each active strategy
@@ -157,6 +206,9 @@ class TradingBot {
               if (signal.confidence >= this.config.signalConfidenceThreshold) {
                 signal.strategyId = strategyId;
                 signal.userId = strategy.userId;
+                signal.mode = strategy.mode || 'live';
+                signal.strategyType = strategy.strategyType;
+                signal.exitRules = strategy.parameters?.exitRules;
                 this.signalQueue.push(signal);
               }
             }
@@ -170,16 +222,88 @@ class TradingBot {
     }
   }
 
+  // Drain the signal queue, highest priority and confidence first
+  async processSignalQueue() {
+    if (this.isProcessingQueue || this.signalQueue.length === 0) {
+      return;
+    }
+
+    this.isProcessingQueue = true;
+
+    try {
+      this.signalQueue.sort(compareSignals);
+
+      let processed = 0;
+      while (this.signalQueue.length > 0 && processed < this.config.maxSignalsPerCycle) {
+        if (this.isDailyLimitExceeded()) {
+          logger.warn('Daily trade limit reached, deferring queued signals', {
+            queued: this.signalQueue.length
+          });
+          break;
+        }
+
+        const signal = this.signalQueue.shift();
+
+        if (signal.pairId) {
+          await this.processSignalPair([signal, ...this.takePairedSignals(signal.pairId)]);
+          processed++;
+          continue;
+        }
+
+        if (this.isSignalExpired(signal)) {
+          this.recordProcessedSignal(signal, 'expired', {
+            reason: 'Signal expired before execution'
+          });
+          continue;
+        }
+
+        await this.processSignal(signal);
+        processed++;
+      }
+    } catch (error) {
+      logger.error('Signal queue processing error:', error);
+    } finally {
+      this.isProcessingQueue = false;
+    }
+  }
+
+  // Remove and return the remaining queued legs of a paired signal
+  takePairedSignals(pairId) {
+    const legs = this.signalQueue.filter(queued => queued.pairId === pairId);
+    this.signalQueue = this.signalQueue.filter(queued => queued.pairId !== pairId);
+    return legs;
+  }
+
+  // Check whether a queued signal is too old to act on
+  isSignalExpired(signal, now = Date.now()) {
+    if (signal.expiresAt) {
+      return now >= signal.expiresAt;
+    }
+
+    if (!signal.timestamp) {
+      return false;
+    }
+
+    return now - signal.timestamp > this.config.signalTTL;
+  }
+
   // Process a trading signal
   async processSignal(signal) {
     try {
+      const portfolioValue = signal.portfolioValue || this.config.defaultPortfolioValue;
+
       // Validate signal using enhanced risk manager
-      const validation = await this.validateSignal(signal, signal.userId, signal.portfolioValue);
+      const validation = await this.validateSignal(signal, signal.userId, portfolioValue);
       if (!validation.valid) {
         logger.warn('Signal rejected by risk validation:', {
           signalId: signal.id,
           errors: validation.errors,
-          warnings: validation.warnings,
+          warnings: validation.warnings
+        });
+        this.recordProcessedSignal(signal, 'rejected', {
+          reason: 'Risk validation failed',
+          validation,
+          riskScore: validation.riskScore
         });
         return;
       }
@@ -193,49 +317,410 @@ class TradingBot {
           name: finalSignal.strategy || 'Signal Strategy',
           parameters: finalSignal.parameters || {},
           entryConditions: finalSignal.entryConditions || [],
-          exitConditions: finalSignal.exitConditions || [],
+          exitConditions: finalSignal.exitConditions || []
         },
         {
           symbol: finalSignal.symbol,
-          startDate: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString(),
+          startDate: new Date(Date.now() - this.config.backtestPeriod * 24 * 60 * 60 * 1000).toISOString(),
           endDate: new Date().toISOString(),
-          initialCapital: signal.portfolioValue || 10000,
+          initialCapital: portfolioValue
         }
       );
-      
+
       if (!backtestResult.success) {
         logger.warn('Signal failed backtest:', {
           signalId: finalSignal.id,
-          error: backtestResult.error,
+          error: backtestResult.error
+        });
+        this.recordProcessedSignal(finalSignal, 'rejected', {
+          reason: `Backtest failed: ${backtestResult.error}`,
+          validation,
+          riskScore: validation.riskScore
         });
         return;
       }
 
-      // Create trade record
-      const trade = await this.createTradeRecord(finalSignal, backtestResult);
+      // Place the order on the exchange
+      let execution;
+      try {
+        execution = await this.executeSignal(finalSignal, portfolioValue);
+      } catch (error) {
+        logger.error('Signal execution failed:', {
+          signalId: finalSignal.id,
+          error: error.message
+        });
+        this.recordProcessedSignal(finalSignal, 'rejected', {
+          reason: `Execution failed: ${error.message}`,
+          validation,
+          riskScore: validation.riskScore
+        });
+        return;
+      }
 
-      // Send notification to user
-      await this.sendTradeNotification(finalSignal, trade);
+      // The order is live from here on, so a failure to book it still counts
+      // the signal as executed
+      const { trade, error: persistenceError } = await this.recordExecution(finalSignal, backtestResult, execution);
 
       // Add to processed signals with validation data
-      this.processedSignals.push({
-        ...finalSignal,
-        tradeId: trade.id,
-        processedAt: Date.now(),
-        status: 'processed',
+      this.recordProcessedSignal(finalSignal, 'executed', {
+        tradeId: trade ? trade.id : null,
+        persistenceError: persistenceError ? persistenceError.message : undefined,
+        orderId: execution.orderId,
+        orderExchange: execution.exchange,
+        orderStatus: execution.status,
+        executedPrice: execution.executedPrice,
+        executedQty: execution.executedQty,
         validation,
-        riskScore: validation.riskScore,
+        riskScore: validation.riskScore
       });
 
       logger.info(`Signal processed successfully: ${signal.symbol} ${signal.action}`, {
         signalId: signal.id,
-        tradeId: trade.id,
+        tradeId: trade ? trade.id : null,
+        orderId: execution.orderId,
         confidence: signal.confidence
       });
 
     } catch (error) {
       logger.error('Signal processing error:', error);
+      this.recordProcessedSignal(signal, 'rejected', {
+        reason: `Processing error: ${error.message}`
+      });
+    }
+  }
+
+  // Process the legs of a paired signal (e.g. arbitrage) as one unit: the legs
+  // are risk-checked together and either all are sent or none are. A leg that
+  // fills without its partner is unwound.
+  async processSignalPair(legs) {
+    // Legs given a final state, so a later error never records one twice
+    const recorded = new Set();
+    const record = (leg, status, details) => {
+      recorded.add(leg.id);
+      this.recordProcessedSignal(leg, status, details);
+    };
+    const rejectAll = (status, details) => {
+      legs.filter(leg => !recorded.has(leg.id)).forEach(leg => record(leg, status, details));
+    };
+
+    try {
+      if (legs.length < 2) {
+        rejectAll('rejected', { reason: 'Paired signal is missing a leg' });
+        return;
+      }
+
+      if (legs.some(leg => this.isSignalExpired(leg))) {
+        rejectAll('expired', { reason: 'Signal expired before execution' });
+        return;
+      }
+
+      const [firstLeg] = legs;
+      const portfolioValue = firstLeg.portfolioValue || this.config.defaultPortfolioValue;
+
+      const validation = await this.riskManager.validateSignalPair(legs, firstLeg.userId, portfolioValue);
+      if (!validation.valid) {
+        logger.warn('Signal pair rejected by risk validation:', {
+          pairId: firstLeg.pairId,
+          errors: validation.errors
+        });
+        rejectAll('rejected', {
+          reason: 'Risk validation failed',
+          validation,
+          riskScore: validation.riskScore
+        });
+        return;
+      }
+
+      // Paired legs are hedged against each other, so there is no directional
+      // backtest to run; send both orders at once to keep the legs close in
+      // time. Limit legs are IOC where the exchange has it so a leg whose price
+      // has gone cannot rest on the book; elsewhere a resting leg is cancelled.
+      const orders = validation.legs.map(leg => (
+        leg.orderType === 'LIMIT' && exchangeService.supportsTimeInForce(this.getOrderExchange(leg), 'IOC')
+          ? { ...leg, timeInForce: 'IOC' }
+          : leg
+      ));
+      const results = await Promise.allSettled(
+        orders.map(leg => this.executeSignal(leg, portfolioValue))
+      );
+
+      const fills = [];
+      for (const [index, result] of results.entries()) {
+        const leg = orders[index];
+
+        if (result.status === 'rejected') {
+          record(leg, 'rejected', {
+            reason: `Execution failed: ${result.reason.message}`,
+            validation,
+            riskScore: validation.riskScore
+          });
+          fills.push(null);
+          continue;
+        }
+
+        const execution = await this.cancelRestingLeg(leg, result.value);
+        const { trade, error: persistenceError } = await this.recordExecution(leg, {}, execution);
+        record(leg, 'executed', {
+          tradeId: trade ? trade.id : null,
+          persistenceError: persistenceError ? persistenceError.message : undefined,
+          orderId: execution.orderId,
+          orderExchange: execution.exchange,
+          orderStatus: execution.status,
+          executedPrice: execution.executedPrice,
+          executedQty: execution.executedQty,
+          validation,
+          riskScore: validation.riskScore
+        });
+        fills.push({ leg, execution });
+      }
+
+      await this.hedgePair(firstLeg.pairId, fills);
+    } catch (error) {
+      logger.error('Signal pair processing error:', error);
+      rejectAll('rejected', { reason: `Processing error: ${error.message}` });
+    }
+  }
+
+  // Exchange an order for signal is placed on
+  getOrderExchange(signal) {
+    return signal.mode === 'paper' ? 'paper' : signal.exchange || this.config.defaultExchange;
+  }
+
+  // Cancel a limit leg still open on an exchange without IOC and read back
+  // what it filled. If that fails the leg is left to the order tracker.
+  async cancelRestingLeg(leg, execution) {
+    if (leg.orderType !== 'LIMIT' || normalizeOrderStatus(execution.status) !== 'pending') {
+      return execution;
+    }
+
+    const exchange = execution.exchange;
+    try {
+      // The paper exchange takes the user id in place of keys
+      let auth = [leg.userId];
+      if (exchange !== 'paper') {
+        const { apiKey, secretKey, passphrase } = await credentialVault.getCredentials(leg.userId, exchange, 'strategy_signal');
+        auth = [apiKey, secretKey, passphrase];
+      }
+      await exchangeService.cancelOrder(exchange, execution.orderId, leg.symbol, ...auth);
+      const order = await exchangeService.getOrderStatus(exchange, execution.orderId, leg.symbol, ...auth);
+      return { ...execution, ...order, exchange };
+    } catch (error) {
+      logger.error('Failed to cancel resting signal pair leg', {
+        pairId: leg.pairId,
+        signalId: leg.id,
+        exchange,
+        orderId: execution.orderId,
+        error: error.message
+      });
+      return execution;
+    }
+  }
+
+  // The legs of a pair only offset each other up to the quantity every leg
+  // filled. Whatever a leg filled beyond that (all of it when the other leg
+  // failed or its IOC order expired) is closed at market on its exchange.
+  async hedgePair(pairId, fills) {
+    const filledQty = fills.map(fill => (fill ? Number(fill.execution.executedQty) || 0 : 0));
+    const hedgedQty = Math.min(...filledQty);
+
+    for (const [index, fill] of fills.entries()) {
+      const excess = filledQty[index] - hedgedQty;
+      // Ignore float dust left by differing exchange precisions
+      if (!fill || excess <= filledQty[index] * 1e-9) {
+        continue;
+      }
+
+      try {
+        await this.unwindLeg(fill.leg, excess);
+      } catch (error) {
+        logger.error('Signal pair partially executed, position is unhedged', {
+          pairId,
+          signalId: fill.leg.id,
+          exchange: fill.execution.exchange,
+          symbol: fill.leg.symbol,
+          side: fill.leg.action,
+          unhedgedQty: excess,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  // Close amount of a filled leg with a market order the other way
+  async unwindLeg(leg, amount) {
+    const unwind = {
+      ...leg,
+      id: `${leg.id}_unwind`,
+      action: leg.action === 'BUY' ? 'SELL' : 'BUY',
+      orderType: 'MARKET',
+      timeInForce: undefined,
+      amount
+    };
+
+    const execution = await this.executeSignal(unwind, 0);
+    await this.recordExecution(unwind, {}, execution);
+
+    logger.warn('Unwound unhedged signal pair leg', {
+      pairId: leg.pairId,
+      signalId: leg.id,
+      orderId: execution.orderId,
+      amount
+    });
+    return execution;
+  }
+
+  // Book an order the exchange accepted: trades row, daily stats, exit
+  // management and notification. Never throws, since the order is live either
+  // way; resolves with the trade (null when no row could be saved) and the
+  // first error hit.
+  async recordExecution(signal, backtestResult, execution) {
+    let trade = null;
+    try {
+      trade = await this.createTradeRecord(signal, backtestResult, execution);
+    } catch (error) {
+      this.updateDailyStats(null);
+      this.reportOrphanedOrder(signal, execution, error);
+      return { trade: null, error };
     }
+
+    this.updateDailyStats(trade);
+    try {
+      await this.manageExits(signal, trade, execution);
+      await this.sendTradeNotification(signal, trade);
+    } catch (error) {
+      logger.error('Executed order booked but follow-up failed:', {
+        signalId: signal.id,
+        tradeId: trade.id,
+        orderId: execution.orderId,
+        error: error.message
+      });
+      return { trade, error };
+    }
+
+    return { trade, error: null };
+  }
+
+  // An order is live on the exchange with no trades row, so the order tracker
+  // will never see it; log enough to reconcile it by hand
+  reportOrphanedOrder(signal, execution, error) {
+    logger.error('Order placed but not recorded, it is not being tracked', {
+      signalId: signal.id,
+      userId: signal.userId,
+      exchange: execution.exchange,
+      symbol: signal.symbol,
+      side: signal.action,
+      orderId: execution.orderId,
+      orderStatus: execution.status,
+      error: error.message
+    });
+  }
+
+  // Place the order for a validated signal using the user's exchange credentials
+  async executeSignal(signal, portfolioValue) {
+    const exchange = signal.exchange || this.config.defaultExchange;
+
+    if (signal.mode === 'paper') {
+      return this.executePaperSignal(signal, exchange, portfolioValue);
+    }
+
+    const { apiKey, secretKey, passphrase } = await credentialVault.getCredentials(signal.userId, exchange, 'strategy_signal');
+
+    const amount = signal.amount || this.calculateOrderAmount(signal, portfolioValue);
+    if (!amount || amount <= 0) {
+      throw new Error('Unable to determine order amount');
+    }
+
+    const result = await exchangeService.executeTrade(exchange, {
+      symbol: signal.symbol,
+      side: signal.action.toLowerCase(),
+      amount,
+      price: signal.orderType === 'LIMIT' ? signal.entry : undefined,
+      timeInForce: signal.timeInForce,
+      apiKey,
+      secretKey,
+      passphrase
+    });
+
+    return { ...result, exchange, requestedAmount: amount };
+  }
+
+  // Fill against live prices from the signal's exchange without touching real funds
+  async executePaperSignal(signal, priceSource, portfolioValue) {
+    const amount = signal.amount || this.calculateOrderAmount(signal, portfolioValue);
+    if (!amount || amount <= 0) {
+      throw new Error('Unable to determine order amount');
+    }
+
+    const result = await exchangeService.executeTrade('paper', {
+      userId: signal.userId,
+      symbol: signal.symbol,
+      side: signal.action.toLowerCase(),
+      amount,
+      price: signal.orderType === 'LIMIT' ? signal.entry : undefined,
+      timeInForce: signal.timeInForce,
+      priceSource
+    });
+
+    return { ...result, exchange: 'paper', requestedAmount: amount };
+  }
+
+  // Hand filled directional entries to the position monitor, which enforces the
+  // signal's stop loss / take profit. Grid, DCA and arbitrage manage their own exits.
+  async manageExits(signal, trade, execution) {
+    if (RULE_EXEMPT_TYPES.includes(signal.strategyType) || normalizeOrderStatus(execution.status) !== 'completed') {
+      return;
+    }
+    if (!signal.stopLoss && !signal.takeProfit) {
+      return;
+    }
+
+    try {
+      await positionMonitor.openPosition(signal, trade, execution);
+    } catch (error) {
+      logger.error('Failed to start exit management for trade:', {
+        tradeId: trade.id,
+        error: error.message
+      });
+    }
+  }
+
+  // Size an order so that hitting the stop loss risks riskPerTrade of the portfolio
+  calculateOrderAmount(signal, portfolioValue) {
+    const riskPerUnit = Math.abs(signal.entry - signal.stopLoss);
+    if (!riskPerUnit) {
+      return 0;
+    }
+
+    const riskBudget = portfolioValue * this.config.riskPerTrade;
+    const maxAffordable = portfolioValue / signal.entry;
+
+    return Math.min(riskBudget / riskPerUnit, maxAffordable);
+  }
+
+  // Move a signal to the processed list with its final state
+  recordProcessedSignal(signal, status, details = {}) {
+    this.processedSignals.push({
+      ...signal,
+      ...details,
+      status,
+      processedAt: Date.now()
+    });
+
+    if (status !== 'executed') {
+      logger.info(`Signal ${status}: ${signal.symbol} ${signal.action}`, {
+        signalId: signal.id,
+        reason: details.reason
+      });
+    }
+
+    // Stateful strategies (grid, DCA) track whether their orders went through
+    this.signalGenerator.handleSignalOutcome(signal, status, {
+      orderId: details.orderId,
+      exchange: details.orderExchange,
+      status: details.orderStatus,
+      price: details.executedPrice,
+      amount: details.executedQty
+    }).catch(error => logger.error('Failed to update strategy state:', error));
   }
 
   // Validate trading signal
@@ -280,12 +765,22 @@ class TradingBot {
   }
 
   // Create trade record
-  async createTradeRecord(signal, backtestResult) {
+  async createTradeRecord(signal, backtestResult, execution = {}) {
     try {
       const tradeData = {
         userId: signal.userId,
         strategyId: signal.strategyId,
+        exchange: execution.exchange || signal.exchange || this.config.defaultExchange,
         symbol: signal.symbol,
+        side: signal.action.toLowerCase(),
+        amount: execution.executedQty || execution.requestedAmount || signal.amount,
+        price: execution.executedPrice || signal.entry,
+        orderId: execution.orderId,
+        orderStatus: execution.status,
+        executedQty: execution.executedQty,
+        fees: execution.commission || 0,
+        notes: `Signal ${signal.id} from strategy ${signal.strategyId}`,
+        mode: signal.mode || 'live',
         action: signal.action,
         entryPrice: signal.entry,
         stopLoss: signal.stopLoss,
@@ -294,7 +789,7 @@ class TradingBot {
         expectedReturn: backtestResult.expectedReturn,
         maxDrawdown: backtestResult.maxDrawdown,
         riskRewardRatio: backtestResult.riskRewardRatio,
-        status: 'pending',
+        status: normalizeOrderStatus(execution.status),
         createdAt: new Date()
       };
 
@@ -350,7 +845,7 @@ class TradingBot {
   async performRiskChecks() {
     try {
       // Check daily trade limit
-      if (this.dailyStats.trades >= this.config.maxDailyTrades) {
+      if (this.isDailyLimitExceeded()) {
         logger.warn('Daily trade limit reached');
         return;
       }
@@ -374,10 +869,77 @@ class TradingBot {
     }
   }
 
+  // Count a recorded trade towards today's stats
+  updateDailyStats(trade) {
+    this.rollDailyStats();
+    this.dailyStats.trades++;
+
+    const profit = Number(trade?.profit) || 0;
+    if (profit > 0) {
+      this.dailyStats.wins++;
+    } else if (profit < 0) {
+      this.dailyStats.losses++;
+    }
+    this.dailyStats.profit += profit;
+  }
+
+  resetDailyStats() {
+    this.dailyStats = createDailyStats();
+  }
+
+  // Start a fresh set of daily stats once the UTC day changes
+  rollDailyStats(now = Date.now()) {
+    if (utcDay(now) !== utcDay(this.dailyStats.startTime)) {
+      this.resetDailyStats();
+    }
+  }
+
+  isDailyLimitExceeded() {
+    return this.dailyStats.trades >= this.config.maxDailyTrades;
+  }
+
+  getPerformanceMetrics() {
+    const { trades, wins, losses, profit } = this.dailyStats;
+    return {
+      totalTrades: trades,
+      wins,
+      losses,
+      winRate: trades > 0 ? (wins / trades) * 100 : 0,
+      totalProfit: profit,
+      avgProfitPerTrade: trades > 0 ? profit / trades : 0
+    };
+  }
+
+  // Throw if any of the given config values is out of range
+  validateConfig(config) {
+    const errors = Object.entries(config)
+      .filter(([key, value]) => CONFIG_LIMITS[key] && !(
+        typeof value === 'number' && value >= CONFIG_LIMITS[key].min && value <= CONFIG_LIMITS[key].max
+      ))
+      .map(([key]) => `${key} must be between ${CONFIG_LIMITS[key].min} and ${CONFIG_LIMITS[key].max}`);
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid bot configuration: ${errors.join(', ')}`);
+    }
+  }
+
+  updateConfig(overrides) {
+    this.validateConfig(overrides);
+    this.config = { ...this.config, ...overrides };
+    return this.getConfig();
+  }
+
+  getConfig() {
+    return { ...this.config };
+  }
+
   // Get bot status
   getStatus() {
     return {
+      userId: this.userId,
+      state: this.getState(),
       isRunning: this.isRunning,
+      isPaused: this.isPaused,
       activeStrategies: this.activeStrategies.size,
       signalQueue: this.signalQueue.length,
       processedSignals: this.processedSignals.length,
@@ -387,16 +949,122 @@ class TradingBot {
   }
 }
 
+const DEFAULT_CONFIG = {
+  maxConcurrentTrades: 5,
+  maxDailyTrades: 50,
+  signalConfidenceThreshold: 75,
+  riskPerTrade: 0.02, // 2% of portfolio per trade
+  maxDrawdown: 0.1, // 10% max drawdown
+  checkInterval: 30000, // 30 seconds
+  backtestPeriod: 30, // days
+  signalTTL: 300000, // 5 minutes before a queued signal expires
+  maxSignalsPerCycle: 10,
+  defaultExchange: 'binance',
+  defaultPortfolioValue: 10000
+};
+
+// Accepted ranges for numeric config overrides
+const CONFIG_LIMITS = {
+  maxConcurrentTrades: { min: 1, max: 100 },
+  maxDailyTrades: { min: 1, max: 1000 },
+  signalConfidenceThreshold: { min: 0, max: 100 },
+  riskPerTrade: { min: 0.001, max: 0.1 },
+  maxDrawdown: { min: 0.01, max: 1 },
+  checkInterval: { min: 1000, max: 3600000 },
+  backtestPeriod: { min: 1, max: 365 },
+  signalTTL: { min: 1000, max: 86400000 },
+  maxSignalsPerCycle: { min: 1, max: 100 },
+  defaultPortfolioValue: { min: 1, max: 1e9 }
+};
+
+const utcDay = time => Math.floor(time / 86400000);
+
+function createDailyStats() {
+  return {
+    trades: 0,
+    wins: 0,
+    losses: 0,
+    profit: 0,
+    startTime: Date.now()
+  };
+}
+
+// Order queued signals: highest priority first, then highest confidence, then oldest
+function compareSignals(a, b) {
+  return (b.priority || 0) - (a.priority || 0) ||
+    (b.confidence || 0) - (a.confidence || 0) ||
+    (a.timestamp || 0) - (b.timestamp || 0);
+}
+
+// Default indicator periods and thresholds per strategy type; any of them
+// can be overridden through trading_strategies.parameters
+const STRATEGY_DEFAULTS = {
+  SCALPING: {
+    rsiPeriod: 14,
+    oversold: 30,
+    overbought: 70,
+    macdFast: 12,
+    macdSlow: 26,
+    macdSignal: 9,
+    bbPeriod: 20,
+    bbStdDev: 2,
+    bbTolerance: 0.02, // enter within 2% of the band
+    stopLossPercent: 0.005,
+    takeProfitPercent: 0.01
+  },
+  DAY_TRADING: {
+    rsiPeriod: 14,
+    oversold: 25,
+    overbought: 75,
+    macdFast: 12,
+    macdSlow: 26,
+    macdSignal: 9,
+    bbPeriod: 20,
+    bbStdDev: 2,
+    bbTolerance: 0,
+    stopLossPercent: 0.02,
+    takeProfitPercent: 0.03
+  },
+  MOMENTUM: {
+    rocPeriod: 10,
+    rocThreshold: 2, // percent
+    breakoutPeriod: 20,
+    volumePeriod: 20,
+    volumeMultiplier: 1.5,
+    stopLossPercent: 0.02,
+    takeProfitPercent: 0.04
+  },
+  MEAN_REVERSION: {
+    maPeriod: 20,
+    entryZScore: 2,
+    maxZScore: 4, // beyond this the move is treated as a breakout, not noise
+    stopLossPercent: 0.03
+  }
+};
+
+// Strategy types driven by their own engines rather than entry rules
+const RULE_EXEMPT_TYPES = ['GRID_TRADING', 'DCA', 'ARBITRAGE'];
+
 // Signal Generator Class
 class SignalGenerator {
   constructor() {
-    this.indicators = new TechnicalIndicators();
+    this.indicators = technicalIndicators;
+    this.gridEngine = gridTradingEngine;
+    this.dcaEngine = dcaEngine;
+    this.arbitrageScanner = arbitrageScanner;
+    this.ruleEvaluator = strategyRuleEvaluator;
   }
 
   async generateSignals(strategy, symbol, marketData, klineData) {
     const signals = [];
 
     try {
+      // Strategies with declarative rules trade those rules instead of the built-in logic
+      if (!RULE_EXEMPT_TYPES.includes(strategy.strategyType) && this.ruleEvaluator.hasRules(strategy)) {
+        signals.push(...await this.generateRuleBasedSignals(strategy, symbol, marketData, klineData));
+        return signals;
+      }
+
       switch (strategy.strategyType) {
       case 'SCALPING':
         signals.push(...await this.generateScalpingSignals(strategy, symbol, marketData, klineData));
@@ -430,50 +1098,113 @@ class SignalGenerator {
     return signals;
   }
 
+  // Strategy parameters merged over the defaults for its type
+  getStrategyParameters(strategy) {
+    return {
+      ...(STRATEGY_DEFAULTS[strategy.strategyType] || {}),
+      ...(strategy.parameters || {})
+    };
+  }
+
+  // Evaluate parameters.rules with the evaluator the backtesting engine uses
+  async generateRuleBasedSignals(strategy, symbol, marketData, klineData) {
+    const params = this.getStrategyParameters(strategy);
+    const rules = this.ruleEvaluator.getRules(strategy);
+
+    if (klineData.length === 0) {return [];}
+
+    // Rules look at the current bar, so add the forming one at the live price
+    const candles = [...klineData, this.formingBar(klineData, marketData.price)];
+
+    const side = this.ruleEvaluator.evaluateEntry(rules, candles);
+    if (!side) {return [];}
+
+    const isBuy = side === 'long';
+    const currentPrice = marketData.price;
+    const stopLossPercent = params.stopLossPercent || params.stopLoss || 0.02;
+    const takeProfitPercent = params.takeProfitPercent || params.takeProfit || 0.04;
+
+    return [{
+      id: `rules_${Date.now()}`,
+      symbol,
+      action: isBuy ? 'BUY' : 'SELL',
+      entry: currentPrice,
+      stopLoss: currentPrice * (isBuy ? 1 - stopLossPercent : 1 + stopLossPercent),
+      takeProfit: currentPrice * (isBuy ? 1 + takeProfitPercent : 1 - takeProfitPercent),
+      confidence: params.confidence || 80,
+      reasons: [`${isBuy ? 'Long' : 'Short'} entry rules matched`],
+      strategy: strategy.name,
+      // Backtested with the same rules and exit levels it will trade with
+      parameters: { ...strategy.parameters, stopLossPercent, takeProfitPercent },
+      timestamp: Date.now()
+    }];
+  }
+
+  // The bar after the last closed one, as far as the live price tells. Its
+  // volume is not known until it closes.
+  formingBar(klineData, price) {
+    const last = klineData[klineData.length - 1];
+    const step = last.closeTime - last.openTime + 1;
+    return {
+      ...last,
+      openTime: last.openTime + step,
+      closeTime: last.closeTime + step,
+      timestamp: last.openTime + step,
+      open: last.close,
+      high: Math.max(last.close, price),
+      low: Math.min(last.close, price),
+      close: price,
+      volume: 0,
+      quoteVolume: 0,
+      trades: 0,
+      interpolated: false
+    };
+  }
+
   async generateScalpingSignals(strategy, symbol, marketData, klineData) {
     const signals = [];
     const prices = klineData.map(k => k.close);
+    const params = this.getStrategyParameters(strategy);
 
     // RSI for scalping
-    const rsi = marketDataService.calculateRSI(prices, 14);
+    const rsi = marketDataService.calculateRSI(prices, params.rsiPeriod);
     if (!rsi) {return signals;}
 
     // MACD for trend confirmation
-    const macd = marketDataService.calculateMACD(prices, 12, 26, 9);
+    const macd = marketDataService.calculateMACD(prices, params.macdFast, params.macdSlow, params.macdSignal);
     if (!macd) {return signals;}
 
     // Bollinger Bands for volatility
-    const bb = marketDataService.calculateBollingerBands(prices, 20, 2);
+    const bb = marketDataService.calculateBollingerBands(prices, params.bbPeriod, params.bbStdDev);
     if (!bb) {return signals;}
 
     const currentPrice = marketData.price;
     let signal = null;
-    const _confidence = 0;
 
     // Buy signal: RSI oversold + MACD bullish + price near lower BB
-    if (rsi < 30 && macd.macd > macd.signal && currentPrice <= bb.lower * 1.02) {
+    if (rsi < params.oversold && macd.macd > macd.signal && currentPrice <= bb.lower * (1 + params.bbTolerance)) {
       signal = {
         id: `scalp_${Date.now()}`,
         symbol,
         action: 'BUY',
         entry: currentPrice,
-        stopLoss: currentPrice * 0.995, // 0.5% stop loss
-        takeProfit: currentPrice * 1.01, // 1% take profit
-        confidence: Math.min(95, 60 + (30 - rsi) + (macd.histogram > 0 ? 10 : 0)),
+        stopLoss: currentPrice * (1 - params.stopLossPercent),
+        takeProfit: currentPrice * (1 + params.takeProfitPercent),
+        confidence: Math.min(95, 60 + (params.oversold - rsi) + (macd.histogram > 0 ? 10 : 0)),
         reasons: ['RSI oversold', 'MACD bullish', 'Price near lower Bollinger Band'],
         timestamp: Date.now()
       };
     }
     // Sell signal: RSI overbought + MACD bearish + price near upper BB
-    else if (rsi > 70 && macd.macd < macd.signal && currentPrice >= bb.upper * 0.98) {
+    else if (rsi > params.overbought && macd.macd < macd.signal && currentPrice >= bb.upper * (1 - params.bbTolerance)) {
       signal = {
         id: `scalp_${Date.now()}`,
         symbol,
         action: 'SELL',
         entry: currentPrice,
-        stopLoss: currentPrice * 1.005, // 0.5% stop loss
-        takeProfit: currentPrice * 0.99, // 1% take profit
-        confidence: Math.min(95, 60 + (rsi - 70) + (macd.histogram < 0 ? 10 : 0)),
+        stopLoss: currentPrice * (1 + params.stopLossPercent),
+        takeProfit: currentPrice * (1 - params.takeProfitPercent),
+        confidence: Math.min(95, 60 + (rsi - params.overbought) + (macd.histogram < 0 ? 10 : 0)),
         reasons: ['RSI overbought', 'MACD bearish', 'Price near upper Bollinger Band'],
         timestamp: Date.now()
       };
@@ -489,11 +1220,12 @@ class SignalGenerator {
   async generateDayTradingSignals(strategy, symbol, marketData, klineData) {
     const signals = [];
     const prices = klineData.map(k => k.close);
+    const params = this.getStrategyParameters(strategy);
 
     // Use 1-hour data for day trading
-    const rsi = marketDataService.calculateRSI(prices, 14);
-    const macd = marketDataService.calculateMACD(prices, 12, 26, 9);
-    const bb = marketDataService.calculateBollingerBands(prices, 20, 2);
+    const rsi = marketDataService.calculateRSI(prices, params.rsiPeriod);
+    const macd = marketDataService.calculateMACD(prices, params.macdFast, params.macdSlow, params.macdSignal);
+    const bb = marketDataService.calculateBollingerBands(prices, params.bbPeriod, params.bbStdDev);
 
     if (!rsi || !macd || !bb) {return signals;}
 
@@ -501,27 +1233,27 @@ class SignalGenerator {
     let signal = null;
 
     // Day trading signals with higher confidence requirements
-    if (rsi < 25 && macd.macd > macd.signal && currentPrice <= bb.lower) {
+    if (rsi < params.oversold && macd.macd > macd.signal && currentPrice <= bb.lower * (1 + params.bbTolerance)) {
       signal = {
         id: `day_${Date.now()}`,
         symbol,
         action: 'BUY',
         entry: currentPrice,
-        stopLoss: currentPrice * 0.98, // 2% stop loss
-        takeProfit: currentPrice * 1.03, // 3% take profit
-        confidence: Math.min(90, 70 + (25 - rsi) + (macd.histogram > 0 ? 15 : 0)),
+        stopLoss: currentPrice * (1 - params.stopLossPercent),
+        takeProfit: currentPrice * (1 + params.takeProfitPercent),
+        confidence: Math.min(90, 70 + (params.oversold - rsi) + (macd.histogram > 0 ? 15 : 0)),
         reasons: ['Strong RSI oversold', 'MACD bullish crossover', 'Price at lower Bollinger Band'],
         timestamp: Date.now()
       };
-    } else if (rsi > 75 && macd.macd < macd.signal && currentPrice >= bb.upper) {
+    } else if (rsi > params.overbought && macd.macd < macd.signal && currentPrice >= bb.upper * (1 - params.bbTolerance)) {
       signal = {
         id: `day_${Date.now()}`,
         symbol,
         action: 'SELL',
         entry: currentPrice,
-        stopLoss: currentPrice * 1.02, // 2% stop loss
-        takeProfit: currentPrice * 0.97, // 3% take profit
-        confidence: Math.min(90, 70 + (rsi - 75) + (macd.histogram < 0 ? 15 : 0)),
+        stopLoss: currentPrice * (1 + params.stopLossPercent),
+        takeProfit: currentPrice * (1 - params.takeProfitPercent),
+        confidence: Math.min(90, 70 + (rsi - params.overbought) + (macd.histogram < 0 ? 15 : 0)),
         reasons: ['Strong RSI overbought', 'MACD bearish crossover', 'Price at upper Bollinger Band'],
         timestamp: Date.now()
       };
@@ -540,29 +1272,130 @@ class SignalGenerator {
     return [];
   }
 
-  async generateGridTradingSignals(_strategy, _symbol, _marketData, _klineData) {
-    // Implementation for grid trading
-    return [];
+  async generateGridTradingSignals(strategy, symbol, marketData, _klineData) {
+    return this.gridEngine.generateSignals(strategy, symbol, marketData);
   }
 
-  async generateDCASignals(_strategy, _symbol, _marketData, _klineData) {
-    // Implementation for DCA
-    return [];
+  async generateDCASignals(strategy, symbol, marketData, _klineData) {
+    return this.dcaEngine.generateSignals(strategy, symbol, marketData);
   }
 
-  async generateArbitrageSignals(_strategy, _symbol, _marketData, _klineData) {
-    // Implementation for arbitrage
-    return [];
+  // Route a processed signal back to the engine that produced it
+  async handleSignalOutcome(signal, status, fill) {
+    if (signal.gridLevel !== undefined) {
+      await this.gridEngine.handleSignalOutcome(signal, status, fill);
+    } else if (signal.dca) {
+      await this.dcaEngine.handleSignalOutcome(signal, status, fill);
+    }
   }
 
-  async generateMomentumSignals(_strategy, _symbol, _marketData, _klineData) {
-    // Implementation for momentum trading
-    return [];
+  async generateArbitrageSignals(strategy, symbol, _marketData, _klineData) {
+    return this.arbitrageScanner.generateSignals(strategy, symbol);
   }
 
-  async generateMeanReversionSignals(_strategy, _symbol, _marketData, _klineData) {
-    // Implementation for mean reversion
-    return [];
+  // Momentum: strong rate of change plus a breakout beyond the N-bar range,
+  // confirmed by volume above its recent average
+  async generateMomentumSignals(strategy, symbol, marketData, klineData) {
+    const signals = [];
+    const params = this.getStrategyParameters(strategy);
+    const lookback = Math.max(params.rocPeriod, params.breakoutPeriod, params.volumePeriod);
+
+    if (klineData.length < lookback + 1) {return signals;}
+
+    // The live price has to break the range of the closed bars, and the newest
+    // of them confirms with volume above the average of those before it
+    const currentPrice = marketData.price;
+    const lastBar = klineData[klineData.length - 1];
+
+    const ti = this.indicators;
+    const roc = ti.latest(ti.roc([...klineData.map(k => k.close), currentPrice], params.rocPeriod));
+    const rangeHigh = ti.latest(ti.highest(klineData.map(k => k.high), params.breakoutPeriod));
+    const rangeLow = ti.latest(ti.lowest(klineData.map(k => k.low), params.breakoutPeriod));
+    const averageVolume = ti.latest(ti.sma(klineData.slice(0, -1).map(k => k.volume), params.volumePeriod));
+
+    if (roc === null || !averageVolume) {return signals;}
+
+    const volumeRatio = lastBar.volume / averageVolume;
+    if (volumeRatio < params.volumeMultiplier) {return signals;}
+
+    const confidence = Math.min(95, 65 +
+      (Math.abs(roc) - params.rocThreshold) * 5 +
+      (volumeRatio - params.volumeMultiplier) * 10);
+
+    if (roc >= params.rocThreshold && currentPrice > rangeHigh) {
+      signals.push({
+        id: `momentum_${Date.now()}`,
+        symbol,
+        action: 'BUY',
+        entry: currentPrice,
+        stopLoss: currentPrice * (1 - params.stopLossPercent),
+        takeProfit: currentPrice * (1 + params.takeProfitPercent),
+        confidence,
+        reasons: [
+          `ROC(${params.rocPeriod}) ${roc.toFixed(2)}%`,
+          `Breakout above ${params.breakoutPeriod}-bar high ${rangeHigh}`,
+          `Volume ${volumeRatio.toFixed(2)}x average`
+        ],
+        timestamp: Date.now()
+      });
+    } else if (roc <= -params.rocThreshold && currentPrice < rangeLow) {
+      signals.push({
+        id: `momentum_${Date.now()}`,
+        symbol,
+        action: 'SELL',
+        entry: currentPrice,
+        stopLoss: currentPrice * (1 + params.stopLossPercent),
+        takeProfit: currentPrice * (1 - params.takeProfitPercent),
+        confidence,
+        reasons: [
+          `ROC(${params.rocPeriod}) ${roc.toFixed(2)}%`,
+          `Breakdown below ${params.breakoutPeriod}-bar low ${rangeLow}`,
+          `Volume ${volumeRatio.toFixed(2)}x average`
+        ],
+        timestamp: Date.now()
+      });
+    }
+
+    return signals;
+  }
+
+  // Mean reversion: fade moves stretched beyond entryZScore standard
+  // deviations from the moving average, targeting a return to the mean
+  async generateMeanReversionSignals(strategy, symbol, marketData, klineData) {
+    const signals = [];
+    const params = this.getStrategyParameters(strategy);
+    const closes = klineData.map(k => k.close);
+
+    if (closes.length < params.maPeriod) {return signals;}
+
+    const currentPrice = marketData.price;
+    const mean = this.indicators.latest(this.indicators.sma(closes, params.maPeriod));
+    const stdDev = this.indicators.latest(this.indicators.standardDeviation(closes, params.maPeriod));
+
+    if (!stdDev) {return signals;}
+
+    const zScore = (currentPrice - mean) / stdDev;
+    const stretch = Math.abs(zScore);
+
+    if (stretch < params.entryZScore || stretch > params.maxZScore) {return signals;}
+
+    const isBuy = zScore < 0;
+
+    signals.push({
+      id: `meanrev_${Date.now()}`,
+      symbol,
+      action: isBuy ? 'BUY' : 'SELL',
+      entry: currentPrice,
+      stopLoss: currentPrice * (isBuy ? 1 - params.stopLossPercent : 1 + params.stopLossPercent),
+      takeProfit: mean,
+      confidence: Math.min(95, 60 + (stretch - params.entryZScore) * 15),
+      reasons: [
+        `Z-score ${zScore.toFixed(2)} versus ${params.maPeriod}-bar average ${mean.toFixed(2)}`
+      ],
+      timestamp: Date.now()
+    });
+
+    return signals;
   }
 }
 
@@ -570,9 +1403,6 @@ class SignalGenerator {
 
 // Backtester class is now imported from './backtestingEngine.js'
 
-// Technical Indicators Class
-class TechnicalIndicators {
-  // Additional technical indicators can be implemented here
-}
+// TechnicalIndicators is now imported from './technicalIndicators.js'
 
 module.exports = TradingBot;
@@ -37,13 +37,34 @@ CREATE TABLE IF NOT EXISTS exchange_configs (
     api_key VARCHAR(500) NOT NULL,
     secret_key VARCHAR(500) NOT NULL,
     passphrase VARCHAR(500),
+    data_key TEXT,
+    key_id VARCHAR(100),
     is_active BOOLEAN DEFAULT true,
     last_sync TIMESTAMP,
+    rotated_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    permissions JSONB,
+    permissions_checked_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(user_id, exchange)
 );
 
+-- Credentials are sealed by lib/credentialVault.js: api_key, secret_key and
+-- passphrase hold ciphertext under a per-row data key, stored wrapped by the
+-- key manager key named in key_id. Rows without a data_key predate the vault
+-- and are sealed at startup.
+ALTER TABLE exchange_configs ADD COLUMN IF NOT EXISTS data_key TEXT;
+ALTER TABLE exchange_configs ADD COLUMN IF NOT EXISTS key_id VARCHAR(100);
+ALTER TABLE exchange_configs ADD COLUMN IF NOT EXISTS rotated_at TIMESTAMP;
+ALTER TABLE exchange_configs ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP;
+
+-- What each API key may do (read, trading, withdrawal, ipRestricted, plus
+-- warnings), as last reported by the exchange. lib/keyPermissionMonitor.js
+-- records it on configure and re-checks it periodically.
+ALTER TABLE exchange_configs ADD COLUMN IF NOT EXISTS permissions JSONB;
+ALTER TABLE exchange_configs ADD COLUMN IF NOT EXISTS permissions_checked_at TIMESTAMP;
+
 -- Create indexes
 CREATE INDEX IF NOT EXISTS idx_exchange_configs_user_id ON exchange_configs(user_id);
 CREATE INDEX IF NOT EXISTS idx_exchange_configs_exchange ON exchange_configs(exchange);
@@ -66,16 +87,42 @@ CREATE TABLE IF NOT EXISTS trades (
     trade_id VARCHAR(100),
     fees DECIMAL(20, 8) DEFAULT 0,
     notes TEXT,
+    mode VARCHAR(10) NOT NULL DEFAULT 'live' CHECK (mode IN ('live', 'paper')),
+    parent_trade_id UUID REFERENCES trades(id) ON DELETE CASCADE,
+    algorithm VARCHAR(10) CHECK (algorithm IN ('twap', 'vwap', 'iceberg')),
+    algo_state JSONB,
+    order_status VARCHAR(20),
+    executed_qty DECIMAL(20, 8) NOT NULL DEFAULT 0,
+    last_synced_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Columns added after the initial release; TWAP/VWAP parent orders carry their
+-- algorithm and progress, and their child orders point back at them
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS mode VARCHAR(10) NOT NULL DEFAULT 'live' CHECK (mode IN ('live', 'paper'));
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS parent_trade_id UUID REFERENCES trades(id) ON DELETE CASCADE;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS algorithm VARCHAR(10) CHECK (algorithm IN ('twap', 'vwap', 'iceberg'));
+-- Iceberg parents are worked by the execution engine too
+ALTER TABLE trades DROP CONSTRAINT IF EXISTS trades_algorithm_check;
+ALTER TABLE trades ADD CONSTRAINT trades_algorithm_check CHECK (algorithm IN ('twap', 'vwap', 'iceberg'));
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS algo_state JSONB;
+-- The exchange's own order status and fills, kept current by the order tracker
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS order_status VARCHAR(20);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS executed_qty DECIMAL(20, 8) NOT NULL DEFAULT 0;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS last_synced_at TIMESTAMP;
+
 -- Create indexes
 CREATE INDEX IF NOT EXISTS idx_trades_user_id ON trades(user_id);
 CREATE INDEX IF NOT EXISTS idx_trades_exchange ON trades(exchange);
 CREATE INDEX IF NOT EXISTS idx_trades_symbol ON trades(symbol);
 CREATE INDEX IF NOT EXISTS idx_trades_status ON trades(status);
 CREATE INDEX IF NOT EXISTS idx_trades_created_at ON trades(created_at);
+CREATE INDEX IF NOT EXISTS idx_trades_mode ON trades(mode);
+CREATE INDEX IF NOT EXISTS idx_trades_parent_trade_id ON trades(parent_trade_id);
+CREATE INDEX IF NOT EXISTS idx_trades_open_orders ON trades(last_synced_at) WHERE status = 'pending' AND order_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_trades_order_id ON trades(exchange, order_id);
+CREATE INDEX IF NOT EXISTS idx_trades_active_algorithms ON trades(created_at) WHERE algorithm IS NOT NULL AND status = 'pending';
 
 -- =============================================================================
 -- PORTFOLIO TABLE
@@ -90,12 +137,18 @@ CREATE TABLE IF NOT EXISTS portfolio (
     current_value DECIMAL(20, 8) NOT NULL DEFAULT 0,
     profit_loss DECIMAL(20, 8) NOT NULL DEFAULT 0,
     profit_loss_percentage DECIMAL(10, 4) NOT NULL DEFAULT 0,
+    mode VARCHAR(10) NOT NULL DEFAULT 'live' CHECK (mode IN ('live', 'paper')),
     last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    UNIQUE(user_id, symbol)
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Columns added after the initial release; paper positions (and the virtual
+-- quote balance, stored under the asset name) sit beside live ones
+ALTER TABLE portfolio ADD COLUMN IF NOT EXISTS mode VARCHAR(10) NOT NULL DEFAULT 'live' CHECK (mode IN ('live', 'paper'));
+ALTER TABLE portfolio DROP CONSTRAINT IF EXISTS portfolio_user_id_symbol_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_portfolio_user_symbol_mode ON portfolio(user_id, symbol, mode);
+
 -- Create indexes
 CREATE INDEX IF NOT EXISTS idx_portfolio_user_id ON portfolio(user_id);
 CREATE INDEX IF NOT EXISTS idx_portfolio_symbol ON portfolio(symbol);
@@ -111,16 +164,93 @@ CREATE TABLE IF NOT EXISTS trading_strategies (
     description TEXT,
     strategy_type VARCHAR(50) NOT NULL,
     parameters JSONB NOT NULL DEFAULT '{}',
+    state JSONB NOT NULL DEFAULT '{}',
+    mode VARCHAR(10) NOT NULL DEFAULT 'live' CHECK (mode IN ('live', 'paper')),
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Columns added after the initial release
+ALTER TABLE trading_strategies ADD COLUMN IF NOT EXISTS state JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE trading_strategies ADD COLUMN IF NOT EXISTS mode VARCHAR(10) NOT NULL DEFAULT 'live' CHECK (mode IN ('live', 'paper'));
+
 -- Create indexes
 CREATE INDEX IF NOT EXISTS idx_trading_strategies_user_id ON trading_strategies(user_id);
 CREATE INDEX IF NOT EXISTS idx_trading_strategies_type ON trading_strategies(strategy_type);
 CREATE INDEX IF NOT EXISTS idx_trading_strategies_active ON trading_strategies(is_active);
 
+-- =============================================================================
+-- BOT INSTANCES TABLE
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS bot_instances (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID UNIQUE NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'stopped' CHECK (status IN ('running', 'paused', 'stopped')),
+    config JSONB NOT NULL DEFAULT '{}',
+    started_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_bot_instances_status ON bot_instances(status);
+
+-- =============================================================================
+-- POSITIONS TABLE
+-- =============================================================================
+-- Open bot entries whose stop-loss / take-profit exits are being managed
+CREATE TABLE IF NOT EXISTS positions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    trade_id UUID REFERENCES trades(id) ON DELETE SET NULL,
+    exchange VARCHAR(50) NOT NULL,
+    symbol VARCHAR(20) NOT NULL,
+    side VARCHAR(10) NOT NULL CHECK (side IN ('buy', 'sell')),
+    mode VARCHAR(10) NOT NULL DEFAULT 'live' CHECK (mode IN ('live', 'paper')),
+    amount DECIMAL(20, 8) NOT NULL,
+    entry_price DECIMAL(20, 8) NOT NULL,
+    stop_loss DECIMAL(20, 8),
+    take_profit DECIMAL(20, 8),
+    stop_type VARCHAR(20) NOT NULL DEFAULT 'initial' CHECK (stop_type IN ('initial', 'break_even', 'trailing')),
+    exit_rules JSONB NOT NULL DEFAULT '{}',
+    best_price DECIMAL(20, 8),
+    oco_order_id VARCHAR(100),
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+    exit_reason VARCHAR(20),
+    exit_price DECIMAL(20, 8),
+    closed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_positions_user_id ON positions(user_id);
+CREATE INDEX IF NOT EXISTS idx_positions_status ON positions(status);
+
+-- =============================================================================
+-- CANDLES TABLE
+-- =============================================================================
+-- Closed OHLCV candles kept by lib/candleStore.js for backtests and signal
+-- checks. open_time is epoch milliseconds; interpolated rows fill short gaps
+-- the exchange has no data for.
+CREATE TABLE IF NOT EXISTS candles (
+    exchange VARCHAR(50) NOT NULL,
+    symbol VARCHAR(20) NOT NULL,
+    "interval" VARCHAR(10) NOT NULL,
+    open_time BIGINT NOT NULL,
+    open DECIMAL(20, 8) NOT NULL,
+    high DECIMAL(20, 8) NOT NULL,
+    low DECIMAL(20, 8) NOT NULL,
+    close DECIMAL(20, 8) NOT NULL,
+    volume DECIMAL(30, 8) NOT NULL DEFAULT 0,
+    quote_volume DECIMAL(30, 8),
+    trades INTEGER,
+    interpolated BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (exchange, symbol, "interval", open_time)
+);
+
 -- =============================================================================
 -- NOTIFICATIONS TABLE
 -- =============================================================================
@@ -211,6 +341,12 @@ CREATE TRIGGER update_trading_strategies_updated_at BEFORE UPDATE ON trading_str
 CREATE TRIGGER update_system_settings_updated_at BEFORE UPDATE ON system_settings
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_bot_instances_updated_at BEFORE UPDATE ON bot_instances
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_positions_updated_at BEFORE UPDATE ON positions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- =============================================================================
 -- INITIAL DATA
 -- =============================================================================
@@ -244,7 +380,7 @@ SELECT
     MAX(p.last_updated) as last_updated
 FROM portfolio p
 JOIN users u ON p.user_id = u.id
-WHERE u.is_active = true
+WHERE u.is_active = true AND p.mode = 'live'
 GROUP BY p.user_id, u.email;
 
 -- Trading performance view
@@ -340,4 +476,5 @@ COMMENT ON COLUMN trades.status IS 'Trade status: pending, completed, failed, ca
 COMMENT ON COLUMN portfolio.profit_loss IS 'Current profit/loss in USD';
 COMMENT ON COLUMN portfolio.profit_loss_percentage IS 'Current profit/loss percentage';
 COMMENT ON COLUMN trading_strategies.parameters IS 'Strategy-specific parameters in JSON format';
+COMMENT ON COLUMN trading_strategies.state IS 'Runtime strategy state (e.g. grid ladders) persisted across bot restarts';
 COMMENT ON COLUMN notifications.data IS 'Additional notification data in JSON format';
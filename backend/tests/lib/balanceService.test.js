@@ -0,0 +1,219 @@
+// =============================================================================
+// Balance Service Tests - Production Ready
+// =============================================================================
+// Unit tests for aggregating and valuing balances across configured exchanges
+
+jest.mock('../../lib/logging', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+jest.mock('../../lib/database', () => ({
+  ExchangeConfig: {
+    findByUserId: jest.fn(),
+    findByExchange: jest.fn()
+  }
+}));
+
+jest.mock('../../lib/exchangeService', () => ({
+  getBalance: jest.fn()
+}));
+
+jest.mock('../../lib/marketDataService', () => ({
+  getCurrentPrice: jest.fn(),
+  getTickerData: jest.fn()
+}));
+
+jest.mock('../../lib/consolidatedQuotes', () => ({
+  consolidatedQuotes: {
+    getReferencePrice: jest.fn()
+  }
+}));
+
+jest.mock('../../lib/binanceUserStream', () => ({
+  binanceUserStream: {
+    isConnected: jest.fn(() => false),
+    getBalances: jest.fn()
+  }
+}));
+
+const mockCache = new Map();
+
+// Configs in these tests hold their keys in the clear
+jest.mock('../../lib/credentialVault', () => ({
+  credentialVault: {
+    openConfig: jest.fn(async(config) => ({
+      apiKey: config.api_key,
+      secretKey: config.secret_key,
+      passphrase: config.passphrase
+    }))
+  }
+}));
+
+jest.mock('../../lib/advancedCaching', () => ({
+  advancedCache: {
+    isInitialized: true,
+    initialize: jest.fn(),
+    generateCacheKey: jest.fn((prefix, params) => `${prefix}:${JSON.stringify(params)}`),
+    get: jest.fn(async(key) => mockCache.get(key) || null),
+    set: jest.fn(async(key, value) => {
+      mockCache.set(key, value);
+    })
+  }
+}));
+
+const { ExchangeConfig } = require('../../lib/database');
+const exchangeService = require('../../lib/exchangeService');
+const marketDataService = require('../../lib/marketDataService');
+const { binanceUserStream } = require('../../lib/binanceUserStream');
+const { credentialVault } = require('../../lib/credentialVault');
+const { consolidatedQuotes } = require('../../lib/consolidatedQuotes');
+const { logger } = require('../../lib/logging');
+const { BalanceService } = require('../../lib/balanceService');
+
+describe('Balance Service', () => {
+  let service;
+
+  const config = (exchange, overrides = {}) => ({
+    user_id: 'user-1',
+    exchange,
+    api_key: `${exchange}-key`,
+    secret_key: `${exchange}-secret`,
+    passphrase: null,
+    is_active: true,
+    ...overrides
+  });
+  const balance = (asset, free, locked = 0) => ({ asset, free, locked, total: free + locked });
+
+  // Last prices by exchange and symbol
+  const prices = {
+    binance: { BTCUSDT: 40000, ETHUSDT: 2000 },
+    wazirx: { BTCUSDT: 40100, USDTINR: 80 }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockCache.clear();
+    ExchangeConfig.findByUserId.mockResolvedValue([config('binance'), config('wazirx')]);
+    exchangeService.getBalance.mockImplementation(async(exchange) => ({
+      binance: [balance('BTC', 0.5, 0.1), balance('USDT', 1000), balance('ETH', 0)],
+      wazirx: [balance('BTC', 0.1), balance('INR', 8000)]
+    }[exchange]));
+    marketDataService.getCurrentPrice.mockImplementation((symbol, exchange) => {
+      const price = prices[exchange]?.[symbol];
+      return price ? { symbol, price } : undefined;
+    });
+    marketDataService.getTickerData.mockResolvedValue(null);
+    consolidatedQuotes.getReferencePrice.mockReturnValue(null);
+    service = new BalanceService();
+  });
+
+  test('should value every configured exchange in the quote currency', async() => {
+    const summary = await service.getBalances('user-1');
+
+    expect(exchangeService.getBalance).toHaveBeenCalledWith('binance', 'binance-key', 'binance-secret', null);
+    expect(exchangeService.getBalance).toHaveBeenCalledWith('wazirx', 'wazirx-key', 'wazirx-secret', null);
+    expect(credentialVault.openConfig).toHaveBeenCalledWith(expect.objectContaining({ exchange: 'binance' }), 'balance_check');
+    expect(summary.quote).toBe('USDT');
+    expect(summary.errors).toEqual([]);
+
+    const [binance, wazirx] = summary.exchanges;
+    // Empty balances are left out
+    expect(binance.balances.map(entry => entry.asset)).toEqual(['BTC', 'USDT']);
+    expect(binance.balances[0]).toMatchObject({ total: 0.6, price: 40000, value: 24000 });
+    expect(binance.totalValue).toBe(25000);
+    // Priced on the exchange holding them; INR through the inverse USDTINR market
+    expect(wazirx.balances).toEqual([
+      expect.objectContaining({ asset: 'BTC', price: 40100, value: 4010 }),
+      expect.objectContaining({ asset: 'INR', price: 1 / 80, value: 100 })
+    ]);
+    expect(summary.totalValue).toBe(29110);
+    expect(summary.assets[0]).toEqual({ asset: 'BTC', total: 0.7, value: 28010, exchanges: ['binance', 'wazirx'] });
+  });
+
+  test('should report a failing exchange without failing the rest', async() => {
+    exchangeService.getBalance.mockImplementation(async(exchange) => {
+      if (exchange === 'wazirx') {
+        throw new Error('Invalid API key');
+      }
+      return [balance('USDT', 500)];
+    });
+
+    const summary = await service.getBalances('user-1');
+
+    expect(summary.exchanges.map(entry => entry.exchange)).toEqual(['binance']);
+    expect(summary.errors).toEqual([{ exchange: 'wazirx', error: 'Invalid API key' }]);
+    expect(summary.totalValue).toBe(500);
+    expect(logger.warn).toHaveBeenCalledWith('Failed to fetch exchange balances', expect.objectContaining({ exchange: 'wazirx' }));
+  });
+
+  test('should value assets at the reference price across exchanges', async() => {
+    consolidatedQuotes.getReferencePrice.mockImplementation(symbol => (symbol === 'BTCUSDT' ? 40050 : null));
+
+    const summary = await service.getBalances('user-1');
+
+    const [binance, wazirx] = summary.exchanges;
+    expect(binance.balances[0]).toMatchObject({ asset: 'BTC', price: 40050 });
+    expect(wazirx.balances[0]).toMatchObject({ asset: 'BTC', price: 40050 });
+    // Without a reference price INR is still priced on WazirX
+    expect(wazirx.balances[1]).toMatchObject({ asset: 'INR', price: 1 / 80 });
+    expect(marketDataService.getCurrentPrice).not.toHaveBeenCalledWith('BTCUSDT', expect.anything());
+  });
+
+  test('should list assets no market prices without counting them', async() => {
+    ExchangeConfig.findByUserId.mockResolvedValue([config('binance')]);
+    exchangeService.getBalance.mockResolvedValue([balance('XYZ', 10), balance('USDT', 5)]);
+
+    const summary = await service.getBalances('user-1');
+
+    expect(marketDataService.getTickerData).toHaveBeenCalledWith('binance', 'XYZUSDT');
+    expect(summary.exchanges[0]).toMatchObject({ totalValue: 5, unpricedAssets: ['XYZ'] });
+    expect(summary.assets.find(entry => entry.asset === 'XYZ').value).toBeNull();
+  });
+
+  test('should fall back to tickers and price other exchanges on Binance', async() => {
+    ExchangeConfig.findByUserId.mockResolvedValue([config('coinbase')]);
+    exchangeService.getBalance.mockResolvedValue([balance('SOL', 2), balance('USD', 50)]);
+    marketDataService.getTickerData.mockResolvedValue({ symbol: 'SOLUSDT', price: 100 });
+
+    const summary = await service.getBalances('user-1');
+
+    expect(marketDataService.getTickerData).toHaveBeenCalledWith('binance', 'SOLUSDT');
+    // Dollar balances count at par against USDT
+    expect(summary.totalValue).toBe(250);
+  });
+
+  test('should cache the aggregate briefly', async() => {
+    await service.getBalances('user-1');
+    await service.getBalances('user-1');
+    expect(exchangeService.getBalance).toHaveBeenCalledTimes(2);
+
+    await service.getBalances('user-1', { refresh: true });
+    expect(exchangeService.getBalance).toHaveBeenCalledTimes(4);
+  });
+
+  test('should use streamed Binance balances while the stream is up', async() => {
+    ExchangeConfig.findByUserId.mockResolvedValue([config('binance'), config('delta', { is_active: false })]);
+    binanceUserStream.isConnected.mockReturnValue(true);
+    binanceUserStream.getBalances.mockResolvedValue([balance('ETH', 1)]);
+
+    const summary = await service.getBalances('user-1');
+
+    expect(exchangeService.getBalance).not.toHaveBeenCalled();
+    expect(summary.exchanges).toHaveLength(1);
+    expect(summary.totalValue).toBe(2000);
+  });
+
+  test('should refuse single-exchange lookups without a configuration', async() => {
+    ExchangeConfig.findByExchange.mockResolvedValue(undefined);
+
+    await expect(service.getExchangeBalances('user-1', 'delta')).rejects.toMatchObject({
+      message: 'Exchange not configured',
+      statusCode: 404
+    });
+  });
+});
@@ -0,0 +1,309 @@
+// =============================================================================
+// Binance User-Data Stream Tests - Production Ready
+// =============================================================================
+// Unit tests for listen key upkeep, reconnection and routing of order and
+// balance events
+
+jest.mock('../../lib/logging', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+jest.mock('../../lib/database', () => ({
+  ExchangeConfig: {
+    findActiveByExchange: jest.fn()
+  }
+}));
+
+jest.mock('../../lib/credentialVault', () => ({
+  credentialVault: {
+    getCredentials: jest.fn()
+  }
+}));
+
+jest.mock('ws', () => {
+  const { EventEmitter } = require('events');
+
+  class MockWebSocket extends EventEmitter {
+    constructor(url) {
+      super();
+      this.url = url;
+      this.readyState = 0;
+      MockWebSocket.instances.push(this);
+    }
+
+    terminate() {
+      this.readyState = 3;
+      this.emit('close');
+    }
+  }
+  MockWebSocket.OPEN = 1;
+  MockWebSocket.instances = [];
+
+  return MockWebSocket;
+});
+
+jest.mock('../../lib/exchangeService', () => ({
+  getBalance: jest.fn(),
+  exchanges: {
+    binance: {
+      createListenKey: jest.fn(),
+      keepAliveListenKey: jest.fn(),
+      closeListenKey: jest.fn(),
+      formatExecutionReport: jest.fn(event => ({ orderId: String(event.i), status: event.X })),
+      formatAccountPosition: jest.fn(event => event.B.map(entry => ({
+        asset: entry.a,
+        free: parseFloat(entry.f),
+        locked: parseFloat(entry.l),
+        total: parseFloat(entry.f) + parseFloat(entry.l)
+      })))
+    }
+  }
+}));
+
+jest.mock('../../lib/orderTracker', () => ({
+  orderTracker: {
+    onExchangeUpdate: jest.fn(),
+    markStreaming: jest.fn()
+  }
+}));
+
+const mockCache = new Map();
+
+jest.mock('../../lib/advancedCaching', () => ({
+  advancedCache: {
+    isInitialized: true,
+    initialize: jest.fn(),
+    generateCacheKey: jest.fn((prefix, params) => `${prefix}:${JSON.stringify(params)}`),
+    get: jest.fn(async(key) => mockCache.get(key) || null),
+    set: jest.fn(async(key, value) => {
+      mockCache.set(key, value);
+    })
+  }
+}));
+
+const mockSocket = { sendToUser: jest.fn() };
+
+jest.mock('../../lib/websocketServer', () => ({
+  getWebSocketServer: jest.fn(() => mockSocket)
+}));
+
+const WebSocket = require('ws');
+const { ExchangeConfig } = require('../../lib/database');
+const { credentialVault } = require('../../lib/credentialVault');
+const exchangeService = require('../../lib/exchangeService');
+const { orderTracker } = require('../../lib/orderTracker');
+const { logger } = require('../../lib/logging');
+const { BinanceUserStream } = require('../../lib/binanceUserStream');
+
+describe('Binance User-Data Stream', () => {
+  const binance = exchangeService.exchanges.binance;
+  let stream;
+
+  const config = (userId = 'user-1') => ({ user_id: userId, exchange: 'binance', api_key: `key-${userId}`, secret_key: 'secret', is_active: true });
+  const balance = (asset, free, locked = 0) => ({ asset, free, locked, total: free + locked });
+
+  // Let the per-user event queue drain
+  const settle = async() => {
+    for (let i = 0; i < 10; i += 1) {
+      await Promise.resolve();
+    }
+  };
+
+  const lastSocket = () => WebSocket.instances[WebSocket.instances.length - 1];
+
+  const openSocket = async(ws = lastSocket()) => {
+    ws.readyState = WebSocket.OPEN;
+    ws.emit('open');
+    await settle();
+    return ws;
+  };
+
+  const send = async(ws, event) => {
+    ws.emit('message', JSON.stringify(event));
+    await settle();
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockCache.clear();
+    WebSocket.instances.length = 0;
+    credentialVault.getCredentials.mockImplementation(async(userId) => ({ apiKey: `key-${userId}`, secretKey: 'secret', passphrase: null }));
+    ExchangeConfig.findActiveByExchange.mockResolvedValue([config('user-1'), config('user-2')]);
+    binance.createListenKey.mockResolvedValue('listen-1');
+    binance.keepAliveListenKey.mockResolvedValue();
+    binance.closeListenKey.mockResolvedValue();
+    exchangeService.getBalance.mockResolvedValue([balance('USDT', 1000), balance('BTC', 0.5)]);
+    orderTracker.onExchangeUpdate.mockResolvedValue(true);
+    stream = new BinanceUserStream();
+  });
+
+  afterEach(async() => {
+    await stream.stop();
+    jest.useRealTimers();
+  });
+
+  test('should open a stream for every active configuration', async() => {
+    await stream.start();
+
+    expect(binance.createListenKey).toHaveBeenCalledWith('key-user-1');
+    expect(binance.createListenKey).toHaveBeenCalledWith('key-user-2');
+    expect(WebSocket.instances.map(ws => ws.url)).toEqual([
+      'wss://stream.binance.com:9443/ws/listen-1',
+      'wss://stream.binance.com:9443/ws/listen-1'
+    ]);
+  });
+
+  test('should snapshot balances and tell the owner once connected', async() => {
+    await stream.connect('user-1');
+    await openSocket();
+
+    expect(stream.isConnected('user-1')).toBe(true);
+    expect(orderTracker.markStreaming).toHaveBeenCalledWith('binance', 'user-1', true);
+    expect(exchangeService.getBalance).toHaveBeenCalledWith('binance', 'key-user-1', 'secret');
+    expect(await stream.getBalances('user-1')).toEqual([balance('USDT', 1000), balance('BTC', 0.5)]);
+    expect(mockSocket.sendToUser).toHaveBeenCalledWith('user-1', {
+      type: 'balance_update',
+      data: expect.objectContaining({ exchange: 'binance', balances: [balance('USDT', 1000), balance('BTC', 0.5)] })
+    });
+  });
+
+  test('should hand execution reports to the order tracker', async() => {
+    await stream.connect('user-1');
+    const ws = await openSocket();
+
+    await send(ws, { e: 'executionReport', i: 28457113, X: 'PARTIALLY_FILLED' });
+
+    expect(orderTracker.onExchangeUpdate).toHaveBeenCalledWith('binance', { orderId: '28457113', status: 'PARTIALLY_FILLED' });
+  });
+
+  test('should merge account position changes into the cached balances', async() => {
+    await stream.connect('user-1');
+    const ws = await openSocket();
+    mockSocket.sendToUser.mockClear();
+
+    await send(ws, {
+      e: 'outboundAccountPosition',
+      B: [{ a: 'USDT', f: '900', l: '50' }, { a: 'BTC', f: '0', l: '0' }, { a: 'ETH', f: '2', l: '0' }]
+    });
+
+    expect(await stream.getBalances('user-1')).toEqual([balance('USDT', 900, 50), balance('ETH', 2)]);
+    expect(mockSocket.sendToUser).toHaveBeenCalledWith('user-1', {
+      type: 'balance_update',
+      data: expect.objectContaining({
+        balances: [balance('USDT', 900, 50), balance('BTC', 0), balance('ETH', 2)]
+      })
+    });
+  });
+
+  test('should handle events in the order they arrive', async() => {
+    const handled = [];
+    orderTracker.onExchangeUpdate.mockImplementation(async(exchange, order) => {
+      // The first update is slower to save than the second
+      await new Promise(resolve => setImmediate(resolve));
+      handled.push(order.status);
+    });
+    await stream.connect('user-1');
+    const ws = await openSocket();
+
+    ws.emit('message', JSON.stringify({ e: 'executionReport', i: 1, X: 'PARTIALLY_FILLED' }));
+    ws.emit('message', JSON.stringify({ e: 'executionReport', i: 1, X: 'FILLED' }));
+    await stream.streams.get('user-1').queue;
+
+    expect(handled).toEqual(['PARTIALLY_FILLED', 'FILLED']);
+  });
+
+  test('should keep the listen key alive', async() => {
+    jest.useFakeTimers();
+    await stream.connect('user-1');
+    await openSocket();
+
+    jest.advanceTimersByTime(30 * 60 * 1000);
+    await settle();
+
+    expect(binance.keepAliveListenKey).toHaveBeenCalledWith('key-user-1', 'listen-1');
+    expect(WebSocket.instances).toHaveLength(1);
+  });
+
+  test('should reconnect with a new listen key when keep-alive fails', async() => {
+    jest.useFakeTimers();
+    await stream.connect('user-1');
+    await openSocket();
+    binance.keepAliveListenKey.mockRejectedValueOnce(new Error('Unknown listen key'));
+    binance.createListenKey.mockResolvedValueOnce('listen-2');
+
+    jest.advanceTimersByTime(30 * 60 * 1000);
+    await settle();
+    expect(orderTracker.markStreaming).toHaveBeenCalledWith('binance', 'user-1', false);
+
+    jest.advanceTimersByTime(1000);
+    await settle();
+
+    expect(lastSocket().url).toBe('wss://stream.binance.com:9443/ws/listen-2');
+  });
+
+  test('should back off between failed reconnects', async() => {
+    jest.useFakeTimers();
+    await stream.connect('user-1');
+    await openSocket();
+    binance.createListenKey.mockRejectedValue(new Error('ECONNRESET'));
+
+    lastSocket().terminate();
+    jest.advanceTimersByTime(1000);
+    await settle();
+    jest.advanceTimersByTime(1999);
+    await settle();
+    expect(binance.createListenKey).toHaveBeenCalledTimes(2);
+
+    binance.createListenKey.mockResolvedValue('listen-3');
+    jest.advanceTimersByTime(1);
+    await settle();
+    await openSocket();
+
+    expect(binance.createListenKey).toHaveBeenCalledTimes(3);
+    expect(stream.streams.get('user-1').attempts).toBe(0);
+  });
+
+  test('should reconnect when Binance expires the listen key', async() => {
+    jest.useFakeTimers();
+    await stream.connect('user-1');
+    const ws = await openSocket();
+
+    await send(ws, { e: 'listenKeyExpired' });
+    jest.advanceTimersByTime(1000);
+    await settle();
+
+    expect(WebSocket.instances).toHaveLength(2);
+  });
+
+  test('should close the listen key and stay down when disconnected', async() => {
+    jest.useFakeTimers();
+    await stream.connect('user-1');
+    await openSocket();
+
+    await stream.disconnect('user-1');
+    jest.advanceTimersByTime(60000);
+    await settle();
+
+    expect(binance.closeListenKey).toHaveBeenCalledWith('key-user-1', 'listen-1');
+    expect(orderTracker.markStreaming).toHaveBeenLastCalledWith('binance', 'user-1', false);
+    expect(WebSocket.instances).toHaveLength(1);
+    expect(stream.isConnected('user-1')).toBe(false);
+  });
+
+  test('should skip users it cannot connect on start', async() => {
+    credentialVault.getCredentials.mockRejectedValueOnce(new Error('No active binance configuration for user'));
+
+    await stream.start();
+
+    expect(logger.warn).toHaveBeenCalledWith('Failed to start Binance user-data stream', {
+      userId: 'user-1',
+      error: 'No active binance configuration for user'
+    });
+    expect([...stream.streams.keys()]).toEqual(['user-2']);
+  });
+});
@@ -0,0 +1,168 @@
+// =============================================================================
+// Bot Manager Tests - Production Ready
+// =============================================================================
+// Unit tests for per-user bot lifecycle and persisted run state
+
+jest.mock('../../lib/logging', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+jest.mock('../../lib/database', () => ({
+  BotInstance: {
+    findByUserId: jest.fn(),
+    findByStatus: jest.fn(),
+    upsert: jest.fn()
+  }
+}));
+
+// Lightweight stand-in for TradingBot's lifecycle surface
+jest.mock('../../lib/tradingBot', () => jest.fn().mockImplementation((config, { userId }) => ({
+  userId,
+  config: { maxDailyTrades: 50, ...config },
+  isRunning: false,
+  isPaused: false,
+  start: jest.fn(async function() { this.isRunning = true; }),
+  stop: jest.fn(async function() { this.isRunning = false; this.isPaused = false; }),
+  pause: jest.fn(function() { this.isPaused = true; }),
+  resume: jest.fn(function() { this.isPaused = false; }),
+  loadActiveStrategies: jest.fn().mockResolvedValue(),
+  updateConfig: jest.fn(function(overrides) {
+    if (overrides.maxDailyTrades !== undefined && overrides.maxDailyTrades < 1) {
+      throw new Error('Invalid bot configuration: maxDailyTrades must be between 1 and 1000');
+    }
+    this.config = { ...this.config, ...overrides };
+  }),
+  getStatus: jest.fn(function() {
+    return { userId: this.userId, state: this.isPaused ? 'paused' : 'running', config: this.config };
+  })
+})));
+
+const { BotInstance } = require('../../lib/database');
+const TradingBot = require('../../lib/tradingBot');
+const { BotManager } = require('../../lib/botManager');
+
+describe('Bot Manager', () => {
+  let manager;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    BotInstance.findByUserId.mockResolvedValue(null);
+    BotInstance.upsert.mockResolvedValue({});
+    manager = new BotManager();
+  });
+
+  test('should start an isolated bot per user and persist its state', async() => {
+    const status = await manager.start('user-1', { maxDailyTrades: 5 });
+    await manager.start('user-2');
+
+    expect(status.state).toBe('running');
+    expect(TradingBot).toHaveBeenCalledWith({}, { userId: 'user-1' });
+    expect(manager.getBot('user-1').config.maxDailyTrades).toBe(5);
+    expect(manager.getBot('user-2').config.maxDailyTrades).toBe(50);
+    expect(BotInstance.upsert).toHaveBeenCalledWith('user-1', { status: 'running', config: { maxDailyTrades: 5 } });
+  });
+
+  test('should reuse stored config overrides on start', async() => {
+    BotInstance.findByUserId.mockResolvedValue({ config: { maxDailyTrades: 3, riskPerTrade: 0.01 } });
+
+    await manager.start('user-1', { maxDailyTrades: 4 });
+
+    expect(manager.getBot('user-1').config).toMatchObject({ maxDailyTrades: 4, riskPerTrade: 0.01 });
+  });
+
+  test('should reject invalid overrides and duplicate starts', async() => {
+    await expect(manager.start('user-1', { maxDailyTrades: 0 })).rejects.toMatchObject({ statusCode: 400 });
+
+    await manager.start('user-1');
+    await expect(manager.start('user-1')).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'Trading bot is already running'
+    });
+  });
+
+  test('should start only one bot when starts overlap', async() => {
+    const results = await Promise.allSettled([manager.start('user-1'), manager.start('user-1')]);
+
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+    expect(results[1].reason).toMatchObject({ statusCode: 409, message: 'Trading bot is already starting' });
+    expect(TradingBot).toHaveBeenCalledTimes(1);
+    expect(manager.getBot('user-1').isRunning).toBe(true);
+  });
+
+  test('should allow a new start after a failed one', async() => {
+    TradingBot.mockImplementationOnce((config, { userId }) => ({
+      userId,
+      isRunning: false,
+      updateConfig: jest.fn(),
+      start: jest.fn().mockRejectedValue(new Error('No active strategies'))
+    }));
+
+    await expect(manager.start('user-1')).rejects.toThrow('No active strategies');
+    expect(manager.getBot('user-1')).toBeNull();
+
+    await manager.start('user-1');
+    expect(manager.getBot('user-1').isRunning).toBe(true);
+  });
+
+  test('should pause, resume and stop a running bot', async() => {
+    await expect(manager.pause('user-1')).rejects.toMatchObject({ statusCode: 409 });
+
+    await manager.start('user-1');
+    expect((await manager.pause('user-1')).state).toBe('paused');
+    expect(BotInstance.upsert).toHaveBeenLastCalledWith('user-1', { status: 'paused', config: {} });
+    await expect(manager.pause('user-1')).rejects.toMatchObject({ message: 'Trading bot is already paused' });
+
+    expect((await manager.resume('user-1')).state).toBe('running');
+
+    const stopped = await manager.stop('user-1');
+    expect(stopped.state).toBe('stopped');
+    expect(manager.getBot('user-1')).toBeNull();
+    expect(BotInstance.upsert).toHaveBeenLastCalledWith('user-1', { status: 'stopped', config: {} });
+  });
+
+  test('should reload strategies in a running bot after a mode switch', async() => {
+    await manager.reloadStrategies('user-1');
+
+    await manager.start('user-1');
+    await manager.reloadStrategies('user-1');
+
+    expect(manager.getBot('user-1').loadActiveStrategies).toHaveBeenCalledTimes(1);
+  });
+
+  test('should keep running when the state cannot be persisted', async() => {
+    BotInstance.upsert.mockRejectedValue(new Error('connection refused'));
+
+    const status = await manager.start('user-1');
+
+    expect(status.state).toBe('running');
+  });
+
+  test('should restore running and paused bots after a restart', async() => {
+    BotInstance.findByStatus.mockResolvedValue([
+      { userId: 'user-1', status: 'running', config: { maxDailyTrades: 5 } },
+      { userId: 'user-2', status: 'paused', config: {} }
+    ]);
+
+    const restored = await manager.restore();
+
+    expect(restored).toBe(2);
+    expect(BotInstance.findByStatus).toHaveBeenCalledWith(['running', 'paused']);
+    expect(manager.getBot('user-1').config.maxDailyTrades).toBe(5);
+    expect(manager.getStatus('user-2').state).toBe('paused');
+  });
+
+  test('should stop every bot on shutdown without touching persisted state', async() => {
+    await manager.start('user-1');
+    BotInstance.upsert.mockClear();
+
+    await manager.shutdown();
+
+    expect(manager.getStatus('user-1').state).toBe('stopped');
+    expect(BotInstance.upsert).not.toHaveBeenCalled();
+  });
+});
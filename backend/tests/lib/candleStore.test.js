@@ -0,0 +1,214 @@
+// =============================================================================
+// Candle Store Tests - Production Ready
+// =============================================================================
+// Unit tests for backfilling, repairing and serving stored candles
+
+jest.mock('../../lib/logging', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+// candles rows by exchange, symbol, interval and open time
+const mockRows = new Map();
+
+jest.mock('../../lib/database', () => {
+  const key = (candle) => `${candle.exchange}:${candle.symbol}:${candle.interval}:${candle.openTime}`;
+  const market = (exchange, symbol, interval) => [...mockRows.values()]
+    .filter(row => row.exchange === exchange && row.symbol === symbol && row.interval === interval)
+    .sort((a, b) => a.openTime - b.openTime);
+  return {
+    Candle: {
+      upsertMany: jest.fn(async(candles) => {
+        candles.forEach(candle => mockRows.set(key(candle), { ...candle }));
+        return candles.length;
+      }),
+      findRange: jest.fn(async(exchange, symbol, interval, startTime, endTime) => market(exchange, symbol, interval)
+        .filter(row => row.openTime >= startTime && row.openTime <= endTime)),
+      findLatest: jest.fn(async(exchange, symbol, interval, limit) => market(exchange, symbol, interval).slice(-limit)),
+      getCoverage: jest.fn(async(exchange, symbol, interval) => {
+        const rows = market(exchange, symbol, interval);
+        return {
+          first: rows.length ? rows[0].openTime : null,
+          last: rows.length ? rows[rows.length - 1].openTime : null,
+          count: rows.length
+        };
+      })
+    }
+  };
+});
+
+// Open times the exchange has klines for
+let mockListed = [];
+
+jest.mock('../../lib/marketDataService', () => ({
+  getKlineData: jest.fn(async(exchange, symbol, interval, limit, { startTime, endTime }) => mockListed
+    .filter(openTime => openTime >= startTime && openTime <= endTime)
+    .slice(0, limit)
+    .map(openTime => ({
+      symbol,
+      interval,
+      openTime,
+      closeTime: openTime + 3599999,
+      open: 100,
+      high: 110,
+      low: 90,
+      close: 105,
+      volume: 10,
+      quoteVolume: 1000,
+      trades: 5
+    })))
+}));
+
+const { Candle } = require('../../lib/database');
+const marketDataService = require('../../lib/marketDataService');
+const { CandleStore } = require('../../lib/candleStore');
+
+describe('Candle Store', () => {
+  let store;
+
+  const HOUR = 60 * 60 * 1000;
+  const NOW = 1000 * HOUR + 30 * 60 * 1000; // half way through the candle opening at hour 1000
+  const hours = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => (from + i) * HOUR);
+  const stored = () => [...mockRows.values()].map(row => row.openTime).sort((a, b) => a - b);
+  const row = (hour, overrides = {}) => ({
+    exchange: 'binance',
+    symbol: 'BTCUSDT',
+    interval: '1h',
+    openTime: hour * HOUR,
+    open: 100,
+    high: 110,
+    low: 90,
+    close: 100,
+    volume: 10,
+    quoteVolume: 1000,
+    trades: 5,
+    interpolated: false,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+    mockRows.clear();
+    mockListed = hours(0, 1000);
+    store = new CandleStore({ pageSize: 10, historyDays: 1, maxGapSize: 2 * HOUR, enableInterpolation: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should page through closed candles only', async() => {
+    expect(await store.backfill('binance', 'BTCUSDT', '1h', 975 * HOUR + 1, NOW)).toBe(24);
+
+    expect(stored()).toEqual(hours(976, 999));
+    expect(marketDataService.getKlineData).toHaveBeenCalledTimes(3);
+    expect(marketDataService.getKlineData).toHaveBeenNthCalledWith(2, 'binance', 'BTCUSDT', '1h', 10, {
+      startTime: 986 * HOUR,
+      endTime: 999 * HOUR
+    });
+  });
+
+  test('should backfill new markets and extend stored ones', async() => {
+    expect(await store.syncMarket('binance', 'BTCUSDT', '1h', NOW)).toBe(23);
+    expect(stored()[0]).toBe(977 * HOUR);
+
+    jest.spyOn(Date, 'now').mockReturnValue(NOW + 2 * HOUR);
+    marketDataService.getKlineData.mockClear();
+
+    expect(await store.syncMarket('binance', 'BTCUSDT', '1h', NOW + 2 * HOUR)).toBe(1);
+    expect(stored()).toEqual(hours(977, 1000));
+    expect(marketDataService.getKlineData).toHaveBeenCalledWith('binance', 'BTCUSDT', '1h', 10, {
+      startTime: 1000 * HOUR,
+      endTime: 1001 * HOUR
+    });
+  });
+
+  test('should find the runs of missing candles', () => {
+    const candles = [2, 3, 6, 7, 9].map(hour => row(hour));
+
+    expect(store.findGaps(candles, HOUR, 0, 10 * HOUR)).toEqual([
+      { start: 0, end: HOUR },
+      { start: 4 * HOUR, end: 5 * HOUR },
+      { start: 8 * HOUR, end: 8 * HOUR },
+      { start: 10 * HOUR, end: 10 * HOUR }
+    ]);
+  });
+
+  test('should refetch gaps and interpolate the short ones the exchange lacks', async() => {
+    await Candle.upsertMany([990, 991, 995, 996, 997, 999].map(hour => row(hour)));
+    await Candle.upsertMany([row(992, { close: 100 }), row(994, { open: 130 })]);
+    mockListed = hours(990, 999).filter(openTime => openTime !== 993 * HOUR);
+
+    const result = await store.repairGaps('binance', 'BTCUSDT', '1h', 990 * HOUR, NOW);
+
+    expect(result).toEqual({ found: 2, interpolated: 1, remaining: [] });
+    expect(stored()).toEqual(hours(990, 999));
+    expect(mockRows.get(`binance:BTCUSDT:1h:${993 * HOUR}`)).toMatchObject({
+      open: 100,
+      close: 115,
+      volume: 0,
+      interpolated: true
+    });
+  });
+
+  test('should leave long gaps and gaps at the edge of the data open', async() => {
+    await Candle.upsertMany([990, 994].map(hour => row(hour)));
+    mockListed = [];
+
+    const result = await store.repairGaps('binance', 'BTCUSDT', '1h', 989 * HOUR, 994 * HOUR);
+
+    expect(result).toEqual({
+      found: 2,
+      interpolated: 0,
+      remaining: [{ start: 989 * HOUR, end: 989 * HOUR }, { start: 991 * HOUR, end: 993 * HOUR }]
+    });
+    expect(stored()).toEqual([990 * HOUR, 994 * HOUR]);
+  });
+
+  test('should serve ranges from the database alone', async() => {
+    await Candle.upsertMany([990, 991, 992].map(hour => row(hour)));
+
+    const candles = await store.getCandles('binance', 'BTCUSDT', '1h', 991 * HOUR, 995 * HOUR);
+
+    expect(marketDataService.getKlineData).not.toHaveBeenCalled();
+    expect(candles).toEqual([991, 992].map(hour => expect.objectContaining({
+      openTime: hour * HOUR,
+      closeTime: (hour + 1) * HOUR - 1,
+      timestamp: hour * HOUR,
+      close: 100
+    })));
+  });
+
+  test('should only fetch the candles that closed since the last call', async() => {
+    await Candle.upsertMany(hours(990, 997).map(openTime => row(openTime / HOUR)));
+
+    const candles = await store.getRecentCandles('binance', 'BTCUSDT', '1h', 5);
+
+    expect(marketDataService.getKlineData).toHaveBeenCalledTimes(1);
+    expect(marketDataService.getKlineData).toHaveBeenCalledWith('binance', 'BTCUSDT', '1h', 10, {
+      startTime: 998 * HOUR,
+      endTime: 999 * HOUR
+    });
+    expect(candles.map(candle => candle.openTime)).toEqual(hours(995, 999));
+
+    marketDataService.getKlineData.mockClear();
+    await store.getRecentCandles('binance', 'BTCUSDT', '1h', 5);
+    expect(marketDataService.getKlineData).not.toHaveBeenCalled();
+  });
+
+  test('should refuse exchanges without history and unknown intervals', async() => {
+    await expect(store.backfill('wazirx', 'BTCUSDT', '1h', 0, NOW)).rejects.toMatchObject({
+      message: 'Candle history is not available from wazirx',
+      statusCode: 400
+    });
+    await expect(store.getCandles('binance', 'BTCUSDT', '7m', 0, NOW)).rejects.toMatchObject({
+      message: 'Unsupported candle interval: 7m',
+      statusCode: 400
+    });
+  });
+});
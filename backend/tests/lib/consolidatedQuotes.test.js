@@ -0,0 +1,121 @@
+// =============================================================================
+// Consolidated Quotes Tests - Production Ready
+// =============================================================================
+// Unit tests for merging exchange tickers into a best bid and offer and a
+// volume-weighted reference price
+
+jest.mock('../../lib/marketDataService', () => ({
+  normalizeSymbol: jest.fn(symbol => symbol.toUpperCase().replace(/[^A-Z0-9]/g, '')),
+  getTickers: jest.fn()
+}));
+
+const marketDataService = require('../../lib/marketDataService');
+const { ConsolidatedQuotes } = require('../../lib/consolidatedQuotes');
+
+describe('Consolidated Quotes', () => {
+  let quotes;
+
+  const NOW = 1700000000000;
+  const ticker = (exchange, bid, ask, volume, overrides = {}) => ({
+    exchange,
+    symbol: 'BTCUSDT',
+    price: (bid + ask) / 2,
+    bid,
+    ask,
+    volume,
+    timestamp: NOW - 1000,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    quotes = new ConsolidatedQuotes({ maxAge: 30000 });
+  });
+
+  test('should take each side from the exchange quoting it best', () => {
+    marketDataService.getTickers.mockReturnValue([
+      ticker('binance', 99, 101, 900),
+      ticker('wazirx', 100, 103, 50),
+      ticker('coindcx', 98, 100.5, 50)
+    ]);
+
+    const quote = quotes.getQuote('btc/usdt', NOW);
+
+    expect(marketDataService.getTickers).toHaveBeenCalledWith('BTCUSDT');
+    expect(quote).toMatchObject({
+      symbol: 'BTCUSDT',
+      bestBid: { price: 100, exchange: 'wazirx' },
+      bestAsk: { price: 100.5, exchange: 'coindcx' },
+      spread: 0.5,
+      crossed: false,
+      stale: false,
+      timestamp: NOW
+    });
+    expect(quote.sources).toHaveLength(3);
+    expect(quote.sources[0]).toEqual({
+      exchange: 'binance',
+      bid: 99,
+      ask: 101,
+      price: 100,
+      mid: 100,
+      volume: 900,
+      timestamp: NOW - 1000,
+      age: 1000,
+      stale: false
+    });
+    // (100 * 900 + 101.5 * 50 + 99.25 * 50) / 1000
+    expect(quote.referencePrice).toBeCloseTo(100.0375);
+  });
+
+  test('should leave stale tickers out of the quote', () => {
+    marketDataService.getTickers.mockReturnValue([
+      ticker('binance', 99, 101, 900, { timestamp: NOW - 60000 }),
+      ticker('wazirx', 100, 102, 50),
+      ticker('coindcx', 200, 201, 50, { timestamp: undefined })
+    ]);
+
+    const quote = quotes.getQuote('BTCUSDT', NOW);
+
+    expect(quote.sources.map(source => [source.exchange, source.stale])).toEqual([
+      ['binance', true],
+      ['wazirx', false],
+      ['coindcx', true]
+    ]);
+    expect(quote).toMatchObject({
+      bestBid: { price: 100, exchange: 'wazirx' },
+      bestAsk: { price: 102, exchange: 'wazirx' },
+      referencePrice: 101,
+      stale: false
+    });
+  });
+
+  test('should flag crossed markets and quotes with nothing fresh', () => {
+    marketDataService.getTickers.mockReturnValue([
+      ticker('binance', 99, 100, 10),
+      ticker('wazirx', 101, 102, 10)
+    ]);
+    expect(quotes.getQuote('BTCUSDT', NOW)).toMatchObject({ spread: -1, crossed: true });
+
+    marketDataService.getTickers.mockReturnValue([ticker('binance', 99, 100, 10, { timestamp: NOW - 31000 })]);
+    expect(quotes.getQuote('BTCUSDT', NOW)).toMatchObject({
+      bestBid: null,
+      bestAsk: null,
+      spread: null,
+      referencePrice: null,
+      stale: true
+    });
+  });
+
+  test('should price one-sided and volume-less tickers', () => {
+    marketDataService.getTickers.mockReturnValue([
+      ticker('binance', NaN, NaN, 0, { price: 100 }),
+      ticker('coindcx', 101, 103, 0)
+    ]);
+
+    const quote = quotes.getQuote('BTCUSDT', NOW);
+
+    expect(quote.bestBid).toEqual({ price: 101, exchange: 'coindcx' });
+    // Equal weights: last price on Binance, mid on CoinDCX
+    expect(quote.referencePrice).toBe(101);
+  });
+});
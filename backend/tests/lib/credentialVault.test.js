@@ -0,0 +1,226 @@
+// =============================================================================
+// Credential Vault Tests - Production Ready
+// =============================================================================
+// Unit tests for sealing, opening, rotating and revoking exchange credentials
+
+jest.mock('../../lib/logging', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  },
+  performanceLogger: {
+    info: jest.fn()
+  }
+}));
+
+// Key-encryption keys by id, handed out JSON-decoded like the key manager does
+const mockKeys = new Map();
+
+jest.mock('../../lib/keyManager', () => {
+  const crypto = require('crypto');
+  const keyManager = {
+    initialized: false,
+    initialize: jest.fn(async() => {
+      keyManager.initialized = true;
+    }),
+    generateKey: jest.fn(async() => {
+      const keyId = `kek-${mockKeys.size + 1}`;
+      mockKeys.set(keyId, crypto.randomBytes(32));
+      return { keyId };
+    }),
+    getLatestKey: jest.fn(async(type) => {
+      const keyIds = [...mockKeys.keys()];
+      if (keyIds.length === 0) {
+        throw new Error(`No keys found for type: ${type}`);
+      }
+      const keyId = keyIds[keyIds.length - 1];
+      return { keyId, key: mockKeys.get(keyId).toJSON() };
+    }),
+    getKey: jest.fn(async(keyId) => ({ keyId, key: mockKeys.get(keyId).toJSON() }))
+  };
+  return { keyManager };
+});
+
+// exchange_configs rows by user and exchange
+const mockRows = new Map();
+
+jest.mock('../../lib/database', () => {
+  // Saves return a fresh row, as the database does
+  const save = (row, changes) => {
+    const saved = { ...row, ...changes };
+    mockRows.set(`${row.user_id}:${row.exchange}`, saved);
+    return saved;
+  };
+  const find = (id) => [...mockRows.values()].find(row => row.id === id);
+  return {
+    ExchangeConfig: {
+      create: jest.fn(async({ userId, exchange, apiKey, secretKey, passphrase, dataKey, keyId }) => {
+        const row = {
+          id: `config-${userId}-${exchange}`,
+          user_id: userId,
+          exchange,
+          api_key: apiKey,
+          secret_key: secretKey,
+          passphrase,
+          data_key: dataKey,
+          key_id: keyId,
+          is_active: true,
+          rotated_at: null,
+          revoked_at: null
+        };
+        mockRows.set(`${userId}:${exchange}`, row);
+        return row;
+      }),
+      findByExchange: jest.fn(async(userId, exchange) => mockRows.get(`${userId}:${exchange}`)),
+      updateCredentials: jest.fn(async(id, { apiKey, secretKey, passphrase, dataKey, keyId }) => save(find(id), {
+        api_key: apiKey,
+        secret_key: secretKey,
+        passphrase,
+        data_key: dataKey,
+        key_id: keyId,
+        rotated_at: new Date()
+      })),
+      revoke: jest.fn(async(userId, exchange) => {
+        const row = mockRows.get(`${userId}:${exchange}`);
+        return row && save(row, {
+          api_key: '',
+          secret_key: '',
+          passphrase: null,
+          data_key: null,
+          key_id: null,
+          is_active: false,
+          revoked_at: new Date()
+        });
+      }),
+      findUnsealed: jest.fn(async() => [...mockRows.values()].filter(row => !row.data_key && !row.revoked_at && row.api_key))
+    }
+  };
+});
+
+jest.mock('../../lib/auditTrail', () => ({
+  dataAccessAudit: {
+    dataRead: jest.fn(),
+    dataModified: jest.fn(),
+    dataDeleted: jest.fn()
+  }
+}));
+
+const { keyManager } = require('../../lib/keyManager');
+const { ExchangeConfig } = require('../../lib/database');
+const { dataAccessAudit } = require('../../lib/auditTrail');
+const { CredentialVault } = require('../../lib/credentialVault');
+
+describe('Credential Vault', () => {
+  let vault;
+
+  const credentials = { apiKey: 'api-key-123', secretKey: 'secret-key-456', passphrase: null };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockKeys.clear();
+    mockRows.clear();
+    keyManager.initialized = false;
+    vault = new CredentialVault({ masterPassword: 'master-password' });
+  });
+
+  test('should seal keys at rest and open them for signing', async() => {
+    await vault.store('user-1', 'binance', credentials, { ipAddress: '127.0.0.1' });
+
+    const row = mockRows.get('user-1:binance');
+    expect(keyManager.initialize).toHaveBeenCalledWith('master-password');
+    expect(keyManager.generateKey).toHaveBeenCalledTimes(1);
+    expect(row.key_id).toBe('kek-1');
+    expect(row.api_key).not.toContain('api-key-123');
+    expect(row.secret_key).not.toContain('secret-key-456');
+    expect(row.passphrase).toBeNull();
+    expect(dataAccessAudit.dataModified).toHaveBeenCalledWith('user-1', 'exchange_configs', row.id, 'UPSERT',
+      ['api_key', 'secret_key', 'passphrase'], { ipAddress: '127.0.0.1', exchange: 'binance', keyId: 'kek-1' });
+
+    expect(await vault.getCredentials('user-1', 'binance', 'trade_execution')).toEqual(credentials);
+    expect(dataAccessAudit.dataRead).toHaveBeenCalledWith('user-1', 'exchange_configs', row.id, {
+      exchange: 'binance',
+      purpose: 'trade_execution'
+    });
+  });
+
+  test('should not open ciphertext moved to another row or column', async() => {
+    await vault.store('user-1', 'binance', credentials);
+    await vault.store('user-2', 'binance', { apiKey: 'other-key', secretKey: 'other-secret' });
+
+    const first = mockRows.get('user-1:binance');
+    const second = mockRows.get('user-2:binance');
+
+    second.api_key = first.api_key;
+    await expect(vault.getCredentials('user-2', 'binance', 'trade_execution')).rejects.toThrow();
+
+    first.api_key = first.secret_key;
+    await expect(vault.getCredentials('user-1', 'binance', 'trade_execution')).rejects.toThrow();
+  });
+
+  test('should re-seal under a fresh data key and the latest key-encryption key', async() => {
+    await vault.store('user-1', 'binance', credentials);
+    const before = { ...mockRows.get('user-1:binance') };
+    await keyManager.generateKey('API');
+
+    const rotation = await vault.rotate('user-1', 'binance', { ipAddress: '127.0.0.1' });
+
+    const after = mockRows.get('user-1:binance');
+    expect(rotation).toEqual({ exchange: 'binance', keyId: 'kek-2', rotatedAt: after.rotated_at });
+    expect(after.data_key).not.toBe(before.data_key);
+    expect(after.secret_key).not.toBe(before.secret_key);
+    expect(dataAccessAudit.dataModified).toHaveBeenLastCalledWith('user-1', 'exchange_configs', after.id, 'ROTATE',
+      ['data_key', 'key_id'], { ipAddress: '127.0.0.1', exchange: 'binance', previousKeyId: 'kek-1', keyId: 'kek-2' });
+    expect(await vault.getCredentials('user-1', 'binance', 'trade_execution')).toEqual(credentials);
+  });
+
+  test('should destroy revoked keys', async() => {
+    await vault.store('user-1', 'binance', credentials);
+
+    const revocation = await vault.revoke('user-1', 'binance', { ipAddress: '127.0.0.1' });
+
+    expect(revocation).toEqual({ exchange: 'binance', revokedAt: expect.any(Date) });
+    expect(mockRows.get('user-1:binance')).toMatchObject({ api_key: '', secret_key: '', data_key: null, is_active: false });
+    expect(dataAccessAudit.dataDeleted).toHaveBeenCalledWith('user-1', 'exchange_configs', 'config-user-1-binance', {
+      ipAddress: '127.0.0.1',
+      exchange: 'binance'
+    });
+    await expect(vault.getCredentials('user-1', 'binance', 'trade_execution')).rejects.toMatchObject({
+      message: 'No active binance configuration for user',
+      statusCode: 404
+    });
+  });
+
+  test('should refuse exchanges the user has not configured', async() => {
+    await expect(vault.getCredentials('user-1', 'coinbase', 'trade_execution')).rejects.toMatchObject({
+      message: 'No active coinbase configuration for user',
+      statusCode: 404
+    });
+    await expect(vault.rotate('user-1', 'coinbase')).rejects.toMatchObject({ statusCode: 404 });
+    await expect(vault.revoke('user-1', 'coinbase')).rejects.toMatchObject({ statusCode: 404 });
+    expect(dataAccessAudit.dataRead).not.toHaveBeenCalled();
+  });
+
+  test('should seal configs saved in the clear on start', async() => {
+    await ExchangeConfig.create({ userId: 'user-1', exchange: 'wazirx', apiKey: 'plain-key', secretKey: 'plain-secret', passphrase: null });
+
+    // Still usable before they are sealed
+    expect(await vault.getCredentials('user-1', 'wazirx', 'trade_execution')).toMatchObject({ apiKey: 'plain-key' });
+
+    await vault.start();
+
+    const row = mockRows.get('user-1:wazirx');
+    expect(row.data_key).toEqual(expect.any(String));
+    expect(row.api_key).not.toBe('plain-key');
+    expect(await vault.getCredentials('user-1', 'wazirx', 'trade_execution')).toEqual({
+      apiKey: 'plain-key',
+      secretKey: 'plain-secret',
+      passphrase: null
+    });
+
+    // Nothing left to seal on the next start
+    await vault.start();
+    expect(ExchangeConfig.updateCredentials).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,215 @@
+// =============================================================================
+// DCA Engine Tests - Production Ready
+// =============================================================================
+// Unit tests for DCA scheduling, dip multipliers, capital caps and persistence
+
+jest.mock('../../lib/logging', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+jest.mock('../../lib/database', () => ({
+  TradingStrategy: {
+    saveState: jest.fn().mockResolvedValue({})
+  },
+  Portfolio: {
+    findByUserAndSymbol: jest.fn().mockResolvedValue(null),
+    recordBuy: jest.fn().mockResolvedValue({})
+  }
+}));
+
+const { DCAEngine, parseInterval, getNextCronTime } = require('../../lib/dcaEngine');
+const { TradingStrategy, Portfolio } = require('../../lib/database');
+
+describe('DCA Engine', () => {
+  let engine;
+
+  const HOUR = 60 * 60 * 1000;
+  const START = Date.UTC(2024, 0, 1, 0, 0);
+
+  const buildStrategy = (parameters = {}, state = {}) => ({
+    id: 'strategy-1',
+    userId: 'user-1',
+    strategyType: 'DCA',
+    parameters: {
+      symbol: 'BTCUSDT',
+      quoteAmount: 100,
+      interval: '1h',
+      ...parameters
+    },
+    state
+  });
+
+  const fill = (engineInstance, signal, price) => engineInstance.handleSignalOutcome(
+    { ...signal, strategyId: 'strategy-1', userId: 'user-1' },
+    'executed',
+    { price, amount: signal.amount }
+  );
+
+  beforeEach(() => {
+    engine = new DCAEngine();
+    jest.clearAllMocks();
+    Portfolio.findByUserAndSymbol.mockResolvedValue(null);
+  });
+
+  describe('Scheduling', () => {
+    test('should parse interval strings', () => {
+      expect(parseInterval('15m')).toBe(15 * 60 * 1000);
+      expect(parseInterval('4h')).toBe(4 * HOUR);
+      expect(parseInterval('1w')).toBe(7 * 24 * HOUR);
+      expect(parseInterval('soon')).toBeNull();
+    });
+
+    test('should find the next cron occurrence in UTC', () => {
+      // Mondays at 09:30
+      expect(getNextCronTime('30 9 * * 1', START)).toBe(Date.UTC(2024, 0, 1, 9, 30));
+      expect(getNextCronTime('30 9 * * 1', Date.UTC(2024, 0, 1, 9, 30))).toBe(Date.UTC(2024, 0, 8, 9, 30));
+      expect(getNextCronTime('*/15 * * * *', Date.UTC(2024, 0, 1, 0, 7))).toBe(Date.UTC(2024, 0, 1, 0, 15));
+    });
+
+    test('should reject invalid parameters', () => {
+      const result = engine.validateParameters({ quoteAmount: 0, cron: '* * *', maxCapital: -1 });
+      expect(result.valid).toBe(false);
+      expect(result.errors).toHaveLength(4);
+      expect(result.errors).toContain('symbol is required');
+    });
+
+    test('should only run on the strategy symbol', async() => {
+      expect(await engine.generateSignals(buildStrategy(), 'ETHUSDT', { price: 3000 }, START)).toEqual([]);
+      expect(await engine.generateSignals(buildStrategy({ symbol: undefined }), 'BTCUSDT', { price: 50000 }, START)).toEqual([]);
+    });
+
+    test('should buy immediately and then wait for the next interval', async() => {
+      const strategy = buildStrategy();
+      const [signal] = await engine.generateSignals(strategy, 'BTCUSDT', { price: 50000 }, START);
+
+      expect(signal).toMatchObject({ action: 'BUY', entry: 50000, amount: 0.002 });
+      expect(signal.dca.quoteAmount).toBe(100);
+
+      await fill(engine, signal, 50000);
+
+      expect(await engine.generateSignals(strategy, 'BTCUSDT', { price: 50000 }, START + HOUR - 1)).toEqual([]);
+      expect(await engine.generateSignals(strategy, 'BTCUSDT', { price: 50000 }, START + HOUR)).toHaveLength(1);
+    });
+
+    test('should not emit while a buy is still pending', async() => {
+      const strategy = buildStrategy();
+      await engine.generateSignals(strategy, 'BTCUSDT', { price: 50000 }, START);
+
+      expect(await engine.generateSignals(strategy, 'BTCUSDT', { price: 50000 }, START + 2 * HOUR)).toEqual([]);
+    });
+
+    test('should skip a rejected buy until the next slot', async() => {
+      const strategy = buildStrategy();
+      const [signal] = await engine.generateSignals(strategy, 'BTCUSDT', { price: 50000 }, START);
+
+      await engine.handleSignalOutcome({ ...signal, strategyId: 'strategy-1' }, 'rejected');
+
+      expect(await engine.generateSignals(strategy, 'BTCUSDT', { price: 50000 }, START + 1)).toEqual([]);
+      expect(Portfolio.recordBuy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Dip Buying', () => {
+    test('should apply the largest multiplier whose drop is reached', async() => {
+      Portfolio.findByUserAndSymbol.mockResolvedValue({ average_price: '100' });
+      const strategy = buildStrategy({
+        dipMultipliers: [
+          { dropPercent: 5, multiplier: 1.5 },
+          { dropPercent: 10, multiplier: 2 },
+          { dropPercent: 20, multiplier: 3 }
+        ]
+      });
+
+      const [signal] = await engine.generateSignals(strategy, 'BTCUSDT', { price: 88 }, START);
+
+      expect(signal.dca.multiplier).toBe(2);
+      expect(signal.dca.quoteAmount).toBe(200);
+      expect(signal.reasons).toHaveLength(2);
+    });
+
+    test('should buy the base amount above average cost', async() => {
+      Portfolio.findByUserAndSymbol.mockResolvedValue({ average_price: '100' });
+      const strategy = buildStrategy({ dipMultipliers: [{ dropPercent: 5, multiplier: 2 }] });
+
+      const [signal] = await engine.generateSignals(strategy, 'BTCUSDT', { price: 105 }, START);
+
+      expect(signal.dca.multiplier).toBe(1);
+      expect(signal.dca.quoteAmount).toBe(100);
+    });
+  });
+
+  describe('Capital Cap', () => {
+    test('should clip the last buy and stop once the cap is reached', async() => {
+      const strategy = buildStrategy({ quoteAmount: 100, maxCapital: 150 });
+
+      const [first] = await engine.generateSignals(strategy, 'BTCUSDT', { price: 10 }, START);
+      await fill(engine, first, 10);
+
+      const [second] = await engine.generateSignals(strategy, 'BTCUSDT', { price: 10 }, START + HOUR);
+      expect(second.dca.quoteAmount).toBe(50);
+      await fill(engine, second, 10);
+
+      expect(await engine.generateSignals(strategy, 'BTCUSDT', { price: 10 }, START + 2 * HOUR)).toEqual([]);
+      expect(await engine.generateSignals(strategy, 'BTCUSDT', { price: 10 }, START + 3 * HOUR)).toEqual([]);
+    });
+
+    test('should resume at the next slot once the cap is raised', async() => {
+      const strategy = buildStrategy({ quoteAmount: 100, maxCapital: 100 });
+
+      const [first] = await engine.generateSignals(strategy, 'BTCUSDT', { price: 10 }, START);
+      await fill(engine, first, 10);
+
+      expect(await engine.generateSignals(strategy, 'BTCUSDT', { price: 10 }, START + HOUR)).toEqual([]);
+      expect(TradingStrategy.saveState).toHaveBeenLastCalledWith(
+        'strategy-1',
+        'dca_BTCUSDT',
+        expect.objectContaining({ nextRunAt: START + 2 * HOUR })
+      );
+
+      strategy.parameters.maxCapital = 300;
+      expect(await engine.generateSignals(strategy, 'BTCUSDT', { price: 10 }, START + 2 * HOUR - 1)).toEqual([]);
+      const [resumed] = await engine.generateSignals(strategy, 'BTCUSDT', { price: 10 }, START + 2 * HOUR);
+      expect(resumed.dca.quoteAmount).toBe(100);
+    });
+
+    test('should restart schedules saved without a next run at the cap', async() => {
+      const strategy = buildStrategy({ quoteAmount: 100, maxCapital: 300 }, {
+        dca_BTCUSDT: { symbol: 'BTCUSDT', totalDeployed: 100, buys: 1, lastRunAt: START, nextRunAt: null }
+      });
+
+      const [signal] = await engine.generateSignals(strategy, 'BTCUSDT', { price: 10 }, START + 5 * HOUR);
+      expect(signal.dca.quoteAmount).toBe(100);
+    });
+  });
+
+  describe('Persistence', () => {
+    test('should record fills against the running average cost', async() => {
+      const [signal] = await engine.generateSignals(buildStrategy(), 'BTCUSDT', { price: 50000 }, START);
+      await fill(engine, signal, 49000);
+
+      expect(Portfolio.recordBuy).toHaveBeenCalledWith('user-1', 'BTCUSDT', 0.002, 49000);
+      expect(TradingStrategy.saveState).toHaveBeenLastCalledWith(
+        'strategy-1',
+        'dca_BTCUSDT',
+        expect.objectContaining({ buys: 1, totalDeployed: 98 })
+      );
+    });
+
+    test('should resume the schedule after a restart', async() => {
+      const [signal] = await engine.generateSignals(buildStrategy(), 'BTCUSDT', { price: 50000 }, START);
+      await fill(engine, signal, 50000);
+      const saved = TradingStrategy.saveState.mock.calls.at(-1)[2];
+
+      const restarted = new DCAEngine();
+      const strategy = buildStrategy({}, { dca_BTCUSDT: JSON.parse(JSON.stringify(saved)) });
+
+      expect(await restarted.generateSignals(strategy, 'BTCUSDT', { price: 50000 }, START + 1)).toEqual([]);
+      expect(await restarted.generateSignals(strategy, 'BTCUSDT', { price: 50000 }, START + HOUR)).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,505 @@
+// =============================================================================
+// Exchange Adapter Tests - Production Ready
+// =============================================================================
+// Replays fixture HTTP exchanges against the Binance, Delta and Coinbase
+// adapters to check request signing, payloads, symbol mapping, advanced order
+// types and response mapping. Slice polling runs against stubbed adapters.
+
+jest.mock('../../lib/logging', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+jest.mock('../../lib/database', () => ({}));
+
+// Market metadata cache shared by the registry, emptied before each test
+const mockCache = new Map();
+
+jest.mock('../../lib/advancedCaching', () => ({
+  advancedCache: {
+    isInitialized: true,
+    generateCacheKey: (prefix, params) => `${prefix}:${JSON.stringify(params)}`,
+    get: async(key) => mockCache.get(key) || null,
+    set: async(key, value) => {
+      mockCache.set(key, value);
+    },
+    del: async(key) => {
+      mockCache.delete(key);
+    }
+  }
+}));
+
+jest.mock('axios', () => ({
+  get: jest.fn(),
+  post: jest.fn(),
+  delete: jest.fn()
+}));
+
+const axios = require('axios');
+const exchangeService = require('../../lib/exchangeService');
+const { normalizeOrderRequest } = require('../../lib/exchangeAdapter');
+const { replayExchangeFixture } = require('../testHelpers');
+const binanceFixture = require('../fixtures/exchanges/binance.json');
+const deltaFixture = require('../fixtures/exchanges/delta.json');
+const coinbaseFixture = require('../fixtures/exchanges/coinbase.json');
+
+describe('Exchange Adapters', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Order Requests', () => {
+    test('should infer the order type and default time in force', () => {
+      expect(normalizeOrderRequest({ side: 'buy', amount: 1 })).toMatchObject({ type: 'MARKET', timeInForce: undefined });
+      expect(normalizeOrderRequest({ side: 'buy', amount: 1, price: 10 })).toMatchObject({ type: 'LIMIT', timeInForce: 'GTC' });
+      expect(normalizeOrderRequest({ side: 'buy', amount: 1, price: 10, timeInForce: 'ioc' })).toMatchObject({ timeInForce: 'IOC' });
+    });
+
+    test('should turn post-only limit orders into LIMIT_MAKER', () => {
+      const order = normalizeOrderRequest({ side: 'buy', amount: 1, price: 10, postOnly: true });
+
+      expect(order).toMatchObject({ type: 'LIMIT_MAKER', timeInForce: undefined });
+      expect(order).not.toHaveProperty('postOnly');
+    });
+
+    test('should reject requests missing the fields their type needs', () => {
+      const reject = (request, message) => {
+        expect(() => normalizeOrderRequest({ side: 'sell', amount: 1, ...request })).toThrow(message);
+      };
+
+      reject({ type: 'STOP_LOSS_LIMIT', price: 10 }, 'STOP_LOSS_LIMIT orders require a stopPrice');
+      reject({ type: 'take_profit_limit', stopPrice: 12 }, 'TAKE_PROFIT_LIMIT orders require a price');
+      reject({ type: 'MARKET', price: 10 }, 'MARKET orders do not take a price');
+      reject({ type: 'MARKET', postOnly: true }, 'Post-only is not available for MARKET orders');
+      reject({ type: 'LIMIT_MAKER', price: 10, timeInForce: 'IOC' }, 'LIMIT_MAKER orders do not take a time in force');
+      reject({ type: 'TRAILING_STOP' }, 'Unknown order type: TRAILING_STOP');
+    });
+
+    test('should refuse order types an exchange lacks before sending anything', async() => {
+      const request = { symbol: 'BTCINR', side: 'buy', amount: 0.001, price: 3000000, apiKey: 'key', secretKey: 'secret' };
+
+      await expect(exchangeService.executeTrade('wazirx', { ...request, postOnly: true }))
+        .rejects.toMatchObject({ message: 'wazirx does not support LIMIT_MAKER orders', statusCode: 400 });
+      await expect(exchangeService.executeTrade('coindcx', { ...request, timeInForce: 'FOK' }))
+        .rejects.toMatchObject({ message: 'coindcx does not support FOK time in force', statusCode: 400 });
+      await expect(exchangeService.executeTrade('wazirx', { ...request, type: 'TAKE_PROFIT_LIMIT', stopPrice: 3100000 }))
+        .rejects.toThrow('wazirx does not support TAKE_PROFIT_LIMIT orders');
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Binance', () => {
+    const { apiKey, secretKey } = binanceFixture.credentials;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      mockCache.clear();
+      jest.spyOn(Date, 'now').mockReturnValue(binanceFixture.recordedAt);
+      replayExchangeFixture(axios, binanceFixture);
+    });
+
+    test('should place stop-loss-limit orders with a trigger price', async() => {
+      const result = await exchangeService.executeTrade('binance', {
+        symbol: 'BTC/USDT',
+        side: 'sell',
+        type: 'STOP_LOSS_LIMIT',
+        amount: 0.002,
+        price: 35950,
+        stopPrice: 36000.004,
+        apiKey,
+        secretKey
+      });
+
+      expect(result).toMatchObject({ type: 'STOP_LOSS_LIMIT', status: 'NEW', price: 35950, stopPrice: 36000, symbol: 'BTCUSDT' });
+    });
+
+    test('should place post-only orders as LIMIT_MAKER', async() => {
+      const result = await exchangeService.executeTrade('binance', {
+        symbol: 'BTCUSDT', side: 'buy', amount: 0.002, price: 36500, postOnly: true, apiKey, secretKey
+      });
+
+      expect(result).toMatchObject({ type: 'LIMIT_MAKER', status: 'NEW', price: 36500 });
+    });
+
+    test('should report unfilled fill-or-kill orders as expired', async() => {
+      const result = await exchangeService.executeTrade('binance', {
+        symbol: 'BTCUSDT', side: 'buy', amount: 0.002, price: 36900, timeInForce: 'FOK', apiKey, secretKey
+      });
+
+      expect(result).toMatchObject({ type: 'LIMIT', status: 'EXPIRED', executedQty: 0 });
+    });
+
+    test('should read API key restrictions as permissions', async() => {
+      const permissions = await exchangeService.getKeyPermissions('binance', apiKey, secretKey);
+
+      expect(permissions).toEqual({ read: true, trading: true, withdrawal: false, ipRestricted: true });
+    });
+
+    test('should create user-data stream listen keys with the API key alone', async() => {
+      const listenKey = await exchangeService.exchanges.binance.createListenKey(apiKey);
+
+      expect(listenKey).toBe('pqia91ma19a5s61cv6a81va65sdf19v8a65a1a5s61cv6a81va65sdf19v8a65a1');
+    });
+
+    test('should read execution reports as orders carrying the latest fill', () => {
+      const order = exchangeService.exchanges.binance.formatExecutionReport({
+        e: 'executionReport',
+        E: 1700000000100,
+        s: 'BTCUSDT',
+        S: 'BUY',
+        o: 'LIMIT',
+        q: '0.00200000',
+        p: '36500.00000000',
+        P: '0.00000000',
+        X: 'PARTIALLY_FILLED',
+        i: 28457120,
+        l: '0.00050000',
+        z: '0.00150000',
+        L: '36500.00000000',
+        n: '0.00000050',
+        N: 'BTC',
+        T: 1700000000099,
+        Z: '54.74000000'
+      });
+
+      expect(order).toMatchObject({
+        orderId: '28457120',
+        status: 'PARTIALLY_FILLED',
+        price: 36500,
+        stopPrice: null,
+        amount: 0.002,
+        executedQty: 0.0015,
+        commission: 0.0000005,
+        commissionAsset: 'BTC',
+        fills: [{ price: 36500, qty: 0.0005, commission: 0.0000005, commissionAsset: 'BTC' }],
+        timestamp: 1700000000099
+      });
+      expect(order.executedPrice).toBeCloseTo(36493.33, 2);
+    });
+
+    test('should read account positions as balances', () => {
+      const balances = exchangeService.exchanges.binance.formatAccountPosition({
+        e: 'outboundAccountPosition',
+        B: [{ a: 'USDT', f: '926.99', l: '73.01' }, { a: 'BTC', f: '0.0015', l: '0' }]
+      });
+
+      expect(balances).toEqual([
+        { asset: 'USDT', free: 926.99, locked: 73.01, total: 1000 },
+        { asset: 'BTC', free: 0.0015, locked: 0, total: 0.0015 }
+      ]);
+    });
+  });
+
+  describe('Delta Exchange', () => {
+    const { apiKey, secretKey } = deltaFixture.credentials;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      mockCache.clear();
+      jest.spyOn(Date, 'now').mockReturnValue(deltaFixture.recordedAt);
+      exchangeService.exchanges.delta.products.clear();
+      replayExchangeFixture(axios, deltaFixture);
+    });
+
+    test('should size market orders in contracts and report fills in BTC', async() => {
+      const result = await exchangeService.executeTrade('delta', {
+        symbol: 'BTCUSD',
+        side: 'buy',
+        amount: 0.0255,
+        apiKey,
+        secretKey
+      });
+
+      expect(result).toEqual({
+        orderId: '1948215305',
+        exchange: 'delta',
+        symbol: 'BTCUSD',
+        side: 'BUY',
+        type: 'MARKET',
+        status: 'FILLED',
+        price: null,
+        stopPrice: null,
+        amount: 0.025,
+        executedQty: 0.025,
+        executedPrice: 37012.5,
+        commission: 0.46265625,
+        commissionAsset: 'USD',
+        fills: [],
+        timestamp: new Date('2023-11-14T22:13:20.412318Z').getTime()
+      });
+    });
+
+    test('should place limit orders as good-till-cancelled', async() => {
+      const result = await exchangeService.executeTrade('delta', {
+        symbol: 'BTC/USD',
+        side: 'sell',
+        amount: 0.01,
+        price: 38000,
+        apiKey,
+        secretKey
+      });
+
+      expect(result.status).toBe('NEW');
+      expect(result.executedQty).toBe(0);
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('should refuse orders smaller than one contract', async() => {
+      await expect(exchangeService.executeTrade('delta', {
+        symbol: 'BTCUSD',
+        side: 'buy',
+        amount: 0.0005,
+        apiKey,
+        secretKey
+      })).rejects.toThrow('Order amount 0.0005 is below the BTCUSD minimum of 0.001');
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    test('should return non-zero wallet balances', async() => {
+      const balances = await exchangeService.getBalance('delta', apiKey, secretKey);
+
+      expect(balances).toEqual([{ asset: 'USD', free: 1320.4, locked: 200, total: 1520.4 }]);
+    });
+
+    test('should map partially filled and cancelled orders', async() => {
+      const status = await exchangeService.getOrderStatus('delta', '1948215306', 'BTCUSD', apiKey, secretKey);
+      expect(status).toMatchObject({ status: 'PARTIALLY_FILLED', executedQty: 0.006, executedPrice: 38000, side: 'SELL' });
+
+      const cancelled = await exchangeService.cancelOrder('delta', '1948215306', 'BTCUSD', apiKey, secretKey);
+      expect(cancelled).toMatchObject({ orderId: '1948215306', status: 'CANCELED', symbol: 'BTCUSD', executedQty: 0.006 });
+    });
+
+    test('should send stop-loss and post-only flags', async() => {
+      const stop = await exchangeService.executeTrade('delta', {
+        symbol: 'BTCUSD', side: 'sell', type: 'STOP_LOSS_LIMIT', amount: 0.01, price: 35950, stopPrice: 36000, apiKey, secretKey
+      });
+      expect(stop).toMatchObject({ type: 'STOP_LOSS_LIMIT', status: 'NEW', price: 35950, stopPrice: 36000 });
+
+      const maker = await exchangeService.executeTrade('delta', {
+        symbol: 'BTCUSD', side: 'buy', amount: 0.005, price: 36500, postOnly: true, apiKey, secretKey
+      });
+      expect(maker).toMatchObject({ type: 'LIMIT_MAKER', status: 'NEW', amount: 0.005 });
+    });
+
+    test('should report one contract as the step size and minimum', async() => {
+      const capabilities = await exchangeService.getCapabilities('delta', 'BTCUSD');
+
+      expect(capabilities).toMatchObject({ exchange: 'delta', margin: true, oco: false });
+      expect(capabilities.market).toEqual({
+        symbol: 'BTCUSD',
+        nativeSymbol: 'BTCUSD',
+        base: 'BTC',
+        quote: 'USD',
+        aliases: [],
+        tickSize: 0.5,
+        stepSize: 0.001,
+        minQty: 0.001,
+        minNotional: null
+      });
+    });
+  });
+
+  describe('Coinbase Exchange', () => {
+    const { apiKey, secretKey, passphrase } = coinbaseFixture.credentials;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      mockCache.clear();
+      jest.spyOn(Date, 'now').mockReturnValue(coinbaseFixture.recordedAt);
+      replayExchangeFixture(axios, coinbaseFixture);
+    });
+
+    test('should place signed market and limit orders', async() => {
+      const market = await exchangeService.executeTrade('coinbase', {
+        symbol: 'BTCUSD',
+        side: 'buy',
+        amount: 0.01,
+        apiKey,
+        secretKey,
+        passphrase
+      });
+      expect(market).toMatchObject({
+        orderId: '68e6a28f-ae28-4788-8d4f-5ab4e5e5ae08',
+        status: 'NEW',
+        side: 'BUY',
+        symbol: 'BTCUSD',
+        commissionAsset: 'USD'
+      });
+
+      const limit = await exchangeService.executeTrade('coinbase', {
+        symbol: 'BTC/USD',
+        side: 'sell',
+        amount: 0.02,
+        price: 38500,
+        apiKey,
+        secretKey,
+        passphrase
+      });
+      expect(limit).toMatchObject({ type: 'LIMIT', status: 'NEW', price: 38500, amount: 0.02, executedQty: 0, executedPrice: 0 });
+    });
+
+    test('should trigger take-profit sells on a rise and honour post-only and IOC', async() => {
+      const request = { symbol: 'BTCUSD', amount: 0.01, apiKey, secretKey, passphrase };
+
+      const takeProfit = await exchangeService.executeTrade('coinbase', {
+        ...request, side: 'sell', type: 'TAKE_PROFIT_LIMIT', price: 39950, stopPrice: 40000
+      });
+      expect(takeProfit).toMatchObject({ type: 'TAKE_PROFIT_LIMIT', stopPrice: 40000, status: 'NEW' });
+
+      const maker = await exchangeService.executeTrade('coinbase', { ...request, side: 'buy', price: 36500, postOnly: true });
+      expect(maker).toMatchObject({ type: 'LIMIT_MAKER', status: 'NEW' });
+
+      const ioc = await exchangeService.executeTrade('coinbase', { ...request, side: 'buy', price: 37020, timeInForce: 'IOC' });
+      expect(ioc).toMatchObject({ type: 'LIMIT', status: 'FILLED', executedQty: 0.01 });
+      expect(ioc.executedPrice).toBeCloseTo(37015);
+    });
+
+    test('should average the fill price of completed orders', async() => {
+      const status = await exchangeService.getOrderStatus(
+        'coinbase', '68e6a28f-ae28-4788-8d4f-5ab4e5e5ae08', 'BTCUSD', apiKey, secretKey, passphrase
+      );
+
+      expect(status).toMatchObject({ status: 'FILLED', executedQty: 0.01 });
+      expect(status.executedPrice).toBeCloseTo(37012.5);
+    });
+
+    test('should return funded accounts with holds as locked', async() => {
+      const balances = await exchangeService.getBalance('coinbase', apiKey, secretKey, passphrase);
+
+      expect(balances).toEqual([
+        { asset: 'USD', free: 900.5, locked: 100, total: 1000.5 },
+        { asset: 'BTC', free: 0.01, locked: 0, total: 0.01 }
+      ]);
+    });
+
+    test('should cancel orders by product', async() => {
+      const result = await exchangeService.cancelOrder(
+        'coinbase', 'd0c5340b-6d6c-49d9-b567-48c4bfca13d2', 'BTCUSD', apiKey, secretKey, passphrase
+      );
+
+      expect(result).toMatchObject({
+        orderId: 'd0c5340b-6d6c-49d9-b567-48c4bfca13d2',
+        exchange: 'coinbase',
+        status: 'CANCELED',
+        symbol: 'BTCUSD',
+        side: null
+      });
+    });
+
+    test('should read increments and minimums from the product listing', async() => {
+      const capabilities = await exchangeService.getCapabilities('coinbase', 'BTC/USD');
+
+      expect(capabilities).toMatchObject({ exchange: 'coinbase', requiresPassphrase: true });
+      expect(capabilities.market).toEqual({
+        symbol: 'BTCUSD',
+        nativeSymbol: 'BTC-USD',
+        base: 'BTC',
+        quote: 'USD',
+        aliases: [],
+        tickSize: 0.01,
+        stepSize: 0.00000001,
+        minQty: 0.00001,
+        minNotional: 1
+      });
+    });
+
+    test('should require the API passphrase', async() => {
+      await expect(exchangeService.getBalance('coinbase', apiKey, secretKey))
+        .rejects.toThrow('Coinbase API passphrase is required');
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Order Slices', () => {
+    const adapter = exchangeService.exchanges.binance;
+    const credentials = { apiKey: 'key', secretKey: 'secret' };
+    let orders;
+
+    // A slice fills at its limit price the first time its status is checked
+    // unless the test leaves it resting
+    const stubExchange = ({ resting = [] } = {}) => {
+      orders = [];
+      jest.spyOn(adapter, 'loadMarkets').mockResolvedValue([adapter.createMarketInfo({
+        base: 'BTC', quote: 'USDT', nativeSymbol: 'BTCUSDT', tickSize: 0.01, stepSize: 0.001, minQty: 0.001, minNotional: 5
+      })]);
+      jest.spyOn(adapter, 'executeTrade').mockImplementation(async(order) => {
+        orders.push(order);
+        return adapter.createOrder({ ...order, orderId: `child-${orders.length}`, status: 'NEW' });
+      });
+      jest.spyOn(adapter, 'getOrderStatus').mockImplementation(async(orderId) => {
+        const order = orders[Number(orderId.split('-')[1]) - 1];
+        if (resting.includes(orderId)) {
+          return adapter.createOrder({ ...order, orderId, status: 'PARTIALLY_FILLED', executedQty: 0.02, executedPrice: order.price });
+        }
+        return adapter.createOrder({
+          ...order,
+          orderId,
+          status: 'FILLED',
+          executedQty: order.amount,
+          executedPrice: order.price,
+          fills: [{ price: order.price, qty: order.amount, commission: 0.01, commissionAsset: 'USDT' }]
+        });
+      });
+      jest.spyOn(adapter, 'cancelOrder').mockImplementation(async(orderId) => {
+        return adapter.createOrder({ orderId, symbol: 'BTCUSDT', status: 'CANCELED' });
+      });
+    };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      mockCache.clear();
+    });
+
+    const place = async(amount) => {
+      const order = { symbol: 'BTCUSDT', side: 'buy', amount, price: 30000, ...credentials };
+      return { order, placed: await exchangeService.executeTrade('binance', order) };
+    };
+
+    test('should leave slicing to the execution engine', async() => {
+      stubExchange();
+
+      await expect(exchangeService.executeTrade('binance', {
+        symbol: 'BTCUSDT', side: 'buy', amount: 0.3, price: 30000, iceberg: { visibleAmount: 0.1 }, ...credentials
+      })).rejects.toMatchObject({ statusCode: 400, message: 'Iceberg orders are placed through the execution engine' });
+      expect(adapter.executeTrade).not.toHaveBeenCalled();
+    });
+
+    test('should poll a slice until it fills', async() => {
+      stubExchange();
+      const { order, placed } = await place(0.1);
+
+      const result = await exchangeService.awaitSlice('binance', placed, order, { pollInterval: 0, sliceTimeout: 60000 });
+
+      expect(result).toMatchObject({ orderId: 'child-1', status: 'FILLED', executedQty: 0.1, executedPrice: 30000 });
+      expect(adapter.cancelOrder).not.toHaveBeenCalled();
+    });
+
+    test('should cancel a slice that outlives its timeout', async() => {
+      stubExchange({ resting: ['child-1'] });
+      const { order, placed } = await place(0.1);
+
+      const result = await exchangeService.awaitSlice('binance', placed, order, { pollInterval: 0, sliceTimeout: 5 });
+
+      expect(adapter.cancelOrder).toHaveBeenCalledWith('child-1', 'BTCUSDT', 'key', 'secret', undefined);
+      expect(result.status).toBe('CANCELED');
+      expect(result.executedQty).toBeCloseTo(0.02);
+    });
+
+    test('should cancel a slice as soon as its parent is cancelled', async() => {
+      stubExchange({ resting: ['child-1'] });
+      const { order, placed } = await place(0.1);
+
+      const result = await exchangeService.awaitSlice('binance', placed, order, {
+        pollInterval: 0, sliceTimeout: 60000, isCancelled: () => true
+      });
+
+      expect(adapter.getOrderStatus).not.toHaveBeenCalled();
+      expect(adapter.cancelOrder).toHaveBeenCalledWith('child-1', 'BTCUSDT', 'key', 'secret', undefined);
+      expect(result.status).toBe('CANCELED');
+    });
+  });
+});
@@ -0,0 +1,524 @@
+// =============================================================================
+// Execution Engine Tests - Production Ready
+// =============================================================================
+// Unit tests for TWAP / VWAP scheduling, participation caps, parent/child
+// persistence, icebergs and amending or cancelling running algorithms
+
+jest.mock('../../lib/logging', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+jest.mock('../../lib/database', () => ({
+  Trade: {
+    create: jest.fn(),
+    findActiveAlgorithms: jest.fn(),
+    findAlgorithm: jest.fn(),
+    findChildren: jest.fn(),
+    updateAlgorithm: jest.fn()
+  }
+}));
+
+jest.mock('../../lib/credentialVault', () => ({
+  credentialVault: {
+    getCredentials: jest.fn()
+  }
+}));
+
+jest.mock('../../lib/marketDataService', () => ({
+  getKlineData: jest.fn(),
+  normalizeSymbol: jest.fn(symbol => symbol)
+}));
+
+jest.mock('../../lib/exchangeService', () => ({
+  exchanges: { binance: {}, wazirx: {}, paper: {} },
+  executeTrade: jest.fn(),
+  awaitSlice: jest.fn(),
+  getCapabilities: jest.fn()
+}));
+
+const { Trade } = require('../../lib/database');
+const { credentialVault } = require('../../lib/credentialVault');
+const marketDataService = require('../../lib/marketDataService');
+const exchangeService = require('../../lib/exchangeService');
+const { ExecutionEngine, buildSchedule, expectedVolume } = require('../../lib/executionEngine');
+
+// Midnight UTC, so the first 15-minute slice falls in the profile's first bucket
+const T0 = 1700006400000;
+const DAY = 24 * 60 * 60 * 1000;
+const BUCKET = 15 * 60 * 1000;
+
+describe('Execution Engine', () => {
+  let engine;
+  let childCount;
+
+  // Yesterday's volume: 10 in the first quarter hour, 30 in the second;
+  // every other bucket averages to 20
+  const klines = [
+    { openTime: T0 - DAY, volume: 10 },
+    { openTime: T0 - DAY + BUCKET, volume: 30 }
+  ];
+
+  const request = (overrides = {}) => ({
+    algorithm: 'twap',
+    exchange: 'binance',
+    symbol: 'BTCUSDT',
+    side: 'buy',
+    amount: 6,
+    duration: 2 * BUCKET,
+    slices: 2,
+    ...overrides
+  });
+
+  const runAll = async(slices) => {
+    for (let index = 0; index < slices; index++) {
+      await engine.processDue(T0 + index * BUCKET);
+    }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(Date, 'now').mockReturnValue(T0);
+    childCount = 0;
+
+    Trade.create.mockImplementation(async data => ({
+      id: data.parentTradeId ? `child-trade-${childCount}` : 'parent-1',
+      user_id: data.userId,
+      exchange: data.exchange,
+      symbol: data.symbol,
+      side: data.side,
+      mode: data.mode,
+      status: data.status
+    }));
+    Trade.updateAlgorithm.mockResolvedValue({});
+    Trade.findChildren.mockResolvedValue([]);
+    credentialVault.getCredentials.mockResolvedValue({ apiKey: 'key', secretKey: 'secret', passphrase: null });
+    marketDataService.getKlineData.mockResolvedValue(klines);
+    exchangeService.getCapabilities.mockResolvedValue({
+      orderTypes: ['MARKET', 'LIMIT', 'LIMIT_MAKER'],
+      timeInForce: ['GTC', 'IOC', 'FOK'],
+      market: { symbol: 'BTCUSDT', stepSize: 0.001, minQty: 0.001 }
+    });
+    exchangeService.executeTrade.mockImplementation(async(venue, order) => {
+      childCount += 1;
+      return {
+        orderId: `order-${childCount}`,
+        status: 'FILLED',
+        executedQty: order.amount,
+        executedPrice: 100 + childCount,
+        commission: 0.1
+      };
+    });
+
+    engine = new ExecutionEngine();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    engine.stop();
+  });
+
+  test('should weight TWAP slices evenly and VWAP slices by expected volume', () => {
+    const profile = new Array(96).fill(20);
+    profile[0] = 10;
+    profile[1] = 30;
+
+    expect(expectedVolume(profile, T0 + BUCKET / 2, BUCKET)).toBe(20);
+
+    const twap = buildSchedule({ algorithm: 'twap', amount: 8, startTime: T0, sliceInterval: BUCKET, slices: 2, profile });
+    const vwap = buildSchedule({ algorithm: 'vwap', amount: 8, startTime: T0, sliceInterval: BUCKET, slices: 2, profile });
+
+    expect(twap).toEqual([
+      { at: T0, amount: 4, expectedVolume: 10 },
+      { at: T0 + BUCKET, amount: 4, expectedVolume: 30 }
+    ]);
+    expect(vwap.map(slice => slice.amount)).toEqual([2, 6]);
+  });
+
+  test('should persist the parent and book each child against it', async() => {
+    const started = await engine.submit('user-1', request());
+
+    expect(started).toMatchObject({ id: 'parent-1', algorithm: 'twap', status: 'pending', slices: 2, nextSliceAt: T0 });
+    expect(Trade.create).toHaveBeenCalledWith(expect.objectContaining({
+      algorithm: 'twap',
+      status: 'pending',
+      amount: 6,
+      algoState: expect.objectContaining({ sliceInterval: BUCKET })
+    }));
+    expect(marketDataService.getKlineData).not.toHaveBeenCalled();
+
+    await engine.processDue(T0 + BUCKET - 1);
+    expect(exchangeService.executeTrade).toHaveBeenCalledTimes(1);
+    expect(exchangeService.executeTrade).toHaveBeenCalledWith('binance', {
+      symbol: 'BTCUSDT', side: 'buy', amount: 3, apiKey: 'key', secretKey: 'secret', passphrase: null
+    });
+    expect(Trade.create).toHaveBeenLastCalledWith(expect.objectContaining({
+      parentTradeId: 'parent-1',
+      amount: 3,
+      price: 101,
+      status: 'completed',
+      orderId: 'order-1',
+      notes: 'TWAP slice 1/2'
+    }));
+    expect(Trade.updateAlgorithm).toHaveBeenLastCalledWith('parent-1', expect.objectContaining({ status: 'pending' }));
+
+    await engine.processDue(T0 + BUCKET);
+
+    expect(exchangeService.executeTrade).toHaveBeenCalledTimes(2);
+    expect(Trade.updateAlgorithm).toHaveBeenLastCalledWith('parent-1', expect.objectContaining({
+      status: 'completed',
+      price: 101.5,
+      fees: 0.2
+    }));
+    expect(engine.listRunning('user-1')).toEqual([]);
+  });
+
+  test('should size VWAP children from the historical volume profile', async() => {
+    await engine.submit('user-1', request({ algorithm: 'vwap', amount: 8 }));
+    await runAll(2);
+
+    expect(marketDataService.getKlineData).toHaveBeenCalledWith('binance', 'BTCUSDT', '15m', 7 * 96);
+    expect(exchangeService.executeTrade.mock.calls.map(([, order]) => order.amount)).toEqual([2, 6]);
+  });
+
+  test('should carry quantity the participation cap holds back to later slices', async() => {
+    // Caps of 2 and 6: the first child takes 2 of its 3 and the second the other 4
+    await engine.submit('user-1', request({ maxParticipation: 0.2 }));
+    await runAll(2);
+
+    expect(exchangeService.executeTrade.mock.calls.map(([, order]) => order.amount)).toEqual([2, 4]);
+    expect(Trade.updateAlgorithm).toHaveBeenLastCalledWith('parent-1', expect.objectContaining({ status: 'completed' }));
+  });
+
+  test('should finish with a shortfall when the cap leaves part unfilled', async() => {
+    await engine.submit('user-1', request({ maxParticipation: 0.1 }));
+    await runAll(2);
+
+    expect(exchangeService.executeTrade.mock.calls.map(([, order]) => order.amount)).toEqual([1, 3]);
+    expect(Trade.updateAlgorithm).toHaveBeenLastCalledWith('parent-1', expect.objectContaining({
+      status: 'completed',
+      algoState: expect.objectContaining({ executedQty: 4, reason: 'schedule_exhausted' })
+    }));
+  });
+
+  test('should send limit-priced children immediate-or-cancel', async() => {
+    exchangeService.executeTrade.mockResolvedValueOnce({ orderId: 'order-1', status: 'EXPIRED', executedQty: 0, executedPrice: 0 });
+
+    await engine.submit('user-1', request({ limitPrice: 99.5 }));
+    await engine.processDue(T0);
+
+    expect(exchangeService.executeTrade).toHaveBeenCalledWith('binance', expect.objectContaining({
+      amount: 3, price: 99.5, timeInForce: 'IOC'
+    }));
+    expect(Trade.create).toHaveBeenLastCalledWith(expect.objectContaining({ status: 'cancelled', amount: 3, price: 99.5 }));
+
+    // The unfilled first child rolls into the second
+    await engine.processDue(T0 + BUCKET);
+    expect(exchangeService.executeTrade).toHaveBeenLastCalledWith('binance', expect.objectContaining({ amount: 6 }));
+  });
+
+  test('should wait for children the exchange has not finished', async() => {
+    exchangeService.executeTrade.mockResolvedValueOnce({ orderId: 'order-1', status: 'NEW', executedQty: 0 });
+    exchangeService.awaitSlice.mockResolvedValueOnce({ orderId: 'order-1', status: 'FILLED', executedQty: 3, executedPrice: 100 });
+
+    await engine.submit('user-1', request({ mode: 'paper' }));
+    await engine.processDue(T0);
+
+    expect(exchangeService.executeTrade).toHaveBeenCalledWith('paper', {
+      symbol: 'BTCUSDT', side: 'buy', amount: 3, userId: 'user-1', priceSource: 'binance'
+    });
+    expect(exchangeService.awaitSlice).toHaveBeenCalledWith('paper', expect.objectContaining({ status: 'NEW' }),
+      expect.objectContaining({ userId: 'user-1' }), { pollInterval: 2000, sliceTimeout: BUCKET / 2, isCancelled: expect.any(Function) });
+    expect(engine.describe(engine.algos.get('parent-1')).executedQty).toBe(3);
+  });
+
+  test('should refuse requests it cannot carry out', async() => {
+    await expect(engine.submit('user-1', request({ algorithm: 'pov' }))).rejects.toThrow('Unknown execution algorithm: pov');
+    await expect(engine.submit('user-1', request({ slices: 1000 }))).rejects.toMatchObject({ statusCode: 400 });
+    await expect(engine.submit('user-1', request({ maxParticipation: 1.5 }))).rejects.toMatchObject({ statusCode: 400 });
+
+    exchangeService.getCapabilities.mockResolvedValueOnce({ timeInForce: ['GTC'], market: null });
+    await expect(engine.submit('user-1', request({ exchange: 'wazirx', limitPrice: 99 })))
+      .rejects.toThrow('wazirx does not support IOC orders, which limit-priced algorithms need');
+
+    marketDataService.getKlineData.mockRejectedValueOnce(new Error('socket hang up'));
+    await expect(engine.submit('user-1', request({ algorithm: 'vwap' })))
+      .rejects.toMatchObject({ message: 'Volume data unavailable for BTCUSDT', statusCode: 503 });
+
+    expect(Trade.create).not.toHaveBeenCalled();
+  });
+
+  test('should re-spread the rest of the order when amended', async() => {
+    await engine.submit('user-1', request({ slices: 4, duration: 4 * BUCKET }));
+    await engine.processDue(T0);
+
+    Date.now.mockReturnValue(T0 + BUCKET);
+    const amended = await engine.amend('user-1', 'parent-1', { amount: 10.5, limitPrice: 105 });
+
+    // 9 left over the three remaining slices
+    expect(amended).toMatchObject({ amount: 10.5, limitPrice: 105, slices: 4, executedQty: 1.5 });
+    expect(Trade.updateAlgorithm).toHaveBeenLastCalledWith('parent-1', expect.objectContaining({ amount: 10.5, status: 'pending' }));
+
+    await engine.processDue(T0 + BUCKET);
+    expect(exchangeService.executeTrade).toHaveBeenLastCalledWith('binance', expect.objectContaining({ amount: 3, price: 105 }));
+
+    await expect(engine.amend('user-1', 'parent-1', { amount: 2 })).rejects.toThrow('Amount cannot be below the 4.5 already executed');
+    await expect(engine.amend('user-2', 'parent-1', { amount: 20 })).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('should stop placing children once cancelled', async() => {
+    await engine.submit('user-1', request());
+    await engine.processDue(T0);
+
+    const cancelled = await engine.cancel('user-1', 'parent-1');
+    await engine.processDue(T0 + BUCKET);
+
+    expect(cancelled).toMatchObject({ status: 'cancelled', executedQty: 3, reason: 'cancelled', nextSliceAt: null });
+    expect(exchangeService.executeTrade).toHaveBeenCalledTimes(1);
+    expect(Trade.updateAlgorithm).toHaveBeenLastCalledWith('parent-1', expect.objectContaining({ status: 'cancelled' }));
+    await expect(engine.cancel('user-1', 'parent-1')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('should fail the parent after repeated child errors', async() => {
+    exchangeService.executeTrade.mockRejectedValue(new Error('Service unavailable'));
+
+    await engine.submit('user-1', request({ slices: 4, duration: 4 * BUCKET }));
+    await runAll(3);
+
+    expect(exchangeService.executeTrade).toHaveBeenCalledTimes(3);
+    expect(Trade.updateAlgorithm).toHaveBeenLastCalledWith('parent-1', expect.objectContaining({
+      status: 'failed',
+      algoState: expect.objectContaining({ reason: 'child_orders_failed' })
+    }));
+  });
+
+  test('should resume running algorithms after a restart', async() => {
+    const schedule = buildSchedule({ algorithm: 'twap', amount: 6, startTime: T0, sliceInterval: BUCKET, slices: 2, profile: null });
+    Trade.findActiveAlgorithms.mockResolvedValue([{
+      id: 'parent-1',
+      userId: 'user-1',
+      exchange: 'binance',
+      symbol: 'BTCUSDT',
+      side: 'sell',
+      mode: 'live',
+      algorithm: 'twap',
+      amount: 6,
+      status: 'pending',
+      algoState: {
+        startTime: T0, endTime: T0 + 2 * BUCKET, sliceInterval: BUCKET, limitPrice: null, maxParticipation: null,
+        schedule, nextSlice: 1, planned: 3, executedQty: 3, executedValue: 300, fees: 0.1, failures: 0, reason: null
+      }
+    }]);
+
+    await engine.start();
+    await engine.processDue(T0 + BUCKET);
+
+    expect(exchangeService.executeTrade).toHaveBeenCalledWith('binance', expect.objectContaining({ side: 'sell', amount: 3 }));
+    expect(Trade.updateAlgorithm).toHaveBeenLastCalledWith('parent-1', expect.objectContaining({ status: 'completed' }));
+  });
+
+  test('should re-spread slices that fell due while stopped', async() => {
+    const schedule = buildSchedule({ algorithm: 'twap', amount: 6, startTime: T0, sliceInterval: BUCKET, slices: 4, profile: null });
+    const parent = {
+      id: 'parent-1',
+      userId: 'user-1',
+      exchange: 'binance',
+      symbol: 'BTCUSDT',
+      side: 'buy',
+      mode: 'live',
+      algorithm: 'twap',
+      amount: 6,
+      status: 'pending',
+      algoState: {
+        startTime: T0, endTime: T0 + 4 * BUCKET, sliceInterval: BUCKET, limitPrice: null, maxParticipation: null,
+        schedule, nextSlice: 1, planned: 1.5, executedQty: 1.5, executedValue: 150, fees: 0.1, failures: 0, reason: null
+      }
+    };
+    Trade.findActiveAlgorithms.mockResolvedValue([parent]);
+
+    // Down for a slice and a half: 4.5 left over the remaining 1.5 slices
+    Date.now.mockReturnValue(T0 + 2.5 * BUCKET);
+    await engine.start();
+
+    expect(engine.describe(engine.algos.get('parent-1'))).toMatchObject({ slices: 3, nextSliceAt: T0 + 2.5 * BUCKET });
+    expect(Trade.updateAlgorithm).toHaveBeenLastCalledWith('parent-1', expect.objectContaining({ status: 'pending' }));
+
+    await engine.processDue(T0 + 2.5 * BUCKET);
+    await engine.processDue(T0 + 2.5 * BUCKET);
+    expect(exchangeService.executeTrade).toHaveBeenCalledTimes(1);
+    expect(exchangeService.executeTrade).toHaveBeenLastCalledWith('binance', expect.objectContaining({ amount: 2.25 }));
+
+    // Restarted after the end time: nothing more is sent
+    const restarted = new ExecutionEngine();
+    Date.now.mockReturnValue(T0 + 5 * BUCKET);
+    await restarted.start();
+    restarted.stop();
+
+    expect(restarted.algos.size).toBe(0);
+    expect(Trade.updateAlgorithm).toHaveBeenLastCalledWith('parent-1', expect.objectContaining({
+      status: 'completed',
+      algoState: expect.objectContaining({ reason: 'schedule_exhausted' })
+    }));
+    expect(exchangeService.executeTrade).toHaveBeenCalledTimes(1);
+  });
+
+  describe('Icebergs', () => {
+    const iceberg = (overrides = {}) => ({
+      exchange: 'binance',
+      symbol: 'BTCUSDT',
+      side: 'buy',
+      amount: 0.25,
+      price: 30000,
+      visibleAmount: 0.1,
+      ...overrides
+    });
+
+    // Slices rest on the book until awaitSlice reports them final
+    const resting = () => exchangeService.executeTrade.mockImplementation(async() => {
+      childCount += 1;
+      return { orderId: `order-${childCount}`, status: 'NEW', executedQty: 0 };
+    });
+
+    test('should return the parent at once and place slices one after another', async() => {
+      resting();
+      exchangeService.awaitSlice.mockImplementation(async(venue, placed, order) => ({
+        orderId: placed.orderId, status: 'FILLED', executedQty: order.amount, executedPrice: 30000, commission: 0.01
+      }));
+
+      const parent = await engine.submitIceberg('user-1', iceberg());
+
+      expect(parent).toMatchObject({ id: 'parent-1', algorithm: 'iceberg', status: 'pending', slices: 3, executedQty: 0 });
+      expect(exchangeService.executeTrade).not.toHaveBeenCalled();
+      expect(Trade.create).toHaveBeenCalledWith(expect.objectContaining({ algorithm: 'iceberg', price: 30000, status: 'pending' }));
+
+      await engine.processDue(T0);
+      await engine.processDue(T0);
+      await engine.processDue(T0);
+
+      expect(exchangeService.executeTrade.mock.calls.map(([, order]) => order)).toEqual([0.1, 0.1, 0.05].map(amount => ({
+        symbol: 'BTCUSDT', side: 'buy', amount, price: 30000, type: 'LIMIT', timeInForce: 'GTC', apiKey: 'key', secretKey: 'secret', passphrase: null
+      })));
+      expect(exchangeService.awaitSlice).toHaveBeenLastCalledWith('binance', expect.anything(), expect.anything(),
+        { pollInterval: 2000, sliceTimeout: 60000, isCancelled: expect.any(Function) });
+      expect(Trade.create).toHaveBeenCalledTimes(4);
+      expect(Trade.create).toHaveBeenLastCalledWith(expect.objectContaining({
+        parentTradeId: 'parent-1', orderId: 'order-3', status: 'completed', executedQty: 0.05
+      }));
+      expect(Trade.updateAlgorithm).toHaveBeenLastCalledWith('parent-1', expect.objectContaining({
+        status: 'completed',
+        price: 30000,
+        algoState: expect.objectContaining({ reason: null })
+      }));
+      expect(engine.algos.size).toBe(0);
+    });
+
+    test('should keep what filled when a slice times out', async() => {
+      resting();
+      exchangeService.awaitSlice
+        .mockResolvedValueOnce({ orderId: 'order-1', status: 'FILLED', executedQty: 0.1, executedPrice: 30000 })
+        .mockResolvedValueOnce({ orderId: 'order-2', status: 'CANCELED', executedQty: 0.02, executedPrice: 30000 });
+
+      await engine.submitIceberg('user-1', iceberg({ sliceTimeout: 5000 }));
+      await runAll(3);
+
+      expect(exchangeService.executeTrade).toHaveBeenCalledTimes(2);
+      expect(exchangeService.awaitSlice).toHaveBeenLastCalledWith('binance', expect.anything(), expect.anything(),
+        expect.objectContaining({ sliceTimeout: 5000 }));
+      expect(Trade.create).toHaveBeenLastCalledWith(expect.objectContaining({ orderId: 'order-2', status: 'completed', executedQty: 0.02 }));
+      expect(Trade.updateAlgorithm).toHaveBeenLastCalledWith('parent-1', expect.objectContaining({
+        status: 'completed',
+        algoState: expect.objectContaining({ executedQty: expect.closeTo(0.12), reason: 'slice_unfilled' })
+      }));
+    });
+
+    test('should keep what filled when placing a slice fails', async() => {
+      exchangeService.executeTrade
+        .mockResolvedValueOnce({ orderId: 'order-1', status: 'FILLED', executedQty: 0.1, executedPrice: 30000 })
+        .mockRejectedValueOnce(Object.assign(new Error('Insufficient balance'), { statusCode: 400 }));
+
+      await engine.submitIceberg('user-1', iceberg());
+      await runAll(3);
+
+      expect(exchangeService.executeTrade).toHaveBeenCalledTimes(2);
+      expect(Trade.create).toHaveBeenCalledWith(expect.objectContaining({ parentTradeId: 'parent-1', orderId: 'order-1', executedQty: 0.1 }));
+      expect(Trade.updateAlgorithm).toHaveBeenLastCalledWith('parent-1', expect.objectContaining({
+        status: 'completed',
+        algoState: expect.objectContaining({ executedQty: 0.1, reason: 'slice_unfilled' })
+      }));
+    });
+
+    test('should book a slice it lost track of for the order tracker', async() => {
+      resting();
+      exchangeService.awaitSlice.mockRejectedValueOnce(new Error('socket hang up'));
+
+      await engine.submitIceberg('user-1', iceberg());
+      await engine.processDue(T0);
+
+      expect(Trade.create).toHaveBeenLastCalledWith(expect.objectContaining({
+        parentTradeId: 'parent-1', orderId: 'order-1', status: 'pending', orderStatus: 'NEW', executedQty: 0
+      }));
+      expect(Trade.updateAlgorithm).toHaveBeenLastCalledWith('parent-1', expect.objectContaining({
+        status: 'cancelled',
+        algoState: expect.objectContaining({ reason: 'slice_unfilled' })
+      }));
+    });
+
+    test('should cancel the resting slice when the parent is cancelled', async() => {
+      resting();
+      let release;
+      exchangeService.awaitSlice.mockImplementationOnce((_venue, placed, _order, options) => new Promise(resolve => {
+        release = () => resolve({ ...placed, status: options.isCancelled() ? 'CANCELED' : 'NEW' });
+      }));
+
+      await engine.submitIceberg('user-1', iceberg());
+      const working = engine.processDue(T0);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(await engine.cancel('user-1', 'parent-1')).toMatchObject({ status: 'pending' });
+      release();
+      await working;
+
+      expect(Trade.create).toHaveBeenLastCalledWith(expect.objectContaining({ orderId: 'order-1', status: 'cancelled' }));
+      expect(Trade.updateAlgorithm).toHaveBeenLastCalledWith('parent-1', expect.objectContaining({ status: 'cancelled' }));
+      expect(exchangeService.executeTrade).toHaveBeenCalledTimes(1);
+    });
+
+    test('should refuse icebergs it cannot carry out', async() => {
+      await expect(engine.submitIceberg('user-1', iceberg({ price: undefined })))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Iceberg orders must be LIMIT or LIMIT_MAKER' });
+      await expect(engine.submitIceberg('user-1', iceberg({ visibleAmount: 0.0004 })))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Slice amount 0.0004 is below the BTCUSDT minimum of 0.001' });
+      await expect(engine.submitIceberg('user-1', iceberg({ visibleAmount: 0.001, amount: 1 })))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Iceberg would need 1000 slices; the limit is 500' });
+      expect(Trade.create).not.toHaveBeenCalled();
+
+      await engine.submitIceberg('user-1', iceberg());
+      await expect(engine.amend('user-1', 'parent-1', { amount: 1 })).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  test('should return finished algorithms with their children', async() => {
+    Trade.findAlgorithm.mockResolvedValue({
+      id: 'parent-9',
+      userId: 'user-1',
+      exchange: 'binance',
+      symbol: 'BTCUSDT',
+      side: 'buy',
+      algorithm: 'vwap',
+      amount: 6,
+      status: 'completed',
+      algoState: { schedule: [{}, {}], nextSlice: 2, executedQty: 6, executedValue: 606, fees: 0.2, reason: null }
+    });
+    Trade.findChildren.mockResolvedValue([{ id: 'child-1' }, { id: 'child-2' }]);
+
+    const algo = await engine.getAlgorithm('user-1', 'parent-9');
+
+    expect(algo).toMatchObject({ status: 'completed', averagePrice: 101, slicesDone: 2, nextSliceAt: null });
+    expect(algo.children).toHaveLength(2);
+    await expect(engine.getAlgorithm('user-2', 'parent-9')).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
@@ -0,0 +1,268 @@
+// =============================================================================
+// Grid Trading Engine Tests - Production Ready
+// =============================================================================
+// Unit tests for grid ladder construction, level triggering, fill handling
+// and persistence
+
+jest.mock('../../lib/logging', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+jest.mock('../../lib/database', () => ({
+  TradingStrategy: {
+    saveState: jest.fn().mockResolvedValue({})
+  },
+  Trade: {
+    findByOrderId: jest.fn()
+  }
+}));
+
+const { GridTradingEngine } = require('../../lib/gridTrading');
+const { TradingStrategy, Trade } = require('../../lib/database');
+
+describe('Grid Trading Engine', () => {
+  let engine;
+
+  const buildStrategy = (parameters = {}, state = {}) => ({
+    id: 'strategy-1',
+    userId: 'user-1',
+    strategyType: 'GRID_TRADING',
+    parameters: {
+      symbol: 'BTCUSDT',
+      lowerPrice: 100,
+      upperPrice: 200,
+      gridCount: 4,
+      orderAmount: 0.5,
+      ...parameters
+    },
+    state
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    engine = new GridTradingEngine();
+    TradingStrategy.saveState.mockResolvedValue({});
+  });
+
+  const filled = (overrides = {}) => ({
+    orderId: 'order-1',
+    exchange: 'binance',
+    status: 'FILLED',
+    price: 150,
+    amount: 0.5,
+    ...overrides
+  });
+
+  describe('Level Construction', () => {
+    test('should build arithmetic levels', () => {
+      const levels = engine.buildLevels({ lowerPrice: 100, upperPrice: 200, gridCount: 4, spacing: 'arithmetic' });
+      expect(levels).toEqual([100, 125, 150, 175, 200]);
+    });
+
+    test('should build geometric levels with a constant ratio', () => {
+      const levels = engine.buildLevels({ lowerPrice: 100, upperPrice: 400, gridCount: 2, spacing: 'geometric' });
+      expect(levels[0]).toBe(100);
+      expect(levels[1]).toBeCloseTo(200);
+      expect(levels[2]).toBe(400);
+    });
+
+    test('should reject invalid parameters', () => {
+      const result = engine.validateParameters({ symbol: 'BTCUSDT', lowerPrice: 200, upperPrice: 100, gridCount: 1, spacing: 'log' });
+      expect(result.valid).toBe(false);
+      expect(result.errors).toHaveLength(3);
+    });
+
+    test('should require the symbol the grid trades', async() => {
+      const strategy = buildStrategy({ symbol: undefined });
+
+      expect(engine.validateParameters(strategy.parameters).errors).toEqual(['symbol is required']);
+      expect(await engine.generateSignals(strategy, 'BTCUSDT', { price: 160 })).toEqual([]);
+      expect(engine.getGridStatus('strategy-1', 'BTCUSDT')).toBeNull();
+    });
+  });
+
+  describe('Signal Generation', () => {
+    test('should arm buy levels below the starting price only', async() => {
+      const strategy = buildStrategy();
+      await engine.generateSignals(strategy, 'BTCUSDT', { price: 160 });
+
+      const status = engine.getGridStatus('strategy-1', 'BTCUSDT');
+      expect(status.armedBuys).toBe(3);
+      expect(status.armedSells).toBe(0);
+    });
+
+    test('should emit a limit buy when price reaches an armed level', async() => {
+      const strategy = buildStrategy();
+      await engine.generateSignals(strategy, 'BTCUSDT', { price: 160 });
+
+      const signals = await engine.generateSignals(strategy, 'BTCUSDT', { price: 149 });
+
+      expect(signals).toHaveLength(1);
+      expect(signals[0]).toMatchObject({
+        action: 'BUY',
+        orderType: 'LIMIT',
+        entry: 150,
+        takeProfit: 175,
+        amount: 0.5,
+        gridLevel: 2
+      });
+      expect(signals[0].stopLoss).toBeLessThan(100);
+
+      // The pending level must not fire twice
+      const repeat = await engine.generateSignals(strategy, 'BTCUSDT', { price: 149 });
+      expect(repeat).toHaveLength(0);
+    });
+
+    test('should ignore symbols other than the configured one', async() => {
+      const strategy = buildStrategy({ symbol: 'ETHUSDT' });
+      const signals = await engine.generateSignals(strategy, 'BTCUSDT', { price: 160 });
+      expect(signals).toEqual([]);
+    });
+  });
+
+  describe('Fill Handling', () => {
+    test('should re-arm the opposite level when a buy fills', async() => {
+      const strategy = buildStrategy();
+      await engine.generateSignals(strategy, 'BTCUSDT', { price: 160 });
+      const [buy] = await engine.generateSignals(strategy, 'BTCUSDT', { price: 149 });
+
+      await engine.handleSignalOutcome({ ...buy, strategyId: 'strategy-1' }, 'executed', filled());
+
+      const sells = await engine.generateSignals(strategy, 'BTCUSDT', { price: 176 });
+      expect(sells).toHaveLength(1);
+      expect(sells[0]).toMatchObject({ action: 'SELL', entry: 175, takeProfit: 150, gridLevel: 3 });
+
+      await engine.handleSignalOutcome({ ...sells[0], strategyId: 'strategy-1' }, 'executed', filled({ orderId: 'order-2', price: 175 }));
+
+      const status = engine.getGridStatus('strategy-1', 'BTCUSDT');
+      expect(status.stats).toEqual({ buys: 1, sells: 1, realizedProfit: 12.5 });
+      expect(status.armedBuys).toBe(3);
+    });
+
+    test('should keep a resting order pending until the tracker reports its fill', async() => {
+      const strategy = buildStrategy();
+      await engine.generateSignals(strategy, 'BTCUSDT', { price: 160 });
+      const [buy] = await engine.generateSignals(strategy, 'BTCUSDT', { price: 149 });
+
+      await engine.handleSignalOutcome({ ...buy, strategyId: 'strategy-1' }, 'executed', filled({ status: 'NEW', amount: 0, price: 0 }));
+
+      expect(engine.getGridStatus('strategy-1', 'BTCUSDT')).toMatchObject({ pending: 1, armedSells: 0, stats: { buys: 0 } });
+      expect(await engine.generateSignals(strategy, 'BTCUSDT', { price: 176 })).toEqual([]);
+
+      // A trades row as Trade.create and the order tracker leave it
+      const trade = {
+        id: 'trade-1',
+        user_id: 'user-1',
+        exchange: 'binance',
+        symbol: 'BTCUSDT',
+        side: 'buy',
+        amount: '0.50000000',
+        price: '150.00000000',
+        total: '75.00000000',
+        status: 'pending',
+        order_id: 'order-1',
+        fees: '0.00000000',
+        mode: 'live',
+        parent_trade_id: null,
+        order_status: 'PARTIALLY_FILLED',
+        executed_qty: '0.20000000'
+      };
+      expect(await engine.handleOrderUpdate({ ...trade, order_id: 'order-9', order_status: 'FILLED' })).toBe(false);
+      expect(await engine.handleOrderUpdate(trade)).toBe(false);
+      expect(await engine.handleOrderUpdate({ ...trade, status: 'completed', order_status: 'CANCELED', executed_qty: '0.30000000' })).toBe(true);
+      expect(TradingStrategy.saveState).toHaveBeenLastCalledWith('strategy-1', 'grid_BTCUSDT', expect.any(Object));
+
+      // The sell one level up is for the quantity actually bought
+      const [sell] = await engine.generateSignals(strategy, 'BTCUSDT', { price: 176 });
+      expect(sell).toMatchObject({ action: 'SELL', gridLevel: 3, amount: 0.3 });
+      expect(engine.getGridStatus('strategy-1', 'BTCUSDT').stats.buys).toBe(1);
+    });
+
+    test('should re-arm a level whose order closes without filling', async() => {
+      const strategy = buildStrategy();
+      await engine.generateSignals(strategy, 'BTCUSDT', { price: 160 });
+      const [buy] = await engine.generateSignals(strategy, 'BTCUSDT', { price: 149 });
+
+      await engine.handleSignalOutcome({ ...buy, strategyId: 'strategy-1' }, 'executed', filled({ status: 'EXPIRED', amount: 0 }));
+
+      const retry = await engine.generateSignals(strategy, 'BTCUSDT', { price: 149 });
+      expect(retry).toHaveLength(1);
+      expect(engine.getGridStatus('strategy-1', 'BTCUSDT').stats.buys).toBe(0);
+    });
+
+    test('should re-arm the same level when a signal is rejected', async() => {
+      const strategy = buildStrategy();
+      await engine.generateSignals(strategy, 'BTCUSDT', { price: 160 });
+      const [buy] = await engine.generateSignals(strategy, 'BTCUSDT', { price: 149 });
+
+      await engine.handleSignalOutcome({ ...buy, strategyId: 'strategy-1' }, 'rejected');
+
+      const retry = await engine.generateSignals(strategy, 'BTCUSDT', { price: 149 });
+      expect(retry).toHaveLength(1);
+      expect(retry[0].gridLevel).toBe(2);
+    });
+  });
+
+  describe('Persistence', () => {
+    test('should persist grid state on the strategy', async() => {
+      await engine.generateSignals(buildStrategy(), 'BTCUSDT', { price: 160 });
+
+      expect(TradingStrategy.saveState).toHaveBeenCalledWith(
+        'strategy-1',
+        'grid_BTCUSDT',
+        expect.objectContaining({ symbol: 'BTCUSDT', gridCount: 4 })
+      );
+    });
+
+    test('should restore a persisted grid after a restart', async() => {
+      const strategy = buildStrategy();
+      await engine.generateSignals(strategy, 'BTCUSDT', { price: 160 });
+      await engine.generateSignals(strategy, 'BTCUSDT', { price: 149 });
+      const saved = TradingStrategy.saveState.mock.calls.at(-1)[2];
+
+      const restarted = new GridTradingEngine();
+      const signals = await restarted.generateSignals(
+        buildStrategy({}, { grid_BTCUSDT: JSON.parse(JSON.stringify(saved)) }),
+        'BTCUSDT',
+        { price: 149 }
+      );
+
+      // The in-flight level is re-armed and the untouched ladder is kept
+      expect(signals).toHaveLength(1);
+      expect(signals[0].gridLevel).toBe(2);
+      expect(restarted.getGridStatus('strategy-1', 'BTCUSDT').armedBuys).toBe(2);
+    });
+
+    test('should settle orders that filled while the bot was down', async() => {
+      const strategy = buildStrategy();
+      await engine.generateSignals(strategy, 'BTCUSDT', { price: 160 });
+      const [buy] = await engine.generateSignals(strategy, 'BTCUSDT', { price: 149 });
+      await engine.handleSignalOutcome({ ...buy, strategyId: 'strategy-1' }, 'executed', filled({ status: 'NEW', amount: 0 }));
+      const saved = TradingStrategy.saveState.mock.calls.at(-1)[2];
+
+      Trade.findByOrderId.mockResolvedValue({ order_status: 'FILLED', executed_qty: '0.5', price: '149.9' });
+      const restarted = new GridTradingEngine();
+      const signals = await restarted.generateSignals(
+        buildStrategy({}, { grid_BTCUSDT: JSON.parse(JSON.stringify(saved)) }),
+        'BTCUSDT',
+        { price: 176 }
+      );
+
+      expect(Trade.findByOrderId).toHaveBeenCalledWith('binance', 'order-1');
+      expect(signals).toHaveLength(1);
+      expect(signals[0]).toMatchObject({ action: 'SELL', gridLevel: 3, amount: 0.5 });
+    });
+
+    test('should rebuild the grid when its bounds change', async() => {
+      await engine.generateSignals(buildStrategy(), 'BTCUSDT', { price: 160 });
+      await engine.generateSignals(buildStrategy({ upperPrice: 300 }), 'BTCUSDT', { price: 160 });
+
+      expect(engine.getGridStatus('strategy-1', 'BTCUSDT').upperPrice).toBe(300);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+// =============================================================================
+// Key Permission Monitor Tests - Production Ready
+// =============================================================================
+// Unit tests for verifying API key permissions on configure and alerting when
+// they change
+
+jest.mock('../../lib/logging', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+jest.mock('../../lib/database', () => ({
+  ExchangeConfig: {
+    findPermissionChecksDue: jest.fn(),
+    updatePermissions: jest.fn()
+  }
+}));
+
+jest.mock('../../lib/exchangeService', () => ({
+  getKeyPermissions: jest.fn()
+}));
+
+jest.mock('../../lib/credentialVault', () => ({
+  credentialVault: {
+    openConfig: jest.fn(async(config) => ({ apiKey: `${config.exchange}-key`, secretKey: 'secret', passphrase: null }))
+  }
+}));
+
+jest.mock('../../lib/auditTrail', () => ({
+  securityAudit: {
+    securityEvent: jest.fn()
+  }
+}));
+
+const mockSocket = { sendToUser: jest.fn() };
+
+jest.mock('../../lib/websocketServer', () => ({
+  getWebSocketServer: jest.fn(() => mockSocket)
+}));
+
+const { ExchangeConfig } = require('../../lib/database');
+const exchangeService = require('../../lib/exchangeService');
+const { securityAudit } = require('../../lib/auditTrail');
+const { logger } = require('../../lib/logging');
+const { KeyPermissionMonitor } = require('../../lib/keyPermissionMonitor');
+
+describe('Key Permission Monitor', () => {
+  let monitor;
+
+  const credentials = { apiKey: 'key', secretKey: 'secret', passphrase: null };
+  const permissions = (overrides = {}) => ({ read: true, trading: true, withdrawal: false, ipRestricted: true, ...overrides });
+  const config = (overrides = {}) => ({
+    id: 'config-1',
+    user_id: 'user-1',
+    exchange: 'binance',
+    permissions: { ...permissions(), warnings: [], checkedAt: '2024-01-01T00:00:00.000Z' },
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    exchangeService.getKeyPermissions.mockResolvedValue(permissions());
+    ExchangeConfig.updatePermissions.mockResolvedValue({});
+    monitor = new KeyPermissionMonitor({ withdrawalPolicy: 'reject' });
+  });
+
+  test('should snapshot the permissions of an acceptable key', async() => {
+    const snapshot = await monitor.verify('binance', credentials);
+
+    expect(exchangeService.getKeyPermissions).toHaveBeenCalledWith('binance', 'key', 'secret', null);
+    expect(snapshot).toEqual({ ...permissions(), warnings: [], checkedAt: expect.any(String) });
+  });
+
+  test('should refuse keys that can withdraw unless told to flag them', async() => {
+    exchangeService.getKeyPermissions.mockResolvedValue(permissions({ withdrawal: true }));
+
+    await expect(monitor.verify('binance', credentials)).rejects.toMatchObject({
+      message: 'API keys with withdrawal permission are not accepted. Create a key without it and try again.',
+      statusCode: 400
+    });
+
+    monitor = new KeyPermissionMonitor({ withdrawalPolicy: 'flag' });
+    const snapshot = await monitor.verify('binance', credentials);
+    expect(snapshot.warnings).toEqual(['withdrawal_enabled']);
+  });
+
+  test('should flag what the exchange does not disclose', async() => {
+    exchangeService.getKeyPermissions.mockResolvedValue(permissions({ trading: null, withdrawal: null, ipRestricted: false }));
+
+    const snapshot = await monitor.verify('wazirx', credentials);
+
+    expect(snapshot.warnings).toEqual(['withdrawal_unverified', 'ip_unrestricted']);
+  });
+
+  test('should refuse keys the exchange rejects', async() => {
+    exchangeService.getKeyPermissions.mockRejectedValue(new Error('Request failed with status code 401'));
+
+    await expect(monitor.verify('coindcx', credentials)).rejects.toMatchObject({
+      message: 'API key verification failed on coindcx: Request failed with status code 401',
+      statusCode: 400
+    });
+  });
+
+  test('should store fresh snapshots and alert the owner when permissions change', async() => {
+    ExchangeConfig.findPermissionChecksDue.mockResolvedValue([config(), config({ id: 'config-2', user_id: 'user-2' })]);
+    exchangeService.getKeyPermissions
+      .mockResolvedValueOnce(permissions({ withdrawal: true, ipRestricted: false }))
+      .mockResolvedValueOnce(permissions());
+
+    expect(await monitor.recheck()).toBe(1);
+
+    expect(ExchangeConfig.findPermissionChecksDue).toHaveBeenCalledWith(expect.any(Date), 50);
+    expect(ExchangeConfig.updatePermissions).toHaveBeenCalledTimes(2);
+    expect(ExchangeConfig.updatePermissions).toHaveBeenCalledWith('config-1', expect.objectContaining({
+      withdrawal: true,
+      warnings: ['withdrawal_enabled', 'ip_unrestricted']
+    }));
+
+    const changes = [
+      { permission: 'withdrawal', from: false, to: true },
+      { permission: 'ipRestricted', from: true, to: false }
+    ];
+    expect(securityAudit.securityEvent).toHaveBeenCalledTimes(1);
+    expect(securityAudit.securityEvent).toHaveBeenCalledWith('exchange_key_permissions_changed', 'high', expect.objectContaining({
+      userId: 'user-1',
+      exchange: 'binance',
+      changes
+    }));
+    expect(mockSocket.sendToUser).toHaveBeenCalledWith('user-1', {
+      type: 'key_permissions_changed',
+      data: expect.objectContaining({ exchange: 'binance', changes })
+    });
+  });
+
+  test('should only alert on first checks of keys that can withdraw', async() => {
+    ExchangeConfig.findPermissionChecksDue.mockResolvedValue([
+      config({ permissions: null }),
+      config({ id: 'config-2', user_id: 'user-2', permissions: null })
+    ]);
+    exchangeService.getKeyPermissions
+      .mockResolvedValueOnce(permissions())
+      .mockResolvedValueOnce(permissions({ withdrawal: true }));
+
+    expect(await monitor.recheck()).toBe(1);
+
+    expect(mockSocket.sendToUser).toHaveBeenCalledTimes(1);
+    expect(mockSocket.sendToUser).toHaveBeenCalledWith('user-2', expect.objectContaining({
+      data: expect.objectContaining({ changes: [] })
+    }));
+  });
+
+  test('should keep the last snapshot of keys it cannot check', async() => {
+    ExchangeConfig.findPermissionChecksDue.mockResolvedValue([config(), config({ id: 'config-2', user_id: 'user-2' })]);
+    exchangeService.getKeyPermissions
+      .mockRejectedValueOnce(new Error('Request failed with status code 401'))
+      .mockResolvedValueOnce(permissions());
+
+    expect(await monitor.recheck()).toBe(0);
+
+    expect(logger.warn).toHaveBeenCalledWith('Failed to check API key permissions', {
+      userId: 'user-1',
+      exchange: 'binance',
+      error: 'Request failed with status code 401'
+    });
+    expect(ExchangeConfig.updatePermissions).toHaveBeenCalledWith('config-1', null);
+    expect(ExchangeConfig.updatePermissions).toHaveBeenCalledWith('config-2', expect.objectContaining({ withdrawal: false }));
+    expect(securityAudit.securityEvent).not.toHaveBeenCalled();
+  });
+});
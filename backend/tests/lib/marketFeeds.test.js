@@ -0,0 +1,353 @@
+// =============================================================================
+// Market Data Feeds Tests - Production Ready
+// =============================================================================
+// Unit tests for the exchange WebSocket feeds: message normalisation,
+// reconnect backoff, heartbeats and order book sequencing
+
+jest.mock('../../lib/logging', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+jest.mock('../../lib/database', () => ({}));
+
+jest.mock('axios', () => ({
+  get: jest.fn()
+}));
+
+jest.mock('ws', () => {
+  const { EventEmitter } = require('events');
+
+  class MockWebSocket extends EventEmitter {
+    constructor(url) {
+      super();
+      this.url = url;
+      this.readyState = 0;
+      this.sent = [];
+      this.ping = jest.fn();
+      MockWebSocket.instances.push(this);
+    }
+
+    send(data) {
+      this.sent.push(data);
+    }
+
+    terminate() {
+      this.readyState = 3;
+      this.emit('close');
+    }
+  }
+  MockWebSocket.OPEN = 1;
+  MockWebSocket.instances = [];
+
+  return MockWebSocket;
+});
+
+const axios = require('axios');
+const WebSocket = require('ws');
+const { logger } = require('../../lib/logging');
+const { OrderBook, BinanceFeed, WazirxFeed, CoindcxFeed } = require('../../lib/marketFeeds');
+
+describe('Market Data Feeds', () => {
+  const lastSocket = () => WebSocket.instances[WebSocket.instances.length - 1];
+
+  const open = (ws = lastSocket()) => {
+    ws.readyState = WebSocket.OPEN;
+    ws.emit('open');
+    return ws;
+  };
+
+  const receive = (message, ws = lastSocket()) => {
+    ws.emit('message', Buffer.from(typeof message === 'string' ? message : JSON.stringify(message)));
+  };
+
+  const collect = (feed, type) => {
+    const events = [];
+    feed.on(type, event => events.push(event));
+    return events;
+  };
+
+  // Let the snapshot request resolve
+  const settle = async() => {
+    for (let i = 0; i < 5; i += 1) {
+      await Promise.resolve();
+    }
+  };
+
+  let feed;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    WebSocket.instances.length = 0;
+  });
+
+  afterEach(() => {
+    if (feed) {
+      feed.stop();
+    }
+    jest.useRealTimers();
+  });
+
+  describe('Order book', () => {
+    test('should apply diffs in sequence and report stale and missed ones', () => {
+      const book = new OrderBook('binance', 'BTCUSDT');
+      book.reset({ bids: [['100', '1'], ['99', '2']], asks: [['101', '1']], lastUpdateId: 10 });
+
+      expect(book.apply({ firstUpdateId: 5, lastUpdateId: 10, bids: [['100', '5']], asks: [] })).toBe('stale');
+      expect(book.apply({ firstUpdateId: 8, lastUpdateId: 12, bids: [['100', '0']], asks: [['102', '3']] })).toBe('applied');
+      expect(book.apply({ firstUpdateId: 14, lastUpdateId: 15, bids: [], asks: [] })).toBe('gap');
+
+      expect(book.snapshot()).toMatchObject({
+        bids: [[99, 2]],
+        asks: [[101, 1], [102, 3]],
+        lastUpdateId: 12
+      });
+    });
+  });
+
+  describe('Binance', () => {
+    const depthUpdate = (U, u, bids = [], asks = []) => ({
+      stream: 'btcusdt@depth@100ms',
+      data: { e: 'depthUpdate', E: 1700000000000, s: 'BTCUSDT', U, u, b: bids, a: asks }
+    });
+
+    beforeEach(() => {
+      feed = new BinanceFeed({ symbols: ['BTCUSDT'] });
+    });
+
+    test('should subscribe through one combined stream and normalise messages', () => {
+      const tickers = collect(feed, 'ticker');
+      const klines = collect(feed, 'kline');
+      const trades = collect(feed, 'trade');
+
+      feed.start();
+      open();
+
+      expect(lastSocket().url).toBe('wss://stream.binance.com:9443/stream?streams=btcusdt@ticker/btcusdt@kline_1m/btcusdt@trade/btcusdt@depth@100ms');
+
+      receive({
+        stream: 'btcusdt@ticker',
+        data: { e: '24hrTicker', E: 1700000000000, s: 'BTCUSDT', p: '500', P: '1.2', o: '42000', h: '43000', l: '41000', c: '42500', v: '1000', q: '42000000', b: '42499', a: '42501' }
+      });
+      receive({
+        stream: 'btcusdt@kline_1m',
+        data: { e: 'kline', s: 'BTCUSDT', k: { t: 1700000000000, T: 1700000059999, i: '1m', o: '1', h: '2', l: '0.5', c: '1.5', v: '10', q: '15', n: 4, x: false } }
+      });
+      receive({
+        stream: 'btcusdt@trade',
+        data: { e: 'trade', s: 'BTCUSDT', t: 77, p: '42500', q: '0.1', T: 1700000000001, m: true }
+      });
+
+      expect(tickers).toEqual([expect.objectContaining({ exchange: 'binance', symbol: 'BTCUSDT', price: 42500, bid: 42499, ask: 42501, spread: 2 })]);
+      expect(klines).toEqual([expect.objectContaining({ exchange: 'binance', interval: '1m', openTime: 1700000000000, close: 1.5, closed: false })]);
+      expect(trades).toEqual([{ exchange: 'binance', symbol: 'BTCUSDT', tradeId: 77, price: 42500, quantity: 0.1, side: 'sell', timestamp: 1700000000001 }]);
+    });
+
+    test('should seed books from a snapshot and replay the diffs buffered meanwhile', async() => {
+      let resolveSnapshot;
+      axios.get.mockReturnValue(new Promise(resolve => {
+        resolveSnapshot = resolve;
+      }));
+      const books = collect(feed, 'depth');
+      feed.start();
+      open();
+
+      receive(depthUpdate(95, 100, [['100', '1']]));
+      receive(depthUpdate(101, 103, [['99', '2']]));
+      receive(depthUpdate(104, 105, [], [['101', '4']]));
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(axios.get).toHaveBeenCalledWith('https://api.binance.com/api/v3/depth', { params: { symbol: 'BTCUSDT', limit: 1000 } });
+
+      resolveSnapshot({ data: { lastUpdateId: 102, bids: [['100', '3']], asks: [['101', '1'], ['102', '1']] } });
+      await settle();
+
+      expect(books[books.length - 1]).toMatchObject({
+        exchange: 'binance',
+        symbol: 'BTCUSDT',
+        bids: [[100, 3], [99, 2]],
+        asks: [[101, 4], [102, 1]],
+        lastUpdateId: 105
+      });
+      expect(feed.getHealth().books).toEqual([{ symbol: 'BTCUSDT', synced: true, lastUpdateId: 105, resyncs: 0 }]);
+    });
+
+    test('should resync a book when an update is missed', async() => {
+      axios.get
+        .mockResolvedValueOnce({ data: { lastUpdateId: 100, bids: [['100', '1']], asks: [] } })
+        .mockResolvedValueOnce({ data: { lastUpdateId: 120, bids: [['98', '1']], asks: [] } });
+      const books = collect(feed, 'depth');
+      feed.start();
+      open();
+
+      receive(depthUpdate(100, 101));
+      await settle();
+      receive(depthUpdate(110, 111, [['105', '1']]));
+
+      expect(logger.warn).toHaveBeenCalledWith('binance order book missed depth updates, resyncing', {
+        symbol: 'BTCUSDT',
+        expected: 102,
+        received: 110
+      });
+      expect(axios.get).toHaveBeenCalledTimes(2);
+      expect(feed.getOrderBook('BTCUSDT')).toBeNull();
+      await settle();
+
+      expect(feed.getOrderBook('BTCUSDT', 1)).toMatchObject({ bids: [[98, 1]], asks: [] });
+      expect(books[books.length - 1]).toMatchObject({ bids: [[98, 1]], lastUpdateId: 120 });
+      expect(feed.getHealth().books[0]).toMatchObject({ synced: true, resyncs: 1 });
+    });
+
+    test('should reconnect with exponential backoff', () => {
+      jest.useFakeTimers();
+      feed = new BinanceFeed({ symbols: ['BTCUSDT'], reconnectDelay: 1000, maxReconnectDelay: 3000 });
+      feed.start();
+
+      lastSocket().terminate();
+      expect(feed.getHealth()).toMatchObject({ status: 'reconnecting', reconnects: 1 });
+      jest.advanceTimersByTime(999);
+      expect(WebSocket.instances).toHaveLength(1);
+      jest.advanceTimersByTime(1);
+      expect(WebSocket.instances).toHaveLength(2);
+
+      lastSocket().terminate();
+      jest.advanceTimersByTime(2000);
+      expect(WebSocket.instances).toHaveLength(3);
+
+      lastSocket().terminate();
+      jest.advanceTimersByTime(3000);
+      expect(WebSocket.instances).toHaveLength(4);
+
+      // A connection that opens starts the backoff again
+      open();
+      expect(feed.getHealth().status).toBe('connected');
+      lastSocket().terminate();
+      jest.advanceTimersByTime(1000);
+      expect(WebSocket.instances).toHaveLength(5);
+    });
+
+    test('should drop connections that go silent', () => {
+      jest.useFakeTimers();
+      feed = new BinanceFeed({ symbols: ['BTCUSDT'], heartbeatInterval: 1000, heartbeatTimeout: 2500 });
+      feed.start();
+      const ws = open();
+
+      jest.advanceTimersByTime(1000);
+      expect(ws.ping).toHaveBeenCalledTimes(1);
+      ws.emit('pong');
+
+      jest.advanceTimersByTime(3000);
+      expect(ws.readyState).toBe(3);
+      expect(feed.getHealth()).toMatchObject({ status: 'reconnecting', lastError: 'Heartbeat timeout' });
+    });
+
+    test('should stop without reconnecting', () => {
+      jest.useFakeTimers();
+      feed.start();
+      open();
+
+      feed.stop();
+      jest.advanceTimersByTime(120000);
+
+      expect(WebSocket.instances).toHaveLength(1);
+      expect(feed.getHealth().status).toBe('stopped');
+    });
+  });
+
+  describe('WazirX', () => {
+    beforeEach(() => {
+      feed = new WazirxFeed({ symbols: ['BTCUSDT'] });
+    });
+
+    test('should subscribe once connected and ping with events', () => {
+      jest.useFakeTimers();
+      feed.start();
+      const ws = open();
+
+      expect(ws.url).toBe('wss://stream.wazirx.com/stream');
+      expect(JSON.parse(ws.sent[0])).toEqual({
+        event: 'subscribe',
+        streams: ['!ticker@arr', 'btcusdt@kline_1m', 'btcusdt@trades', 'btcusdt@depth']
+      });
+
+      jest.advanceTimersByTime(15000);
+      expect(JSON.parse(ws.sent[1])).toEqual({ event: 'ping' });
+      expect(ws.ping).not.toHaveBeenCalled();
+    });
+
+    test('should keep configured tickers and replace books with newer depth', () => {
+      const tickers = collect(feed, 'ticker');
+      const trades = collect(feed, 'trade');
+      const books = collect(feed, 'depth');
+      feed.start();
+      open();
+
+      receive({
+        stream: '!ticker@arr',
+        data: [
+          { s: 'btcusdt', c: '42500', o: '42000', h: '43000', l: '41000', v: '10', q: '425000', b: '42490', a: '42510', E: 1 },
+          { s: 'ethinr', c: '200000', o: '200000', h: '1', l: '1', v: '1', q: '1', b: '1', a: '1', E: 1 }
+        ]
+      });
+      receive({ stream: 'btcusdt@trades', data: { trades: [{ s: 'btcusdt', t: 9, p: '42500', q: '0.2', S: 'buy', E: 2 }] } });
+      receive({ stream: 'btcusdt@depth', data: { s: 'btcusdt', E: 5, b: [['42490', '1']], a: [['42510', '2']] } });
+      receive({ stream: 'btcusdt@depth', data: { s: 'btcusdt', E: 4, b: [['1', '1']], a: [] } });
+
+      expect(tickers).toEqual([expect.objectContaining({ exchange: 'wazirx', symbol: 'BTCUSDT', price: 42500, priceChange: 500 })]);
+      expect(trades).toEqual([{ exchange: 'wazirx', symbol: 'BTCUSDT', tradeId: 9, price: 42500, quantity: 0.2, side: 'buy', timestamp: 2 }]);
+      expect(books).toHaveLength(1);
+      expect(books[0]).toMatchObject({ exchange: 'wazirx', symbol: 'BTCUSDT', bids: [[42490, 1]], asks: [[42510, 2]] });
+    });
+  });
+
+  describe('CoinDCX', () => {
+    beforeEach(() => {
+      feed = new CoindcxFeed({ symbols: ['BTCUSDT', 'BTCINR'] });
+    });
+
+    const event = (name, payload) => `42${JSON.stringify([name, payload])}`;
+
+    test('should join pair channels once Socket.IO connects', () => {
+      jest.useFakeTimers();
+      feed.start();
+      const ws = open();
+      receive('0{"sid":"abc","pingInterval":25000,"pingTimeout":5000}');
+      expect(ws.sent).toEqual([]);
+
+      receive('40');
+      expect(ws.sent.map(frame => JSON.parse(frame.slice(2))[1].channelName)).toEqual([
+        'B-BTC_USDT_1m', 'B-BTC_USDT@trades', 'B-BTC_USDT@orderbook@20',
+        'I-BTC_INR_1m', 'I-BTC_INR@trades', 'I-BTC_INR@orderbook@20'
+      ]);
+
+      jest.advanceTimersByTime(15000);
+      expect(ws.sent[ws.sent.length - 1]).toBe('2');
+    });
+
+    test('should route channel events to canonical symbols', () => {
+      const trades = collect(feed, 'trade');
+      const books = collect(feed, 'depth');
+      feed.start();
+      open();
+
+      receive(event('new-trade', { channel: 'I-BTC_INR@trades', data: JSON.stringify({ T: 3, p: '5000000', q: '0.01', s: 'I-BTC_INR', m: false }) }));
+      receive(event('depth-update', {
+        channel: 'B-BTC_USDT@orderbook@20',
+        data: JSON.stringify({ vs: 7, bids: { 42490: '1.5' }, asks: { 42510: '2', 42520: '1' } })
+      }));
+
+      expect(trades).toEqual([{ exchange: 'coindcx', symbol: 'BTCINR', price: 5000000, quantity: 0.01, side: 'buy', timestamp: 3 }]);
+      expect(books[0]).toMatchObject({
+        exchange: 'coindcx',
+        symbol: 'BTCUSDT',
+        bids: [[42490, 1.5]],
+        asks: [[42510, 2], [42520, 1]],
+        lastUpdateId: 7
+      });
+    });
+  });
+});
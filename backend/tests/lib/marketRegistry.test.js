@@ -0,0 +1,169 @@
+// =============================================================================
+// Market Registry Tests - Production Ready
+// =============================================================================
+// Unit tests for symbol mapping, market caching and tick/step rounding
+
+jest.mock('../../lib/logging', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const mockCache = new Map();
+
+jest.mock('../../lib/advancedCaching', () => ({
+  advancedCache: {
+    isInitialized: true,
+    initialize: jest.fn(),
+    generateCacheKey: jest.fn((prefix, params) => `${prefix}:${JSON.stringify(params)}`),
+    get: jest.fn(async(key) => mockCache.get(key) || null),
+    set: jest.fn(async(key, value) => {
+      mockCache.set(key, value);
+    }),
+    del: jest.fn(async(key) => {
+      mockCache.delete(key);
+    })
+  }
+}));
+
+const { advancedCache } = require('../../lib/advancedCaching');
+const { logger } = require('../../lib/logging');
+const { ExchangeAdapter } = require('../../lib/exchangeAdapter');
+const { MarketRegistry, floorToStep, roundToStep } = require('../../lib/marketRegistry');
+
+// Adapter listing fixed markets through the shared model
+const fakeAdapter = (name, markets) => {
+  const adapter = new ExchangeAdapter(name);
+  adapter.loadMarkets = jest.fn(async() => markets.map(market => adapter.createMarketInfo(market)));
+  return adapter;
+};
+
+const btcusdt = {
+  base: 'btc',
+  quote: 'usdt',
+  tickSize: '0.01',
+  stepSize: '0.00001',
+  minQty: '0.00001',
+  minNotional: '5'
+};
+
+describe('Market Registry', () => {
+  let registry;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockCache.clear();
+    advancedCache.isInitialized = true;
+    registry = new MarketRegistry({ ttl: 600 });
+  });
+
+  test('should map canonical symbols to each exchange\'s native symbol', async() => {
+    const wazirx = fakeAdapter('wazirx', [{ ...btcusdt, nativeSymbol: 'btcusdt' }]);
+    const coindcx = fakeAdapter('coindcx', [{ ...btcusdt, nativeSymbol: 'BTCUSDT', aliases: ['B-BTC_USDT'] }]);
+    const coinbase = fakeAdapter('coinbase', [{ ...btcusdt, quote: 'USD', nativeSymbol: 'BTC-USD' }]);
+
+    expect(await registry.toNative(wazirx, 'BTCUSDT')).toBe('btcusdt');
+    expect(await registry.toNative(coindcx, 'btc/usdt')).toBe('BTCUSDT');
+    expect(await registry.toNative(coinbase, 'BTC_USD')).toBe('BTC-USD');
+
+    expect(await registry.toCanonical(wazirx, 'btcusdt')).toBe('BTCUSDT');
+    expect(await registry.toCanonical(coindcx, 'B-BTC_USDT')).toBe('BTCUSDT');
+    expect(await registry.toCanonical(coinbase, 'BTC-USD')).toBe('BTCUSD');
+  });
+
+  test('should list markets once and serve them from the cache', async() => {
+    const adapter = fakeAdapter('binance', [{ ...btcusdt, nativeSymbol: 'BTCUSDT' }]);
+
+    await Promise.all([registry.getMarket(adapter, 'BTCUSDT'), registry.getMarket(adapter, 'BTCUSDT')]);
+    await registry.getMarket(adapter, 'BTCUSDT');
+
+    expect(adapter.loadMarkets).toHaveBeenCalledTimes(1);
+    expect(advancedCache.set).toHaveBeenCalledWith('markets:{"exchange":"binance"}', expect.any(Array), { ttl: 600 });
+
+    await registry.invalidate('binance');
+    await registry.getMarket(adapter, 'BTCUSDT');
+    expect(adapter.loadMarkets).toHaveBeenCalledTimes(2);
+  });
+
+  test('should initialize the cache before first use', async() => {
+    advancedCache.isInitialized = false;
+    const adapter = fakeAdapter('binance', [{ ...btcusdt, nativeSymbol: 'BTCUSDT' }]);
+
+    await registry.getMarket(adapter, 'BTCUSDT');
+
+    expect(advancedCache.initialize).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reject symbols an exchange does not list', async() => {
+    const adapter = fakeAdapter('binance', [{ ...btcusdt, nativeSymbol: 'BTCUSDT' }]);
+
+    await expect(registry.getMarket(adapter, 'DOGEINR')).rejects.toThrow('Unknown binance market: DOGEINR');
+  });
+
+  test('should pass orders through when an exchange lists no markets', async() => {
+    const adapter = fakeAdapter('paper', []);
+    const order = { symbol: 'BTCUSDT', side: 'buy', amount: 0.123456789 };
+
+    const market = await registry.getMarket(adapter, 'BTCUSDT');
+
+    expect(market).toBeNull();
+    expect(registry.prepareOrder(market, order)).toBe(order);
+  });
+
+  test('should not cache a failed listing', async() => {
+    const adapter = fakeAdapter('binance', [{ ...btcusdt, nativeSymbol: 'BTCUSDT' }]);
+    adapter.loadMarkets.mockRejectedValueOnce(new Error('socket hang up'));
+
+    expect(await registry.getMarket(adapter, 'BTCUSDT')).toBeNull();
+    expect(logger.warn).toHaveBeenCalledWith('Failed to load binance markets:', 'socket hang up');
+    expect(advancedCache.set).not.toHaveBeenCalled();
+
+    expect(await registry.getMarket(adapter, 'BTCUSDT')).toMatchObject({ symbol: 'BTCUSDT' });
+  });
+
+  test('should round quantity down to the step and price to the tick', async() => {
+    const adapter = fakeAdapter('wazirx', [{ ...btcusdt, nativeSymbol: 'btcusdt' }]);
+    const market = await registry.getMarket(adapter, 'BTCUSDT');
+
+    const order = registry.prepareOrder(market, { symbol: 'BTCUSDT', side: 'buy', amount: 0.123456789, price: 37012.347 });
+
+    expect(order).toEqual({ symbol: 'btcusdt', side: 'buy', amount: 0.12345, price: 37012.35 });
+  });
+
+  test('should round OCO trigger and limit prices', async() => {
+    const adapter = fakeAdapter('binance', [{ ...btcusdt, nativeSymbol: 'BTCUSDT' }]);
+    const market = await registry.getMarket(adapter, 'BTCUSDT');
+
+    const order = registry.prepareOrder(market, {
+      symbol: 'BTCUSDT',
+      side: 'sell',
+      amount: 0.5,
+      takeProfit: 41000.004,
+      stopLoss: 35999.996,
+      stopLimitPrice: 35927.9961
+    });
+
+    expect(order).toMatchObject({ takeProfit: 41000, stopLoss: 36000, stopLimitPrice: 35928 });
+  });
+
+  test('should refuse orders below the minimum quantity or notional', async() => {
+    const adapter = fakeAdapter('binance', [{ ...btcusdt, nativeSymbol: 'BTCUSDT' }]);
+    const market = await registry.getMarket(adapter, 'BTCUSDT');
+
+    expect(() => registry.prepareOrder(market, { symbol: 'BTCUSDT', amount: 0.000009 }))
+      .toThrow('Order amount 0.000009 is below the BTCUSDT minimum of 0.00001');
+    expect(() => registry.prepareOrder(market, { symbol: 'BTCUSDT', amount: 0.0001, price: 30000 }))
+      .toThrow('Order value 3 is below the BTCUSDT minimum notional of 5');
+  });
+
+  test('should round without floating point residue', () => {
+    expect(floorToStep(0.3, 0.1)).toBe(0.3);
+    expect(floorToStep(1.23456789, 0.00000001)).toBe(1.23456789);
+    expect(floorToStep(25, 5)).toBe(25);
+    expect(roundToStep(0.1 + 0.2, 0.01)).toBe(0.3);
+    expect(roundToStep(101.26, 0.5)).toBe(101.5);
+  });
+});
@@ -0,0 +1,105 @@
+// =============================================================================
+// Order Book Analytics Tests - Production Ready
+// =============================================================================
+// Unit tests for spread, depth, imbalance and slippage estimates
+
+jest.mock('../../lib/marketDataService', () => ({
+  getOrderBook: jest.fn(),
+  getOrderBookData: jest.fn()
+}));
+
+const marketDataService = require('../../lib/marketDataService');
+const { OrderBookAnalytics } = require('../../lib/orderBookAnalytics');
+
+describe('Order Book Analytics', () => {
+  let analytics;
+
+  const book = {
+    exchange: 'binance',
+    symbol: 'BTCUSDT',
+    bids: [[99, 1], [98, 2], [90, 10]],
+    asks: [[101, 1], [102, 2], [110, 10]],
+    timestamp: 1700000000000
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    analytics = new OrderBookAnalytics({ depthBands: [100, 500] });
+  });
+
+  test('should measure spread, depth and imbalance around mid', () => {
+    const result = analytics.analyze(book);
+
+    expect(result).toMatchObject({
+      bestBid: 99,
+      bestAsk: 101,
+      midPrice: 100,
+      spread: { absolute: 2, bps: 200 },
+      depth: [
+        { bps: 100, bidQuantity: 1, bidNotional: 99, askQuantity: 1, askNotional: 101 },
+        { bps: 500, bidQuantity: 3, bidNotional: 295, askQuantity: 3, askNotional: 305 }
+      ],
+      slippage: null
+    });
+    expect(result.imbalance).toBeCloseTo(-10 / 600);
+  });
+
+  test('should estimate slippage by walking the book', () => {
+    const { slippage } = analytics.analyze(book, { size: 304 });
+
+    expect(slippage.buy).toMatchObject({ side: 'buy', notional: 304, worstPrice: 102, complete: true });
+    expect(slippage.buy.filledNotional).toBeCloseTo(304);
+    expect(slippage.buy.quantity).toBeCloseTo(1 + 203 / 102);
+    expect(slippage.buy.slippageBps).toBeCloseTo((304 / (1 + 203 / 102) - 100) / 100 * 10000);
+
+    expect(slippage.sell).toMatchObject({ side: 'sell', worstPrice: 90, complete: true });
+    expect(slippage.sell.slippageBps).toBeGreaterThan(100);
+  });
+
+  test('should report orders the book cannot fill', () => {
+    const slippage = analytics.estimateSlippage(book, 'buy', 10000);
+
+    expect(slippage).toMatchObject({
+      filledNotional: 1405,
+      quantity: 13,
+      worstPrice: 110,
+      complete: false
+    });
+  });
+
+  test('should handle one-sided and empty books', () => {
+    const empty = { bids: [], asks: [] };
+
+    expect(analytics.analyze(empty, { size: 100 })).toMatchObject({
+      midPrice: null,
+      spread: null,
+      imbalance: 0,
+      slippage: { buy: { quantity: 0, averagePrice: null, slippageBps: null, complete: false } }
+    });
+    expect(analytics.depthWithin({ bids: [[99, 1]], asks: [] }, 100)).toEqual({
+      bidQuantity: 0,
+      bidNotional: 0,
+      askQuantity: 0,
+      askNotional: 0
+    });
+  });
+
+  test('should prefer the streamed book and fall back to a REST snapshot', async() => {
+    marketDataService.getOrderBook.mockReturnValueOnce(book);
+    expect(await analytics.getBook('binance', 'BTCUSDT')).toEqual({ ...book, source: 'stream' });
+    expect(marketDataService.getOrderBook).toHaveBeenCalledWith('binance', 'BTCUSDT', Infinity);
+    expect(marketDataService.getOrderBookData).not.toHaveBeenCalled();
+
+    marketDataService.getOrderBook.mockReturnValueOnce(null);
+    marketDataService.getOrderBookData.mockResolvedValueOnce({ symbol: undefined, bids: book.bids, asks: book.asks, timestamp: 42 });
+    expect(await analytics.getBook('binance', 'BTCUSDT')).toEqual({
+      exchange: 'binance',
+      symbol: 'BTCUSDT',
+      bids: book.bids,
+      asks: book.asks,
+      timestamp: 42,
+      source: 'rest'
+    });
+    expect(marketDataService.getOrderBookData).toHaveBeenCalledWith('binance', 'BTCUSDT', 1000);
+  });
+});
@@ -0,0 +1,267 @@
+// =============================================================================
+// Order Tracker Tests - Production Ready
+// =============================================================================
+// Unit tests for reconciling pending trades with the exchange and pushing
+// order updates to WebSocket clients
+
+jest.mock('../../lib/logging', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+jest.mock('../../lib/database', () => ({
+  Trade: {
+    findOpenOrders: jest.fn(),
+    findByOrderId: jest.fn(),
+    updateOrderState: jest.fn(),
+    markSynced: jest.fn()
+  }
+}));
+
+jest.mock('../../lib/credentialVault', () => ({
+  credentialVault: {
+    getCredentials: jest.fn()
+  }
+}));
+
+jest.mock('../../lib/exchangeService', () => ({
+  getOrderStatus: jest.fn()
+}));
+
+const mockSocket = { sendToUser: jest.fn() };
+
+jest.mock('../../lib/websocketServer', () => ({
+  getWebSocketServer: jest.fn(() => mockSocket)
+}));
+
+jest.mock('../../lib/gridTrading', () => ({
+  gridTradingEngine: {
+    handleOrderUpdate: jest.fn()
+  }
+}));
+
+const { Trade } = require('../../lib/database');
+const { credentialVault } = require('../../lib/credentialVault');
+const exchangeService = require('../../lib/exchangeService');
+const { getWebSocketServer } = require('../../lib/websocketServer');
+const { logger } = require('../../lib/logging');
+const { gridTradingEngine } = require('../../lib/gridTrading');
+const { OrderTracker } = require('../../lib/orderTracker');
+
+describe('Order Tracker', () => {
+  let tracker;
+
+  const createTrade = (overrides = {}) => ({
+    id: 'trade-1',
+    user_id: 'user-1',
+    exchange: 'binance',
+    symbol: 'BTCUSDT',
+    side: 'buy',
+    mode: 'live',
+    amount: '1.00000000',
+    price: '100.00000000',
+    status: 'pending',
+    order_status: 'NEW',
+    order_id: '28457113',
+    executed_qty: '0.00000000',
+    fees: '0.00000000',
+    ...overrides
+  });
+
+  const exchangeOrder = (overrides = {}) => ({
+    orderId: '28457113',
+    status: 'PARTIALLY_FILLED',
+    executedQty: 0.4,
+    executedPrice: 100.5,
+    commission: 0.04,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    credentialVault.getCredentials.mockResolvedValue({ apiKey: 'key', secretKey: 'secret', passphrase: null });
+    Trade.markSynced.mockResolvedValue();
+    gridTradingEngine.handleOrderUpdate.mockResolvedValue(false);
+    // The row as saved: the update's values in the columns they are stored in
+    Trade.updateOrderState.mockImplementation(async(id, update) => ({
+      ...createTrade(),
+      status: update.status,
+      order_status: update.orderStatus,
+      executed_qty: String(update.executedQty),
+      price: update.price === null ? '100.00000000' : String(update.price),
+      fees: String(update.fees)
+    }));
+    tracker = new OrderTracker();
+  });
+
+  afterEach(() => {
+    tracker.stop();
+  });
+
+  test('should record partial fills and tell the owner', async() => {
+    Trade.findOpenOrders.mockResolvedValue([createTrade()]);
+    exchangeService.getOrderStatus.mockResolvedValue(exchangeOrder());
+
+    expect(await tracker.reconcile()).toBe(1);
+
+    expect(exchangeService.getOrderStatus).toHaveBeenCalledWith('binance', '28457113', 'BTCUSDT', 'key', 'secret', null);
+    expect(Trade.updateOrderState).toHaveBeenCalledWith('trade-1', {
+      status: 'pending',
+      orderStatus: 'PARTIALLY_FILLED',
+      executedQty: 0.4,
+      price: 100.5,
+      fees: 0.04
+    });
+    expect(mockSocket.sendToUser).toHaveBeenCalledWith('user-1', {
+      type: 'order_update',
+      data: expect.objectContaining({
+        tradeId: 'trade-1',
+        orderId: '28457113',
+        status: 'pending',
+        orderStatus: 'PARTIALLY_FILLED',
+        previousStatus: 'NEW',
+        amount: 1,
+        executedQty: 0.4,
+        averagePrice: 100.5,
+        fees: 0.04
+      })
+    });
+  });
+
+  test('should complete filled orders', async() => {
+    Trade.findOpenOrders.mockResolvedValue([createTrade({ order_status: 'PARTIALLY_FILLED', executed_qty: '0.4' })]);
+    exchangeService.getOrderStatus.mockResolvedValue(exchangeOrder({ status: 'FILLED', executedQty: 1, executedPrice: 100.2, commission: 0.1 }));
+
+    await tracker.reconcile();
+
+    expect(Trade.updateOrderState).toHaveBeenCalledWith('trade-1', expect.objectContaining({
+      status: 'completed',
+      orderStatus: 'FILLED',
+      executedQty: 1,
+      price: 100.2
+    }));
+    // Grid levels resting on this order are booked from the saved row
+    expect(gridTradingEngine.handleOrderUpdate).toHaveBeenCalledWith(expect.objectContaining({
+      order_id: '28457113',
+      order_status: 'FILLED',
+      executed_qty: '1'
+    }));
+  });
+
+  test('should keep fills and fees when a partly filled order is cancelled', async() => {
+    Trade.findOpenOrders.mockResolvedValue([createTrade({ order_status: 'PARTIALLY_FILLED', executed_qty: '0.4', fees: '0.04' })]);
+    exchangeService.getOrderStatus.mockResolvedValue(exchangeOrder({ status: 'CANCELED', commission: 0 }));
+
+    await tracker.reconcile();
+
+    expect(Trade.updateOrderState).toHaveBeenCalledWith('trade-1', expect.objectContaining({
+      status: 'cancelled',
+      executedQty: 0.4,
+      fees: 0.04
+    }));
+  });
+
+  test('should leave unchanged orders alone', async() => {
+    Trade.findOpenOrders.mockResolvedValue([createTrade()]);
+    exchangeService.getOrderStatus.mockResolvedValue(exchangeOrder({ status: 'NEW', executedQty: 0 }));
+
+    expect(await tracker.reconcile()).toBe(0);
+
+    expect(Trade.updateOrderState).not.toHaveBeenCalled();
+    expect(Trade.markSynced).toHaveBeenCalledWith('trade-1');
+    expect(mockSocket.sendToUser).not.toHaveBeenCalled();
+  });
+
+  test('should check paper orders against the paper exchange', async() => {
+    Trade.findOpenOrders.mockResolvedValue([
+      createTrade({ id: 'trade-1', mode: 'paper', exchange: 'paper', order_id: 'paper-1' }),
+      createTrade({ id: 'trade-2', mode: 'paper', exchange: 'paper', order_id: 'paper-2' })
+    ]);
+    exchangeService.getOrderStatus
+      .mockResolvedValueOnce(exchangeOrder({ orderId: 'paper-1', status: 'FILLED', executedQty: 1 }))
+      .mockRejectedValueOnce(new Error('Paper order paper-2 not found or already final'));
+
+    expect(await tracker.reconcile()).toBe(2);
+
+    expect(exchangeService.getOrderStatus).toHaveBeenCalledWith('paper', 'paper-1', 'BTCUSDT', 'user-1');
+    expect(credentialVault.getCredentials).not.toHaveBeenCalled();
+    // Paper orders that vanished with a restart are closed out
+    expect(Trade.updateOrderState).toHaveBeenLastCalledWith('trade-2', expect.objectContaining({
+      status: 'cancelled',
+      orderStatus: 'CANCELED'
+    }));
+  });
+
+  test('should carry on past orders it cannot check', async() => {
+    credentialVault.getCredentials.mockRejectedValueOnce(new Error('No active binance configuration for user'));
+    Trade.findOpenOrders.mockResolvedValue([createTrade({ id: 'trade-1' }), createTrade({ id: 'trade-2' })]);
+    exchangeService.getOrderStatus.mockResolvedValue(exchangeOrder());
+
+    expect(await tracker.reconcile()).toBe(1);
+
+    expect(logger.warn).toHaveBeenCalledWith('Failed to reconcile order', expect.objectContaining({
+      tradeId: 'trade-1',
+      error: 'No active binance configuration for user'
+    }));
+    expect(Trade.markSynced).toHaveBeenCalledWith('trade-1');
+    expect(Trade.updateOrderState).toHaveBeenCalledWith('trade-2', expect.any(Object));
+  });
+
+  test('should apply updates pushed by the exchange to pending trades only', async() => {
+    Trade.findByOrderId.mockResolvedValueOnce(createTrade());
+    expect(await tracker.onExchangeUpdate('binance', exchangeOrder({ status: 'FILLED', executedQty: 1 }))).toBe(true);
+    expect(Trade.findByOrderId).toHaveBeenCalledWith('binance', '28457113');
+
+    Trade.findByOrderId.mockResolvedValueOnce(createTrade({ status: 'completed', order_status: 'FILLED' }));
+    expect(await tracker.onExchangeUpdate('binance', exchangeOrder({ status: 'FILLED', executedQty: 1 }))).toBe(false);
+
+    Trade.findByOrderId.mockResolvedValueOnce(undefined);
+    expect(await tracker.onExchangeUpdate('binance', exchangeOrder())).toBe(false);
+
+    expect(Trade.updateOrderState).toHaveBeenCalledTimes(1);
+  });
+
+  test('should add the commission of each new pushed fill to the stored fees', async() => {
+    Trade.findByOrderId.mockResolvedValueOnce(createTrade({ order_status: 'PARTIALLY_FILLED', executed_qty: '0.4', fees: '0.04' }));
+    await tracker.onExchangeUpdate('binance', exchangeOrder({ executedQty: 0.7, commission: 0.03 }));
+    expect(Trade.updateOrderState).toHaveBeenLastCalledWith('trade-1', expect.objectContaining({ executedQty: 0.7, fees: 0.07 }));
+
+    // A repeat of a fill already recorded, e.g. from the order response
+    Trade.findByOrderId.mockResolvedValueOnce(createTrade({ order_status: 'PARTIALLY_FILLED', executed_qty: '0.7', fees: '0.07' }));
+    await tracker.onExchangeUpdate('binance', exchangeOrder({ status: 'FILLED', executedQty: 0.7, commission: 0.03 }));
+    expect(Trade.updateOrderState).toHaveBeenLastCalledWith('trade-1', expect.objectContaining({ orderStatus: 'FILLED', fees: 0.07 }));
+  });
+
+  test('should poll orders on a connected stream only now and then', async() => {
+    const now = Date.now();
+    tracker.markStreaming('binance', 'user-1', true);
+    Trade.findOpenOrders.mockResolvedValue([
+      createTrade({ id: 'trade-1', last_synced_at: new Date(now + 1000) }),
+      createTrade({ id: 'trade-2', last_synced_at: new Date(now - 1000) }),
+      createTrade({ id: 'trade-3', user_id: 'user-2', last_synced_at: new Date(now + 1000) })
+    ]);
+    exchangeService.getOrderStatus.mockResolvedValue(exchangeOrder());
+
+    await tracker.reconcile();
+    // trade-1 was synced since the stream connected; trade-2 may have missed events
+    expect(Trade.updateOrderState.mock.calls.map(([id]) => id)).toEqual(['trade-2', 'trade-3']);
+
+    tracker.markStreaming('binance', 'user-1', false);
+    Trade.updateOrderState.mockClear();
+    await tracker.reconcile();
+    expect(Trade.updateOrderState).toHaveBeenCalledWith('trade-1', expect.any(Object));
+  });
+
+  test('should update trades before the WebSocket server is up', async() => {
+    getWebSocketServer.mockReturnValueOnce(null);
+    Trade.findOpenOrders.mockResolvedValue([createTrade()]);
+    exchangeService.getOrderStatus.mockResolvedValue(exchangeOrder());
+
+    expect(await tracker.reconcile()).toBe(1);
+    expect(mockSocket.sendToUser).not.toHaveBeenCalled();
+  });
+});
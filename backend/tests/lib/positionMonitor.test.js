@@ -0,0 +1,306 @@
+// =============================================================================
+// Position Monitor Tests - Production Ready
+// =============================================================================
+// Unit tests for stop-loss / take-profit enforcement, trailing stops,
+// break-even moves and native OCO exits
+
+jest.mock('../../lib/logging', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+jest.mock('../../lib/database', () => ({
+  Position: {
+    create: jest.fn(),
+    findOpen: jest.fn(),
+    updateExits: jest.fn(),
+    close: jest.fn()
+  },
+  Trade: {
+    create: jest.fn()
+  }
+}));
+
+jest.mock('../../lib/credentialVault', () => ({
+  credentialVault: {
+    getCredentials: jest.fn()
+  }
+}));
+
+jest.mock('../../lib/marketDataService', () => ({
+  subscribe: jest.fn(),
+  getCurrentPrice: jest.fn(),
+  getKlineData: jest.fn(),
+  normalizeSymbol: jest.fn(symbol => symbol)
+}));
+
+jest.mock('../../lib/exchangeService', () => ({
+  executeTrade: jest.fn(),
+  getOrderStatus: jest.fn(),
+  supportsOco: jest.fn(),
+  placeOcoOrder: jest.fn(),
+  getOcoStatus: jest.fn(),
+  cancelOcoOrder: jest.fn()
+}));
+
+const { Position, Trade } = require('../../lib/database');
+const { credentialVault } = require('../../lib/credentialVault');
+const marketDataService = require('../../lib/marketDataService');
+const exchangeService = require('../../lib/exchangeService');
+const { PositionMonitor, normalizeExitRules } = require('../../lib/positionMonitor');
+
+describe('Position Monitor', () => {
+  let monitor;
+
+  const createPosition = (overrides = {}) => ({
+    id: 'position-1',
+    userId: 'user-1',
+    exchange: 'wazirx',
+    symbol: 'BTCUSDT',
+    side: 'buy',
+    mode: 'live',
+    amount: 0.5,
+    entryPrice: 100,
+    stopLoss: 95,
+    takeProfit: 110,
+    stopType: 'initial',
+    bestPrice: 100,
+    ocoOrderId: null,
+    exitRules: { priceSource: 'wazirx' },
+    ...overrides
+  });
+
+  const tick = (price, exchange = 'wazirx') => ({ symbol: 'BTCUSDT', price, bid: price, ask: price, exchange });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    credentialVault.getCredentials.mockResolvedValue({ apiKey: 'key', secretKey: 'secret', passphrase: null });
+    Position.create.mockImplementation(async data => ({ id: 'position-1', stopType: 'initial', ocoOrderId: null, bestPrice: data.entryPrice, ...data }));
+    Position.close.mockResolvedValue({});
+    Position.updateExits.mockResolvedValue({});
+    Trade.create.mockResolvedValue({ id: 'trade-2' });
+    exchangeService.supportsOco.mockImplementation(exchange => exchange === 'binance');
+    exchangeService.executeTrade.mockResolvedValue({ orderId: 'exit-1', status: 'FILLED', executedQty: 0.5, executedPrice: 94.9 });
+    monitor = new PositionMonitor();
+  });
+
+  test('should keep only well-formed exit rules', () => {
+    expect(normalizeExitRules({
+      trailingStop: { type: 'atr', multiplier: 3 },
+      breakEven: { triggerPercent: 0.01 }
+    })).toEqual({
+      trailingStop: { type: 'atr', multiplier: 3, period: 14, interval: '1h', activationPercent: 0 },
+      breakEven: { triggerPercent: 0.01, offsetPercent: 0 }
+    });
+    expect(normalizeExitRules({ trailingStop: { type: 'percent', percent: -1 } })).toEqual({});
+    expect(normalizeExitRules(undefined)).toEqual({});
+  });
+
+  test('should exit synthetically with a market order when the stop is crossed', async() => {
+    monitor.track(createPosition());
+
+    await monitor.onTicker(tick(96));
+    expect(exchangeService.executeTrade).not.toHaveBeenCalled();
+
+    await monitor.onTicker(tick(94.9));
+
+    expect(exchangeService.executeTrade).toHaveBeenCalledWith('wazirx', expect.objectContaining({
+      symbol: 'BTCUSDT',
+      side: 'sell',
+      amount: 0.5,
+      apiKey: 'key'
+    }));
+    expect(Trade.create).toHaveBeenCalledWith(expect.objectContaining({ side: 'sell', notes: 'Exit (stop_loss) for position position-1' }));
+    expect(Position.close).toHaveBeenCalledWith('position-1', { exitReason: 'stop_loss', exitPrice: 94.9 });
+    expect(monitor.positions.size).toBe(0);
+  });
+
+  test('should take profit on shorts when the ask falls to the target', async() => {
+    monitor.track(createPosition({ side: 'sell', stopLoss: 105, takeProfit: 90 }));
+
+    await monitor.onTicker({ ...tick(90), bid: 89.9, ask: 90 });
+
+    expect(exchangeService.executeTrade).toHaveBeenCalledWith('wazirx', expect.objectContaining({ side: 'buy' }));
+    expect(Position.close).toHaveBeenCalledWith('position-1', expect.objectContaining({ exitReason: 'take_profit' }));
+  });
+
+  test('should ignore ticks from other price sources', async() => {
+    monitor.track(createPosition());
+
+    await monitor.onTicker(tick(80, 'binance'));
+
+    expect(exchangeService.executeTrade).not.toHaveBeenCalled();
+  });
+
+  test('should ratchet a percent trailing stop and label the exit', async() => {
+    monitor.track(createPosition({
+      takeProfit: null,
+      exitRules: { priceSource: 'wazirx', trailingStop: { type: 'percent', percent: 0.02, activationPercent: 0.01 } }
+    }));
+    const position = monitor.positions.get('position-1');
+
+    await monitor.onTicker(tick(100.5));
+    expect(position.stopLoss).toBe(95);
+
+    await monitor.onTicker(tick(105));
+    expect(position.stopLoss).toBeCloseTo(102.9);
+    expect(position.stopType).toBe('trailing');
+    expect(Position.updateExits).toHaveBeenCalledWith('position-1', expect.objectContaining({ stopType: 'trailing' }));
+
+    // Pullbacks never loosen the stop
+    await monitor.onTicker(tick(103.5));
+    expect(position.stopLoss).toBeCloseTo(102.9);
+
+    await monitor.onTicker(tick(102.8));
+    expect(Position.close).toHaveBeenCalledWith('position-1', expect.objectContaining({ exitReason: 'trailing_stop' }));
+  });
+
+  test('should trail by a multiple of ATR', async() => {
+    const klines = Array.from({ length: 42 }, (_, i) => ({ high: 101, low: 99, close: 100, openTime: i }));
+    marketDataService.getKlineData.mockResolvedValue(klines);
+    monitor.track(createPosition({
+      exitRules: { priceSource: 'wazirx', trailingStop: { type: 'atr', multiplier: 2, period: 14, interval: '1h', activationPercent: 0 } }
+    }));
+
+    await monitor.onTicker(tick(108));
+
+    expect(marketDataService.getKlineData).toHaveBeenCalledWith('binance', 'BTCUSDT', '1h', 42);
+    expect(monitor.positions.get('position-1').stopLoss).toBeCloseTo(104);
+  });
+
+  test('should move the stop to break-even once the trigger is reached', async() => {
+    monitor.track(createPosition({
+      exitRules: { priceSource: 'wazirx', breakEven: { triggerPercent: 0.03, offsetPercent: 0.001 } }
+    }));
+    const position = monitor.positions.get('position-1');
+
+    await monitor.onTicker(tick(102));
+    expect(position.stopType).toBe('initial');
+
+    await monitor.onTicker(tick(103));
+    expect(position.stopLoss).toBeCloseTo(100.1);
+    expect(position.stopType).toBe('break_even');
+
+    await monitor.onTicker(tick(100));
+    expect(Position.close).toHaveBeenCalledWith('position-1', expect.objectContaining({ exitReason: 'break_even' }));
+  });
+
+  test('should back off after a failed exit order', async() => {
+    exchangeService.executeTrade.mockRejectedValueOnce(new Error('timeout'));
+    monitor.track(createPosition());
+
+    await monitor.evaluate(monitor.positions.get('position-1'), tick(94), 1000);
+    await monitor.evaluate(monitor.positions.get('position-1'), tick(94), 2000);
+    expect(exchangeService.executeTrade).toHaveBeenCalledTimes(1);
+
+    await monitor.evaluate(monitor.positions.get('position-1'), tick(94), 31000);
+    expect(exchangeService.executeTrade).toHaveBeenCalledTimes(2);
+    expect(monitor.positions.size).toBe(0);
+  });
+
+  test('should fill paper positions on the paper exchange', async() => {
+    monitor.track(createPosition({ exchange: 'paper', mode: 'paper' }));
+
+    await monitor.onTicker(tick(111));
+
+    expect(credentialVault.getCredentials).not.toHaveBeenCalled();
+    expect(exchangeService.executeTrade).toHaveBeenCalledWith('paper', expect.objectContaining({
+      userId: 'user-1',
+      side: 'sell',
+      priceSource: 'wazirx'
+    }));
+  });
+
+  describe('Native OCO exits', () => {
+    const signal = {
+      userId: 'user-1',
+      symbol: 'BTCUSDT',
+      action: 'BUY',
+      entry: 100,
+      stopLoss: 95,
+      takeProfit: 110,
+      exchange: 'binance',
+      exitRules: { trailingStop: { type: 'percent', percent: 0.02 } }
+    };
+    const execution = { exchange: 'binance', status: 'FILLED', executedQty: 0.5, executedPrice: 100 };
+
+    beforeEach(() => {
+      exchangeService.placeOcoOrder.mockResolvedValue({ orderListId: 'list-1', orderIds: ['tp-1', 'sl-1'] });
+    });
+
+    test('should place an OCO pair on exchanges that support it', async() => {
+      const position = await monitor.openPosition(signal, { id: 'trade-1' }, execution);
+
+      expect(exchangeService.placeOcoOrder).toHaveBeenCalledWith('binance', expect.objectContaining({
+        side: 'sell',
+        amount: 0.5,
+        takeProfit: 110,
+        stopLoss: 95,
+        stopLimitPrice: 95 * 0.998
+      }));
+      expect(position.ocoOrderId).toBe('list-1');
+      expect(marketDataService.subscribe).toHaveBeenCalledWith('ticker', 'BTCUSDT', expect.any(Function));
+
+      // Exits rest on the exchange, so crossing a level sends no market order
+      await monitor.onTicker(tick(94, 'binance'));
+      expect(exchangeService.executeTrade).not.toHaveBeenCalled();
+    });
+
+    test('should fall back to synthetic exits when the OCO is refused', async() => {
+      exchangeService.placeOcoOrder.mockRejectedValue(new Error('Filter failure: PRICE_FILTER'));
+
+      const position = await monitor.openPosition(signal, { id: 'trade-1' }, execution);
+      expect(position.ocoOrderId).toBeNull();
+
+      await monitor.onTicker(tick(94, 'binance'));
+      expect(exchangeService.executeTrade).toHaveBeenCalledWith('binance', expect.objectContaining({ side: 'sell' }));
+    });
+
+    test('should replace the OCO once the trailing stop has moved far enough', async() => {
+      const position = await monitor.openPosition(signal, { id: 'trade-1' }, execution);
+      exchangeService.placeOcoOrder.mockResolvedValue({ orderListId: 'list-2', orderIds: ['tp-2', 'sl-2'] });
+
+      await monitor.onTicker(tick(105, 'binance'));
+
+      expect(exchangeService.cancelOcoOrder).toHaveBeenCalledWith('binance', 'list-1', 'BTCUSDT', 'key', 'secret');
+      expect(exchangeService.placeOcoOrder).toHaveBeenLastCalledWith('binance', expect.objectContaining({ stopLoss: 102.9 }));
+      expect(position.ocoOrderId).toBe('list-2');
+
+      // A tiny move is kept locally until it adds up to minStopMove
+      await monitor.onTicker(tick(105.05, 'binance'));
+      expect(exchangeService.cancelOcoOrder).toHaveBeenCalledTimes(1);
+      await monitor.onTicker(tick(105.2, 'binance'));
+      expect(exchangeService.cancelOcoOrder).toHaveBeenCalledTimes(2);
+    });
+
+    test('should close the position when an OCO leg fills', async() => {
+      await monitor.openPosition(signal, { id: 'trade-1' }, execution);
+      exchangeService.getOcoStatus.mockResolvedValue({ orderListId: 'list-1', status: 'ALL_DONE', orderIds: ['tp-1', 'sl-1'] });
+      exchangeService.getOrderStatus.mockImplementation(async(_exchange, orderId) => (orderId === 'tp-1'
+        ? { orderId, status: 'FILLED', executedQty: 0.5, executedPrice: 110 }
+        : { orderId, status: 'EXPIRED', executedQty: 0, executedPrice: 0 }));
+
+      await monitor.checkPositions();
+
+      expect(Trade.create).toHaveBeenCalledWith(expect.objectContaining({ orderId: 'tp-1', price: 110 }));
+      expect(Position.close).toHaveBeenCalledWith('position-1', { exitReason: 'take_profit', exitPrice: 110 });
+      expect(monitor.positions.size).toBe(0);
+    });
+  });
+
+  test('should resume open positions on start', async() => {
+    jest.useFakeTimers();
+    Position.findOpen.mockResolvedValue([createPosition(), createPosition({ id: 'position-2', symbol: 'ETHUSDT' })]);
+
+    await monitor.start();
+    monitor.stop();
+    jest.useRealTimers();
+
+    expect(monitor.positions.size).toBe(2);
+    expect(marketDataService.subscribe).toHaveBeenCalledTimes(2);
+  });
+});
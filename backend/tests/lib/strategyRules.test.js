@@ -0,0 +1,155 @@
+// =============================================================================
+// Strategy Rule Evaluator Tests - Production Ready
+// =============================================================================
+// Unit tests for the JSON condition language shared by the bot and backtester
+
+jest.mock('../../lib/logging', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+jest.mock('../../lib/database', () => ({}));
+jest.mock('../../lib/riskManager', () => ({ riskManager: {} }));
+jest.mock('../../lib/marketDataService', () => ({}));
+
+const { StrategyRuleEvaluator } = require('../../lib/strategyRules');
+const { BacktestingEngine } = require('../../lib/backtestingEngine');
+
+describe('Strategy Rule Evaluator', () => {
+  let evaluator;
+
+  const toCandles = closes => closes.map((close, i) => ({
+    timestamp: i * 60000,
+    open: close,
+    high: close + 1,
+    low: close - 1,
+    close,
+    volume: 1000
+  }));
+
+  // Steady decline then a sharp rebound on the last bar
+  const declining = Array.from({ length: 40 }, (_, i) => 200 - i * 2);
+  const rebound = [...declining, declining[declining.length - 1] + 15];
+
+  const rules = {
+    longEntry: { all: [{ indicator: 'rsi', period: 14, op: '<', value: 40 }, { cross: 'macd_above_signal' }] },
+    longExit: { indicator: 'rsi', period: 14, op: '>', value: 70 }
+  };
+
+  beforeEach(() => {
+    evaluator = new StrategyRuleEvaluator();
+  });
+
+  describe('Comparisons', () => {
+    test('should compare an indicator against a number', () => {
+      const candles = toCandles(declining);
+
+      expect(evaluator.evaluate({ indicator: 'rsi', period: 14, op: '<', value: 30 }, candles)).toBe(true);
+      expect(evaluator.evaluate({ indicator: 'rsi', period: 14, op: '>', value: 70 }, candles)).toBe(false);
+    });
+
+    test('should compare two indicators', () => {
+      const candles = toCandles(declining);
+      const condition = { indicator: 'close', op: '<', value: { indicator: 'sma', period: 20 } };
+
+      expect(evaluator.evaluate(condition, candles)).toBe(true);
+    });
+
+    test('should read fields of multi-value indicators', () => {
+      const candles = toCandles(declining);
+      const condition = { indicator: 'close', op: '<', value: { indicator: 'bollinger', period: 20, stdDev: 1, field: 'lower' } };
+
+      expect(evaluator.resolveOperand({ indicator: 'bollinger', field: 'upper' }, candles)).toBeGreaterThan(
+        evaluator.resolveOperand({ indicator: 'bollinger', field: 'lower' }, candles)
+      );
+      expect(evaluator.evaluate(condition, candles)).toBe(true);
+    });
+
+    test('should resolve OHLCV indicators from the shared library', () => {
+      const candles = toCandles(declining);
+
+      expect(evaluator.evaluate({ indicator: 'supertrend', field: 'direction', op: '==', value: -1 }, candles)).toBe(true);
+      expect(evaluator.evaluate({ indicator: 'adx', field: 'minusDI', op: '>', value: { indicator: 'adx', field: 'plusDI' } }, candles)).toBe(true);
+      expect(evaluator.evaluate({ indicator: 'close', op: '<', value: { indicator: 'vwap' } }, candles)).toBe(true);
+      expect(evaluator.resolveOperand({ indicator: 'atr', period: 14 }, candles)).toBeCloseTo(3);
+    });
+
+    test('should not match when there is not enough history', () => {
+      expect(evaluator.evaluate({ indicator: 'rsi', period: 14, op: '<', value: 101 }, toCandles([1, 2, 3]))).toBe(false);
+    });
+  });
+
+  describe('Composition', () => {
+    test('should combine conditions with all, any and not', () => {
+      const candles = toCandles(declining);
+      const oversold = { indicator: 'rsi', period: 14, op: '<', value: 30 };
+      const overbought = { indicator: 'rsi', period: 14, op: '>', value: 70 };
+
+      expect(evaluator.evaluate({ all: [oversold, { not: overbought }] }, candles)).toBe(true);
+      expect(evaluator.evaluate({ all: [oversold, overbought] }, candles)).toBe(false);
+      expect(evaluator.evaluate({ any: [oversold, overbought] }, candles)).toBe(true);
+    });
+  });
+
+  describe('Crosses', () => {
+    test('should detect a price cross above its moving average', () => {
+      const closes = [...Array(20).fill(100), 99, 105];
+
+      expect(evaluator.evaluate({ cross: 'price_above_sma', period: 20 }, toCandles(closes))).toBe(true);
+      expect(evaluator.evaluate({ cross: 'price_below_sma', period: 20 }, toCandles(closes))).toBe(false);
+    });
+
+    test('should detect the MACD line crossing its signal line', () => {
+      expect(evaluator.evaluate({ cross: 'macd_above_signal' }, toCandles(rebound))).toBe(true);
+      expect(evaluator.evaluate({ cross: 'macd_above_signal' }, toCandles(declining))).toBe(false);
+    });
+
+    test('should support crosses_above between arbitrary operands', () => {
+      const closes = [...Array(20).fill(100), 99, 105];
+      const condition = { indicator: 'close', op: 'crosses_above', value: { indicator: 'sma', period: 20 } };
+
+      expect(evaluator.evaluate(condition, toCandles(closes))).toBe(true);
+    });
+  });
+
+  describe('Rule Sets', () => {
+    test('should return the side whose entry rule matches', () => {
+      expect(evaluator.evaluateEntry(rules, toCandles(rebound))).toBe('long');
+      expect(evaluator.evaluateEntry(rules, toCandles(declining))).toBeNull();
+    });
+
+    test('should validate rule sets', () => {
+      expect(evaluator.validateRules(rules)).toEqual([]);
+
+      const errors = evaluator.validateRules({
+        longEntry: { all: [{ indicator: 'vibes', op: '<', value: 1 }, { cross: 'moon' }] },
+        shortExit: { indicator: 'rsi', op: '~', value: 1 }
+      });
+      expect(errors).toEqual([
+        'longEntry.all[0]: unknown indicator "vibes"',
+        'longEntry.all[1]: unknown cross "moon"',
+        'shortExit: unknown operator "~"'
+      ]);
+    });
+
+    test('should size the lookback for the slowest indicator', () => {
+      expect(evaluator.getLookback(rules)).toBe(36);
+    });
+  });
+
+  describe('Backtesting Engine Integration', () => {
+    test('should enter and exit on the same rules the live bot uses', () => {
+      const engine = new BacktestingEngine();
+      const strategy = { name: 'Rules', parameters: { rules } };
+      const candles = toCandles(rebound);
+
+      expect(engine.evaluateEntryConditions(strategy, candles)).toBe('long');
+      expect(engine.evaluateEntryConditions(strategy, toCandles(declining))).toBeNull();
+      expect(engine.evaluateExitConditions(strategy, { side: 'long' }, candles)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,194 @@
+// =============================================================================
+// Technical Indicators Tests - Production Ready
+// =============================================================================
+// Unit tests for the shared indicator library and its streaming variants
+
+const { TechnicalIndicators, latest } = require('../../lib/technicalIndicators');
+
+describe('Technical Indicators', () => {
+  let ti;
+
+  const toCandles = closes => closes.map((close, i) => ({
+    timestamp: Date.UTC(2024, 0, 1) + i * 3600000,
+    open: i === 0 ? close : closes[i - 1],
+    high: Math.max(close, i === 0 ? close : closes[i - 1]) + 1,
+    low: Math.min(close, i === 0 ? close : closes[i - 1]) - 1,
+    close,
+    volume: 100 + i
+  }));
+
+  const rising = Array.from({ length: 80 }, (_, i) => 100 + i);
+  const falling = Array.from({ length: 80 }, (_, i) => 200 - i);
+  const wave = Array.from({ length: 80 }, (_, i) => 100 + Math.sin(i / 3) * 10 + i * 0.1);
+
+  beforeEach(() => {
+    ti = new TechnicalIndicators();
+  });
+
+  describe('Moving Averages', () => {
+    test('should return aligned series with nulls during warm-up', () => {
+      expect(ti.sma([1, 2, 3, 4, 5], 3)).toEqual([null, null, 2, 3, 4]);
+      expect(ti.wma([1, 2, 3], 3)).toEqual([null, null, (1 + 4 + 9) / 6]);
+    });
+
+    test('should seed the EMA with the SMA of the first period', () => {
+      const ema = ti.ema([2, 4, 6, 8], 3);
+
+      expect(ema.slice(0, 3)).toEqual([null, null, 4]);
+      expect(ema[3]).toBeCloseTo(6);
+    });
+  });
+
+  describe('Momentum', () => {
+    test('should use Wilder smoothing over the whole history for RSI', () => {
+      expect(latest(ti.rsi(rising, 14))).toBe(100);
+      expect(latest(ti.rsi(falling, 14))).toBe(0);
+      expect(ti.rsi(rising.slice(0, 14), 14).every(value => value === null)).toBe(true);
+    });
+
+    test('should compute the MACD signal line as an EMA of the MACD line', () => {
+      const series = ti.macd(wave, 12, 26, 9);
+      const fast = ti.ema(wave, 12);
+      const macdLine = ti.ema(wave, 26).slice(25).map((slow, i) => fast[i + 25] - slow);
+      const { macd, signal, histogram } = latest(series);
+
+      expect(series.findIndex(Boolean)).toBe(25 + 8);
+      expect(signal).toBeCloseTo(latest(ti.ema(macdLine, 9)), 8);
+      expect(signal).not.toBeCloseTo(macd * 0.9, 4);
+      expect(histogram).toBeCloseTo(macd - signal);
+    });
+
+    test('should bound the stochastic oscillator', () => {
+      const candles = toCandles(wave);
+      const values = ti.stochastic(candles, 14, 3).filter(Boolean);
+
+      expect(values.every(({ k }) => k >= 0 && k <= 100)).toBe(true);
+      expect(latest(ti.stochastic(toCandles(rising), 14, 3)).k).toBeGreaterThan(80);
+    });
+  });
+
+  describe('Volatility', () => {
+    test('should compute ATR from true ranges', () => {
+      const candles = Array.from({ length: 20 }, () => ({ open: 100, high: 102, low: 98, close: 100, volume: 1 }));
+      const atr = ti.atr(candles, 14);
+
+      expect(atr[13]).toBeNull();
+      expect(atr[14]).toBeCloseTo(4);
+      expect(latest(atr)).toBeCloseTo(4);
+    });
+
+    test('should build channels around price', () => {
+      const candles = toCandles(wave);
+      const keltner = latest(ti.keltnerChannels(candles));
+      const donchian = latest(ti.donchianChannels(candles, 20));
+
+      expect(keltner.upper).toBeGreaterThan(keltner.middle);
+      expect(keltner.lower).toBeLessThan(keltner.middle);
+      expect(donchian.upper).toBe(Math.max(...candles.slice(-20).map(c => c.high)));
+      expect(donchian.lower).toBe(Math.min(...candles.slice(-20).map(c => c.low)));
+    });
+  });
+
+  describe('Trend', () => {
+    test('should report direction for ADX, Supertrend and Parabolic SAR', () => {
+      const up = toCandles(rising);
+      const down = toCandles(falling);
+
+      const adx = latest(ti.adx(up, 14));
+      expect(adx.plusDI).toBeGreaterThan(adx.minusDI);
+      expect(adx.adx).toBeGreaterThan(25);
+
+      expect(latest(ti.supertrend(up)).direction).toBe(1);
+      expect(latest(ti.supertrend(down)).direction).toBe(-1);
+
+      expect(latest(ti.parabolicSar(up))).toBeLessThan(up[up.length - 1].low);
+      expect(latest(ti.parabolicSar(down))).toBeGreaterThan(down[down.length - 1].high);
+    });
+
+    test('should displace the Ichimoku cloud', () => {
+      const candles = toCandles(rising);
+      const cloud = ti.ichimoku(candles);
+      const point = latest(cloud);
+
+      expect(cloud[24]).toBeNull();
+      expect(cloud[60].spanB).toBeNull();
+      expect(point.conversion).toBeGreaterThan(point.base);
+      expect(point.spanA).toBeCloseTo((cloud[79 - 26].conversion + cloud[79 - 26].base) / 2);
+      expect(point.lagging).toBeNull();
+    });
+  });
+
+  describe('Volume', () => {
+    test('should accumulate OBV by close direction', () => {
+      const candles = [100, 101, 100, 100, 102].map((close, i) => ({ close, volume: 10 * (i + 1) }));
+
+      expect(ti.obv(candles)).toEqual([0, 20, -10, -10, 40]);
+    });
+
+    test('should reset VWAP at each UTC day', () => {
+      const day = 86400000;
+      const candles = [
+        { timestamp: 0, high: 11, low: 9, close: 10, volume: 1 },
+        { timestamp: 3600000, high: 21, low: 19, close: 20, volume: 3 },
+        { timestamp: day, high: 31, low: 29, close: 30, volume: 2 }
+      ];
+
+      expect(ti.vwap(candles)).toEqual([10, 17.5, 30]);
+      expect(latest(ti.vwap(candles, false))).toBeCloseTo((10 + 60 + 60) / 6);
+    });
+  });
+
+  describe('Streaming', () => {
+    test('should match the batch calculations bar by bar', () => {
+      const candles = toCandles(wave);
+      const closes = candles.map(c => c.close);
+      const batch = {
+        sma: ti.sma(closes, 20),
+        ema: ti.ema(closes, 20),
+        rsi: ti.rsi(closes, 14),
+        macd: ti.macd(closes),
+        atr: ti.atr(candles, 14),
+        obv: ti.obv(candles),
+        vwap: ti.vwap(candles)
+      };
+      const streams = {
+        sma: ti.createStream('sma', { period: 20 }),
+        ema: ti.createStream('ema', { period: 20 }),
+        rsi: ti.createStream('rsi', { period: 14 }),
+        macd: ti.createStream('macd'),
+        atr: ti.createStream('atr', { period: 14 }),
+        obv: ti.createStream('obv'),
+        vwap: ti.createStream('vwap')
+      };
+
+      candles.forEach((candle, i) => {
+        Object.entries(streams).forEach(([name, stream]) => {
+          const value = stream.update(candle);
+          if (batch[name][i] === null) {
+            expect(value).toBeNull();
+          } else if (name === 'macd') {
+            expect(value.signal).toBeCloseTo(batch.macd[i].signal, 8);
+          } else {
+            expect(value).toBeCloseTo(batch[name][i], 8);
+          }
+        });
+      });
+    });
+
+    test('should preview a forming bar without committing it', () => {
+      const stream = ti.createStream('ema', { period: 3 });
+      [1, 2, 3, 4].forEach(value => stream.update(value));
+
+      const committed = stream.value;
+      const preview = stream.preview(10);
+
+      expect(preview).toBeGreaterThan(committed);
+      expect(stream.value).toBe(committed);
+      expect(stream.update(10)).toBe(preview);
+    });
+
+    test('should reject unknown streaming indicators', () => {
+      expect(() => ti.createStream('astrology')).toThrow('Unsupported streaming indicator: astrology');
+    });
+  });
+});
@@ -342,6 +342,35 @@ const createMockCrypto = () => {
   };
 };
 
+/**
+ * Answers mocked axios calls from a recorded exchange fixture, failing on any
+ * request that was not recorded or whose signed headers differ. Identical
+ * requests get their recorded responses in order, the last one repeating.
+ */
+const replayExchangeFixture = (axios, fixture) => {
+  const used = new Set();
+
+  const respond = async(method, url, payload, config = {}) => {
+    const body = typeof payload === 'string' ? JSON.parse(payload) : payload;
+    const matches = fixture.interactions.filter(({ request }) => request.method === method &&
+      request.url === url &&
+      JSON.stringify(request.body) === JSON.stringify(body));
+    const interaction = matches.find(match => !used.has(match)) || matches[matches.length - 1];
+
+    if (!interaction) {
+      throw new Error(`No recorded response for ${method} ${url}`);
+    }
+    used.add(interaction);
+    expect(config.headers || {}).toMatchObject(interaction.request.headers || {});
+
+    return { status: interaction.response.status, data: interaction.response.body };
+  };
+
+  axios.get.mockImplementation((url, config) => respond('GET', url, undefined, config));
+  axios.post.mockImplementation((url, payload, config) => respond('POST', url, payload, config));
+  axios.delete.mockImplementation((url, config) => respond('DELETE', url, config?.data, config));
+};
+
 module.exports = {
   createMockRequest,
   createMockResponse,
@@ -362,5 +391,6 @@ module.exports = {
   assertErrorResponse,
   assertSuccessResponse,
   createMockFileSystem,
-  createMockCrypto
+  createMockCrypto,
+  replayExchangeFixture
 };
@@ -172,6 +172,65 @@ describe('Trading Bot', () => {
     });
   });
 
+  describe('Per-User Instances', () => {
+    const { TradingStrategy } = require('../lib/database');
+
+    test('should only load the owner\'s strategies', async() => {
+      TradingStrategy.find = jest.fn().mockResolvedValue([{ id: 'strategy-1', userId: 'user-1' }]);
+      const userBot = new TradingBot({}, { userId: 'user-1' });
+
+      await userBot.loadActiveStrategies();
+
+      expect(TradingStrategy.find).toHaveBeenCalledWith({ userId: 'user-1', isActive: true });
+      expect([...userBot.activeStrategies.keys()]).toEqual(['strategy-1']);
+    });
+
+    test('should keep config overrides and daily stats separate per bot', () => {
+      const first = new TradingBot({ maxDailyTrades: 1 }, { userId: 'user-1' });
+      const second = new TradingBot({}, { userId: 'user-2' });
+
+      first.updateDailyStats({ profit: 25 });
+
+      expect(first.isDailyLimitExceeded()).toBe(true);
+      expect(second.isDailyLimitExceeded()).toBe(false);
+      expect(second.dailyStats.trades).toBe(0);
+      expect(second.config.maxDailyTrades).toBe(50);
+    });
+
+    test('should pause and resume a running bot', async() => {
+      expect(() => tradingBot.pause()).toThrow('Trading bot is not running');
+
+      await tradingBot.start();
+      tradingBot.pause();
+      expect(tradingBot.getState()).toBe('paused');
+
+      tradingBot.resume();
+      expect(tradingBot.getState()).toBe('running');
+
+      await tradingBot.stop();
+      expect(tradingBot.getState()).toBe('stopped');
+    });
+
+    test('should retire the previous run\'s loops on restart', async() => {
+      await tradingBot.start();
+      const firstRun = tradingBot.runId;
+
+      await tradingBot.restart();
+
+      expect(tradingBot.isActiveRun(firstRun)).toBe(false);
+      expect(tradingBot.isActiveRun(tradingBot.runId)).toBe(true);
+    });
+
+    test('should start fresh daily stats on a new UTC day', () => {
+      tradingBot.dailyStats.trades = 7;
+      tradingBot.dailyStats.startTime = Date.now() - 2 * 24 * 60 * 60 * 1000;
+
+      tradingBot.rollDailyStats();
+
+      expect(tradingBot.dailyStats.trades).toBe(0);
+    });
+  });
+
   describe('Strategy Management', () => {
     test('should add trading strategy', async () => {
       const strategy = {
@@ -329,6 +388,607 @@ describe('Trading Bot', () => {
     });
   });
 
+  describe('Signal Queue Processing', () => {
+    const { Trade } = require('../lib/database');
+
+    const buildSignal = (overrides = {}) => ({
+      id: 'signal-1',
+      userId: 'user-1',
+      strategyId: 'strategy-1',
+      symbol: 'BTC/USDT',
+      action: 'BUY',
+      entry: 50000,
+      stopLoss: 49000,
+      takeProfit: 52000,
+      confidence: 80,
+      timestamp: Date.now(),
+      ...overrides
+    });
+
+    test('should dequeue signals by priority, then confidence', async() => {
+      const low = buildSignal({ id: 'low', confidence: 95 });
+      const high = buildSignal({ id: 'high', confidence: 76, priority: 2 });
+      const medium = buildSignal({ id: 'medium', confidence: 90 });
+
+      tradingBot.signalQueue.push(low, high, medium);
+      tradingBot.processSignal = jest.fn().mockResolvedValue();
+
+      await tradingBot.processSignalQueue();
+
+      const order = tradingBot.processSignal.mock.calls.map(([signal]) => signal.id);
+      expect(order).toEqual(['high', 'low', 'medium']);
+      expect(tradingBot.signalQueue).toHaveLength(0);
+    });
+
+    test('should expire stale signals without processing them', async() => {
+      const stale = buildSignal({ id: 'stale', timestamp: Date.now() - tradingBot.config.signalTTL - 1000 });
+
+      tradingBot.signalQueue.push(stale);
+      tradingBot.processSignal = jest.fn().mockResolvedValue();
+
+      await tradingBot.processSignalQueue();
+
+      expect(tradingBot.processSignal).not.toHaveBeenCalled();
+      expect(tradingBot.processedSignals[0]).toMatchObject({ id: 'stale', status: 'expired' });
+    });
+
+    test('should leave signals queued once the daily trade limit is reached', async() => {
+      tradingBot.dailyStats.trades = tradingBot.config.maxDailyTrades;
+      tradingBot.signalQueue.push(buildSignal());
+      tradingBot.processSignal = jest.fn().mockResolvedValue();
+
+      await tradingBot.processSignalQueue();
+
+      expect(tradingBot.processSignal).not.toHaveBeenCalled();
+      expect(tradingBot.signalQueue).toHaveLength(1);
+    });
+
+    test('should mark signals rejected by risk validation', async() => {
+      tradingBot.validateSignal = jest.fn().mockResolvedValue({
+        valid: false,
+        errors: ['Trade risk exceeds limit'],
+        warnings: [],
+        riskScore: 80
+      });
+      tradingBot.executeSignal = jest.fn();
+
+      await tradingBot.processSignal(buildSignal());
+
+      expect(tradingBot.executeSignal).not.toHaveBeenCalled();
+      expect(tradingBot.processedSignals[0]).toMatchObject({ id: 'signal-1', status: 'rejected', riskScore: 80 });
+    });
+
+    test('should execute, persist and record validated signals', async() => {
+      const signal = buildSignal();
+      tradingBot.validateSignal = jest.fn().mockResolvedValue({
+        valid: true,
+        errors: [],
+        warnings: [],
+        riskScore: 10,
+        adjustedSignal: signal
+      });
+      tradingBot.backtestingEngine.runBacktest.mockResolvedValue({ success: true });
+      tradingBot.executeSignal = jest.fn().mockResolvedValue({
+        exchange: 'binance',
+        orderId: 'order-1',
+        status: 'FILLED',
+        executedQty: 0.01,
+        executedPrice: 50010,
+        commission: 0.5
+      });
+      Trade.create.mockResolvedValue({ id: 'trade-1' });
+
+      await tradingBot.processSignal(signal);
+
+      expect(Trade.create).toHaveBeenCalledWith(expect.objectContaining({
+        exchange: 'binance',
+        side: 'buy',
+        amount: 0.01,
+        price: 50010,
+        orderId: 'order-1',
+        status: 'completed'
+      }));
+      expect(tradingBot.dailyStats.trades).toBe(1);
+      expect(tradingBot.processedSignals[0]).toMatchObject({
+        id: 'signal-1',
+        status: 'executed',
+        tradeId: 'trade-1',
+        orderId: 'order-1'
+      });
+    });
+
+    test('should reject signals whose order placement fails', async() => {
+      const signal = buildSignal();
+      tradingBot.validateSignal = jest.fn().mockResolvedValue({
+        valid: true,
+        errors: [],
+        warnings: [],
+        riskScore: 10,
+        adjustedSignal: signal
+      });
+      tradingBot.backtestingEngine.runBacktest.mockResolvedValue({ success: true });
+      tradingBot.executeSignal = jest.fn().mockRejectedValue(new Error('Insufficient balance'));
+
+      await tradingBot.processSignal(signal);
+
+      expect(Trade.create).not.toHaveBeenCalled();
+      expect(tradingBot.processedSignals[0]).toMatchObject({
+        status: 'rejected',
+        reason: 'Execution failed: Insufficient balance'
+      });
+    });
+
+    test('should count placed orders as executed when booking them fails', async() => {
+      const signal = buildSignal();
+      tradingBot.validateSignal = jest.fn().mockResolvedValue({
+        valid: true,
+        errors: [],
+        warnings: [],
+        riskScore: 10,
+        adjustedSignal: signal
+      });
+      tradingBot.backtestingEngine.runBacktest.mockResolvedValue({ success: true });
+      tradingBot.executeSignal = jest.fn().mockResolvedValue({
+        exchange: 'binance',
+        orderId: 'order-1',
+        status: 'NEW',
+        executedQty: 0
+      });
+      tradingBot.reportOrphanedOrder = jest.fn();
+      Trade.create.mockRejectedValue(new Error('connection terminated'));
+
+      await tradingBot.processSignal(signal);
+
+      expect(tradingBot.reportOrphanedOrder).toHaveBeenCalledWith(signal, expect.objectContaining({ orderId: 'order-1' }), expect.any(Error));
+      expect(tradingBot.dailyStats.trades).toBe(1);
+      expect(tradingBot.processedSignals).toHaveLength(1);
+      expect(tradingBot.processedSignals[0]).toMatchObject({
+        status: 'executed',
+        tradeId: null,
+        orderId: 'order-1',
+        persistenceError: 'connection terminated'
+      });
+
+      // A failure after the row is saved keeps the trade
+      Trade.create.mockResolvedValue({ id: 'trade-2' });
+      tradingBot.sendTradeNotification = jest.fn().mockRejectedValue(new Error('mailer down'));
+
+      await tradingBot.processSignal({ ...signal, id: 'signal-2' });
+
+      expect(tradingBot.processedSignals[1]).toMatchObject({
+        status: 'executed',
+        tradeId: 'trade-2',
+        persistenceError: 'mailer down'
+      });
+    });
+
+    test('should size orders from the stop loss distance', () => {
+      const amount = tradingBot.calculateOrderAmount(buildSignal(), 10000);
+
+      // 2% of 10,000 risked over a 1,000 stop distance
+      expect(amount).toBeCloseTo(0.2);
+    });
+
+    describe('Paired Signals', () => {
+      const buildPair = () => [
+        buildSignal({ id: 'pair-buy', pairId: 'pair-1', exchange: 'binance', amount: 0.01 }),
+        buildSignal({
+          id: 'pair-sell',
+          pairId: 'pair-1',
+          exchange: 'wazirx',
+          action: 'SELL',
+          entry: 50500,
+          stopLoss: 51500,
+          takeProfit: 50000,
+          amount: 0.01
+        })
+      ];
+
+      test('should process both legs of a pair together', async() => {
+        const [buy, sell] = buildPair();
+        tradingBot.signalQueue.push(buy, buildSignal({ id: 'single', confidence: 70 }), sell);
+        tradingBot.processSignal = jest.fn().mockResolvedValue();
+        tradingBot.processSignalPair = jest.fn().mockResolvedValue();
+
+        await tradingBot.processSignalQueue();
+
+        expect(tradingBot.processSignalPair).toHaveBeenCalledWith([buy, sell]);
+        expect(tradingBot.processSignal).toHaveBeenCalledTimes(1);
+        expect(tradingBot.signalQueue).toHaveLength(0);
+      });
+
+      test('should reject every leg when the pair fails risk validation', async() => {
+        const legs = buildPair();
+        tradingBot.riskManager.validateSignalPair = jest.fn().mockResolvedValue({
+          valid: false,
+          errors: ['SELL leg: Trade risk exceeds limit'],
+          warnings: [],
+          riskScore: 90,
+          legs: []
+        });
+        tradingBot.executeSignal = jest.fn();
+
+        await tradingBot.processSignalPair(legs);
+
+        expect(tradingBot.executeSignal).not.toHaveBeenCalled();
+        expect(tradingBot.processedSignals.map(signal => signal.status)).toEqual(['rejected', 'rejected']);
+      });
+
+      test('should execute both legs on their own exchanges', async() => {
+        const legs = buildPair();
+        tradingBot.riskManager.validateSignalPair = jest.fn().mockResolvedValue({
+          valid: true,
+          errors: [],
+          warnings: [],
+          riskScore: 20,
+          legs
+        });
+        tradingBot.executeSignal = jest.fn().mockImplementation(leg => Promise.resolve({
+          exchange: leg.exchange,
+          orderId: `order-${leg.id}`,
+          status: 'FILLED',
+          executedQty: leg.amount,
+          executedPrice: leg.entry
+        }));
+        Trade.create.mockImplementation(data => Promise.resolve({ id: `trade-${data.orderId}` }));
+
+        await tradingBot.processSignalPair(legs);
+
+        expect(Trade.create).toHaveBeenCalledWith(expect.objectContaining({ exchange: 'binance', side: 'buy' }));
+        expect(Trade.create).toHaveBeenCalledWith(expect.objectContaining({ exchange: 'wazirx', side: 'sell' }));
+        expect(tradingBot.dailyStats.trades).toBe(2);
+        expect(tradingBot.processedSignals.map(signal => signal.status)).toEqual(['executed', 'executed']);
+      });
+
+      describe('Hedging', () => {
+        const exchangeService = require('../lib/exchangeService');
+        const { credentialVault } = require('../lib/credentialVault');
+
+        const limitPair = () => buildPair().map(leg => ({ ...leg, orderType: 'LIMIT' }));
+        const filledLeg = (leg, overrides = {}) => ({
+          exchange: leg.exchange,
+          orderId: `order-${leg.id}`,
+          status: 'FILLED',
+          executedQty: leg.amount,
+          executedPrice: leg.entry,
+          ...overrides
+        });
+
+        beforeEach(() => {
+          tradingBot.riskManager.validateSignalPair = jest.fn().mockImplementation(legs => Promise.resolve({
+            valid: true,
+            errors: [],
+            warnings: [],
+            riskScore: 20,
+            legs
+          }));
+          jest.spyOn(exchangeService, 'supportsTimeInForce').mockImplementation(exchange => exchange === 'binance');
+          Trade.create.mockImplementation(data => Promise.resolve({ id: `trade-${data.orderId}` }));
+        });
+
+        afterEach(() => {
+          jest.restoreAllMocks();
+        });
+
+        test('should send limit legs IOC where the exchange supports it', async() => {
+          tradingBot.executeSignal = jest.fn().mockImplementation(leg => Promise.resolve(filledLeg(leg)));
+
+          await tradingBot.processSignalPair(limitPair());
+
+          const [[buy], [sell]] = tradingBot.executeSignal.mock.calls;
+          expect(buy).toMatchObject({ exchange: 'binance', timeInForce: 'IOC' });
+          expect(sell.timeInForce).toBeUndefined();
+          expect(tradingBot.executeSignal).toHaveBeenCalledTimes(2);
+        });
+
+        test('should unwind a filled leg whose partner fails', async() => {
+          tradingBot.executeSignal = jest.fn().mockImplementation(leg => (
+            leg.id === 'pair-sell'
+              ? Promise.reject(new Error('Insufficient balance'))
+              : Promise.resolve(filledLeg(leg))
+          ));
+
+          await tradingBot.processSignalPair(limitPair());
+
+          expect(tradingBot.executeSignal).toHaveBeenCalledTimes(3);
+          expect(tradingBot.executeSignal.mock.calls[2][0]).toMatchObject({
+            id: 'pair-buy_unwind',
+            exchange: 'binance',
+            action: 'SELL',
+            orderType: 'MARKET',
+            timeInForce: undefined,
+            amount: 0.01
+          });
+          expect(Trade.create).toHaveBeenCalledWith(expect.objectContaining({ orderId: 'order-pair-buy_unwind', side: 'sell' }));
+          expect(tradingBot.processedSignals.map(signal => [signal.id, signal.status])).toEqual([
+            ['pair-buy', 'executed'],
+            ['pair-sell', 'rejected']
+          ]);
+        });
+
+        test('should cancel a resting leg and unwind what its partner filled beyond it', async() => {
+          tradingBot.executeSignal = jest.fn().mockImplementation(leg => Promise.resolve(
+            leg.id === 'pair-sell' ? filledLeg(leg, { status: 'NEW', executedQty: 0 }) : filledLeg(leg)
+          ));
+          jest.spyOn(credentialVault, 'getCredentials').mockResolvedValue({ apiKey: 'key', secretKey: 'secret' });
+          jest.spyOn(exchangeService, 'cancelOrder').mockResolvedValue({});
+          jest.spyOn(exchangeService, 'getOrderStatus').mockResolvedValue({ status: 'CANCELED', executedQty: 0.004 });
+
+          await tradingBot.processSignalPair(limitPair());
+
+          expect(exchangeService.cancelOrder).toHaveBeenCalledWith('wazirx', 'order-pair-sell', 'BTC/USDT', 'key', 'secret', undefined);
+          expect(Trade.create).toHaveBeenCalledWith(expect.objectContaining({ exchange: 'wazirx', executedQty: 0.004, orderStatus: 'CANCELED' }));
+          expect(tradingBot.executeSignal.mock.calls[2][0]).toMatchObject({ exchange: 'binance', action: 'SELL', amount: 0.006 });
+        });
+
+        test('should record each leg once when booking a leg fails', async() => {
+          tradingBot.executeSignal = jest.fn().mockImplementation(leg => Promise.resolve(filledLeg(leg)));
+          Trade.create
+            .mockResolvedValueOnce({ id: 'trade-1' })
+            .mockRejectedValueOnce(new Error('connection terminated'));
+
+          await tradingBot.processSignalPair(limitPair());
+
+          expect(tradingBot.processedSignals.map(signal => [signal.id, signal.status])).toEqual([
+            ['pair-buy', 'executed'],
+            ['pair-sell', 'executed']
+          ]);
+          expect(tradingBot.processedSignals[1]).toMatchObject({ tradeId: null, persistenceError: 'connection terminated' });
+          // Both legs filled in full, so nothing is unwound
+          expect(tradingBot.executeSignal).toHaveBeenCalledTimes(2);
+        });
+      });
+    });
+  });
+
+  describe('Paper Trading', () => {
+    const exchangeService = require('../lib/exchangeService');
+    const { Trade } = require('../lib/database');
+    const { credentialVault } = require('../lib/credentialVault');
+
+    test('should route paper signals to the simulated exchange without credentials', async() => {
+      jest.spyOn(credentialVault, 'getCredentials');
+      jest.spyOn(exchangeService, 'executeTrade').mockResolvedValue({
+        orderId: 'paper-1',
+        status: 'FILLED',
+        executedQty: 0.01,
+        executedPrice: 50025,
+        mode: 'paper'
+      });
+
+      const execution = await tradingBot.executeSignal({
+        userId: 'user-1',
+        symbol: 'BTCUSDT',
+        action: 'BUY',
+        entry: 50000,
+        stopLoss: 49000,
+        amount: 0.01,
+        exchange: 'wazirx',
+        mode: 'paper'
+      }, 10000);
+
+      expect(credentialVault.getCredentials).not.toHaveBeenCalled();
+      expect(exchangeService.executeTrade).toHaveBeenCalledWith('paper', expect.objectContaining({
+        userId: 'user-1',
+        amount: 0.01,
+        priceSource: 'wazirx'
+      }));
+      expect(execution.exchange).toBe('paper');
+
+      Trade.create.mockResolvedValue({ id: 'trade-1' });
+      await tradingBot.createTradeRecord({ id: 'signal-1', userId: 'user-1', symbol: 'BTCUSDT', action: 'BUY', mode: 'paper' }, {}, execution);
+      expect(Trade.create).toHaveBeenCalledWith(expect.objectContaining({ exchange: 'paper', mode: 'paper' }));
+
+      exchangeService.executeTrade.mockRestore();
+    });
+  });
+
+  describe('Exit Management', () => {
+    const { positionMonitor } = require('../lib/positionMonitor');
+
+    const filled = { orderId: 'order-1', status: 'FILLED', executedQty: 0.01, executedPrice: 50000, exchange: 'binance' };
+    const signal = {
+      userId: 'user-1',
+      symbol: 'BTCUSDT',
+      action: 'BUY',
+      entry: 50000,
+      stopLoss: 49000,
+      takeProfit: 52000,
+      strategyType: 'MOMENTUM'
+    };
+
+    beforeEach(() => {
+      jest.spyOn(positionMonitor, 'openPosition').mockResolvedValue({ id: 'position-1' });
+    });
+
+    afterEach(() => {
+      positionMonitor.openPosition.mockRestore();
+    });
+
+    test('should hand filled directional entries to the position monitor', async() => {
+      await tradingBot.manageExits(signal, { id: 'trade-1' }, filled);
+
+      expect(positionMonitor.openPosition).toHaveBeenCalledWith(signal, { id: 'trade-1' }, filled);
+    });
+
+    test('should leave resting orders and self-managed strategies alone', async() => {
+      await tradingBot.manageExits(signal, { id: 'trade-1' }, { ...filled, status: 'NEW' });
+      await tradingBot.manageExits({ ...signal, strategyType: 'GRID_TRADING' }, { id: 'trade-2' }, filled);
+
+      expect(positionMonitor.openPosition).not.toHaveBeenCalled();
+    });
+
+    test('should not fail the trade when exit management cannot start', async() => {
+      positionMonitor.openPosition.mockRejectedValue(new Error('connection refused'));
+
+      await expect(tradingBot.manageExits(signal, { id: 'trade-1' }, filled)).resolves.toBeUndefined();
+    });
+  });
+
+  describe('Strategy Signal Generators', () => {
+    const marketDataService = require('../lib/marketDataService');
+
+    const HOUR = 3600000;
+    const T0 = Date.UTC(2024, 0, 1);
+
+    // Closed hourly candles as candleStore returns them: flat bars around 100
+    // with steady volume, optionally followed by a newest bar
+    const buildKlines = (count, lastBar) => {
+      const bars = Array.from({ length: count }, (_, i) => ({
+        open: 100,
+        high: 101,
+        low: 99,
+        close: 100 + (i % 2 === 0 ? 0.5 : -0.5),
+        volume: 1000
+      }));
+      if (lastBar) {
+        bars.push({ open: 100, high: 101, low: 99, close: 100, volume: 1000, ...lastBar });
+      }
+      return bars.map((bar, i) => ({
+        symbol: 'BTCUSDT',
+        interval: '1h',
+        openTime: T0 + i * HOUR,
+        closeTime: T0 + (i + 1) * HOUR - 1,
+        timestamp: T0 + i * HOUR,
+        quoteVolume: bar.volume * bar.close,
+        trades: 100,
+        interpolated: false,
+        ...bar
+      }));
+    };
+
+    test('should emit a momentum buy when the live price breaks out after a high-volume bar', async() => {
+      const strategy = { id: 'strategy-1', strategyType: 'MOMENTUM', parameters: {} };
+      const klines = buildKlines(30, { high: 104, close: 104, volume: 2000 });
+
+      const signals = await tradingBot.signalGenerator.generateSignals(strategy, 'BTCUSDT', { price: 104.5 }, klines);
+
+      expect(signals).toHaveLength(1);
+      expect(signals[0]).toMatchObject({ action: 'BUY', entry: 104.5 });
+      expect(signals[0].stopLoss).toBeCloseTo(102.41);
+      expect(signals[0].takeProfit).toBeCloseTo(108.68);
+    });
+
+    test('should count the newest closed bar in the momentum breakout range', async() => {
+      const strategy = { id: 'strategy-1', strategyType: 'MOMENTUM', parameters: {} };
+      const klines = buildKlines(30, { high: 104, close: 104, volume: 2000 });
+
+      const signals = await tradingBot.signalGenerator.generateSignals(strategy, 'BTCUSDT', { price: 103.5 }, klines);
+
+      expect(signals).toEqual([]);
+    });
+
+    test('should require volume confirmation for momentum entries', async() => {
+      const strategy = { id: 'strategy-1', strategyType: 'MOMENTUM', parameters: { volumeMultiplier: 3 } };
+      const klines = buildKlines(30, { high: 104, close: 104, volume: 2000 });
+
+      const signals = await tradingBot.signalGenerator.generateSignals(strategy, 'BTCUSDT', { price: 104.5 }, klines);
+
+      expect(signals).toEqual([]);
+    });
+
+    test('should fade a stretched move back to the moving average', async() => {
+      const strategy = { id: 'strategy-1', strategyType: 'MEAN_REVERSION', parameters: { stopLossPercent: 0.05 } };
+      const klines = buildKlines(30);
+
+      // Closes alternate 100.5/99.5, so the mean is 100 and the deviation 0.5
+      const signals = await tradingBot.signalGenerator.generateSignals(strategy, 'BTCUSDT', { price: 98.75 }, klines);
+
+      expect(signals).toHaveLength(1);
+      expect(signals[0]).toMatchObject({ action: 'BUY', entry: 98.75, takeProfit: 100 });
+      expect(signals[0].stopLoss).toBeCloseTo(98.75 * 0.95);
+    });
+
+    test('should count the newest closed bar in the mean reversion average', async() => {
+      const strategy = { id: 'strategy-1', strategyType: 'MEAN_REVERSION', parameters: {} };
+
+      // Exactly maPeriod closed bars are enough history
+      const signals = await tradingBot.signalGenerator.generateSignals(strategy, 'BTCUSDT', { price: 98.75 }, buildKlines(19, {}));
+
+      expect(signals).toHaveLength(1);
+      expect(signals[0].takeProfit).toBeCloseTo(100.025);
+    });
+
+    test('should ignore moves beyond the maximum z-score', async() => {
+      const strategy = { id: 'strategy-1', strategyType: 'MEAN_REVERSION', parameters: { maxZScore: 3 } };
+
+      const signals = await tradingBot.signalGenerator.generateSignals(strategy, 'BTCUSDT', { price: 101.75 }, buildKlines(30));
+
+      expect(signals).toEqual([]);
+    });
+
+    test('should trade declarative rules instead of the built-in logic', async() => {
+      const strategy = {
+        id: 'strategy-1',
+        name: 'Breakout Rules',
+        strategyType: 'MOMENTUM',
+        parameters: {
+          rules: { longEntry: { indicator: 'close', op: '>', value: { indicator: 'highest', period: 20 } } },
+          stopLossPercent: 0.01
+        }
+      };
+
+      const klines = buildKlines(30);
+      jest.spyOn(tradingBot.signalGenerator.ruleEvaluator, 'evaluateEntry');
+
+      // Volume is flat, so the built-in momentum logic alone would not fire
+      const signals = await tradingBot.signalGenerator.generateSignals(strategy, 'BTCUSDT', { price: 103 }, klines);
+
+      // Closed candles untouched, then the forming bar at the live price
+      const [, candles] = tradingBot.signalGenerator.ruleEvaluator.evaluateEntry.mock.calls[0];
+      expect(candles.slice(0, 30)).toEqual(klines);
+      expect(candles[30]).toMatchObject({ openTime: T0 + 30 * HOUR, open: 99.5, high: 103, low: 99.5, close: 103 });
+      tradingBot.signalGenerator.ruleEvaluator.evaluateEntry.mockRestore();
+
+      expect(signals).toHaveLength(1);
+      expect(signals[0]).toMatchObject({ action: 'BUY', entry: 103, strategy: 'Breakout Rules' });
+      expect(signals[0].stopLoss).toBeCloseTo(101.97);
+      expect(signals[0].parameters).toMatchObject({ rules: strategy.parameters.rules, stopLossPercent: 0.01, takeProfitPercent: 0.04 });
+    });
+
+    test('should queue signals generated from stored candles', async() => {
+      const { candleStore } = require('../lib/candleStore');
+      const klines = buildKlines(60, { high: 104, close: 104, volume: 2000 });
+      jest.spyOn(candleStore, 'getRecentCandles').mockResolvedValue(klines);
+      marketDataService.getCurrentPrice = jest.fn(symbol => (symbol === 'BTCUSDT' ? { symbol, price: 104.5 } : null));
+      tradingBot.activeStrategies.set('strategy-1', { id: 'strategy-1', userId: 'user-1', strategyType: 'MOMENTUM', parameters: {} });
+
+      await tradingBot.checkForSignals();
+
+      expect(candleStore.getRecentCandles).toHaveBeenCalledWith('binance', 'BTCUSDT', '1h', 100);
+      expect(tradingBot.signalQueue).toHaveLength(1);
+      expect(tradingBot.signalQueue[0]).toMatchObject({
+        symbol: 'BTCUSDT',
+        action: 'BUY',
+        entry: 104.5,
+        strategyId: 'strategy-1',
+        userId: 'user-1'
+      });
+      candleStore.getRecentCandles.mockRestore();
+    });
+
+    test('should read scalping indicator settings from strategy parameters', async() => {
+      marketDataService.calculateRSI = jest.fn().mockReturnValue(35);
+      marketDataService.calculateMACD = jest.fn().mockReturnValue({ macd: 2, signal: 1, histogram: 1 });
+      marketDataService.calculateBollingerBands = jest.fn().mockReturnValue({ upper: 110, middle: 100, lower: 95 });
+
+      const strategy = {
+        id: 'strategy-1',
+        strategyType: 'SCALPING',
+        parameters: { rsiPeriod: 7, oversold: 40, macdFast: 8, macdSlow: 21, macdSignal: 5, bbPeriod: 10, bbStdDev: 2.5, stopLossPercent: 0.01, takeProfitPercent: 0.02 }
+      };
+
+      const signals = await tradingBot.signalGenerator.generateSignals(strategy, 'BTCUSDT', { price: 96 }, buildKlines(50));
+
+      expect(marketDataService.calculateRSI).toHaveBeenCalledWith(expect.any(Array), 7);
+      expect(marketDataService.calculateMACD).toHaveBeenCalledWith(expect.any(Array), 8, 21, 5);
+      expect(marketDataService.calculateBollingerBands).toHaveBeenCalledWith(expect.any(Array), 10, 2.5);
+      expect(signals).toHaveLength(1);
+      expect(signals[0].stopLoss).toBeCloseTo(95.04);
+      expect(signals[0].takeProfit).toBeCloseTo(97.92);
+    });
+  });
+
   describe('Trade Execution', () => {
     test('should execute buy order', async () => {
       const signal = {